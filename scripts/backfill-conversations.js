@@ -0,0 +1,66 @@
+/*
+  Backfill da tabela conversations a partir de messages (sql/005_conversations.sql).
+  Uso: SUPABASE_URL=... SUPABASE_ANON_KEY=... npm run backfill:conversations [-- --dry-run]
+  • Percorre messages em páginas (ordem de created_at) e guarda a última mensagem de cada número
+  • Nome: o último nome não vazio enviado; status: status_conversa/status_atendimento da última mensagem
+  • Upsert por numero_paciente — pode ser executado de novo sem duplicar
+*/
+
+const { createClient } = require('@supabase/supabase-js');
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseAnonKey = process.env.SUPABASE_ANON_KEY;
+if (!supabaseUrl || !supabaseAnonKey) {
+  console.error('Faltam SUPABASE_URL/SUPABASE_ANON_KEY');
+  process.exit(1);
+}
+const supabase = createClient(supabaseUrl, supabaseAnonKey);
+
+const PAGE = 1000;
+const dryRun = process.argv.includes('--dry-run');
+
+async function main() {
+  const byNumero = new Map();
+  for (let from = 0; ; from += PAGE) {
+    const { data, error } = await supabase.from('messages').select('*').order('created_at', { ascending: true }).range(from, from + PAGE - 1);
+    if (error) throw error;
+    for (const m of data || []) {
+      const prev = byNumero.get(m.numero_paciente) || {};
+      byNumero.set(m.numero_paciente, {
+        last: m,
+        firstAt: prev.firstAt || m.created_at,
+        nome: m.nome_paciente || prev.nome || null,
+        atendente: m.remetente === 'Atendente' && m.atendente_id ? { id: m.atendente_id, nome: m.atendente_nome || null } : prev.atendente || null,
+      });
+    }
+    if (!data || data.length < PAGE) break;
+  }
+
+  const rows = [];
+  for (const [numero, { last, firstAt, nome, atendente }] of byNumero.entries()) {
+    if (!numero) continue;
+    rows.push({
+      numero_paciente: numero,
+      instance_id: last.instance_id,
+      nome_paciente: nome,
+      status: last.status_conversa || last.status_atendimento || 'EM_ATENDIMENTO_ROBO',
+      assigned_to: atendente ? atendente.id : null,
+      assigned_name: atendente ? atendente.nome : null,
+      last_message: last.mensagem_paciente || last.resposta_robo || last.resposta_atendente || null,
+      last_remetente: last.remetente,
+      last_message_at: last.created_at,
+      created_at: firstAt,
+      updated_at: last.updated_at || last.created_at,
+    });
+  }
+
+  console.log(`${rows.length} conversas encontradas${dryRun ? ' (dry-run)' : ''}`);
+  if (dryRun) return;
+  for (let i = 0; i < rows.length; i += 500) {
+    const { error } = await supabase.from('conversations').upsert(rows.slice(i, i + 500), { onConflict: 'numero_paciente' });
+    if (error) throw error;
+    console.log(`upsert ${Math.min(i + 500, rows.length)}/${rows.length}`);
+  }
+}
+
+main().then(() => process.exit(0)).catch(err => { console.error('Backfill falhou:', err.message); process.exit(1); });
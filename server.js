@@ -2,320 +2,4312 @@
   Projeto SENA — Backend (server.js)
   Versão: v11h (2025-08-09)
   • Mantém tudo do v11g (fix do topo: status_conversa forçado; handoff; bloqueio robô; Gupshup 2xx; etc.)
-  • NOVO: rota **/messages** compatível com o painel atual (faz o bridge para a lógica de envio humano)
+  • NOVO: rota /messages compatível com o painel atual (faz o bridge para a lógica de envio humano)
   • Aceita body com: numeroPaciente|numero_paciente|numero, nomePaciente|nome_paciente|nome, texto|message|mensagem, instanceId (opcional, default '0')
+  • `node server.js` sobe o servidor; `require('./server').createApp({ supabase, http })` monta o app sem
+    escutar porta nem agendar jobs (usado pelos testes em test/, com store em memória e Gupshup falso)
 */
 
 const express = require('express');
 const bodyParser = require('body-parser');
-const axios = require('axios');
+const defaultHttpClient = require('axios');
+const multer = require('multer');
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const PDFDocument = require('pdfkit');
+const archiver = require('archiver');
 const { createClient } = require('@supabase/supabase-js');
 
-/* =========================== Supabase ============================ */
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseAnonKey = process.env.SUPABASE_ANON_KEY;
-if (!supabaseUrl || !supabaseAnonKey) {
-  console.error('Faltam SUPABASE_URL/SUPABASE_ANON_KEY');
-  process.exit(1);
+/* ============================= Logs ============================== */
+// Uma linha JSON por evento. O reqId vem do contexto da requisição (ou do job em background)
+// e acompanha as chamadas ao Supabase, Gupshup e bot (header X-Request-Id).
+const requestContext = new AsyncLocalStorage();
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const LOG_LEVEL = LOG_LEVELS[process.env.LOG_LEVEL] || LOG_LEVELS.info;
+function currentRequestId() { const store = requestContext.getStore(); return (store && store.reqId) || null; }
+function requestIdHeaders() { const reqId = currentRequestId(); return reqId ? { 'X-Request-Id': reqId } : {}; }
+function writeLog(level, msg, fields = {}) {
+  if (LOG_LEVELS[level] < LOG_LEVEL) return;
+  const line = JSON.stringify({ ts: new Date().toISOString(), level, msg, reqId: currentRequestId() || undefined, ...fields });
+  (LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
 }
-const supabase = createClient(supabaseUrl, supabaseAnonKey);
-
-/* ============================ Express ============================ */
-const app = express();
-const rawBodyParser = bodyParser.text({ type: 'application/json' });
-const jsonParser = bodyParser.json();
-const urlencodedParser = bodyParser.urlencoded({ extended: true });
-
-app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-  if (req.method === 'OPTIONS') return res.sendStatus(204);
-  next();
-});
-
-/* ============================== Utils ============================== */
-function normaliseString(str = '') { return String(str).toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[.!?]/g, ''); }
-function normalizePhone(p) { return String(p || '').replace(/[^\d]/g, ''); }
-function nowIso() { return new Date().toISOString(); }
-function safeString(x) { if (x == null) return ''; if (typeof x === 'string') return x; try { return JSON.stringify(x); } catch { return String(x); } }
-
-const Status = {
-  ROBO: 'EM_ATENDIMENTO_ROBO',
-  PENDENTE: 'PENDENTE',
-  HUMANO: 'EM_ATENDIMENTO_HUMANO',
-  FINALIZADO: 'FINALIZADO',
+const logger = {
+  debug: (msg, fields) => writeLog('debug', msg, fields),
+  info: (msg, fields) => writeLog('info', msg, fields),
+  warn: (msg, fields) => writeLog('warn', msg, fields),
+  error: (msg, fields) => writeLog('error', msg, fields),
 };
+// Jobs em background (workers) ganham um id próprio para correlacionar os logs
+function runAsJob(name, fn) { return () => requestContext.run({ reqId: `${name}-${crypto.randomUUID().slice(0, 8)}` }, fn); }
 
-const TRANSFER_TRIGGERS = [
-  'vou te transferir para um atendente humano',
-  'vou te deixar com alguem da equipe',
-];
+/* ============================ Fábrica ============================ */
+// createApp monta o app sem efeitos colaterais: só escuta a porta e agenda os jobs em start().
+//   supabase: cliente (ou objeto compatível, ex.: test/support/memory-supabase.js); padrão = SUPABASE_URL/ANON_KEY
+//   http: cliente compatível com axios para Gupshup, Meta, bot, webhooks e mídia; padrão = axios
+// As variáveis de ambiente são lidas na criação. Configuração faltando lança erro (antes: process.exit).
+function createApp({ supabase: injectedSupabase = null, http = null } = {}) {
+  const axios = http || defaultHttpClient;
 
-/* ====== Detecção dinâmica: existe coluna status_conversa? ====== */
-let HAS_STATUS_CONVERSA = true; // assume que sim até provar o contrário
-function isStatusColError(err) {
-  const s = String(err && (err.message || err));
-  return s.includes('status_conversa') || (s.includes('column') && s.includes('status_conversa'));
-}
+  /* ======================= Métricas (Prometheus) ======================= */
+  // Registro mínimo em memória, exposto em texto no formato do Prometheus em GET /metrics
+  const LATENCY_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+  const metricDefs = new Map();
+  function defineMetric(name, type, help) { metricDefs.set(name, { type, help, series: new Map() }); }
+  function labelKey(labels) { return Object.entries(labels).map(([k, v]) => `${k}="${String(v).replace(/["\\\n]/g, '_')}"`).join(','); }
+  function incCounter(name, labels = {}, value = 1) {
+    const m = metricDefs.get(name);
+    const key = labelKey(labels);
+    m.series.set(key, (m.series.get(key) || 0) + value);
+  }
+  function observeHistogram(name, labels, seconds) {
+    const m = metricDefs.get(name);
+    const key = labelKey(labels);
+    const h = m.series.get(key) || { buckets: LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 };
+    LATENCY_BUCKETS.forEach((b, i) => { if (seconds <= b) h.buckets[i] += 1; });
+    h.sum += seconds;
+    h.count += 1;
+    m.series.set(key, h);
+  }
+  // gauges: [{ name, help, values: [{ labels, value }] }] calculados na hora da coleta
+  function renderMetrics(gauges = []) {
+    const out = [];
+    const wrap = (key, extra = '') => { const inner = [key, extra].filter(Boolean).join(','); return inner ? `{${inner}}` : ''; };
+    for (const [name, m] of metricDefs) {
+      out.push(`# HELP ${name} ${m.help}`, `# TYPE ${name} ${m.type}`);
+      for (const [key, v] of m.series) {
+        if (m.type !== 'histogram') { out.push(`${name}${wrap(key)} ${v}`); continue; }
+        LATENCY_BUCKETS.forEach((b, i) => out.push(`${name}_bucket${wrap(key, `le="${b}"`)} ${v.buckets[i]}`));
+        out.push(`${name}_bucket${wrap(key, 'le="+Inf"')} ${v.count}`, `${name}_sum${wrap(key)} ${v.sum}`, `${name}_count${wrap(key)} ${v.count}`);
+      }
+    }
+    for (const g of gauges) {
+      out.push(`# HELP ${g.name} ${g.help}`, `# TYPE ${g.name} gauge`);
+      for (const { labels = {}, value } of g.values) out.push(`${g.name}${wrap(labelKey(labels))} ${value}`);
+    }
+    return out.join('\n') + '\n';
+  }
+  defineMetric('http_request_duration_seconds', 'histogram', 'Latência das requisições HTTP');
+  defineMetric('webhook_events_total', 'counter', 'Webhooks recebidos por resultado');
+  defineMetric('gupshup_requests_total', 'counter', 'Chamadas ao Gupshup por status HTTP (error = falha de rede/timeout)');
+  defineMetric('gupshup_request_duration_seconds', 'histogram', 'Latência das chamadas ao Gupshup');
+  defineMetric('event_webhook_deliveries_total', 'counter', 'Entregas de webhooks de saída por resultado (delivered | http_error | error)');
+  defineMetric('meta_requests_total', 'counter', 'Chamadas à Meta Cloud API por status HTTP (error = falha de rede/timeout)');
+  defineMetric('supabase_requests_total', 'counter', 'Chamadas ao Supabase');
+  defineMetric('supabase_errors_total', 'counter', 'Erros do Supabase por status HTTP (error = falha de rede)');
+  defineMetric('bot_requests_total', 'counter', 'Chamadas ao bot por resultado');
+
+  /* =========================== Supabase ============================ */
+  // fetch instrumentado: propaga o X-Request-Id e conta erros para /metrics
+  async function supabaseFetch(input, init = {}) {
+    const headers = new Headers(init.headers || {});
+    const reqId = currentRequestId();
+    if (reqId) headers.set('X-Request-Id', reqId);
+    incCounter('supabase_requests_total');
+    try {
+      const res = await fetch(input, { ...init, headers });
+      if (res.status >= 400) incCounter('supabase_errors_total', { status: res.status });
+      return res;
+    } catch (err) { incCounter('supabase_errors_total', { status: 'error' }); throw err; }
+  }
+  function createSupabase() {
+    const supabaseUrl = process.env.SUPABASE_URL;
+    const supabaseAnonKey = process.env.SUPABASE_ANON_KEY;
+    if (!supabaseUrl || !supabaseAnonKey) throw new Error('Faltam SUPABASE_URL/SUPABASE_ANON_KEY');
+    return createClient(supabaseUrl, supabaseAnonKey, { global: { fetch: supabaseFetch } });
+  }
+  const supabase = injectedSupabase || createSupabase();
+
+  /* ============================ Express ============================ */
+  const app = express();
+
+  // Request id (X-Request-Id recebido ou gerado) + latência por rota
+  app.use((req, res, next) => {
+    const reqId = String(req.get('X-Request-Id') || '').slice(0, 100) || crypto.randomUUID();
+    req.id = reqId;
+    res.setHeader('X-Request-Id', reqId);
+    const started = process.hrtime.bigint();
+    res.on('finish', () => {
+      const route = req.route ? (req.baseUrl || '') + req.route.path : 'unmatched';
+      observeHistogram('http_request_duration_seconds', { method: req.method, route, status: res.statusCode }, Number(process.hrtime.bigint() - started) / 1e9);
+    });
+    requestContext.run({ reqId }, next);
+  });
+  const rawBodyParser = bodyParser.text({ type: 'application/json' });
+  const jsonParser = bodyParser.json();
+  const urlencodedParser = bodyParser.urlencoded({ extended: true });
+
+  // CORS_ORIGINS (lista separada por vírgula) restringe as origens do painel; sem ela, mantém '*'
+  const CORS_ORIGINS = String(process.env.CORS_ORIGINS || '').split(',').map(s => s.trim()).filter(Boolean);
+  app.use((req, res, next) => {
+    if (!CORS_ORIGINS.length) res.header('Access-Control-Allow-Origin', '*');
+    else if (CORS_ORIGINS.includes(req.headers.origin)) { res.header('Access-Control-Allow-Origin', req.headers.origin); res.header('Vary', 'Origin'); }
+    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Webhook-Secret, X-Signature, Idempotency-Key');
+    res.header('Access-Control-Expose-Headers', 'X-Request-Id, X-Next-Cursor, X-Conversation-Status, X-Conversation-Remetente');
+    if (req.method === 'OPTIONS') return res.sendStatus(204);
+    next();
+  });
+
+  /* ============================== Utils ============================== */
+  function normaliseString(str = '') { return String(str).toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[.!?]/g, ''); }
+  function normalizePhone(p) { return String(p || '').replace(/[^\d]/g, ''); }
+  function nowIso() { return new Date().toISOString(); }
+  // Cursores opacos para paginação keyset (base64url de um array de valores)
+  function encodeCursor(parts) { return Buffer.from(JSON.stringify(parts)).toString('base64url'); }
+  // O cursor vem do cliente e parte dele entra em filtros .or() do PostgREST: cada item é validado pelo tipo
+  // esperado (ts = timestamp ISO, id = inteiro, phone = número normalizado ou pseudônimo LGPD).
+  // null = sem cursor; false = cursor inválido (a rota responde 400)
+  const CURSOR_PARTS = {
+    ts: v => (typeof v === 'string' && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:?\d{2})$/.test(v) && !Number.isNaN(Date.parse(v)) ? v : undefined),
+    id: v => (Number.isSafeInteger(Number(v)) && Number(v) > 0 && /^\d+$/.test(String(v)) ? Number(v) : undefined),
+    phone: v => (typeof v === 'string' && /^(\d{8,15}|anon-[0-9a-f]{16})$/.test(v) ? v : undefined),
+  };
+  function decodeCursor(c, kinds) {
+    if (!c) return null;
+    let v;
+    try { v = JSON.parse(Buffer.from(String(c), 'base64url').toString()); } catch { return false; }
+    if (!Array.isArray(v) || v.length !== kinds.length) return false;
+    const parts = kinds.map((k, i) => CURSOR_PARTS[k](v[i]));
+    return parts.includes(undefined) ? false : parts;
+  }
+  function pageLimit(v, def, max) { const n = parseInt(v, 10); return Number.isFinite(n) && n > 0 ? Math.min(n, max) : def; }
+  function splitList(v) { return String(v || '').split(',').map(s => s.trim()).filter(Boolean); }
+  function safeString(x) { if (x == null) return ''; if (typeof x === 'string') return x; try { return JSON.stringify(x); } catch { return String(x); } }
+
+  const Status = {
+    ROBO: 'EM_ATENDIMENTO_ROBO',
+    PENDENTE: 'PENDENTE',
+    HUMANO: 'EM_ATENDIMENTO_HUMANO',
+    FINALIZADO: 'FINALIZADO',
+  };
+
+  // Regras padrão de handoff (respostas do bot) para instâncias sem regras cadastradas em handoff_rules
+  const TRANSFER_TRIGGERS = [
+    'vou te transferir para um atendente humano',
+    'vou te deixar com alguem da equipe',
+  ];
+
+  /* ===================== Tempo real (SSE) ====================== */
+  // Eventos em memória (por processo): message.created, message.sent, conversation.status, conversation.assigned, conversation.name.
+  // Também alimentam os webhooks de saída (ver "Webhooks de saída").
+  // Reconexão: o cliente manda Last-Event-ID (ou ?lastEventId=) e recebe o que perdeu enquanto estiver no buffer.
+  const EVENT_BUFFER_SIZE = Number(process.env.EVENT_BUFFER_SIZE || 1000);
+  const eventLog = [];
+  let lastEventSeq = 0;
+  const sseClients = new Set();
+
+  function sseWrite(res, evt) { res.write(`id: ${evt.id}\nevent: ${evt.type}\ndata: ${JSON.stringify(evt)}\n\n`); }
+  function sseAccepts(client, evt) { return !client.instances || client.instances.includes(String(evt.instanceId)); }
+
+  function publishEvent(type, { instanceId = null, numeroPaciente = null, data = {} } = {}) {
+    const evt = { id: ++lastEventSeq, type, instanceId: instanceId != null ? String(instanceId) : null, numeroPaciente, data, ts: nowIso() };
+    eventLog.push(evt);
+    if (eventLog.length > EVENT_BUFFER_SIZE) eventLog.shift();
+    for (const client of sseClients) if (sseAccepts(client, evt)) sseWrite(client.res, evt);
+    dispatchEventWebhooks(evt).catch(err => logger.error('Failed to enqueue event webhooks', { type, err: err.message }));
+    return evt;
+  }
+
+  // Anonimização LGPD: eventos do titular no buffer viram marcadores sem dados (o id fica, para o Last-Event-ID
+  // continuar valendo) e não são mais reenviados na reconexão
+  function forgetEventsOf(numeros) {
+    for (const [i, evt] of eventLog.entries()) {
+      if (evt.numeroPaciente && numeros.includes(evt.numeroPaciente)) eventLog[i] = { id: evt.id, type: 'redacted', instanceId: null, numeroPaciente: null, data: {}, ts: evt.ts };
+    }
+  }
+
+  /* ====== Detecção dinâmica: existe coluna status_conversa? ====== */
+  let HAS_STATUS_CONVERSA = true; // assume que sim até provar o contrário
+  function isStatusColError(err) {
+    const s = String(err && (err.message || err));
+    return s.includes('status_conversa') || (s.includes('column') && s.includes('status_conversa'));
+  }
+
+  /* ====== Grupos de colunas opcionais (migrações em sql/) — idem ====== */
+  const OPTIONAL_COLS = {
+    delivery: ['provider_message_id', 'delivery_status', 'delivery_error', 'delivery_updated_at'], // sql/001
+    media: ['media_type', 'media_mime', 'media_caption', 'media_url', 'media_filename'],            // sql/002
+    template: ['template_name'],                                                                    // sql/003
+    outbound: ['outbound_job_id'],                                                                  // sql/010
+    actor: ['atendente_id', 'atendente_nome', 'status_changed_by'],                                 // sql/004
+    redaction: ['redacted_at'],                                                                     // sql/019
+  };
+  const HAS_COLS = Object.fromEntries(Object.keys(OPTIONAL_COLS).map(g => [g, true]));
+  function missingColGroup(err) {
+    const s = String(err && (err.message || err));
+    return Object.keys(OPTIONAL_COLS).find(g => HAS_COLS[g] && OPTIONAL_COLS[g].some(c => s.includes(c))) || null;
+  }
+
+  function stripMissingCols(values) {
+    const clone = { ...values };
+    if (!HAS_STATUS_CONVERSA) delete clone.status_conversa;
+    for (const g of Object.keys(OPTIONAL_COLS)) if (!HAS_COLS[g]) OPTIONAL_COLS[g].forEach(c => delete clone[c]);
+    return clone;
+  }
+
+  // Executa a escrita; se faltar uma coluna opcional, marca a ausência e tenta de novo sem ela
+  async function writeWithColumnFallback(values, run) {
+    let payload = stripMissingCols(values);
+    for (;;) {
+      const { data, error } = await run(payload);
+      if (!error) return data;
+      const group = missingColGroup(error);
+      if (HAS_STATUS_CONVERSA && isStatusColError(error)) HAS_STATUS_CONVERSA = false;
+      else if (group) HAS_COLS[group] = false;
+      else throw error;
+      payload = stripMissingCols(payload);
+    }
+  }
+
+  async function safeInsert(row) {
+    const payload = { ...row, created_at: nowIso(), updated_at: nowIso() };
+    const inserted = await writeWithColumnFallback(payload, p => supabase.from('messages').insert(p).select().single());
+    const message = publicMessage(inserted) || stripMissingCols(payload);
+    if (message.remetente !== NOTE_REMETENTE) await touchConversation(message);
+    publishEvent('message.created', { instanceId: message.instance_id, numeroPaciente: message.numero_paciente, data: message });
+    return message;
+  }
+
+  /* ==================== Supabase helpers ===================== */
+  async function getLastRow(numeroPaciente) {
+    const { data } = await supabase
+      .from('messages')
+      .select('*')
+      .eq('numero_paciente', numeroPaciente)
+      .order('created_at', { ascending: false })
+      .limit(1);
+    return (data && data[0]) || null;
+  }
+
+  /* ========================= Conversas ========================= */
+  // Tabela conversations (sql/005_conversations.sql): uma linha por número com o estado atual da conversa.
+  // As mensagens guardam só o status do momento em que foram gravadas; nada mais é atualizado em massa.
+  // Remove a coluna de busca (tsvector gerado, sql/006) das mensagens devolvidas ao painel
+  function publicMessage(m) { if (!m || !('busca' in m)) return m; const { busca, ...rest } = m; return rest; }
+  function statusOfRow(row) { return (row && (row.status_conversa || row.status_atendimento)) || Status.ROBO; }
+  // Nota interna: gravada em messages (resposta_atendente) mas nunca enviada e fora de last_message/unread
+  const NOTE_REMETENTE = 'Nota';
+  function messagePreview(m) { return m.mensagem_paciente || m.resposta_robo || m.resposta_atendente || null; }
+
+  async function getConversation(numeroPaciente) {
+    const { data, error } = await supabase.from('conversations').select('*').eq('numero_paciente', numeroPaciente).limit(1);
+    if (error) throw error;
+    return (data && data[0]) || null;
+  }
+
+  async function getLastMessageInfo(numeroPaciente) {
+    const conv = await getConversation(numeroPaciente);
+    if (conv) return { status_atendimento: conv.status, status_conversa: conv.status, remetente: conv.last_remetente };
+    // Conversa ainda não migrada (ver npm run backfill:conversations): usa a última mensagem
+    const last = await getLastRow(numeroPaciente);
+    if (!last) return { status_atendimento: null, status_conversa: null, remetente: null };
+    return { status_atendimento: last.status_atendimento, status_conversa: last.status_conversa, remetente: last.remetente };
+  }
+
+  // Chamado a cada mensagem gravada: atualiza última mensagem/status (e cria a conversa se for a primeira)
+  // Leitura + upsert sob a trava do número, com chave própria (quem já está em withNumberLock(numero), como o
+  // webhook, pode chamar): webhook, envios e o worker passam por aqui e o unread_count não perde incremento nem zeragem
+  function withConversationLock(numero, fn) { return withNumberLock(`conversation:${numero}`, fn); }
+  function touchConversation(message) { return withConversationLock(message.numero_paciente, () => writeConversation(message)); }
+
+  async function writeConversation(message) {
+    const conv = await getConversation(message.numero_paciente);
+    const values = {
+      numero_paciente: message.numero_paciente,
+      instance_id: message.instance_id,
+      status: statusOfRow(message),
+      last_message: messagePreview(message),
+      last_remetente: message.remetente,
+      last_message_at: message.created_at,
+      updated_at: nowIso(),
+    };
+    // Nome editado no painel prevalece sobre o nome de perfil que chega em cada mensagem
+    if (message.nome_paciente && !(conv && conv.nome_paciente)) values.nome_paciente = message.nome_paciente;
+    if (message.remetente === 'Atendente' && message.atendente_id) { values.assigned_to = message.atendente_id; values.assigned_name = message.atendente_nome || null; }
+    // Não lidas: mensagens do paciente desde a última resposta do atendente (ou POST .../read)
+    if (message.remetente === 'Paciente') values.unread_count = ((conv && conv.unread_count) || 0) + 1;
+    else if (message.remetente === 'Atendente') values.unread_count = 0;
+    const { error } = await supabase.from('conversations').upsert(values, { onConflict: 'numero_paciente' });
+    if (error) throw error;
+    // Mudança de status provocada pela própria mensagem (ex.: FINALIZADO → ROBO quando o paciente volta)
+    if (conv && conv.status && conv.status !== values.status) await recordStatusTransition({ numeroPaciente: message.numero_paciente, instanceId: message.instance_id, from: conv.status, to: values.status, actor: null, source: 'message' });
+  }
+
+  // status_transitions (sql/016): auditoria de quem mudou o status, quando, de/para
+  async function recordStatusTransition({ numeroPaciente, instanceId, from, to, actor = null, source }) {
+    if (from === to) return;
+    const { error } = await supabase.from('status_transitions').insert({
+      numero_paciente: numeroPaciente, instance_id: instanceId != null ? String(instanceId) : null, from_status: from || null, to_status: to,
+      changed_by: actor ? String(actor.id) : null, changed_by_name: actor ? (actor.name || actor.email || null) : null, source, created_at: nowIso(),
+    });
+    if (error) logger.error('Failed to record status transition', { err: error.message });
+  }
+
+  // Cria a linha de conversations a partir da última mensagem (conversas anteriores ao backfill)
+  async function ensureConversation(numeroPaciente) {
+    const conv = await getConversation(numeroPaciente);
+    if (conv) return conv;
+    const last = await getLastRow(numeroPaciente);
+    if (!last) return null;
+    await touchConversation(last);
+    return getConversation(numeroPaciente);
+  }
+
+  // actor: usuário do painel que provocou a mudança (null = sistema: webhook/bot)
+  async function setConversationStatus(numeroPaciente, statusKey, actor = null) {
+    const conv = await ensureConversation(numeroPaciente);
+    if (!conv) return null;
+    const values = { status: statusKey, status_changed_by: actor ? String(actor.id) : null, status_changed_at: nowIso(), updated_at: nowIso() };
+    if (statusKey === Status.FINALIZADO) Object.assign(values, { assigned_to: null, assigned_name: null, assigned_at: null });
+    const { error } = await supabase.from('conversations').update(values).eq('numero_paciente', numeroPaciente);
+    if (error) throw error;
+    await recordStatusTransition({ numeroPaciente, instanceId: conv.instance_id, from: conv.status, to: statusKey, actor, source: actor ? 'panel' : 'system' });
+    publishEvent('conversation.status', { instanceId: conv.instance_id, numeroPaciente, data: { status: statusKey, previous: conv.status, changedBy: values.status_changed_by } });
+    const updated = { ...conv, ...values };
+    if (statusKey === Status.PENDENTE && !updated.assigned_to) return (await autoAssign(updated)) || updated;
+    return updated;
+  }
+
+  /* ===================== Filas e atribuição ===================== */
+  // Filas (sql/007_queues.sql) por instância, com membros e estratégia:
+  //   manual      → fica PENDENTE até alguém fazer claim
+  //   round_robin → próximo membro depois do último atribuído
+  //   least_busy  → membro com menos conversas PENDENTE/HUMANO atribuídas
+  const AssignStrategies = ['manual', 'round_robin', 'least_busy'];
+  const ACTIVE_STATUSES = [Status.PENDENTE, Status.HUMANO];
+
+  async function getQueue(queueId) {
+    const { data, error } = await supabase.from('queues').select('*').eq('id', queueId).limit(1);
+    if (error) throw error;
+    return (data && data[0]) || null;
+  }
+
+  // Fila da conversa; sem fila definida, usa a fila padrão (is_default) da instância
+  async function getQueueForConversation(conv) {
+    if (conv.queue_id) return getQueue(conv.queue_id);
+    const { data, error } = await supabase.from('queues').select('*').eq('instance_id', String(conv.instance_id)).eq('is_default', true).eq('active', true).limit(1);
+    if (error) throw error;
+    return (data && data[0]) || null;
+  }
+
+  async function getQueueMembers(queueId) {
+    const { data: members, error } = await supabase.from('queue_members').select('user_id').eq('queue_id', queueId);
+    if (error) throw error;
+    const ids = (members || []).map(m => String(m.user_id));
+    if (!ids.length) return [];
+    const { data: users, error: e2 } = await supabase.from('users').select('*').in('id', ids);
+    if (e2) throw e2;
+    return (users || []).filter(u => u.active !== false).sort((a, b) => Number(a.id) - Number(b.id));
+  }
+
+  // Conversas ativas (PENDENTE/HUMANO) atribuídas a cada atendente
+  async function getWorkload(userIds = null) {
+    let query = supabase.from('conversations').select('assigned_to').in('status', ACTIVE_STATUSES).not('assigned_to', 'is', null);
+    if (userIds) query = query.in('assigned_to', userIds.map(String));
+    const { data, error } = await query;
+    if (error) throw error;
+    const load = new Map();
+    for (const c of data || []) load.set(String(c.assigned_to), (load.get(String(c.assigned_to)) || 0) + 1);
+    return load;
+  }
+
+  async function pickAttendant(queue) {
+    const members = await getQueueMembers(queue.id);
+    if (!members.length) return null;
+    if (queue.strategy === 'least_busy') {
+      const load = await getWorkload(members.map(u => u.id));
+      return members.reduce((best, u) => ((load.get(String(u.id)) || 0) < (load.get(String(best.id)) || 0) ? u : best), members[0]);
+    }
+    const idx = members.findIndex(u => String(u.id) === String(queue.last_assigned_to));
+    return members[(idx + 1) % members.length];
+  }
+
+  // user = null desatribui (volta para a fila)
+  async function assignConversation(numeroPaciente, user, { queueId, by = null } = {}) {
+    const values = { assigned_to: user ? String(user.id) : null, assigned_name: user ? (user.name || user.email) : null, assigned_at: user ? nowIso() : null, updated_at: nowIso() };
+    if (queueId !== undefined) values.queue_id = queueId;
+    const { data, error } = await supabase.from('conversations').update(values).eq('numero_paciente', numeroPaciente).select();
+    if (error) throw error;
+    const conv = data && data[0];
+    if (!conv) return null;
+    publishEvent('conversation.assigned', { instanceId: conv.instance_id, numeroPaciente, data: { assignedTo: values.assigned_to, assignedName: values.assigned_name, queueId: conv.queue_id ?? null, by: by ? String(by.id) : null } });
+    return conv;
+  }
+
+  async function autoAssign(conv) {
+    const queue = await getQueueForConversation(conv);
+    if (!queue || !queue.active || queue.strategy === 'manual') return null;
+    const user = await pickAttendant(queue);
+    if (!user) return null;
+    if (queue.strategy === 'round_robin') {
+      const { error } = await supabase.from('queues').update({ last_assigned_to: String(user.id) }).eq('id', queue.id);
+      if (error) throw error;
+    }
+    return assignConversation(conv.numero_paciente, user, { queueId: queue.id });
+  }
+
+  // Conversa em atendimento por outra pessoa: só responde quem fizer takeover
+  async function checkReplyOwnership(phone, user) {
+    if (!user) return null;
+    const conv = await getConversation(phone);
+    if (!conv || !conv.assigned_to || String(conv.assigned_to) === String(user.id) || !ACTIVE_STATUSES.includes(conv.status)) return null;
+    return { http: 409, body: { error: 'assigned_to_other', assignedTo: conv.assigned_to, assignedName: conv.assigned_name || null } };
+  }
+
+  // enqueued → sent → delivered → read; failed é terminal, exceto se a mensagem já foi entregue/lida
+  const DeliveryRank = { queued: 0, enqueued: 1, sent: 2, delivered: 3, read: 4 };
+  function canAdvanceDelivery(from, to) {
+    if (from === 'read' || from === 'failed') return false;
+    if (to === 'failed') return from !== 'delivered';
+    return (DeliveryRank[to] || 0) > (DeliveryRank[from] || 0);
+  }
+
+  async function updateDeliveryStatus(providerMessageId, event, { code = null, reason = null } = {}) {
+    if (!HAS_COLS.delivery || !providerMessageId || !(event in DeliveryRank || event === 'failed')) return false;
+    const { data, error } = await supabase
+      .from('messages')
+      .select('id, delivery_status')
+      .eq('provider_message_id', providerMessageId)
+      .limit(1);
+    if (error) { if (missingColGroup(error) === 'delivery') { HAS_COLS.delivery = false; return false; } throw error; }
+    const row = data && data[0];
+    if (!row || !canAdvanceDelivery(row.delivery_status, event)) return false;
+    const values = { delivery_status: event, delivery_updated_at: nowIso() };
+    if (event === 'failed') values.delivery_error = [code, reason].filter(x => x != null && x !== '').join(': ') || 'failed';
+    const { error: e2 } = await supabase.from('messages').update(values).eq('id', row.id);
+    if (e2) throw e2;
+    return true;
+  }
+
+  /* ========================== Contatos ========================== */
+  // contacts (sql/013): cadastro do paciente (nome, tags, campos livres, opt-in/out).
+  // O número principal fica em numero; números fundidos (ex.: com/sem o 9º dígito) ficam em aliases.
+  const OptStatus = { UNKNOWN: 'unknown', IN: 'opted_in', OUT: 'opted_out' };
+  const CONTACT_BASE_COLUMNS = ['numero', 'nome', 'email', 'tags', 'opt_status'];
+
+  // Celular brasileiro: 55 + DDD + 9 + 8 dígitos. Números antigos/do WhatsApp podem vir sem o 9.
+  function phoneVariants(numero) {
+    const n = normalizePhone(numero);
+    if (!n) return [];
+    if (n.startsWith('55') && n.length === 13 && n[4] === '9') return [n, n.slice(0, 4) + n.slice(5)];
+    if (n.startsWith('55') && n.length === 12 && /[6-9]/.test(n[4])) return [n, n.slice(0, 4) + '9' + n.slice(4)];
+    return [n];
+  }
+  // Chave usada para achar duplicados: a forma com o 9º dígito
+  function canonicalPhone(numero) { const v = phoneVariants(numero); return v.find(x => x.length === 13 && x.startsWith('55')) || v[0] || ''; }
+
+  function normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : splitList(String(tags || '').replace(/[;|]/g, ','));
+    return [...new Set(list.map(t => String(t).trim().toLowerCase()).filter(Boolean))];
+  }
+
+  async function findContactByPhone(numero) {
+    const variants = phoneVariants(numero);
+    if (!variants.length) return null;
+    const { data, error } = await supabase.from('contacts').select('*').or([...variants.map(v => `numero.eq.${v}`), ...variants.map(v => `aliases.cs.{${v}}`)].join(',')).limit(1);
+    if (error) throw error;
+    return (data && data[0]) || null;
+  }
+
+  async function getContact(id) {
+    const { data, error } = await supabase.from('contacts').select('*').eq('id', id).limit(1);
+    if (error) throw error;
+    return (data && data[0]) || null;
+  }
+
+  // Cria o contato na primeira mensagem do paciente (não sobrescreve nome já cadastrado)
+  async function ensureContact({ numero, nome = '', instanceId = null }) {
+    try {
+      const existing = await findContactByPhone(numero);
+      if (existing) {
+        if (!existing.nome && nome) await supabase.from('contacts').update({ nome, updated_at: nowIso() }).eq('id', existing.id);
+        return existing;
+      }
+      const { data, error } = await supabase.from('contacts').insert({ numero: normalizePhone(numero), nome: nome || null, instance_id: instanceId != null ? String(instanceId) : null, tags: [], custom_fields: {}, aliases: [], opt_status: OptStatus.UNKNOWN, created_at: nowIso(), updated_at: nowIso() }).select().single();
+      if (error) throw error;
+      return data;
+    } catch (err) { logger.error('ensureContact failed', { err: err.message }); return null; }
+  }
+
+  async function setContactOptStatus(numero, optStatus) {
+    const contact = (await findContactByPhone(numero)) || (await ensureContact({ numero }));
+    if (!contact) return null;
+    const { data, error } = await supabase.from('contacts').update({ opt_status: optStatus, opt_changed_at: nowIso(), updated_at: nowIso() }).eq('id', contact.id).select().single();
+    if (error) throw error;
+    return data;
+  }
+
+  // Contato principal absorve o duplicado: tags somadas, campos do principal prevalecem, números viram aliases.
+  // Só o cadastro é fundido: conversas e mensagens continuam no número de origem (é para ele que o WhatsApp
+  // responde) e chegam ao contato pelos aliases (findContactByPhone)
+  async function mergeContacts(keep, dup) {
+    const values = {
+      nome: keep.nome || dup.nome || null,
+      email: keep.email || dup.email || null,
+      tags: normalizeTags([...(keep.tags || []), ...(dup.tags || [])]),
+      custom_fields: { ...(dup.custom_fields || {}), ...(keep.custom_fields || {}) },
+      aliases: [...new Set([...(keep.aliases || []), dup.numero, ...(dup.aliases || [])])].filter(n => n && n !== keep.numero),
+      opt_status: keep.opt_status === OptStatus.OUT || dup.opt_status === OptStatus.OUT ? OptStatus.OUT : (keep.opt_status !== OptStatus.UNKNOWN ? keep.opt_status : dup.opt_status),
+      updated_at: nowIso(),
+    };
+    const { data, error } = await supabase.from('contacts').update(values).eq('id', keep.id).select().single();
+    if (error) throw error;
+    const { error: e2 } = await supabase.from('contacts').delete().eq('id', dup.id);
+    if (e2) throw e2;
+    return data;
+  }
+
+  // CSV (RFC 4180 simplificado: aspas, "" escapado, separador , ou ;)
+  function parseCsv(text) {
+    const src = String(text || '').replace(/^\uFEFF/, '');
+    const firstLine = src.split(/\r?\n/, 1)[0] || '';
+    const sep = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+    const rows = [];
+    let row = [], cell = '', quoted = false;
+    for (let i = 0; i < src.length; i++) {
+      const ch = src[i];
+      if (quoted) {
+        if (ch === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+        else if (ch === '"') quoted = false;
+        else cell += ch;
+      } else if (ch === '"') quoted = true;
+      else if (ch === sep) { row.push(cell); cell = ''; }
+      else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && src[i + 1] === '\n') i++;
+        row.push(cell); cell = '';
+        if (row.some(c => c !== '')) rows.push(row);
+        row = [];
+      } else cell += ch;
+    }
+    row.push(cell);
+    if (row.some(c => c !== '')) rows.push(row);
+    return rows;
+  }
+
+  function csvCell(v) {
+    const str = v == null ? '' : String(v);
+    return /[",;\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  }
+  function toCsv(header, rows) { return [header, ...rows].map(r => r.map(csvCell).join(',')).join('\r\n') + '\r\n'; }
+
+  /* ============================ Mídia ============================= */
+  // Driver local (padrão): grava em MEDIA_DIR e serve em /media. Driver supabase: bucket MEDIA_BUCKET do Storage.
+  const MEDIA_DRIVER = process.env.MEDIA_STORAGE || 'local';
+  const MEDIA_DIR = process.env.MEDIA_DIR || path.join(__dirname, 'media');
+  const MEDIA_BUCKET = process.env.MEDIA_BUCKET || 'media';
+  const MEDIA_MAX_BYTES = Number(process.env.MEDIA_MAX_BYTES || 16 * 1024 * 1024);
+  const mediaUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MEDIA_MAX_BYTES } });
+  if (MEDIA_DRIVER === 'local') app.use('/media', express.static(MEDIA_DIR));
+
+  function mediaTypeFromMime(mime = '') {
+    const m = String(mime).toLowerCase();
+    if (m.startsWith('image/')) return 'image';
+    if (m.startsWith('video/')) return 'video';
+    if (m.startsWith('audio/')) return 'audio';
+    return 'document';
+  }
+
+  function mediaColumns(media) {
+    if (!media) return {};
+    return { media_type: media.type, media_mime: media.mime || null, media_caption: media.caption || null, media_url: media.url, media_filename: media.filename || null };
+  }
+
+  function safeFilename(name = '') { return String(name).normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^\w.-]+/g, '_').slice(-100) || 'arquivo'; }
+
+  async function storeMedia({ buffer, mime, filename, baseUrl }) {
+    const key = `${nowIso().slice(0, 7)}/${crypto.randomUUID()}-${safeFilename(filename)}`;
+    if (MEDIA_DRIVER === 'supabase') {
+      const { error } = await supabase.storage.from(MEDIA_BUCKET).upload(key, buffer, { contentType: mime || 'application/octet-stream', upsert: false });
+      if (error) throw error;
+      return supabase.storage.from(MEDIA_BUCKET).getPublicUrl(key).data.publicUrl;
+    }
+    const full = path.join(MEDIA_DIR, key);
+    await fs.promises.mkdir(path.dirname(full), { recursive: true });
+    await fs.promises.writeFile(full, buffer);
+    return `${String(process.env.PUBLIC_BASE_URL || baseUrl || '').replace(/\/+$/, '')}/media/${key}`;
+  }
+
+  // Mídia recebida: as URLs do Gupshup expiram, então copiamos para o nosso storage (se falhar, fica a URL original)
+  // headers: autenticação exigida pelo provedor (Meta baixa mídia com o token da instância)
+  async function mirrorInboundMedia({ url, mime, filename, baseUrl, headers = {} }) {
+    try {
+      const resp = await axios.get(url, { responseType: 'arraybuffer', timeout: 30000, maxContentLength: MEDIA_MAX_BYTES, headers });
+      return await storeMedia({ buffer: Buffer.from(resp.data), mime: mime || resp.headers['content-type'], filename: filename || path.basename(new URL(url).pathname), baseUrl });
+    } catch (e) { logger.error('Falha ao copiar mídia recebida', { err: e.message, url }); return url; }
+  }
+
+  /* ================= Gupshup (sessão: texto e mídia) ================= */
+  const GS_MEDIA_TYPES = { image: 'image', video: 'video', audio: 'audio', document: 'file' };
+  const GUPSHUP_API_URL = String(process.env.GUPSHUP_API_URL || 'https://api.gupshup.io').replace(/\/+$/, ''); // testes: servidor falso
+
+  function buildGupshupMessage({ text, media }) {
+    if (!media) return { type: 'text', text };
+    const type = GS_MEDIA_TYPES[media.type] || 'file';
+    if (type === 'image') return { type, originalUrl: media.url, previewUrl: media.url, caption: media.caption || undefined };
+    if (type === 'video') return { type, url: media.url, caption: media.caption || undefined };
+    if (type === 'audio') return { type, url: media.url };
+    return { type, url: media.url, filename: media.filename || 'arquivo', caption: media.caption || undefined };
+  }
+
+  async function sendWhatsAppSessionMessage({ token, source, appName, destination, text, media }) {
+    const body = new URLSearchParams();
+    body.append('channel', 'whatsapp');
+    body.append('source', normalizePhone(source));
+    body.append('destination', normalizePhone(destination));
+    body.append('message', JSON.stringify(buildGupshupMessage({ text, media })));
+    body.append('src.name', appName || process.env.GSAPP_NAME || 'SENA');
+    return postGupshup(`${GUPSHUP_API_URL}/wa/api/v1/msg`, body, token);
+  }
+
+  // Template (HSM): único tipo de mensagem aceito fora da janela de 24h
+  async function sendWhatsAppTemplateMessage({ token, source, appName, destination, templateId, params }) {
+    const body = new URLSearchParams();
+    body.append('channel', 'whatsapp');
+    body.append('source', normalizePhone(source));
+    body.append('destination', normalizePhone(destination));
+    body.append('template', JSON.stringify({ id: templateId, params: params || [] }));
+    body.append('src.name', appName || process.env.GSAPP_NAME || 'SENA');
+    return postGupshup(`${GUPSHUP_API_URL}/wa/api/v1/template/msg`, body, token);
+  }
+
+  async function postGupshup(url, body, token) {
+    const started = Date.now();
+    let res;
+    try {
+      res = await axios.post(url, body, {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', apikey: token, 'cache-control': 'no-cache', ...requestIdHeaders() },
+        timeout: 15000,
+        validateStatus: () => true,
+      });
+    } catch (err) {
+      incCounter('gupshup_requests_total', { status: 'error' });
+      logger.error('Gupshup request error', { err: err.message, ms: Date.now() - started });
+      throw err;
+    }
+    observeHistogram('gupshup_request_duration_seconds', {}, (Date.now() - started) / 1000);
+    incCounter('gupshup_requests_total', { status: res.status });
+
+    const bodyStr = typeof res.data === 'string' ? res.data : JSON.stringify(res.data || {});
+    if (res.status >= 400) logger.error('Gupshup ERROR', { status: res.status, body: bodyStr.slice(0, 1000), ms: Date.now() - started });
+    else logger.info('Gupshup OK', { status: res.status, body: bodyStr.slice(0, 200), ms: Date.now() - started });
+    res.messageId = (res.data && typeof res.data === 'object' && res.data.messageId) || null;
+    return res;
+  }
+
+  /* ================= Provedores de mensagens ================= */
+  // instances.provider (sql/017) escolhe o adaptador: gupshup (padrão), meta (WhatsApp Cloud API) ou mock.
+  // Cada adaptador envia sessão/template devolvendo { status, data, messageId } (mesmo formato do postGupshup);
+  // o inbound de cada um é normalizado para os eventos de parseGupshupCallback (message | message-event | user-event).
+  //   provider_config (jsonb): meta → { phoneNumberId, apiVersion?, verifyToken? }; mock → { failStatus? }
+  const META_API_VERSION = process.env.META_API_VERSION || 'v19.0';
+  const META_MEDIA_TYPES = { image: 'image', video: 'video', audio: 'audio', document: 'document' };
+
+  function metaConfig(inst) { return (inst && inst.provider_config) || {}; }
+  function metaUrl(inst, pathPart) { return `https://graph.facebook.com/${metaConfig(inst).apiVersion || META_API_VERSION}/${pathPart}`; }
+
+  async function postMeta(inst, payload) {
+    const started = Date.now();
+    let res;
+    try {
+      res = await axios.post(metaUrl(inst, `${metaConfig(inst).phoneNumberId}/messages`), { messaging_product: 'whatsapp', ...payload }, {
+        headers: { Authorization: `Bearer ${inst.token}`, 'Content-Type': 'application/json', ...requestIdHeaders() },
+        timeout: 15000,
+        validateStatus: () => true,
+      });
+    } catch (err) {
+      incCounter('meta_requests_total', { status: 'error' });
+      logger.error('Meta request error', { err: err.message, ms: Date.now() - started });
+      throw err;
+    }
+    incCounter('meta_requests_total', { status: res.status });
+    if (res.status >= 400) logger.error('Meta ERROR', { status: res.status, body: safeString(res.data).slice(0, 1000), ms: Date.now() - started });
+    else logger.info('Meta OK', { status: res.status, ms: Date.now() - started });
+    res.messageId = (res.data && Array.isArray(res.data.messages) && res.data.messages[0] && res.data.messages[0].id) || null;
+    return res;
+  }
+
+  function buildMetaMessage({ destination, text, media }) {
+    const to = normalizePhone(destination);
+    if (!media) return { to, type: 'text', text: { body: text } };
+    const type = META_MEDIA_TYPES[media.type] || 'document';
+    const content = { link: media.url };
+    if (type !== 'audio' && media.caption) content.caption = media.caption;
+    if (type === 'document') content.filename = media.filename || 'arquivo';
+    return { to, type, [type]: content };
+  }
+
+  // Mock: guarda os envios em memória (GET /api/instance/:id/mock/outbox); failStatus simula erro do provedor
+  const MOCK_OUTBOX_SIZE = 1000;
+  const mockOutbox = [];
+  function mockSend(inst, entry) {
+    const failStatus = Number(metaConfig(inst).failStatus) || 0;
+    const messageId = failStatus ? null : `mock-${crypto.randomUUID()}`;
+    mockOutbox.push({ instanceId: String(inst.id_da_instancia), ...entry, messageId, status: failStatus || 202, at: nowIso() });
+    if (mockOutbox.length > MOCK_OUTBOX_SIZE) mockOutbox.shift();
+    return { status: failStatus || 202, data: failStatus ? { error: 'mock_failure' } : { status: 'submitted', messageId }, messageId };
+  }
+
+  // GS_APIKEY só vale para instâncias sem token próprio (antes sobrescrevia o token de todas)
+  function gupshupKey(inst) { return inst.token || process.env.GS_APIKEY || null; }
+  function gupshupAppName(inst) { return inst.src_name || process.env.GSAPP_NAME || 'SENA'; }
+
+  // testCredentials: chamada sem efeito colateral no provedor → { ok, status, detail }
+  async function probe(url, headers, describe) {
+    const resp = await axios.get(url, { headers, timeout: 15000, validateStatus: () => true });
+    const ok = resp.status >= 200 && resp.status < 300 && !(resp.data && resp.data.status === 'error');
+    return { ok, status: resp.status, detail: ok ? describe(resp.data || {}) : safeString(resp.data).slice(0, 500) };
+  }
+
+  const Providers = {
+    gupshup: {
+      isReady: inst => !!(gupshupKey(inst) && inst.source_number),
+      sendSession: (inst, { destination, text, media }) => sendWhatsAppSessionMessage({ token: gupshupKey(inst), source: inst.source_number, appName: gupshupAppName(inst), destination, text, media }),
+      sendTemplate: (inst, { destination, template, params }) => sendWhatsAppTemplateMessage({ token: gupshupKey(inst), source: inst.source_number, appName: gupshupAppName(inst), destination, templateId: template.id, params }),
+      testCredentials: inst => probe(`${GUPSHUP_API_URL}/sm/api/v1/template/list/${encodeURIComponent(gupshupAppName(inst))}`, { apikey: gupshupKey(inst) },
+        d => ({ appName: gupshupAppName(inst), templates: Array.isArray(d.templates) ? d.templates.length : null })),
+    },
+    meta: {
+      isReady: inst => !!(inst.token && metaConfig(inst).phoneNumberId),
+      sendSession: (inst, { destination, text, media }) => postMeta(inst, buildMetaMessage({ destination, text, media })),
+      sendTemplate: (inst, { destination, template, params }) => postMeta(inst, {
+        to: normalizePhone(destination),
+        type: 'template',
+        template: { name: template.name, language: { code: template.language || 'pt_BR' }, components: (params || []).length ? [{ type: 'body', parameters: params.map(p => ({ type: 'text', text: String(p) })) }] : [] },
+      }),
+      // Mídia recebida vem só com id: busca a URL (autenticada) na Graph API
+      resolveMedia: async (inst, mediaId) => {
+        const resp = await axios.get(metaUrl(inst, mediaId), { headers: { Authorization: `Bearer ${inst.token}` }, timeout: 15000 });
+        return { url: resp.data.url, mime: resp.data.mime_type || null, headers: { Authorization: `Bearer ${inst.token}` } };
+      },
+      testCredentials: inst => probe(`${metaUrl(inst, metaConfig(inst).phoneNumberId)}?fields=display_phone_number,verified_name`, { Authorization: `Bearer ${inst.token}` },
+        d => ({ phoneNumber: d.display_phone_number || null, verifiedName: d.verified_name || null })),
+    },
+    mock: {
+      isReady: () => true,
+      testCredentials: async inst => {
+        const failStatus = Number(metaConfig(inst).failStatus) || 0;
+        return { ok: !failStatus, status: failStatus || 200, detail: failStatus ? 'mock_failure' : { mock: true } };
+      },
+      sendSession: async (inst, { destination, text, media }) => mockSend(inst, { kind: 'session', destination: normalizePhone(destination), text, media: media || null }),
+      sendTemplate: async (inst, { destination, template, params }) => mockSend(inst, { kind: 'template', destination: normalizePhone(destination), template: template.name || template.id, params: params || [] }),
+    },
+  };
+  function providerName(inst) { return (inst && inst.provider) || 'gupshup'; }
+  function isKnownProvider(name) { return typeof name === 'string' && Object.hasOwn(Providers, name); }
+  // Provedor fora da lista (ex.: valor editado direto no banco) é erro de configuração: falha com mensagem clara
+  function providerOf(inst) {
+    const name = providerName(inst);
+    if (!isKnownProvider(name)) throw new Error(`Provedor desconhecido na instância ${inst && inst.id_da_instancia}: ${name}`);
+    return Providers[name];
+  }
+  function sendSessionMessage(inst, args) { return providerOf(inst).sendSession(inst, args); }
+  function sendTemplateMessage(inst, args) { return providerOf(inst).sendTemplate(inst, args); }
+
+  // Webhook da Cloud API: { object: 'whatsapp_business_account', entry: [{ changes: [{ value: { contacts, messages, statuses } }] }] }
+  function isMetaWebhook(body) { return !!body && body.object === 'whatsapp_business_account' && Array.isArray(body.entry); }
+
+  function normalizeMetaMessage(m, contacts = []) {
+    const contact = contacts.find(c => c.wa_id === m.from) || contacts[0] || {};
+    const base = { kind: 'message', dedupPrefix: 'meta', providerMessageId: m.id || null, numeroPaciente: normalizePhone(m.from), nomePaciente: (contact.profile && contact.profile.name) || '' };
+    let contentType = m.type;
+    let content = {};
+    if (m.type === 'text') content = { text: (m.text && m.text.body) || '' };
+    else if (META_MEDIA_TYPES[m.type] || m.type === 'sticker') {
+      const media = m[m.type] || {};
+      contentType = m.type === 'document' ? 'file' : m.type === 'sticker' ? 'image' : m.type;
+      content = { mediaId: media.id, contentType: media.mime_type || null, caption: media.caption || null, name: media.filename || null };
+    } else if (m.type === 'location') content = { ...(m.location || {}) };
+    else if (m.type === 'button') { contentType = 'quick_reply'; content = { text: (m.button && m.button.text) || '' }; }
+    else if (m.type === 'interactive') {
+      const i = m.interactive || {};
+      contentType = i.type === 'list_reply' ? 'list_reply' : 'button_reply';
+      content = { title: ((i.list_reply || i.button_reply) || {}).title || '' };
+    }
+    return { ...base, contentType, content, text: describeGupshupContent(contentType, content) };
+  }
+
+  function parseMetaWebhook(body) {
+    const events = [];
+    for (const entry of body.entry || []) {
+      for (const change of entry.changes || []) {
+        const v = change.value || {};
+        for (const m of v.messages || []) events.push(normalizeMetaMessage(m, v.contacts || []));
+        for (const st of v.statuses || []) {
+          const err = (st.errors && st.errors[0]) || {};
+          events.push({ kind: 'message-event', dedupPrefix: 'meta', providerMessageId: st.id || null, event: st.status, numeroPaciente: normalizePhone(st.recipient_id), code: err.code ?? null, reason: err.title || err.message || null });
+        }
+      }
+    }
+    return events;
+  }
+
+  // Eventos normalizados de um corpo de webhook; null = formato próprio (bot/Make)
+  function providerEventsOf(body) {
+    if (isGupshupCallback(body)) return [{ ...parseGupshupCallback(body), dedupPrefix: 'gs' }];
+    if (isMetaWebhook(body)) return parseMetaWebhook(body);
+    return null;
+  }
+
+  /* ================ Janela de atendimento (24h) ================= */
+  const SESSION_WINDOW_HOURS = Number(process.env.SESSION_WINDOW_HOURS || 24);
+
+  async function getLastPatientMessageAt(numeroPaciente) {
+    const { data } = await supabase
+      .from('messages')
+      .select('created_at')
+      .eq('numero_paciente', numeroPaciente)
+      .eq('remetente', 'Paciente')
+      .order('created_at', { ascending: false })
+      .limit(1);
+    return (data && data[0] && data[0].created_at) || null;
+  }
+
+  async function getSessionWindow(numeroPaciente) {
+    const lastPatientAt = await getLastPatientMessageAt(numeroPaciente);
+    const expiresAt = lastPatientAt ? new Date(new Date(lastPatientAt).getTime() + SESSION_WINDOW_HOURS * 3600 * 1000).toISOString() : null;
+    return { open: !!expiresAt && new Date(expiresAt) > new Date(), lastPatientAt, expiresAt };
+  }
+
+  /* ==================== Credenciais das instâncias ==================== */
+  // instances.token é gravado cifrado (AES-256-GCM): "enc:v1:<keyId>:<iv>:<tag>:<dados>" (base64).
+  //   CREDENTIALS_KEY (+ CREDENTIALS_KEY_ID, padrão k1): chave atual, usada para cifrar
+  //   CREDENTIALS_PREVIOUS_KEYS="k0:segredo,...": chaves antigas, só para decifrar durante a rotação
+  // Rotação: troque CREDENTIALS_KEY/ID, mova a anterior para CREDENTIALS_PREVIOUS_KEYS e chame
+  // POST /api/instances/rotate-credentials. Tokens em texto puro (legado) continuam legíveis até lá.
+  const ENC_PREFIX = 'enc:v1:';
+  const CREDENTIALS_KEY_ID = process.env.CREDENTIALS_KEY_ID || 'k1';
+  const CREDENTIAL_KEYS = new Map();
+  function deriveKey(secret) { return crypto.createHash('sha256').update(String(secret)).digest(); }
+  for (const pair of String(process.env.CREDENTIALS_PREVIOUS_KEYS || '').split(',').map(x => x.trim()).filter(Boolean)) {
+    const i = pair.indexOf(':');
+    if (i > 0) CREDENTIAL_KEYS.set(pair.slice(0, i), deriveKey(pair.slice(i + 1)));
+  }
+  if (process.env.CREDENTIALS_KEY) CREDENTIAL_KEYS.set(CREDENTIALS_KEY_ID, deriveKey(process.env.CREDENTIALS_KEY));
+  else logger.warn('CREDENTIALS_KEY not set: instance tokens are stored in plain text');
+  if (process.env.GS_APIKEY) logger.warn('GS_APIKEY is only used for instances without their own token');
+
+  function isEncrypted(value) { return typeof value === 'string' && value.startsWith(ENC_PREFIX); }
+  function encryptedKeyId(value) { return isEncrypted(value) ? value.slice(ENC_PREFIX.length).split(':')[0] : null; }
+
+  function encryptSecret(plain) {
+    if (plain == null || plain === '') return null;
+    const key = CREDENTIAL_KEYS.get(CREDENTIALS_KEY_ID);
+    if (!key || !process.env.CREDENTIALS_KEY) return String(plain);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const data = Buffer.concat([cipher.update(String(plain), 'utf8'), cipher.final()]);
+    return ENC_PREFIX + [CREDENTIALS_KEY_ID, iv.toString('base64'), cipher.getAuthTag().toString('base64'), data.toString('base64')].join(':');
+  }
+
+  // Lança erro se a chave do token não estiver configurada ou o conteúdo tiver sido adulterado
+  function decryptSecret(stored) {
+    if (!isEncrypted(stored)) return stored || null;
+    const [keyId, iv, tag, data] = stored.slice(ENC_PREFIX.length).split(':');
+    const key = CREDENTIAL_KEYS.get(keyId);
+    if (!key) throw new Error(`Unknown credentials key: ${keyId}`);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+  }
+
+  // Linha de instances com o token já decifrado (null se não for possível decifrar)
+  function withCredentials(row) {
+    if (!row) return null;
+    try { return { ...row, token: decryptSecret(row.token) }; }
+    catch (err) {
+      logger.error('Failed to decrypt instance token', { instanceId: row.id_da_instancia, err: err.message });
+      return { ...row, token: null, tokenError: err.message };
+    }
+  }
+
+  // status (coluna já existente): active | disabled. Desativada = não envia e ignora webhooks.
+  function isInstanceEnabled(row) { return !!row && row.status !== 'disabled'; }
+
+  async function getInstanceRow(instanceId) {
+    const { data, error } = await supabase.from('instances').select('*').eq('id_da_instancia', String(instanceId)).limit(1);
+    if (error) throw error;
+    return withCredentials((data && data[0]) || null);
+  }
+
+  // → { inst } pronta para envio ou { error: instance_not_found | instance_disabled | instance_not_ready }
+  async function loadSendableInstance(instanceId) {
+    let inst = null;
+    try { inst = await getInstanceRow(instanceId); } catch (err) { logger.error('Failed to load instance', { instanceId, err: err.message }); }
+    if (inst && !isInstanceEnabled(inst)) return { error: 'instance_disabled' };
+    if (!inst || !isKnownProvider(providerName(inst)) || !providerOf(inst).isReady(inst)) {
+      logger.error('Missing credentials for instance', { instanceId, provider: providerName(inst), hasToken: !!(inst && inst.token), hasSource: !!(inst && inst.source_number) });
+      return { error: 'instance_not_ready' };
+    }
+    return { inst };
+  }
+
+  async function getInstanceCredentials(instanceId) { return (await loadSendableInstance(instanceId)).inst || null; }
+
+  function instanceUnavailable(error) { return { http: error === 'instance_disabled' ? 409 : 500, body: { error } }; }
+
+  function publicInstance(row) {
+    return {
+      id: String(row.id_da_instancia ?? ''),
+      name: row.name || null,
+      provider: row.provider || 'gupshup',
+      config: row.provider_config || {},
+      enabled: isInstanceEnabled(row),
+      source: row.source_number || null,
+      srcName: row.src_name || null,
+      hasToken: !!row.token,
+      tokenEncrypted: isEncrypted(row.token),
+      tokenKeyId: encryptedKeyId(row.token),
+      createdAt: row.created_at || null,
+      updatedAt: row.updated_at || null,
+    };
+  }
+
+  /* ==================== Lógica comum: envio HUMANO ==================== */
+
+  async function recordAttendantMessage({ instanceId, phone, patientName, text, providerMessageId = null, deliveryStatus = 'enqueued', user = null, extra = {} }) {
+    await setConversationStatus(phone, Status.HUMANO, user);
+    return safeInsert({
+      instance_id: String(instanceId),
+      numero_paciente: phone,
+      nome_paciente: patientName,
+      mensagem_paciente: null,
+      resposta_robo: null,
+      resposta_atendente: text,
+      remetente: 'Atendente',
+      status_atendimento: Status.HUMANO,
+      status_conversa: Status.HUMANO,
+      provider_message_id: providerMessageId,
+      delivery_status: deliveryStatus,
+      delivery_updated_at: nowIso(),
+      atendente_id: user ? String(user.id) : null,
+      atendente_nome: user ? (user.name || user.email) : null,
+      ...extra,
+    });
+  }
+
+  async function handleHumanSend({ instanceId, numeroPaciente, nomePaciente, texto, media = null, user = null, idempotencyKey = null, cannedResponse = null }) {
+    const phone = normalizePhone(numeroPaciente);
+    const patientName = safeString(nomePaciente || '');
+    let text = String(texto || '').trim();
+    if (!text && cannedResponse && phone) {
+      const canned = await getCannedResponse(instanceId, cannedResponse);
+      if (!canned) return { http: 404, body: { error: 'canned_response_not_found' } };
+      const out = renderCanned(canned.body, await cannedVariables({ phone, patientName, user }));
+      if (out.missing.length) return { http: 400, body: { error: 'canned_unresolved', missing: out.missing } };
+      text = out.text;
+    }
+    if (!phone || (!text && !media)) return { http: 400, body: { error: 'numeroPaciente e texto são obrigatórios' } };
+
+    const owner = await checkReplyOwnership(phone, user);
+    if (owner) return owner;
+
+    const { inst, error: instError } = await loadSendableInstance(instanceId);
+    if (!inst) return instanceUnavailable(instError);
+
+    const duplicate = await findOutboundJobByKey(instanceId, idempotencyKey);
+    if (duplicate) return outboundJobResult(duplicate, true);
+
+    const sessionWindow = await getSessionWindow(phone);
+    if (!sessionWindow.open) return { http: 409, body: { error: 'window_expired', message: 'Janela de 24h encerrada: envie um template aprovado', lastPatientMessageAt: sessionWindow.lastPatientAt } };
+
+    return sendThroughQueue({
+      instanceId, phone, patientName, user, idempotencyKey, kind: 'session', payload: { text, media },
+      record: {
+        text: media ? describeGupshupContent(GS_MEDIA_TYPES[media.type], { caption: media.caption, name: media.filename, url: media.url }) : text,
+        extra: mediaColumns(media),
+      },
+    });
+  }
+
+  /* ================ Notas internas e respostas prontas ================ */
+  async function addInternalNote({ phone, text, user }) {
+    const conv = await ensureConversation(phone);
+    if (!conv) return null;
+    return safeInsert({
+      instance_id: conv.instance_id, numero_paciente: phone, nome_paciente: conv.nome_paciente || '', mensagem_paciente: null, resposta_robo: null, resposta_atendente: text,
+      remetente: NOTE_REMETENTE, status_atendimento: conv.status, status_conversa: conv.status, atendente_id: String(user.id), atendente_nome: user.name || user.email || null,
+    });
+  }
+
+  // canned_responses (sql/014): por instância, com atalho único (ex.: "/horario")
+  async function getCannedResponse(instanceId, ref) {
+    const cols = /^\d+$/.test(String(ref)) ? ['id', 'shortcut'] : ['shortcut'];
+    for (const col of cols) {
+      const { data, error } = await supabase.from('canned_responses').select('*').eq('instance_id', String(instanceId)).eq(col, String(ref)).limit(1);
+      if (error) throw error;
+      if (data && data[0]) return data[0];
+    }
+    return null;
+  }
+
+  // Variáveis: {{nome}}, {{primeiro_nome}}, {{numero}}, {{atendente}} e os custom_fields do contato ({{convenio}}, ...)
+  async function cannedVariables({ phone, patientName = '', user = null }) {
+    const [conv, contact] = await Promise.all([getConversation(phone), findContactByPhone(phone)]);
+    const nome = (contact && contact.nome) || (conv && conv.nome_paciente) || patientName || '';
+    return {
+      ...((contact && contact.custom_fields) || {}),
+      nome,
+      primeiro_nome: nome.split(/\s+/)[0] || '',
+      numero: phone,
+      atendente: (user && (user.name || user.email)) || '',
+    };
+  }
+
+  function renderCanned(body, vars) {
+    const missing = [];
+    const text = String(body || '').replace(/\{\{\s*([\wÀ-ÿ]+)\s*\}\}/g, (m, key) => {
+      const v = vars[key.toLowerCase()];
+      if (v == null || v === '') { missing.push(key); return m; }
+      return String(v);
+    });
+    return { text, missing: [...new Set(missing)] };
+  }
+
+  /* ===================== Templates (HSM) ====================== */
+  // Tabela templates (sql/003_templates.sql): templates aprovados no Gupshup, cadastrados por instância
+  function renderTemplate(body, params = []) { return String(body || '').replace(/\{\{(\d+)\}\}/g, (m, i) => (params[i - 1] != null ? String(params[i - 1]) : m)); }
+  function countTemplateParams(body) { const idx = [...String(body || '').matchAll(/\{\{(\d+)\}\}/g)].map(m => Number(m[1])); return idx.length ? Math.max(...idx) : 0; }
+
+  async function getTemplate(instanceId, templateRef) {
+    for (const col of ['name', 'gupshup_template_id']) {
+      const { data, error } = await supabase.from('templates').select('*').eq('instance_id', String(instanceId)).eq(col, templateRef).limit(1);
+      if (error) throw error;
+      if (data && data[0]) return data[0];
+    }
+    return null;
+  }
+
+  async function handleTemplateSend({ instanceId, numeroPaciente, nomePaciente, template: templateRef, params, user = null, idempotencyKey = null }) {
+    const phone = normalizePhone(numeroPaciente);
+    const patientName = safeString(nomePaciente || '');
+    if (!phone || !templateRef) return { http: 400, body: { error: 'numeroPaciente e template são obrigatórios' } };
+    const values = Array.isArray(params) ? params.map(safeString) : [];
+
+    const tpl = await getTemplate(instanceId, String(templateRef));
+    if (!tpl) return { http: 404, body: { error: 'template_not_found' } };
+    if (tpl.status && tpl.status !== 'approved') return { http: 409, body: { error: 'template_not_approved', status: tpl.status } };
+    const expected = countTemplateParams(tpl.body);
+    if (values.length < expected) return { http: 400, body: { error: 'template_params', expected, received: values.length } };
+
+    const owner = await checkReplyOwnership(phone, user);
+    if (owner) return owner;
+
+    const { inst, error: instError } = await loadSendableInstance(instanceId);
+    if (!inst) return instanceUnavailable(instError);
+
+    const duplicate = await findOutboundJobByKey(instanceId, idempotencyKey);
+    if (duplicate) return outboundJobResult(duplicate, true);
+
+    return sendThroughQueue({
+      instanceId, phone, patientName, user, idempotencyKey, kind: 'template', payload: { templateId: tpl.gupshup_template_id, templateName: tpl.name, language: tpl.language, params: values },
+      record: { text: renderTemplate(tpl.body, values), extra: { template_name: tpl.name } },
+    });
+  }
+
+  /* ===================== Fila de envio (outbound) ===================== */
+  // outbound_jobs (sql/010): todo envio do painel vira um job. A primeira tentativa é feita na hora;
+  // erro transitório (rede, timeout, 429, 5xx) reagenda com backoff exponencial e o worker tenta de novo.
+  // Estados: queued → sending → sent | failed | cancelled. A mensagem no histórico acompanha
+  // (delivery_status queued → enqueued … ou failed) e aponta para o job em outbound_job_id.
+  const OUTBOUND_MAX_ATTEMPTS = Number(process.env.OUTBOUND_MAX_ATTEMPTS || 5);
+  const OUTBOUND_BACKOFF_MS = Number(process.env.OUTBOUND_BACKOFF_MS || 5000);
+  const OUTBOUND_BACKOFF_MAX_MS = 10 * 60 * 1000;
+  const OUTBOUND_POLL_MS = Number(process.env.OUTBOUND_POLL_MS || 2000);
+  const OUTBOUND_RATE_PER_SEC = Number(process.env.OUTBOUND_RATE_PER_SEC || 10);
+  const OUTBOUND_STUCK_MS = 5 * 60 * 1000; // job em "sending" há mais que isso (processo caiu no meio) volta para a fila
+
+  // Rate limit por instância (token bucket em memória)
+  const rateBuckets = new Map();
+  function takeRateToken(instanceId) {
+    const key = String(instanceId);
+    const now = Date.now();
+    const b = rateBuckets.get(key) || { tokens: OUTBOUND_RATE_PER_SEC, at: now };
+    b.tokens = Math.min(OUTBOUND_RATE_PER_SEC, b.tokens + ((now - b.at) / 1000) * OUTBOUND_RATE_PER_SEC);
+    b.at = now;
+    rateBuckets.set(key, b);
+    if (b.tokens < 1) return false;
+    b.tokens -= 1;
+    return true;
+  }
+
+  function isUniqueViolation(err) { return !!err && (err.code === '23505' || /duplicate key|unique/i.test(String(err.message || ''))); }
+  function isTransientStatus(status) { return status === 408 || status === 429 || status >= 500; }
+  function backoffMs(attempts) { return Math.min(OUTBOUND_BACKOFF_MAX_MS, OUTBOUND_BACKOFF_MS * 2 ** Math.max(0, attempts - 1)); }
+
+  async function findOutboundJobByKey(instanceId, idempotencyKey) {
+    if (!idempotencyKey) return null;
+    const { data, error } = await supabase.from('outbound_jobs').select('*').eq('instance_id', String(instanceId)).eq('idempotency_key', String(idempotencyKey)).limit(1);
+    if (error) throw error;
+    return (data && data[0]) || null;
+  }
+
+  function outboundJobResult(job, duplicate = false) {
+    const base = { jobId: job.id, ...(duplicate ? { duplicate: true } : {}) };
+    if (job.status === 'sent') return { http: 200, body: { success: true, messageId: job.provider_message_id, ...base } };
+    if (job.status === 'failed') return { http: 502, body: { error: 'gupshup_fail', status: job.last_status_code ?? null, body: job.last_error, ...base } };
+    if (job.status === 'cancelled') return { http: 409, body: { error: 'cancelled', ...base } };
+    return { http: 202, body: { success: true, queued: true, nextAttemptAt: job.next_attempt_at, ...base } };
+  }
+
+  async function updateOutboundJob(id, values) {
+    const { data, error } = await supabase.from('outbound_jobs').update({ ...values, updated_at: nowIso() }).eq('id', id).select().single();
+    if (error) throw error;
+    return data;
+  }
+
+  async function updateMessageDelivery(messageId, values) {
+    if (!messageId) return;
+    await writeWithColumnFallback({ ...values, delivery_updated_at: nowIso() }, p => supabase.from('messages').update(p).eq('id', messageId));
+  }
+
+  // asSystem: envio automático (campanhas) — grava como Robô e não mexe no status/atribuição da conversa
+  async function sendThroughQueue({ instanceId, phone, patientName, user, idempotencyKey, kind, payload, record, asSystem = false }) {
+    const { data: job, error } = await supabase.from('outbound_jobs').insert({
+      instance_id: String(instanceId), numero_paciente: phone, kind, payload, status: 'queued', attempts: 0, max_attempts: OUTBOUND_MAX_ATTEMPTS,
+      next_attempt_at: nowIso(), idempotency_key: idempotencyKey ? String(idempotencyKey) : null, created_by: user ? String(user.id) : null, created_at: nowIso(), updated_at: nowIso(),
+    }).select().single();
+    if (error) {
+      // Duas requisições com a mesma chave ao mesmo tempo: a segunda devolve o job da primeira
+      if (isUniqueViolation(error) && idempotencyKey) { const existing = await findOutboundJobByKey(instanceId, idempotencyKey); if (existing) return outboundJobResult(existing, true); }
+      throw error;
+    }
+    const message = asSystem
+      ? await recordSystemOutbound({ instanceId, phone, patientName, text: record.text, extra: { ...record.extra, outbound_job_id: job.id } })
+      : await recordAttendantMessage({ instanceId, phone, patientName, user, text: record.text, deliveryStatus: 'queued', extra: { ...record.extra, outbound_job_id: job.id } });
+    const linked = await updateOutboundJob(job.id, { message_id: (message && message.id) || null });
+    if (!takeRateToken(instanceId)) return outboundJobResult(linked);
+    const claimed = await claimOutboundJob(linked.id);
+    return outboundJobResult(claimed ? await attemptOutboundJob(claimed) : linked);
+  }
+
+  async function recordSystemOutbound({ instanceId, phone, patientName, text, extra = {} }) {
+    const status = (await getConversation(phone))?.status || Status.ROBO;
+    return safeInsert({ instance_id: String(instanceId), numero_paciente: phone, nome_paciente: patientName, mensagem_paciente: null, resposta_robo: text, resposta_atendente: null, remetente: 'Robô', status_atendimento: status, status_conversa: status, delivery_status: 'queued', delivery_updated_at: nowIso(), ...extra });
+  }
+
+  // queued → sending só se ninguém pegou antes (vários processos/worker + envio imediato)
+  async function claimOutboundJob(id) {
+    const { data, error } = await supabase.from('outbound_jobs').update({ status: 'sending', updated_at: nowIso() }).eq('id', id).eq('status', 'queued').select();
+    if (error) throw error;
+    return (data && data[0]) || null;
+  }
+
+  async function attemptOutboundJob(job) {
+    const attempts = (job.attempts || 0) + 1;
+    let status = null;
+    let body = null;
+    let resp = null;
+    const { inst, error: instError } = await loadSendableInstance(job.instance_id);
+    if (!inst) body = instError;
+    else {
+      try {
+        resp = job.kind === 'template'
+          ? await sendTemplateMessage(inst, { destination: job.numero_paciente, template: { id: job.payload.templateId, name: job.payload.templateName, language: job.payload.language }, params: job.payload.params })
+          : await sendSessionMessage(inst, { destination: job.numero_paciente, text: job.payload.text, media: job.payload.media });
+        status = resp.status;
+        body = resp.data;
+      } catch (err) { body = err.message; logger.error('Gupshup request failed', { err: err.message }); }
+    }
+
+    if (resp && status >= 200 && status < 300) {
+      await updateMessageDelivery(job.message_id, { provider_message_id: resp.messageId, delivery_status: 'enqueued', delivery_error: null });
+      publishEvent('message.sent', { instanceId: job.instance_id, numeroPaciente: job.numero_paciente, data: { messageId: job.message_id, providerMessageId: resp.messageId, jobId: job.id, kind: job.kind, text: job.payload.text ?? null, templateName: job.payload.templateName ?? null, sentBy: job.created_by || null } });
+      return updateOutboundJob(job.id, { status: 'sent', attempts, provider_message_id: resp.messageId, last_status_code: status, last_error: null, sent_at: nowIso() });
+    }
+
+    const lastError = typeof body === 'string' ? body : safeString(body);
+    const transient = inst && (status == null || isTransientStatus(status));
+    if (transient && attempts < (job.max_attempts || OUTBOUND_MAX_ATTEMPTS)) {
+      return updateOutboundJob(job.id, { status: 'queued', attempts, last_status_code: status, last_error: lastError, next_attempt_at: new Date(Date.now() + backoffMs(attempts)).toISOString() });
+    }
+    await updateMessageDelivery(job.message_id, { delivery_status: 'failed', delivery_error: status ? `${status}: ${lastError}` : lastError });
+    return updateOutboundJob(job.id, { status: 'failed', attempts, last_status_code: status, last_error: lastError });
+  }
+
+  let outboundWorkerRunning = false;
+  async function processOutboundQueue() {
+    if (outboundWorkerRunning) return;
+    outboundWorkerRunning = true;
+    try {
+      const stuckBefore = new Date(Date.now() - OUTBOUND_STUCK_MS).toISOString();
+      const { error: e1 } = await supabase.from('outbound_jobs').update({ status: 'queued', updated_at: nowIso() }).eq('status', 'sending').lt('updated_at', stuckBefore);
+      if (e1) throw e1;
+      const { data, error } = await supabase.from('outbound_jobs').select('*').eq('status', 'queued').lte('next_attempt_at', nowIso()).order('next_attempt_at', { ascending: true }).limit(50);
+      if (error) throw error;
+      for (const job of data || []) {
+        if (!takeRateToken(job.instance_id)) continue; // fica para a próxima rodada
+        const claimed = await claimOutboundJob(job.id);
+        if (claimed) await attemptOutboundJob(claimed);
+      }
+    } catch (err) { logger.error('Outbound worker failed', { err: err.message }); }
+    finally { outboundWorkerRunning = false; }
+  }
+
+  /* ========================== Campanhas ========================== */
+  // campaigns / campaign_recipients (sql/015). Fluxo: draft → scheduled → running → completed
+  // (pause/resume/cancel). Ao agendar, o público é materializado em campaign_recipients;
+  // o worker envia o template a cada destinatário pela fila de envio, respeitando rate_per_minute.
+  //   audience: { source: 'contacts', tags?, instanceId?, customFields?, contactIds? }
+  //           | { source: 'conversations', status?, instanceId?, from?, to? }
+  //           | { source: 'list' }  (destinatários enviados em POST /api/campaigns/:id/recipients)
+  //   params:   valores do template; aceitam {{nome}}, {{primeiro_nome}}, {{numero}}, custom_fields e variáveis do destinatário
+  const CampaignStatus = { DRAFT: 'draft', SCHEDULED: 'scheduled', RUNNING: 'running', PAUSED: 'paused', COMPLETED: 'completed', CANCELLED: 'cancelled' };
+  const CAMPAIGN_POLL_MS = Number(process.env.CAMPAIGN_POLL_MS || 5000);
+  const CAMPAIGN_RATE_PER_MIN = Number(process.env.CAMPAIGN_RATE_PER_MIN || 60);
+  const CAMPAIGN_REPLY_WINDOW_DAYS = 7; // resposta do paciente até N dias após o envio conta para a campanha
+
+  // Lê todas as linhas (PostgREST devolve no máximo 1000 por vez)
+  async function selectAll(buildQuery, pageSize = 1000) {
+    const rows = [];
+    for (let from = 0; ; from += pageSize) {
+      const { data, error } = await buildQuery().range(from, from + pageSize - 1);
+      if (error) throw error;
+      rows.push(...(data || []));
+      if (!data || data.length < pageSize) return rows;
+    }
+  }
+
+  function chunks(list, size) { const out = []; for (let i = 0; i < list.length; i += size) out.push(list.slice(i, i + size)); return out; }
+
+  async function getCampaign(id) {
+    const { data, error } = await supabase.from('campaigns').select('*').eq('id', id).limit(1);
+    if (error) throw error;
+    return (data && data[0]) || null;
+  }
+
+  async function resolveAudience(campaign) {
+    const a = campaign.audience || {};
+    if (a.source === 'contacts') {
+      const tags = normalizeTags(a.tags || []);
+      const contacts = await selectAll(() => {
+        let q = supabase.from('contacts').select('*').order('id', { ascending: true });
+        if (tags.length) q = q.contains('tags', tags);
+        if (a.instanceId) q = q.eq('instance_id', String(a.instanceId));
+        if (Array.isArray(a.contactIds) && a.contactIds.length) q = q.in('id', a.contactIds);
+        return q;
+      });
+      const fields = Object.entries(a.customFields || {});
+      return contacts
+        .filter(c => fields.every(([k, v]) => String((c.custom_fields || {})[k] ?? '') === String(v)))
+        .map(c => ({ numero: c.numero, nome: c.nome || null, contact_id: c.id, variables: {} }));
+    }
+    if (a.source === 'conversations') {
+      const statuses = Array.isArray(a.status) ? a.status : splitList(a.status);
+      const convs = await selectAll(() => {
+        let q = supabase.from('conversations').select('*').order('numero_paciente', { ascending: true });
+        if (statuses.length) q = q.in('status', statuses);
+        if (a.instanceId) q = q.eq('instance_id', String(a.instanceId));
+        if (a.from) q = q.gte('last_message_at', new Date(a.from).toISOString());
+        if (a.to) q = q.lte('last_message_at', new Date(a.to).toISOString());
+        return q;
+      });
+      return convs.map(c => ({ numero: c.numero_paciente, nome: c.nome_paciente || null, contact_id: null, variables: {} }));
+    }
+    return null; // list: destinatários já gravados
+  }
+
+  // Remove repetidos (mesmo número com/sem 9º dígito) mantendo o primeiro
+  function dedupeRecipients(list) {
+    const seen = new Set();
+    return list.filter(r => { const key = canonicalPhone(r.numero); if (!key || seen.has(key)) return false; seen.add(key); return true; });
+  }
+
+  async function materializeRecipients(campaign) {
+    const audience = await resolveAudience(campaign);
+    if (!audience) return;
+    const { error } = await supabase.from('campaign_recipients').delete().eq('campaign_id', campaign.id);
+    if (error) throw error;
+    for (const batch of chunks(dedupeRecipients(audience), 500)) {
+      const { error: e2 } = await supabase.from('campaign_recipients').insert(batch.map(r => ({ ...r, campaign_id: campaign.id, status: 'pending', created_at: nowIso(), updated_at: nowIso() })));
+      if (e2) throw e2;
+    }
+  }
+
+  async function materializeRecipientsFromList(campaignId, recipients, append) {
+    if (!append) {
+      const { error } = await supabase.from('campaign_recipients').delete().eq('campaign_id', campaignId);
+      if (error) throw error;
+    }
+    for (const batch of chunks(recipients, 500)) {
+      const { error } = await supabase.from('campaign_recipients').insert(batch.map(r => ({ ...r, campaign_id: campaignId, status: 'pending', created_at: nowIso(), updated_at: nowIso() })));
+      if (error) throw error;
+    }
+  }
+
+  async function updateRecipient(id, values) {
+    const { error } = await supabase.from('campaign_recipients').update({ ...values, updated_at: nowIso() }).eq('id', id);
+    if (error) throw error;
+  }
+
+  async function sendCampaignRecipient(campaign, tpl, r) {
+    const contact = await findContactByPhone(r.numero);
+    if (contact && contact.opt_status === OptStatus.OUT) return updateRecipient(r.id, { status: 'skipped', error: 'opted_out' });
+    const nome = r.nome || (contact && contact.nome) || '';
+    const vars = { ...((contact && contact.custom_fields) || {}), ...(r.variables || {}), nome, primeiro_nome: nome.split(/\s+/)[0] || '', numero: r.numero };
+    const missing = [];
+    const params = (campaign.params || []).map(p => { const out = renderCanned(p, vars); missing.push(...out.missing); return out.text; });
+    if (missing.length) return updateRecipient(r.id, { status: 'failed', error: `missing_variable: ${[...new Set(missing)].join(', ')}` });
+
+    const out = await sendThroughQueue({
+      instanceId: campaign.instance_id, phone: r.numero, patientName: nome, user: null, asSystem: true,
+      idempotencyKey: `campaign:${campaign.id}:${r.id}`, kind: 'template', payload: { templateId: tpl.gupshup_template_id, templateName: tpl.name, language: tpl.language, params },
+      record: { text: renderTemplate(tpl.body, params), extra: { template_name: tpl.name } },
+    });
+    const status = out.http === 200 ? 'sent' : out.http === 202 ? 'queued' : 'failed';
+    return updateRecipient(r.id, { status, outbound_job_id: out.body.jobId || null, sent_at: nowIso(), error: status === 'failed' ? safeString(out.body.body || out.body.error) : null });
+  }
+
+  async function runCampaign(campaign, budget) {
+    const tpl = await getTemplate(campaign.instance_id, campaign.template_name);
+    const { inst, error: instError } = await loadSendableInstance(campaign.instance_id);
+    if (!tpl || (tpl.status && tpl.status !== 'approved') || !inst) {
+      const reason = !tpl ? 'template_not_found' : !inst ? instError : 'template_not_approved';
+      logger.warn('Campaign paused', { campaignId: campaign.id, reason });
+      return supabase.from('campaigns').update({ status: CampaignStatus.PAUSED, last_error: reason, updated_at: nowIso() }).eq('id', campaign.id);
+    }
+    const { data: pending, error } = await supabase.from('campaign_recipients').select('*').eq('campaign_id', campaign.id).eq('status', 'pending').order('id', { ascending: true }).limit(budget);
+    if (error) throw error;
+    for (const r of pending || []) {
+      // Pausa/cancelamento no meio do lote
+      const { data: fresh } = await supabase.from('campaigns').select('status').eq('id', campaign.id).limit(1);
+      if (!fresh || !fresh[0] || fresh[0].status !== CampaignStatus.RUNNING) return;
+      try { await sendCampaignRecipient(campaign, tpl, r); }
+      catch (err) { logger.error('Campaign send failed', { campaignId: campaign.id, numero: r.numero, err: err.message }); await updateRecipient(r.id, { status: 'failed', error: err.message }); }
+    }
+    if ((pending || []).length < budget) {
+      const { data: left, error: e2 } = await supabase.from('campaign_recipients').select('id').eq('campaign_id', campaign.id).eq('status', 'pending').limit(1);
+      if (e2) throw e2;
+      if (!left || !left.length) await supabase.from('campaigns').update({ status: CampaignStatus.COMPLETED, finished_at: nowIso(), updated_at: nowIso() }).eq('id', campaign.id).eq('status', CampaignStatus.RUNNING);
+    }
+  }
+
+  let campaignWorkerRunning = false;
+  async function processCampaigns() {
+    if (campaignWorkerRunning) return;
+    campaignWorkerRunning = true;
+    try {
+      const { data: due, error } = await supabase.from('campaigns').update({ status: CampaignStatus.RUNNING, started_at: nowIso(), updated_at: nowIso() })
+        .eq('status', CampaignStatus.SCHEDULED).lte('scheduled_at', nowIso()).select();
+      if (error) throw error;
+      for (const c of due || []) logger.info('Campaign started', { campaignId: c.id, name: c.name });
+      const { data: running, error: e2 } = await supabase.from('campaigns').select('*').eq('status', CampaignStatus.RUNNING);
+      if (e2) throw e2;
+      for (const c of running || []) {
+        const budget = Math.max(1, Math.round(((c.rate_per_minute || CAMPAIGN_RATE_PER_MIN) * CAMPAIGN_POLL_MS) / 60000));
+        await runCampaign(c, budget);
+      }
+    } catch (err) { logger.error('Campaign worker failed', { err: err.message }); }
+    finally { campaignWorkerRunning = false; }
+  }
+
+  // Chamado a cada mensagem do paciente: marca a resposta nos envios recentes de campanha
+  async function markCampaignReply(numeroPaciente) {
+    try {
+      const since = new Date(Date.now() - CAMPAIGN_REPLY_WINDOW_DAYS * 86400000).toISOString();
+      const { error } = await supabase.from('campaign_recipients').update({ replied_at: nowIso(), updated_at: nowIso() })
+        .in('numero', phoneVariants(numeroPaciente)).in('status', ['sent', 'queued']).is('replied_at', null).gte('sent_at', since);
+      if (error) throw error;
+    } catch (err) { logger.error('markCampaignReply failed', { err: err.message }); }
+  }
+
+  // Estatísticas por destinatário: status do envio (fila) + entrega (messages.delivery_status) + resposta
+  async function campaignRecipientsReport(campaignId) {
+    const recipients = await selectAll(() => supabase.from('campaign_recipients').select('*').eq('campaign_id', campaignId).order('id', { ascending: true }));
+    const jobIds = recipients.map(r => r.outbound_job_id).filter(Boolean);
+    const jobs = new Map();
+    for (const ids of chunks(jobIds, 200)) {
+      const { data, error } = await supabase.from('outbound_jobs').select('id, status, message_id, last_error').in('id', ids);
+      if (error) throw error;
+      for (const j of data || []) jobs.set(String(j.id), j);
+    }
+    const messageIds = [...jobs.values()].map(j => j.message_id).filter(Boolean);
+    const deliveries = new Map();
+    for (const ids of chunks(messageIds, 200)) {
+      const { data, error } = await supabase.from('messages').select('id, delivery_status, delivery_error').in('id', ids);
+      if (error) throw error;
+      for (const m of data || []) deliveries.set(String(m.id), m);
+    }
+    return recipients.map(r => {
+      const job = r.outbound_job_id ? jobs.get(String(r.outbound_job_id)) : null;
+      const msg = job && job.message_id ? deliveries.get(String(job.message_id)) : null;
+      const sendStatus = job ? (job.status === 'sending' ? 'queued' : job.status) : r.status;
+      return { id: r.id, numero: r.numero, nome: r.nome, status: sendStatus, deliveryStatus: (msg && msg.delivery_status) || null, error: r.error || (job && job.status === 'failed' ? job.last_error : null) || (msg && msg.delivery_error) || null, sentAt: r.sent_at || null, repliedAt: r.replied_at || null };
+    });
+  }
+
+  function summarizeCampaign(report) {
+    const count = (pred) => report.filter(pred).length;
+    return {
+      total: report.length,
+      pending: count(r => r.status === 'pending'),
+      queued: count(r => r.status === 'queued'),
+      sent: count(r => r.status === 'sent'),
+      skipped: count(r => r.status === 'skipped'),
+      failed: count(r => r.status === 'failed' || r.deliveryStatus === 'failed'),
+      delivered: count(r => r.deliveryStatus === 'delivered' || r.deliveryStatus === 'read'),
+      read: count(r => r.deliveryStatus === 'read'),
+      replied: count(r => !!r.repliedAt),
+    };
+  }
+
+  /* ========================= Autenticação ========================= */
+  // JWT (Authorization: Bearer). Usuários na tabela users (sql/004_users.sql), senha com scrypt.
+  // ADMIN_EMAIL/ADMIN_PASSWORD: login de bootstrap (admin) enquanto não houver usuário com esse e-mail.
+  const JWT_SECRET = process.env.JWT_SECRET;
+  if (!JWT_SECRET) throw new Error('Falta JWT_SECRET');
+  const JWT_TTL = process.env.JWT_TTL || '12h';
+  const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || '';
+  // Sem WEBHOOK_SECRET o /api/webhook recusa tudo; aceitar sem assinatura exige WEBHOOK_ALLOW_UNSIGNED=1 (só dev/testes)
+  const WEBHOOK_ALLOW_UNSIGNED = process.env.WEBHOOK_ALLOW_UNSIGNED === '1' || process.env.WEBHOOK_ALLOW_UNSIGNED === 'true';
+  if (!WEBHOOK_SECRET) {
+    if (WEBHOOK_ALLOW_UNSIGNED) logger.warn('WEBHOOK_SECRET não configurado: /api/webhook aceita chamadas sem assinatura (WEBHOOK_ALLOW_UNSIGNED)');
+    else logger.error('WEBHOOK_SECRET não configurado: /api/webhook vai recusar todas as chamadas (defina o segredo ou WEBHOOK_ALLOW_UNSIGNED=1)');
+  }
+  const Roles = { ATENDENTE: 'attendant', SUPERVISOR: 'supervisor', ADMIN: 'admin' };
+  const ROLE_RANK = { [Roles.ATENDENTE]: 1, [Roles.SUPERVISOR]: 2, [Roles.ADMIN]: 3 };
+
+  function safeEqual(a, b) { const x = Buffer.from(String(a)); const y = Buffer.from(String(b)); return x.length === y.length && crypto.timingSafeEqual(x, y); }
+  function hashPassword(password) { const salt = crypto.randomBytes(16).toString('hex'); return `scrypt$${salt}$${crypto.scryptSync(String(password), salt, 64).toString('hex')}`; }
+  function verifyPassword(password, stored) {
+    const [alg, salt, hash] = String(stored || '').split('$');
+    if (alg !== 'scrypt' || !salt || !hash) return false;
+    return safeEqual(crypto.scryptSync(String(password), salt, 64).toString('hex'), hash);
+  }
+
+  function publicUser(u) { return { id: String(u.id), email: u.email, name: u.name || null, role: u.role, active: u.active !== false }; }
+  function signToken(u) { return jwt.sign({ sub: String(u.id), email: u.email, name: u.name || null, role: u.role }, JWT_SECRET, { expiresIn: JWT_TTL }); }
+
+  // requireRole('supervisor') libera supervisor e admin; requireAuth = qualquer usuário logado
+  // queryToken: aceita ?access_token= (só o SSE: EventSource não envia headers; URLs vão para logs de acesso)
+  function requireRole(minRole, { queryToken = false } = {}) {
+    return (req, res, next) => {
+      const m = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+      const token = m ? m[1] : queryToken ? req.query.access_token : null;
+      if (!token) return res.status(401).json({ error: 'unauthorized' });
+      try { const p = jwt.verify(token, JWT_SECRET); req.user = { id: p.sub, email: p.email, name: p.name, role: p.role }; }
+      catch { return res.status(401).json({ error: 'invalid_token' }); }
+      if ((ROLE_RANK[req.user.role] || 0) < ROLE_RANK[minRole]) return res.status(403).json({ error: 'forbidden' });
+      next();
+    };
+  }
+  const requireAuth = requireRole(Roles.ATENDENTE);
+
+  // Webhook: segredo compartilhado (header X-Webhook-Secret) ou HMAC-SHA256 do corpo (X-Signature)
+  function verifyWebhook(req, res, next) {
+    if (!WEBHOOK_SECRET) return WEBHOOK_ALLOW_UNSIGNED ? next() : res.status(503).json({ error: 'webhook_secret_not_configured' });
+    const shared = req.headers['x-webhook-secret'];
+    if (shared && safeEqual(shared, WEBHOOK_SECRET)) return next();
+    const sig = String(req.headers['x-signature'] || req.headers['x-hub-signature-256'] || '').replace(/^sha256=/, '');
+    if (sig && typeof req.body === 'string' && safeEqual(sig, crypto.createHmac('sha256', WEBHOOK_SECRET).update(req.body).digest('hex'))) return next();
+    return res.status(401).json({ error: 'invalid_signature' });
+  }
+
+  /* ============================== API =============================== */
+  app.get('/health', (req, res) => res.json({ ok: true, version: 'v11h', hasStatusConversa: HAS_STATUS_CONVERSA, optionalCols: HAS_COLS, sseClients: sseClients.size, webhook: webhookStats, ts: nowIso() }));
+
+  // Prontidão: Supabase responde e cada instância tem token + número de origem (503 se algo falhar)
+  const READY_TIMEOUT_MS = 5000;
+  function withTimeout(promise, ms, label) {
+    let timer;
+    return Promise.race([promise, new Promise((_, reject) => { timer = setTimeout(() => reject(new Error(`${label} timeout (${ms}ms)`)), ms); })]).finally(() => clearTimeout(timer));
+  }
+  app.get('/health/ready', async (_req, res) => {
+    const checks = { supabase: { ok: false }, instances: [] };
+    const started = Date.now();
+    try {
+      const { data, error } = await withTimeout(supabase.from('instances').select('*'), READY_TIMEOUT_MS, 'supabase');
+      if (error) throw error;
+      checks.supabase = { ok: true, ms: Date.now() - started };
+      checks.instances = (data || []).filter(r => r.id_da_instancia != null && isInstanceEnabled(r)).map(row => {
+        const r = withCredentials(row);
+        const known = isKnownProvider(providerName(r));
+        return { id: String(r.id_da_instancia), provider: providerName(r), ok: known && providerOf(r).isReady(r), hasToken: !!r.token, hasSource: !!r.source_number, ...(!known ? { error: 'unknown_provider' } : r.tokenError ? { error: 'token_unreadable' } : {}) };
+      });
+    } catch (err) { checks.supabase = { ok: false, error: err.message, ms: Date.now() - started }; }
+    const ok = checks.supabase.ok && checks.instances.every(i => i.ok);
+    return res.status(ok ? 200 : 503).json({ ok, ...checks, ts: nowIso() });
+  });
+
+  // GET /metrics (formato Prometheus). Com METRICS_TOKEN, exige Authorization: Bearer <token>
+  const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+  async function getOutboundQueueDepth() {
+    const { data, error } = await supabase.from('outbound_jobs').select('status').in('status', ['queued', 'sending', 'failed']);
+    if (error) throw error;
+    const depth = { queued: 0, sending: 0, failed: 0 };
+    for (const j of data || []) depth[j.status] += 1;
+    return depth;
+  }
+  app.get('/metrics', async (req, res) => {
+    if (METRICS_TOKEN && !safeEqual(String(req.get('Authorization') || '').replace(/^Bearer\s+/i, ''), METRICS_TOKEN)) return res.status(401).json({ error: 'unauthorized' });
+    const gauges = [
+      { name: 'sse_clients', help: 'Conexões SSE abertas', values: [{ value: sseClients.size }] },
+      { name: 'webhook_duplicates_dropped', help: 'Webhooks duplicados descartados desde o início do processo', values: [{ value: webhookStats.duplicatesDropped }] },
+    ];
+    try {
+      const depth = await getOutboundQueueDepth();
+      gauges.push({ name: 'outbound_queue_depth', help: 'Jobs da fila de envio por status', values: Object.entries(depth).map(([status, value]) => ({ labels: { status }, value })) });
+    } catch (err) { logger.error('Failed to read queue depth', { err: err.message }); }
+    res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    return res.send(renderMetrics(gauges));
+  });
+
+  /* ====================== Login / Usuários ====================== */
+  app.post('/api/auth/login', jsonParser, async (req, res) => {
+    const email = String(req.body?.email || '').trim().toLowerCase();
+    const password = String(req.body?.password || '');
+    if (!email || !password) return res.status(400).json({ error: 'email e password são obrigatórios' });
+    try {
+      const { data, error } = await supabase.from('users').select('*').eq('email', email).limit(1);
+      if (error) throw error;
+      let user = (data && data[0]) || null;
+      if (user && (user.active === false || !verifyPassword(password, user.password_hash))) user = null;
+      else if (!user && process.env.ADMIN_EMAIL && email === process.env.ADMIN_EMAIL.toLowerCase() && safeEqual(password, process.env.ADMIN_PASSWORD || '')) {
+        user = { id: 'admin', email, name: 'Administrador', role: Roles.ADMIN };
+      }
+      if (!user) return res.status(401).json({ error: 'invalid_credentials' });
+      return res.json({ token: signToken(user), user: publicUser(user) });
+    } catch (err) { logger.error('Login failed', { err: err.message }); return res.status(500).json({ error: 'Login failed' }); }
+  });
+
+  app.get('/api/auth/me', requireAuth, (req, res) => res.json(req.user));
+
+  app.get('/api/users', requireRole(Roles.SUPERVISOR), async (_req, res) => {
+    try {
+      const { data, error } = await supabase.from('users').select('*').order('name', { ascending: true });
+      if (error) throw error;
+      return res.json((data || []).map(publicUser));
+    } catch (err) { logger.error('Failed to fetch users', { err: err.message }); return res.status(500).json({ error: 'Failed to fetch users' }); }
+  });
+
+  app.post('/api/users', requireRole(Roles.ADMIN), jsonParser, async (req, res) => {
+    const email = String(req.body?.email || '').trim().toLowerCase();
+    const { name, password, role = Roles.ATENDENTE } = req.body || {};
+    if (!email || !password) return res.status(400).json({ error: 'email e password são obrigatórios' });
+    if (!ROLE_RANK[role]) return res.status(400).json({ error: 'role inválido' });
+    try {
+      const { data, error } = await supabase.from('users').insert({ email, name: name || null, role, password_hash: hashPassword(password), active: true, created_at: nowIso(), updated_at: nowIso() }).select().single();
+      if (error) throw error;
+      return res.status(201).json(publicUser(data));
+    } catch (err) { logger.error('Failed to create user', { err: err.message }); return res.status(500).json({ error: 'Failed to create user' }); }
+  });
+
+  app.patch('/api/users/:id', requireRole(Roles.ADMIN), jsonParser, async (req, res) => {
+    const { name, password, role, active } = req.body || {};
+    if (role !== undefined && !ROLE_RANK[role]) return res.status(400).json({ error: 'role inválido' });
+    const updates = { updated_at: nowIso() };
+    if (name !== undefined) updates.name = name;
+    if (role !== undefined) updates.role = role;
+    if (active !== undefined) updates.active = !!active;
+    if (password) updates.password_hash = hashPassword(password);
+    try {
+      const { data, error } = await supabase.from('users').update(updates).eq('id', req.params.id).select().single();
+      if (error) throw error;
+      return res.json(publicUser(data));
+    } catch (err) { logger.error('Failed to update user', { err: err.message }); return res.status(500).json({ error: 'Failed to update user' }); }
+  });
+
+  /* ========================== Instâncias ========================== */
+  // O token nunca sai da API: só hasToken/tokenEncrypted/tokenKeyId (ver "Credenciais das instâncias")
+  app.get('/api/instances', requireRole(Roles.ADMIN), async (_req, res) => {
+    try {
+      const { data, error } = await supabase.from('instances').select('*');
+      if (error) throw error;
+      res.json((data || []).map(publicInstance).filter(x => x.id !== ''));
+    } catch (err) { logger.error('Failed to list instances', { err: err.message }); return res.status(500).json({ error: 'Failed to list instances' }); }
+  });
+
+  async function findInstanceRaw(instanceId) {
+    const { data, error } = await supabase.from('instances').select('*').eq('id_da_instancia', String(instanceId)).limit(1);
+    if (error) throw error;
+    return (data && data[0]) || null;
+  }
+
+  // Campos aceitos em POST/PATCH: name, provider, config, token (null remove), sourceNumber, srcName, enabled
+  function instanceUpdates(b, { creating = false } = {}) {
+    const updates = {};
+    if (b.provider !== undefined || creating) {
+      const provider = b.provider || 'gupshup';
+      if (!isKnownProvider(provider)) return { error: `provider deve ser ${Object.keys(Providers).join(' | ')}` };
+      updates.provider = provider;
+    }
+    if (b.config !== undefined) {
+      if (b.config !== null && typeof b.config !== 'object') return { error: 'config deve ser um objeto' };
+      updates.provider_config = b.config || {};
+    }
+    if (b.name !== undefined) updates.name = b.name ? String(b.name).trim() : null;
+    if (b.sourceNumber !== undefined) updates.source_number = b.sourceNumber ? normalizePhone(b.sourceNumber) : null;
+    if (b.srcName !== undefined) updates.src_name = b.srcName ? String(b.srcName).trim() : null;
+    if (b.token !== undefined) updates.token = encryptSecret(b.token);
+    if (b.enabled !== undefined) updates.status = b.enabled === false ? 'disabled' : 'active';
+    return { updates };
+  }
+
+  app.get('/api/instance/:id', requireRole(Roles.ADMIN), async (req, res) => {
+    try {
+      const row = await findInstanceRaw(req.params.id);
+      if (!row) return res.status(404).json({ error: 'Instância não encontrada' });
+      return res.json(publicInstance(row));
+    } catch (err) { logger.error('Failed to load instance', { err: err.message }); return res.status(500).json({ error: 'Failed to load instance' }); }
+  });
+
+  app.post('/api/instances', requireRole(Roles.ADMIN), jsonParser, async (req, res) => {
+    const b = req.body || {};
+    const id = String(b.id ?? '').trim();
+    if (!id) return res.status(400).json({ error: 'id é obrigatório' });
+    const { updates, error: invalid } = instanceUpdates(b, { creating: true });
+    if (invalid) return res.status(400).json({ error: invalid });
+    if (updates.provider === 'meta' && !(updates.provider_config && updates.provider_config.phoneNumberId)) return res.status(400).json({ error: 'config.phoneNumberId é obrigatório para meta' });
+    try {
+      if (await findInstanceRaw(id)) return res.status(409).json({ error: 'Instância já existe' });
+      const { data, error } = await supabase.from('instances').insert({ id_da_instancia: id, status: 'active', ...updates, created_at: nowIso(), updated_at: nowIso() }).select().single();
+      if (error) { if (isUniqueViolation(error)) return res.status(409).json({ error: 'Instância já existe' }); throw error; }
+      return res.status(201).json(publicInstance(data));
+    } catch (err) { logger.error('Failed to create instance', { err: err.message }); return res.status(500).json({ error: 'Failed to create instance' }); }
+  });
+
+  app.patch('/api/instance/:id', requireRole(Roles.ADMIN), jsonParser, async (req, res) => {
+    const { updates, error: invalid } = instanceUpdates(req.body || {});
+    if (invalid) return res.status(400).json({ error: invalid });
+    try {
+      const row = await findInstanceRaw(req.params.id);
+      if (!row) return res.status(404).json({ error: 'Instância não encontrada' });
+      const provider = updates.provider || row.provider || 'gupshup';
+      const config = updates.provider_config || row.provider_config || {};
+      if (provider === 'meta' && !config.phoneNumberId) return res.status(400).json({ error: 'config.phoneNumberId é obrigatório para meta' });
+      const { data, error } = await supabase.from('instances').update({ ...updates, updated_at: nowIso() }).eq('id_da_instancia', String(req.params.id)).select().single();
+      if (error) throw error;
+      return res.json(publicInstance(data));
+    } catch (err) { logger.error('Failed to update instance', { err: err.message }); return res.status(500).json({ error: 'Failed to update instance' }); }
+  });
+
+  // Remove só o cadastro (credenciais/provedor); conversas e mensagens da instância continuam no histórico
+  app.delete('/api/instance/:id', requireRole(Roles.ADMIN), async (req, res) => {
+    try {
+      const row = await findInstanceRaw(req.params.id);
+      if (!row) return res.status(404).json({ error: 'Instância não encontrada' });
+      const { error } = await supabase.from('instances').delete().eq('id_da_instancia', String(req.params.id));
+      if (error) throw error;
+      return res.json({ success: true });
+    } catch (err) { logger.error('Failed to delete instance', { err: err.message }); return res.status(500).json({ error: 'Failed to delete instance' }); }
+  });
+
+  app.post('/api/instance/:id/:action(enable|disable)', requireRole(Roles.ADMIN), async (req, res) => {
+    try {
+      const { data, error } = await supabase.from('instances').update({ status: req.params.action === 'enable' ? 'active' : 'disabled', updated_at: nowIso() })
+        .eq('id_da_instancia', String(req.params.id)).select();
+      if (error) throw error;
+      if (!data || !data.length) return res.status(404).json({ error: 'Instância não encontrada' });
+      logger.info('Instance status changed', { instanceId: String(req.params.id), action: req.params.action, by: req.user.id });
+      return res.json(publicInstance(data[0]));
+    } catch (err) { logger.error('Failed to update instance', { err: err.message }); return res.status(500).json({ error: 'Failed to update instance' }); }
+  });
+
+  // Valida as credenciais com uma chamada de leitura ao provedor (nada é enviado ao paciente)
+  app.post('/api/instance/:id/test', requireRole(Roles.ADMIN), async (req, res) => {
+    try {
+      const inst = await getInstanceRow(req.params.id);
+      if (!inst) return res.status(404).json({ error: 'Instância não encontrada' });
+      if (!isKnownProvider(providerName(inst))) return res.json({ ok: false, error: 'unknown_provider', provider: providerName(inst) });
+      const provider = providerOf(inst);
+      if (inst.tokenError) return res.json({ ok: false, error: 'token_unreadable', detail: inst.tokenError });
+      if (!provider.isReady(inst)) return res.json({ ok: false, error: 'instance_not_ready' });
+      let result;
+      try { result = await provider.testCredentials(inst); }
+      catch (err) { result = { ok: false, status: null, detail: err.message }; }
+      logger.info('Instance credentials tested', { instanceId: String(req.params.id), provider: inst.provider || 'gupshup', ok: result.ok, status: result.status });
+      return res.json({ provider: inst.provider || 'gupshup', ...result });
+    } catch (err) { logger.error('Failed to test instance', { err: err.message }); return res.status(500).json({ error: 'Failed to test instance' }); }
+  });
+
+  // Recifra com a chave atual todo token em texto puro ou sob chave antiga
+  app.post('/api/instances/rotate-credentials', requireRole(Roles.ADMIN), async (req, res) => {
+    if (!process.env.CREDENTIALS_KEY) return res.status(400).json({ error: 'CREDENTIALS_KEY não configurada' });
+    try {
+      const { data, error } = await supabase.from('instances').select('id_da_instancia, token');
+      if (error) throw error;
+      const out = { rotated: 0, current: 0, failed: [] };
+      for (const row of data || []) {
+        if (!row.token) continue;
+        if (encryptedKeyId(row.token) === CREDENTIALS_KEY_ID) { out.current += 1; continue; }
+        try {
+          const token = encryptSecret(decryptSecret(row.token));
+          const { error: e } = await supabase.from('instances').update({ token, updated_at: nowIso() }).eq('id_da_instancia', row.id_da_instancia);
+          if (e) throw e;
+          out.rotated += 1;
+        } catch (err) { out.failed.push({ id: String(row.id_da_instancia), error: err.message }); }
+      }
+      logger.info('Credentials rotated', { keyId: CREDENTIALS_KEY_ID, rotated: out.rotated, failed: out.failed.length });
+      return res.json({ keyId: CREDENTIALS_KEY_ID, ...out });
+    } catch (err) { logger.error('Failed to rotate credentials', { err: err.message }); return res.status(500).json({ error: 'Failed to rotate credentials' }); }
+  });
+
+  app.post('/api/instance/:id/token', requireRole(Roles.ADMIN), jsonParser, async (req, res) => {
+    const instanceId = String(req.params.id);
+    const { token, source_number } = req.body || {};
+    if (!token) return res.status(400).json({ error: 'Token is required' });
+    const updates = { id_da_instancia: instanceId, token: encryptSecret(token), source_number: source_number || null, updated_at: nowIso() };
+    try {
+      // Instância nova nasce ativa; numa existente o status só é preenchido se faltar (desativada continua desativada)
+      const { data: rows, error: e1 } = await supabase.from('instances').select('status').eq('id_da_instancia', instanceId).limit(1);
+      if (e1) throw e1;
+      const current = rows && rows[0];
+      const { error } = await supabase.from('instances').upsert({ ...updates, status: (current && current.status) || 'active' }, { onConflict: 'id_da_instancia' });
+      if (error) throw error;
+      return res.json({ success: true });
+    } catch (err) { logger.error('Failed to upsert token', { err: err.message }); return res.status(500).json({ error: 'Failed to save token' }); }
+  });
+
+  // Provedor da instância: { provider: gupshup | meta | mock, config: { phoneNumberId, apiVersion, verifyToken, failStatus } }
+  app.put('/api/instance/:id/provider', requireRole(Roles.ADMIN), jsonParser, async (req, res) => {
+    const { provider, config } = req.body || {};
+    if (!isKnownProvider(provider)) return res.status(400).json({ error: `provider deve ser ${Object.keys(Providers).join(' | ')}` });
+    if (config != null && typeof config !== 'object') return res.status(400).json({ error: 'config deve ser um objeto' });
+    if (provider === 'meta' && !(config && config.phoneNumberId)) return res.status(400).json({ error: 'config.phoneNumberId é obrigatório para meta' });
+    try {
+      const { data, error } = await supabase.from('instances').update({ provider, provider_config: config || {}, updated_at: nowIso() }).eq('id_da_instancia', String(req.params.id)).select('id_da_instancia');
+      if (error) throw error;
+      if (!data || !data.length) return res.status(404).json({ error: 'Instância não encontrada' });
+      return res.json({ success: true, provider });
+    } catch (err) { logger.error('Failed to save provider', { err: err.message }); return res.status(500).json({ error: 'Failed to save provider' }); }
+  });
+
+  // Provedor mock: envios gravados em memória e simulação de mensagens/eventos do paciente
+  app.get('/api/instance/:id/mock/outbox', requireRole(Roles.ADMIN), (req, res) => res.json(mockOutbox.filter(m => m.instanceId === String(req.params.id))));
+  app.delete('/api/instance/:id/mock/outbox', requireRole(Roles.ADMIN), (req, res) => {
+    for (let i = mockOutbox.length - 1; i >= 0; i--) if (mockOutbox[i].instanceId === String(req.params.id)) mockOutbox.splice(i, 1);
+    return res.json({ success: true });
+  });
+  // { numeroPaciente, nomePaciente, texto } → mensagem recebida | { providerMessageId, event: sent|delivered|read|failed } → status de entrega
+  app.post('/api/instance/:id/mock/inbound', requireRole(Roles.ADMIN), jsonParser, async (req, res) => {
+    const b = req.body || {};
+    const numeroPaciente = normalizePhone(b.numeroPaciente || (mockOutbox.find(m => m.messageId === b.providerMessageId) || {}).destination);
+    const evt = b.event
+      ? { kind: 'message-event', dedupPrefix: 'mock', providerMessageId: b.providerMessageId || null, event: b.event, numeroPaciente, code: b.code ?? null, reason: b.reason || null }
+      : { kind: 'message', dedupPrefix: 'mock', providerMessageId: b.providerMessageId || `mock-in-${crypto.randomUUID()}`, numeroPaciente, nomePaciente: b.nomePaciente || '', contentType: 'text', content: { text: b.texto || '' }, text: String(b.texto || '') };
+    try {
+      if (await isInstanceDisabled(req.params.id)) return res.status(409).json({ error: 'instance_disabled' });
+      const out = await processWebhookUnit(eventIdentity(evt), () => handleProviderEvent(evt, String(req.params.id), `${req.protocol}://${req.get('host')}`));
+      return res.status(out.http).json(out.body);
+    } catch (err) { logger.error('Mock inbound failed', { err: err.message }); return res.status(500).json({ error: 'Mock inbound failed' }); }
+  });
+
+  /* ======================= HUMANO → WHATSAPP ======================== */
+  // Idempotency-Key (header) ou idempotencyKey (body): repetir o envio devolve o mesmo job sem reenviar
+  function idempotencyKeyOf(req) { return req.get('Idempotency-Key') || req.body?.idempotencyKey || null; }
+
+  app.post('/api/instance/:id/messages', requireAuth, jsonParser, async (req, res) => {
+    try {
+      const out = await handleHumanSend({
+        instanceId: req.params.id,
+        numeroPaciente: req.body?.numeroPaciente || req.body?.numero_paciente,
+        nomePaciente: req.body?.nomePaciente || req.body?.nome_paciente,
+        texto: req.body?.texto,
+        cannedResponse: req.body?.cannedResponse,
+        user: req.user,
+        idempotencyKey: idempotencyKeyOf(req),
+      });
+      return res.status(out.http).json(out.body);
+    } catch (err) { logger.error('Failed to insert attendant message', { err: err.message }); return res.status(500).json({ error: 'Failed to save message' }); }
+  });
+
+  // Janela de 24h (o painel usa para sugerir template)
+  app.get('/api/conversation/:numero/window', requireAuth, async (req, res) => {
+    try { return res.json(await getSessionWindow(normalizePhone(req.params.numero))); }
+    catch (err) { logger.error('Failed to check window', { err: err.message }); return res.status(500).json({ error: 'Failed to check window' }); }
+  });
+
+  // Templates: listagem / cadastro (upsert por instância + nome) / remoção
+  app.get('/api/instance/:id/templates', requireAuth, async (req, res) => {
+    try {
+      const { data, error } = await supabase.from('templates').select('*').eq('instance_id', String(req.params.id)).order('name', { ascending: true });
+      if (error) throw error;
+      return res.json((data || []).map(t => ({ ...t, params: countTemplateParams(t.body) })));
+    } catch (err) { logger.error('Failed to fetch templates', { err: err.message }); return res.status(500).json({ error: 'Failed to fetch templates' }); }
+  });
+
+  app.post('/api/instance/:id/templates', requireRole(Roles.SUPERVISOR), jsonParser, async (req, res) => {
+    const { name, templateId, gupshup_template_id, body, language, category, status } = req.body || {};
+    const gsId = templateId || gupshup_template_id;
+    if (!name || !gsId || !body) return res.status(400).json({ error: 'name, templateId e body são obrigatórios' });
+    const row = { instance_id: String(req.params.id), name: String(name), gupshup_template_id: String(gsId), body: String(body), language: language || 'pt_BR', category: category || null, status: status || 'approved', updated_at: nowIso() };
+    try {
+      const { data, error } = await supabase.from('templates').upsert(row, { onConflict: 'instance_id,name' }).select().single();
+      if (error) throw error;
+      return res.json(data);
+    } catch (err) { logger.error('Failed to save template', { err: err.message }); return res.status(500).json({ error: 'Failed to save template' }); }
+  });
+
+  app.delete('/api/instance/:id/templates/:name', requireRole(Roles.SUPERVISOR), async (req, res) => {
+    try {
+      const { error } = await supabase.from('templates').delete().eq('instance_id', String(req.params.id)).eq('name', req.params.name);
+      if (error) throw error;
+      return res.json({ success: true });
+    } catch (err) { logger.error('Failed to delete template', { err: err.message }); return res.status(500).json({ error: 'Failed to delete template' }); }
+  });
+
+  // Envio de template: { numeroPaciente, nomePaciente, template (nome ou id Gupshup), params: [...] }
+  app.post('/api/instance/:id/templates/send', requireAuth, jsonParser, async (req, res) => {
+    try {
+      const out = await handleTemplateSend({
+        instanceId: req.params.id,
+        numeroPaciente: req.body?.numeroPaciente || req.body?.numero_paciente,
+        nomePaciente: req.body?.nomePaciente || req.body?.nome_paciente,
+        template: req.body?.template || req.body?.templateId || req.body?.name,
+        params: req.body?.params,
+        user: req.user,
+        idempotencyKey: idempotencyKeyOf(req),
+      });
+      return res.status(out.http).json(out.body);
+    } catch (err) { logger.error('Failed to send template', { err: err.message }); return res.status(500).json({ error: 'Failed to send template' }); }
+  });
+
+  // Envio de mídia (multipart): file + numeroPaciente, nomePaciente, caption
+  app.post('/api/instance/:id/media', requireAuth, mediaUpload.single('file'), async (req, res) => {
+    if (!req.file) return res.status(400).json({ error: 'file is required' });
+    // O arquivo só fica se virou um job novo (a fila reenvia usando a URL); recusado ou duplicado, sai do storage
+    let url = null;
+    const discard = () => deleteStoredMedia([url]).catch(err => logger.warn('Failed to remove unused upload', { err: err.message }));
+    try {
+      const mime = req.file.mimetype || 'application/octet-stream';
+      url = await storeMedia({ buffer: req.file.buffer, mime, filename: req.file.originalname, baseUrl: `${req.protocol}://${req.get('host')}` });
+      const out = await handleHumanSend({
+        instanceId: req.params.id,
+        numeroPaciente: req.body?.numeroPaciente || req.body?.numero_paciente,
+        nomePaciente: req.body?.nomePaciente || req.body?.nome_paciente,
+        media: { type: req.body?.mediaType || mediaTypeFromMime(mime), mime, url, caption: req.body?.caption || '', filename: req.file.originalname },
+        user: req.user,
+        idempotencyKey: idempotencyKeyOf(req),
+      });
+      if (!out.body.jobId || out.body.duplicate) await discard();
+      else if (out.http === 200) out.body.mediaUrl = url;
+      return res.status(out.http).json(out.body);
+    } catch (err) {
+      if (url) await discard();
+      logger.error('Failed to send media', { err: err.message }); return res.status(500).json({ error: 'Failed to send media' });
+    }
+  });
+
+  // 🚀 NOVO — Rota compatível com o painel atual: /messages
+  app.post('/messages', requireAuth, jsonParser, async (req, res) => {
+    try {
+      const numeroPaciente = req.body?.numeroPaciente || req.body?.numero_paciente || req.body?.numero;
+      const nomePaciente   = req.body?.nomePaciente || req.body?.nome_paciente || req.body?.nome;
+      const texto          = req.body?.texto || req.body?.message || req.body?.mensagem;
+      const instanceId     = String(req.body?.instanceId || '0');
+
+      const cannedResponse = req.body?.cannedResponse;
+
+      const out = await handleHumanSend({ instanceId, numeroPaciente, nomePaciente, texto, cannedResponse, user: req.user, idempotencyKey: idempotencyKeyOf(req) });
+      return res.status(out.http).json(out.body);
+    } catch (err) { logger.error('Compat /messages failed', { err: err.message }); return res.status(500).json({ error: 'Failed to send message' }); }
+  });
+
+  /* ================== Gupshup inbound (payloads nativos) ================== */
+  // Callbacks v2 do Gupshup: { app, timestamp, version, type, payload }. O instanceId vem da URL de callback (?instanceId=).
+  const GS_CALLBACK_TYPES = ['message', 'message-event', 'user-event'];
+  function isGupshupCallback(body) { return !!body && GS_CALLBACK_TYPES.includes(body.type) && !!body.payload && typeof body.payload === 'object'; }
+
+  // Representação textual do conteúdo recebido (vai para mensagem_paciente)
+  function describeGupshupContent(type, c = {}) {
+    switch (type) {
+      case 'text': return c.text || '';
+      case 'image': return ['[imagem]', c.caption, c.url].filter(Boolean).join(' ');
+      case 'video': return ['[vídeo]', c.caption, c.url].filter(Boolean).join(' ');
+      case 'audio': return ['[áudio]', c.url].filter(Boolean).join(' ');
+      case 'file': case 'document': return ['[documento]', c.name, c.caption, c.url].filter(Boolean).join(' ');
+      case 'location': return ['[localização]', `${c.latitude},${c.longitude}`, c.name, c.address].filter(Boolean).join(' ');
+      case 'button_reply': case 'list_reply': return c.title || c.reply || c.postbackText || '';
+      case 'quick_reply': return c.text || '';
+      default: return `[${type || 'desconhecido'}]`;
+    }
+  }
+
+  function parseGupshupCallback(body) {
+    const p = body.payload || {};
+    const inner = p.payload || {};
+    if (body.type === 'message') {
+      return {
+        kind: 'message',
+        providerMessageId: p.id || null,
+        numeroPaciente: normalizePhone(p.source || (p.sender && p.sender.phone)),
+        nomePaciente: (p.sender && p.sender.name) || '',
+        contentType: p.type,
+        content: inner,
+        text: describeGupshupContent(p.type, inner),
+      };
+    }
+    if (body.type === 'message-event') {
+      // enqueued: id = messageId do Gupshup; demais eventos: id = id do WhatsApp e gsId = messageId do Gupshup
+      return {
+        kind: 'message-event',
+        providerMessageId: p.gsId || p.id || null,
+        whatsappMessageId: inner.whatsappMessageId || (p.gsId ? p.id : null),
+        event: p.type,
+        numeroPaciente: normalizePhone(p.destination),
+        code: inner.code ?? null,
+        reason: inner.reason || null,
+      };
+    }
+    return { kind: 'user-event', numeroPaciente: normalizePhone(p.phone), event: p.type };
+  }
+
+  /* ======================= Regras de handoff ======================= */
+  // Tabela handoff_rules (sql/008): por instância, avaliadas em ordem de priority.
+  //   keyword       → pattern contido no texto (comparação via normaliseString)
+  //   regex         → pattern como RegExp (case-insensitive)
+  //   max_bot_turns → threshold de respostas do bot desde que a conversa voltou ao robô
+  // applies_to: 'bot' (resposta do robô), 'patient' (mensagem do paciente) ou 'both'.
+  // O bot também pode pedir handoff explicitamente com handoff: true no payload.
+  const HandoffRuleTypes = ['keyword', 'regex', 'max_bot_turns'];
+  const HandoffTargets = ['bot', 'patient', 'both'];
+  const HANDOFF_CACHE_MS = 30000;
+  const handoffRulesCache = new Map(); // instanceId → { at, rules }
+
+  function defaultHandoffRules() {
+    return TRANSFER_TRIGGERS.map((pattern, i) => ({ id: `default-${i + 1}`, name: 'Padrão', type: 'keyword', applies_to: 'bot', pattern, threshold: null, priority: i, active: true }));
+  }
+
+  async function getHandoffRules(instanceId) {
+    const key = String(instanceId);
+    const hit = handoffRulesCache.get(key);
+    if (hit && Date.now() - hit.at < HANDOFF_CACHE_MS) return hit.rules;
+    const { data, error } = await supabase.from('handoff_rules').select('*').eq('instance_id', key).order('priority', { ascending: true });
+    if (error) throw error;
+    const rules = (data && data.length) ? data : defaultHandoffRules();
+    handoffRulesCache.set(key, { at: Date.now(), rules });
+    return rules;
+  }
+
+  // Respostas do bot desde a última mensagem gravada fora do status ROBO
+  async function countBotTurns(numeroPaciente) {
+    const { data: lastOut } = await supabase
+      .from('messages')
+      .select('created_at')
+      .eq('numero_paciente', numeroPaciente)
+      .neq('status_atendimento', Status.ROBO)
+      .order('created_at', { ascending: false })
+      .limit(1);
+    let query = supabase.from('messages').select('id').eq('numero_paciente', numeroPaciente).eq('remetente', 'Robô');
+    if (lastOut && lastOut[0]) query = query.gt('created_at', lastOut[0].created_at);
+    const { data, error } = await query;
+    if (error) throw error;
+    return (data || []).length;
+  }
+
+  function matchHandoffRule(rule, text, botTurns) {
+    if (rule.type === 'keyword') return !!rule.pattern && normaliseString(text).includes(normaliseString(rule.pattern));
+    if (rule.type === 'regex') { try { return new RegExp(rule.pattern, 'i').test(text); } catch { return false; } }
+    if (rule.type === 'max_bot_turns') return botTurns != null && Number(rule.threshold) > 0 && botTurns >= Number(rule.threshold);
+    return false;
+  }
+
+  // source: 'bot' | 'patient'. botTurns já inclui a resposta sendo avaliada; se omitido, é contado no banco.
+  async function evaluateHandoff({ instanceId, numeroPaciente, text, source, flag = false, botTurns }) {
+    if (flag) return { fired: true, rule: { id: null, name: 'handoff: true', type: 'flag' } };
+    const rules = (await getHandoffRules(instanceId)).filter(r => r.active !== false && (r.applies_to === 'both' || r.applies_to === source));
+    if (source === 'bot' && botTurns == null && rules.some(r => r.type === 'max_bot_turns') && numeroPaciente) botTurns = (await countBotTurns(numeroPaciente)) + 1;
+    const rule = rules.find(r => matchHandoffRule(r, String(text || ''), botTurns));
+    return rule ? { fired: true, rule: { id: rule.id, name: rule.name, type: rule.type, pattern: rule.pattern, threshold: rule.threshold } } : { fired: false, rule: null, botTurns: botTurns ?? null };
+  }
+
+  /* ============== Horário de atendimento e mensagens automáticas ============== */
+  // service_settings (sql/009): uma linha por instância. Sem linha = sempre aberto, sem auto-encerramento.
+  //   weekly_hours: { "0": [], "1": [["08:00","12:00"],["13:00","18:00"]], ... }  (0 = domingo)
+  //   holidays (tabela): datas (YYYY-MM-DD) em que a instância fica fechada o dia todo
+  const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'America/Sao_Paulo';
+  const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  const AUTO_CLOSE_INTERVAL_MS = Number(process.env.AUTO_CLOSE_INTERVAL_MS || 60000);
+
+  async function getServiceSettings(instanceId) {
+    const { data, error } = await supabase.from('service_settings').select('*').eq('instance_id', String(instanceId)).limit(1);
+    if (error) throw error;
+    return (data && data[0]) || null;
+  }
+
+  function localParts(date, timeZone) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', weekday: 'short', hourCycle: 'h23' })
+      .formatToParts(date).map(p => [p.type, p.value]));
+    return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}`, weekday: WEEKDAYS.indexOf(parts.weekday) };
+  }
+
+  async function getBusinessHoursStatus(instanceId, at = new Date()) {
+    const settings = await getServiceSettings(instanceId);
+    if (!settings || !settings.weekly_hours) return { open: true, configured: false };
+    const timezone = settings.timezone || DEFAULT_TIMEZONE;
+    const local = localParts(at, timezone);
+    const { data: holidays, error } = await supabase.from('holidays').select('date, name').eq('instance_id', String(instanceId)).eq('date', local.date).limit(1);
+    if (error) throw error;
+    if (holidays && holidays[0]) return { open: false, configured: true, timezone, local, holiday: holidays[0].name || true };
+    const ranges = settings.weekly_hours[String(local.weekday)] || [];
+    const open = ranges.some(([from, to]) => local.time >= from && local.time < to);
+    return { open, configured: true, timezone, local };
+  }
+
+  // Mensagem automática enviada pelo servidor (fica no histórico como Robô)
+  // recordFailure: grava a mensagem mesmo se o envio falhar (delivery_status failed), p/ respostas do bot
+  async function sendSystemMessage({ instanceId, numeroPaciente, patientName = '', text, status, recordFailure = false }) {
+    const inst = await getInstanceCredentials(instanceId);
+    let resp = null;
+    if (inst) {
+      try { resp = await sendSessionMessage(inst, { destination: numeroPaciente, text }); }
+      catch (err) { logger.error('Gupshup request failed', { err: err.message }); }
+    }
+    const ok = !!resp && resp.status >= 200 && resp.status < 300;
+    if (!ok && !recordFailure) return false;
+    const message = await safeInsert({
+      instance_id: String(instanceId), numero_paciente: numeroPaciente, nome_paciente: patientName, mensagem_paciente: null, resposta_robo: text, resposta_atendente: null, remetente: 'Robô', status_atendimento: status, status_conversa: status,
+      provider_message_id: ok ? resp.messageId : null, delivery_status: ok ? 'enqueued' : 'failed', delivery_error: ok ? null : (resp ? `${resp.status}: ${safeString(resp.data)}` : (inst ? 'send_failed' : 'instance_not_ready')), delivery_updated_at: nowIso(),
+    });
+    if (ok) publishEvent('message.sent', { instanceId, numeroPaciente, data: { messageId: message.id ?? null, providerMessageId: resp.messageId, jobId: null, kind: 'session', text, templateName: null, sentBy: null } });
+    return ok;
+  }
+
+  // Handoff fora do horário: avisa o paciente (out_of_hours_message da instância)
+  async function sendOutOfHoursReply({ instanceId, numeroPaciente, patientName }) {
+    try {
+      const hours = await getBusinessHoursStatus(instanceId);
+      if (hours.open) return false;
+      const settings = await getServiceSettings(instanceId);
+      if (!settings || !settings.out_of_hours_message) return false;
+      return await sendSystemMessage({ instanceId, numeroPaciente, patientName, text: settings.out_of_hours_message, status: Status.PENDENTE });
+    } catch (err) { logger.error('Out-of-hours reply failed', { err: err.message }); return false; }
+  }
+
+  // Encerra conversas paradas há mais de idle_close_minutes (status em auto_close_statuses)
+  let autoCloseRunning = false;
+  async function runAutoClose() {
+    if (autoCloseRunning) return { skipped: true };
+    autoCloseRunning = true;
+    const closed = [];
+    try {
+      const { data: all, error } = await supabase.from('service_settings').select('*').gt('idle_close_minutes', 0);
+      if (error) throw error;
+      for (const settings of all || []) {
+        const statuses = (settings.auto_close_statuses && settings.auto_close_statuses.length) ? settings.auto_close_statuses : [Status.PENDENTE, Status.HUMANO];
+        const cutoff = new Date(Date.now() - settings.idle_close_minutes * 60000).toISOString();
+        const { data: idle, error: e2 } = await supabase.from('conversations').select('*').eq('instance_id', String(settings.instance_id)).in('status', statuses).lt('last_message_at', cutoff);
+        if (e2) throw e2;
+        for (const conv of idle || []) {
+          if (settings.closing_message && (await getSessionWindow(conv.numero_paciente)).open) {
+            await sendSystemMessage({ instanceId: conv.instance_id, numeroPaciente: conv.numero_paciente, patientName: conv.nome_paciente || '', text: settings.closing_message, status: Status.FINALIZADO });
+          }
+          await setConversationStatus(conv.numero_paciente, Status.FINALIZADO);
+          closed.push(conv.numero_paciente);
+        }
+      }
+      if (closed.length) logger.info('Auto-close: conversas finalizadas por inatividade', { closed });
+      return { closed };
+    } catch (err) { logger.error('Auto-close failed', { err: err.message }); return { closed, error: err.message }; }
+    finally { autoCloseRunning = false; }
+  }
+
+  /* ======================= Máquina de estados ======================== */
+  async function handlePatientMessage({ instanceId, numeroPaciente, patientName, mensagemPaciente, extra = {} }) {
+    const lastInfo = await getLastMessageInfo(numeroPaciente);
+    let current = lastInfo.status_conversa || lastInfo.status_atendimento || Status.ROBO;
+    switch (current) {
+      case Status.FINALIZADO: current = Status.ROBO; break;
+      case Status.HUMANO:     current = Status.PENDENTE; break;
+      default: /* mantém */   break;
+    }
+    let handedOff = false;
+    if (current === Status.ROBO && mensagemPaciente) {
+      const handoff = await evaluateHandoff({ instanceId, numeroPaciente, text: safeString(mensagemPaciente), source: 'patient' });
+      if (handoff.fired) { current = Status.PENDENTE; handedOff = true; logger.info('Handoff (paciente)', { numeroPaciente, rule: handoff.rule }); }
+    }
+    await ensureContact({ numero: numeroPaciente, nome: patientName, instanceId });
+    if (mensagemPaciente) await markCampaignReply(numeroPaciente);
+    if (mensagemPaciente) {
+      await safeInsert({ instance_id: instanceId, numero_paciente: numeroPaciente, nome_paciente: patientName, mensagem_paciente: safeString(mensagemPaciente), resposta_robo: null, resposta_atendente: null, remetente: 'Paciente', status_atendimento: current, status_conversa: current, ...extra });
+    }
+    if (current === Status.PENDENTE || current === Status.FINALIZADO) await setConversationStatus(numeroPaciente, current);
+    if (handedOff) await sendOutOfHoursReply({ instanceId, numeroPaciente, patientName });
+    return current;
+  }
+
+  // deliver: a resposta veio do bot_url (o servidor envia ao WhatsApp); sem ele, o bot já enviou e só registramos
+  async function handleBotReply({ instanceId, numeroPaciente, patientName, respostaRobo, current, handoffFlag = false, deliver = false }) {
+    if (current === Status.PENDENTE || current === Status.FINALIZADO || current === Status.HUMANO) return { suppressed: true };
+    let statusForBot = Status.ROBO;
+    const handoff = await evaluateHandoff({ instanceId, numeroPaciente, text: safeString(respostaRobo), source: 'bot', flag: handoffFlag });
+    if (handoff.fired) { statusForBot = Status.PENDENTE; logger.info('Handoff (bot)', { numeroPaciente, rule: handoff.rule }); await setConversationStatus(numeroPaciente, Status.PENDENTE); }
+    if (deliver) await sendSystemMessage({ instanceId, numeroPaciente, patientName, text: safeString(respostaRobo), status: statusForBot, recordFailure: true });
+    else await safeInsert({ instance_id: instanceId, numero_paciente: numeroPaciente, nome_paciente: patientName, mensagem_paciente: null, resposta_robo: safeString(respostaRobo), resposta_atendente: null, remetente: 'Robô', status_atendimento: statusForBot, status_conversa: statusForBot });
+    if (handoff.fired) await sendOutOfHoursReply({ instanceId, numeroPaciente, patientName });
+    return { suppressed: false, handoff: handoff.fired };
+  }
+
+  /* ==================== Encaminhamento ao bot ===================== */
+  // service_settings.bot_url (sql/012): mensagens do paciente em EM_ATENDIMENTO_ROBO são enviadas ao bot
+  // e a resposta sai pelo Gupshup. PENDENTE/HUMANO/FINALIZADO: o bot não é chamado.
+  //   POST bot_url  { instanceId, numeroPaciente, nomePaciente, mensagem, media, messageId }
+  //   resposta      { reply | replies: [] | respostaRobo, handoff?: true }
+  // Bot fora do ar (erro/timeout): envia bot_fallback_message e, se bot_failure_handoff, passa para PENDENTE.
+  const BOT_TIMEOUT_MS = Number(process.env.BOT_TIMEOUT_MS || 10000);
+
+  function botRepliesOf(data) {
+    if (typeof data === 'string') return data.trim() ? [data] : [];
+    if (!data || typeof data !== 'object') return [];
+    const list = Array.isArray(data.replies) ? data.replies : [data.reply ?? data.respostaRobo ?? data.resposta_robo];
+    return list.map(r => (r && typeof r === 'object' ? r.text : r)).filter(r => typeof r === 'string' && r.trim());
+  }
+
+  async function callBot(settings, payload) {
+    const raw = JSON.stringify(payload);
+    const headers = { 'Content-Type': 'application/json', ...requestIdHeaders() };
+    if (settings.bot_secret) headers['X-Signature'] = 'sha256=' + crypto.createHmac('sha256', settings.bot_secret).update(raw).digest('hex');
+    let resp;
+    try { resp = await axios.post(settings.bot_url, raw, { headers, timeout: settings.bot_timeout_ms || BOT_TIMEOUT_MS, validateStatus: () => true }); }
+    catch (err) { incCounter('bot_requests_total', { outcome: /timeout/i.test(err.message) ? 'timeout' : 'error' }); throw err; }
+    incCounter('bot_requests_total', { outcome: resp.status >= 200 && resp.status < 300 ? 'ok' : 'http_error' });
+    if (resp.status < 200 || resp.status >= 300) throw new Error(`bot respondeu ${resp.status}`);
+    return resp.data;
+  }
+
+  async function forwardToBot({ instanceId, numeroPaciente, patientName, text, media = null, providerMessageId = null }) {
+    const settings = await getServiceSettings(instanceId);
+    if (!settings || !settings.bot_url) return { forwarded: false };
+    let data;
+    try {
+      data = await callBot(settings, { instanceId: String(instanceId), numeroPaciente, nomePaciente: patientName || null, mensagem: text, media, messageId: providerMessageId });
+    } catch (err) {
+      logger.error('Bot request failed', { instanceId, numeroPaciente, err: err.message });
+      const current = (await getConversation(numeroPaciente))?.status || Status.ROBO;
+      if (current !== Status.ROBO) return { forwarded: true, error: err.message };
+      if (settings.bot_fallback_message) await sendSystemMessage({ instanceId, numeroPaciente, patientName, text: settings.bot_fallback_message, status: settings.bot_failure_handoff ? Status.PENDENTE : Status.ROBO, recordFailure: true });
+      if (settings.bot_failure_handoff) await setConversationStatus(numeroPaciente, Status.PENDENTE);
+      return { forwarded: true, error: err.message };
+    }
+    const handoffFlag = !!data && typeof data === 'object' && (data.handoff === true || data.handoff === 'true');
+    const replies = botRepliesOf(data);
+    for (const [i, reply] of replies.entries()) {
+      // O status pode ter mudado enquanto o bot respondia (atendente assumiu, regra de handoff)
+      const current = (await getConversation(numeroPaciente))?.status || Status.ROBO;
+      const out = await handleBotReply({ instanceId, numeroPaciente, patientName, respostaRobo: reply, current, handoffFlag: handoffFlag && i === replies.length - 1, deliver: true });
+      if (out.suppressed || out.handoff) break;
+    }
+    if (handoffFlag && !replies.length) await setConversationStatus(numeroPaciente, Status.PENDENTE);
+    return { forwarded: true, replies: replies.length };
+  }
+
+  // Roda depois do processamento do webhook, na fila do mesmo número (não segura a resposta ao Gupshup)
+  function scheduleBotForward(args) {
+    withNumberLock(args.numeroPaciente, () => forwardToBot(args))
+      .catch(err => logger.error('Bot forward failed', { err: err.message }));
+  }
+
+  // Formato próprio (bot/Make): numeroPaciente, mensagemPaciente, respostaRobo
+  async function handleLegacyWebhook(body) {
+    const instanceId = String(body.instanceId || body.instance_id || '0');
+    const numeroPaciente = normalizePhone(body.numeroPaciente || body.numero_paciente);
+    const mensagemPaciente = body.mensagemPaciente;
+    const respostaRobo = body.respostaRobo || body.resposta_robo || null;
+    const patientName = safeString(body.nomePaciente || body.nome_paciente || '');
+    const remetente = body.remetente || (respostaRobo ? 'Robô' : 'Paciente');
+
+    if (!numeroPaciente) return { http: 400, body: { error: 'Missing numeroPaciente' } };
+
+    let current;
+    if (remetente === 'Paciente') current = await handlePatientMessage({ instanceId, numeroPaciente, patientName, mensagemPaciente });
+    else { const lastInfo = await getLastMessageInfo(numeroPaciente); current = lastInfo.status_conversa || lastInfo.status_atendimento || Status.ROBO; }
+
+    if (respostaRobo) {
+      const out = await handleBotReply({ instanceId, numeroPaciente, patientName, respostaRobo, current, handoffFlag: body.handoff === true || body.handoff === 'true' });
+      if (out.suppressed) return { http: 200, body: { received: true, suppressed: true } };
+    } else if (remetente === 'Paciente' && mensagemPaciente && current === Status.ROBO) {
+      scheduleBotForward({ instanceId, numeroPaciente, patientName, text: safeString(mensagemPaciente), providerMessageId: body.messageId || body.message_id || null });
+    }
+    return { http: 200, body: { received: true } };
+  }
+
+  // Evento normalizado (Gupshup, Meta ou mock) → máquina de estados / status de entrega / opt-out
+  async function handleProviderEvent(evt, instanceId, baseUrl) {
+    if (!evt.numeroPaciente) return { http: 400, body: { error: 'Missing numeroPaciente' } };
+
+    if (evt.kind === 'message') {
+      let media = null;
+      const mediaType = Object.keys(GS_MEDIA_TYPES).find(k => GS_MEDIA_TYPES[k] === evt.contentType || k === evt.contentType);
+      if (mediaType && (evt.content.url || evt.content.mediaId)) {
+        let mime = evt.content.contentType || null;
+        let url = evt.content.url;
+        let headers = {};
+        const inst = evt.content.mediaId ? await getInstanceCredentials(instanceId) : null;
+        const provider = inst && isKnownProvider(providerName(inst)) ? providerOf(inst) : null;
+        if (provider && provider.resolveMedia) {
+          try { ({ url, mime = mime, headers } = await provider.resolveMedia(inst, evt.content.mediaId)); }
+          catch (err) { logger.error('Failed to resolve inbound media', { instanceId, mediaId: evt.content.mediaId, err: err.message }); }
+        }
+        if (url) url = await mirrorInboundMedia({ url, mime, filename: evt.content.name, baseUrl, headers });
+        media = { type: mediaType, mime, url: url || null, caption: evt.content.caption || null, filename: evt.content.name || null };
+      }
+      const text = media ? describeGupshupContent(evt.contentType, { ...evt.content, url: media.url }) : evt.text;
+      const status = await handlePatientMessage({ instanceId, numeroPaciente: evt.numeroPaciente, patientName: safeString(evt.nomePaciente), mensagemPaciente: text, extra: { provider_message_id: evt.providerMessageId, ...mediaColumns(media) } });
+      if (status === Status.ROBO) scheduleBotForward({ instanceId, numeroPaciente: evt.numeroPaciente, patientName: safeString(evt.nomePaciente), text, media, providerMessageId: evt.providerMessageId });
+      return { http: 200, body: { received: true, type: evt.contentType, status } };
+    }
+    if (evt.kind === 'message-event') {
+      if (evt.event === 'failed') logger.warn('Provider message failed', { providerMessageId: evt.providerMessageId, numeroPaciente: evt.numeroPaciente, code: evt.code, reason: evt.reason });
+      const updated = await updateDeliveryStatus(evt.providerMessageId, evt.event, { code: evt.code, reason: evt.reason });
+      return { http: 200, body: { received: true, event: evt.event, updated } };
+    }
+    // user-event: opt-out encerra a conversa (não é mais possível responder ao paciente)
+    if (evt.event === 'opted-out') await setConversationStatus(evt.numeroPaciente, Status.FINALIZADO);
+    if (evt.event === 'opted-out' || evt.event === 'opted-in') await setContactOptStatus(evt.numeroPaciente, evt.event === 'opted-out' ? OptStatus.OUT : OptStatus.IN);
+    logger.info('Provider user-event', { event: evt.event, numeroPaciente: evt.numeroPaciente });
+    return { http: 200, body: { received: true, event: evt.event } };
+  }
+
+  /* =================== Webhook: deduplicação e ordem =================== */
+  // Gupshup e o bot reenviam o mesmo webhook quando não recebem 200 a tempo.
+  // Chave de deduplicação: id do provedor quando existe; no formato legado, hash do conteúdo
+  // (vale por WEBHOOK_DEDUP_WINDOW_SEC). As chaves ficam em webhook_events (sql/011);
+  // sem a tabela, cai para um cache em memória.
+  const WEBHOOK_DEDUP_WINDOW_SEC = Number(process.env.WEBHOOK_DEDUP_WINDOW_SEC || 120);
+  const webhookStats = { processed: 0, duplicatesDropped: 0 };
+  let HAS_WEBHOOK_EVENTS = true;
+  const recentWebhookKeys = new Map(); // fallback: key -> ms
+
+  function eventIdentity(evt) {
+    const p = evt.dedupPrefix;
+    if (evt.kind === 'message' && evt.providerMessageId) return { numero: evt.numeroPaciente, key: `${p}:msg:${evt.providerMessageId}`, windowed: false };
+    if (evt.kind === 'message-event' && evt.providerMessageId) return { numero: evt.numeroPaciente, key: `${p}:evt:${evt.providerMessageId}:${evt.event}`, windowed: false };
+    return { numero: evt.numeroPaciente, key: `${p}:hash:${hashWebhookBody(evt)}`, windowed: true };
+  }
+
+  function legacyIdentity(body) {
+    const numero = normalizePhone(body.numeroPaciente || body.numero_paciente);
+    const providerId = body.messageId || body.message_id || body.id;
+    if (providerId) return { numero, key: `legacy:id:${body.instanceId || body.instance_id || '0'}:${providerId}`, windowed: false };
+    return { numero, key: `legacy:hash:${hashWebhookBody(body)}`, windowed: true };
+  }
+
+  function hashWebhookBody(body) {
+    return crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex');
+  }
+
+  function isMissingTable(err) { return !!err && (err.code === '42P01' || err.code === 'PGRST205' || /relation .* does not exist|could not find the table/i.test(String(err.message || ''))); }
+
+  // true = primeira vez (processar); false = duplicado dentro da janela/chave já vista
+  async function claimWebhookKey({ key, windowed }) {
+    const windowStart = new Date(Date.now() - WEBHOOK_DEDUP_WINDOW_SEC * 1000).toISOString();
+    if (HAS_WEBHOOK_EVENTS) {
+      const { error } = await supabase.from('webhook_events').insert({ dedup_key: key, created_at: nowIso() });
+      if (!error) return true;
+      if (isMissingTable(error)) { HAS_WEBHOOK_EVENTS = false; logger.warn('webhook_events table missing: deduplicating in memory only'); }
+      else if (!isUniqueViolation(error)) throw error;
+      else {
+        if (!windowed) return false;
+        // Hash de conteúdo: só é duplicado dentro da janela; fora dela renova a chave e processa
+        const { data, error: e2 } = await supabase.from('webhook_events').update({ created_at: nowIso() }).eq('dedup_key', key).lt('created_at', windowStart).select();
+        if (e2) throw e2;
+        return !!(data && data.length);
+      }
+    }
+    const now = Date.now();
+    for (const [k, at] of recentWebhookKeys) if (now - at > WEBHOOK_DEDUP_WINDOW_SEC * 1000) recentWebhookKeys.delete(k);
+    if (recentWebhookKeys.has(key)) return false;
+    recentWebhookKeys.set(key, now);
+    return true;
+  }
+
+  // Processamento falhou: libera a chave para que a retentativa do provedor seja aceita
+  async function releaseWebhookKey(key) {
+    recentWebhookKeys.delete(key);
+    if (!HAS_WEBHOOK_EVENTS) return;
+    const { error } = await supabase.from('webhook_events').delete().eq('dedup_key', key);
+    if (error) logger.error('Failed to release webhook key', { err: error.message });
+  }
+
+  // Serializa o processamento por número: getLastMessageInfo → insert não pode intercalar entre dois webhooks
+  const numberLocks = new Map();
+  function withNumberLock(numero, fn) {
+    const key = numero || '';
+    const prev = numberLocks.get(key) || Promise.resolve();
+    const run = prev.then(fn, fn);
+    const tail = run.catch(() => {});
+    numberLocks.set(key, tail);
+    tail.then(() => { if (numberLocks.get(key) === tail) numberLocks.delete(key); });
+    return run;
+  }
+
+  // Instância sem cadastro continua aceitando eventos (comportamento legado); só a desativada é ignorada
+  async function isInstanceDisabled(instanceId) {
+    const { data, error } = await supabase.from('instances').select('status').eq('id_da_instancia', String(instanceId)).limit(1);
+    if (error) throw error;
+    return !!(data && data[0]) && !isInstanceEnabled(data[0]);
+  }
+
+  async function processWebhookUnit(identity, handler) {
+    return withNumberLock(identity.numero, async () => {
+      if (!(await claimWebhookKey(identity))) {
+        webhookStats.duplicatesDropped += 1;
+        incCounter('webhook_events_total', { outcome: 'duplicate' });
+        return { http: 200, body: { received: true, duplicate: true } };
+      }
+      try {
+        const result = await handler();
+        if (result.http >= 400) await releaseWebhookKey(identity.key);
+        else webhookStats.processed += 1;
+        incCounter('webhook_events_total', { outcome: result.http >= 400 ? 'rejected' : (result.body.suppressed ? 'suppressed' : 'processed') });
+        return result;
+      } catch (err) { await releaseWebhookKey(identity.key); throw err; }
+    });
+  }
+
+  /* ============================ WEBHOOK ============================== */
+  // Verificação da URL de callback da Cloud API (GET com hub.challenge). Token: provider_config.verifyToken
+  // da instância (?instanceId=) ou META_VERIFY_TOKEN. A assinatura X-Hub-Signature-256 usa WEBHOOK_SECRET (= app secret).
+  app.get('/api/webhook', async (req, res) => {
+    if (req.query['hub.mode'] !== 'subscribe') return res.json({ ok: true });
+    try {
+      const inst = req.query.instanceId ? await getInstanceRow(req.query.instanceId) : null;
+      const expected = (inst && metaConfig(inst).verifyToken) || process.env.META_VERIFY_TOKEN || '';
+      if (!expected || !safeEqual(String(req.query['hub.verify_token'] || ''), expected)) return res.status(403).json({ error: 'verify_token inválido' });
+      return res.type('text/plain').send(String(req.query['hub.challenge'] || ''));
+    } catch (err) { logger.error('Webhook verification failed', { err: err.message }); return res.status(500).json({ error: 'Webhook verification failed' }); }
+  });
+
+  app.post('/api/webhook', rawBodyParser, urlencodedParser, verifyWebhook, async (req, res) => {
+    let body;
+    const cleaned = String(req.body || '').replace(/[\u0000-\u001F\u007F]/g, '');
+    if (!cleaned.trim()) { incCounter('webhook_events_total', { outcome: 'ping' }); return res.json({ received: true }); } // ping de validação da URL de callback (Gupshup)
+    try { body = JSON.parse(cleaned); }
+    catch (e) { incCounter('webhook_events_total', { outcome: 'malformed' }); logger.error('JSON malformado', { err: e.message }); return res.status(400).json({ error: 'JSON malformado' }); }
+
+    try {
+      const events = providerEventsOf(body);
+      const instanceId = String((events ? null : body.instanceId || body.instance_id) || req.query.instanceId || req.query.instance_id || '0');
+      if (await isInstanceDisabled(instanceId)) {
+        // 200 para o provedor não reenviar; o evento é descartado
+        incCounter('webhook_events_total', { outcome: 'instance_disabled' });
+        logger.warn('Webhook ignored: instance disabled', { instanceId });
+        return res.json({ received: true, ignored: 'instance_disabled' });
+      }
+      if (!events) {
+        const out = await processWebhookUnit(legacyIdentity(body), () => handleLegacyWebhook(body));
+        return res.status(out.http).json(out.body);
+      }
+      const baseUrl = `${req.protocol}://${req.get('host')}`;
+      const results = [];
+      for (const evt of events) results.push(await processWebhookUnit(eventIdentity(evt), () => handleProviderEvent(evt, instanceId, baseUrl)));
+      if (results.length === 1) return res.status(results[0].http).json(results[0].body);
+      // Meta agrupa vários eventos num POST: 200 sempre que nada falhou no servidor
+      return res.json({ received: true, results: results.map(r => r.body) });
+    } catch (err) { incCounter('webhook_events_total', { outcome: 'error' }); logger.error('Webhook insert failed', { err: err.message }); return res.status(500).json({ error: 'Webhook insert failed' }); }
+  });
+
+  /* ===================== Tempo real (SSE) ====================== */
+  // GET /api/events?instances=1,2  (EventSource não envia headers: token via ?access_token=)
+  app.get('/api/events', requireRole(Roles.ATENDENTE, { queryToken: true }), (req, res) => {
+    const filter = String(req.query.instances || req.query.instanceId || '').split(',').map(s => s.trim()).filter(Boolean);
+    const client = { res, instances: filter.length ? filter : null };
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache, no-transform', Connection: 'keep-alive', 'X-Accel-Buffering': 'no' });
+    res.write('retry: 3000\n\n');
+
+    const since = Number(req.headers['last-event-id'] || req.query.lastEventId || 0);
+    if (since) {
+      // Lacuna maior que o buffer (ou servidor reiniciado): o painel precisa recarregar tudo
+      if (since > lastEventSeq || (eventLog.length && since < eventLog[0].id - 1)) sseWrite(res, { id: lastEventSeq, type: 'reset', instanceId: null, numeroPaciente: null, data: {}, ts: nowIso() });
+      else for (const evt of eventLog) if (evt.id > since && evt.type !== 'redacted' && sseAccepts(client, evt)) sseWrite(res, evt);
+    }
+
+    sseClients.add(client);
+    const ping = setInterval(() => res.write(': ping\n\n'), 25000);
+    req.on('close', () => { clearInterval(ping); sseClients.delete(client); });
+  });
+
+  /* =================== Consultas para o painel/UI =================== */
+  const LABEL_TO_STATUS = { ROBO: Status.ROBO, 'ROBÔ': Status.ROBO, PENDENTE: Status.PENDENTE, HUMANO: Status.HUMANO, FINALIZADO: Status.FINALIZADO };
+  function statusLabel(status) {
+    if (status === Status.FINALIZADO) return 'FINALIZADO';
+    if (status === Status.PENDENTE) return 'PENDENTE';
+    if (status === Status.HUMANO) return 'HUMANO';
+    return 'ROBÔ';
+  }
+
+  // GET /api/conversations?limit=&cursor=&status=&label=&instanceId=&assignedTo=(id|me|none)&from=&to=&unread=1
+  // Resposta continua sendo um array; a próxima página vem no header X-Next-Cursor
+  app.get('/api/conversations', requireAuth, async (req, res) => {
+    const q = req.query;
+    const limit = pageLimit(q.limit, 100, 500);
+    const cursor = decodeCursor(q.cursor, ['ts', 'phone']);
+    if (cursor === false) return res.status(400).json({ error: 'cursor inválido' });
+    const range = reportRange(q, { optional: true });
+    if (!range) return res.status(400).json({ error: 'from/to inválidos' });
+    try {
+      let query = supabase.from('conversations').select('*');
+      const statuses = [...splitList(q.status), ...splitList(q.label).map(l => LABEL_TO_STATUS[l.toUpperCase()]).filter(Boolean)];
+      if (statuses.length) query = query.in('status', statuses);
+      const instances = splitList(q.instanceId || q.instance);
+      if (instances.length) query = query.in('instance_id', instances);
+      const assigned = q.assignedTo || q.assigned;
+      if (assigned === 'none') query = query.is('assigned_to', null);
+      else if (assigned) query = query.eq('assigned_to', assigned === 'me' ? String(req.user.id) : String(assigned));
+      if (range.from) query = query.gte('last_message_at', range.from);
+      if (range.to) query = query.lte('last_message_at', range.to);
+      if (q.unread === '1' || q.unread === 'true') query = query.gt('unread_count', 0);
+      if (cursor) query = query.or(`updated_at.lt."${cursor[0]}",and(updated_at.eq."${cursor[0]}",numero_paciente.lt."${cursor[1]}")`);
+
+      const { data, error } = await query.order('updated_at', { ascending: false }).order('numero_paciente', { ascending: false }).limit(limit + 1);
+      if (error) throw error;
+      const rows = (data || []).slice(0, limit);
+      if ((data || []).length > limit) { const last = rows[rows.length - 1]; res.setHeader('X-Next-Cursor', encodeCursor([last.updated_at, last.numero_paciente])); }
+      const list = rows.map(c => {
+        const status = c.status || Status.ROBO;
+        return { numeroPaciente: c.numero_paciente, nomePaciente: c.nome_paciente || null, lastMessage: c.last_message, statusAtendimento: status, lastRemetente: c.last_remetente, label: statusLabel(status), updatedAt: c.updated_at, lastMessageAt: c.last_message_at, instanceId: c.instance_id, assignedTo: c.assigned_to || null, assignedName: c.assigned_name || null, unreadCount: c.unread_count || 0 };
+      });
+      return res.json(list);
+    } catch (err) { logger.error('Failed to fetch conversations', { err: err.message }); return res.status(500).json({ error: 'Failed to fetch conversations' }); }
+  });
+
+  // Marca a conversa como lida
+  app.post('/api/conversation/:numero/read', requireAuth, async (req, res) => {
+    const numero = normalizePhone(req.params.numero);
+    try {
+      const { error } = await withConversationLock(numero, () => supabase.from('conversations').update({ unread_count: 0 }).eq('numero_paciente', numero));
+      if (error) throw error;
+      return res.json({ success: true });
+    } catch (err) { logger.error('Failed to mark as read', { err: err.message }); return res.status(500).json({ error: 'Failed to mark as read' }); }
+  });
+
+  // Busca textual em mensagem_paciente / resposta_robo / resposta_atendente
+  // Usa a coluna tsvector "busca" (sql/006); sem ela, cai para ilike nas três colunas
+  let HAS_SEARCH_COL = true;
+  app.get('/api/search', requireAuth, async (req, res) => {
+    const term = String(req.query.q || '').trim();
+    if (term.length < 2) return res.status(400).json({ error: 'q deve ter ao menos 2 caracteres' });
+    const limit = pageLimit(req.query.limit, 50, 200);
+    const cursor = decodeCursor(req.query.cursor, ['ts', 'id']);
+    if (cursor === false) return res.status(400).json({ error: 'cursor inválido' });
+    const instances = splitList(req.query.instanceId || req.query.instance);
+    const build = (useFts) => {
+      let query = supabase.from('messages').select('*');
+      if (useFts) query = query.textSearch('busca', term, { type: 'websearch', config: 'portuguese' });
+      else { const like = `"%${term.replace(/["\\%_]/g, '')}%"`; query = query.or(`mensagem_paciente.ilike.${like},resposta_robo.ilike.${like},resposta_atendente.ilike.${like}`); }
+      if (instances.length) query = query.in('instance_id', instances);
+      if (req.query.numero) query = query.eq('numero_paciente', normalizePhone(req.query.numero));
+      if (cursor) query = query.or(`created_at.lt."${cursor[0]}",and(created_at.eq."${cursor[0]}",id.lt.${cursor[1]})`);
+      return query.order('created_at', { ascending: false }).order('id', { ascending: false }).limit(limit + 1);
+    };
+    try {
+      let { data, error } = await build(HAS_SEARCH_COL);
+      if (error && HAS_SEARCH_COL && String(error.message || '').includes('busca')) { HAS_SEARCH_COL = false; ({ data, error } = await build(false)); }
+      if (error) throw error;
+      const rows = (data || []).slice(0, limit);
+      if ((data || []).length > limit) { const last = rows[rows.length - 1]; res.setHeader('X-Next-Cursor', encodeCursor([last.created_at, last.id])); }
+
+      const numeros = [...new Set(rows.map(m => m.numero_paciente))];
+      const convs = new Map();
+      if (numeros.length) {
+        const { data: cs, error: e2 } = await supabase.from('conversations').select('*').in('numero_paciente', numeros);
+        if (e2) throw e2;
+        for (const c of cs || []) convs.set(c.numero_paciente, c);
+      }
+      return res.json(rows.map(m => {
+        const c = convs.get(m.numero_paciente);
+        return {
+          message: publicMessage(m),
+          conversation: c ? { numeroPaciente: c.numero_paciente, nomePaciente: c.nome_paciente || null, instanceId: c.instance_id, statusAtendimento: c.status, label: statusLabel(c.status), assignedTo: c.assigned_to || null, lastMessageAt: c.last_message_at } : { numeroPaciente: m.numero_paciente, nomePaciente: m.nome_paciente || null, instanceId: m.instance_id },
+        };
+      }));
+    } catch (err) { logger.error('Search failed', { err: err.message }); return res.status(500).json({ error: 'Search failed' }); }
+  });
+
+  // Histórico — força status_conversa = status atual da conversa em TODAS as mensagens (garante topo consistente)
+  // Devolve as `limit` mensagens mais recentes em ordem cronológica; X-Next-Cursor carrega as anteriores (?cursor=)
+  app.get('/api/conversation/:numero/messages', requireAuth, async (req, res) => {
+    const numero = normalizePhone(req.params.numero);
+    const limit = pageLimit(req.query.limit, 200, 1000);
+    const cursor = decodeCursor(req.query.cursor, ['ts', 'id']);
+    if (cursor === false) return res.status(400).json({ error: 'cursor inválido' });
+    try {
+      let query = supabase.from('messages').select('*').eq('numero_paciente', numero);
+      if (cursor) query = query.or(`created_at.lt."${cursor[0]}",and(created_at.eq."${cursor[0]}",id.lt.${cursor[1]})`);
+      const { data: page, error } = await query.order('created_at', { ascending: false }).order('id', { ascending: false }).limit(limit + 1);
+      if (error) throw error;
+      const data = (page || []).slice(0, limit).reverse();
+      if ((page || []).length > limit) res.setHeader('X-Next-Cursor', encodeCursor([data[0].created_at, data[0].id]));
+      const conv = await getConversation(numero);
+      const statusAtual = conv ? (conv.status || Status.ROBO) : statusOfRow(data[data.length - 1]);
+      const out = data.map(publicMessage).map(m => ({ ...m, status_conversa: statusAtual, delivery_status: m.delivery_status ?? null, delivery_error: m.delivery_error ?? null, media_type: m.media_type ?? null, media_mime: m.media_mime ?? null, media_caption: m.media_caption ?? null, media_url: m.media_url ?? null }));
+      const headerSenderByStatus = { 'PENDENTE': 'Paciente', 'EM_ATENDIMENTO_HUMANO': 'Atendente', 'EM_ATENDIMENTO_ROBO': 'Robô', 'FINALIZADO': 'Finalizado' };
+      const headerSender = headerSenderByStatus[statusAtual] || 'Robô';
+      res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
+      res.setHeader('Pragma', 'no-cache');
+      res.setHeader('Expires', '0');
+      res.setHeader('Surrogate-Control', 'no-store');
+      res.setHeader('X-Conversation-Status', statusAtual);
+      res.setHeader('X-Conversation-Remetente', headerSender);
+      return res.json(out);
+    } catch (err) { logger.error('Failed to fetch conversation', { err: err.message }); return res.status(500).json({ error: 'Failed to fetch conversation' }); }
+  });
+
+  // Finalizar / Reabrir / Pendente / Humano
+  app.patch('/api/conversation/:numero/status', requireAuth, jsonParser, async (req, res) => {
+    const numero = normalizePhone(req.params.numero);
+    const { statusAtendimento, status } = req.body || {};
+    const desired = statusAtendimento || status;
+    if (!desired || !Object.values(Status).includes(desired)) return res.status(400).json({ error: 'statusAtendimento/status inválido' });
+    try {
+      const conv = await setConversationStatus(numero, desired, req.user);
+      if (!conv) return res.status(404).json({ error: 'conversation_not_found' });
+      return res.json({ success: true });
+    }
+    catch (err) { logger.error('Failed to update status', { err: err.message }); return res.status(500).json({ error: 'Failed to update status' }); }
+  });
+
+  // Atualiza nome
+  app.patch('/api/conversation/:numero/name', requireAuth, jsonParser, async (req, res) => {
+    const numero = normalizePhone(req.params.numero);
+    const { nomePaciente } = req.body || {};
+    if (!nomePaciente) return res.status(400).json({ error: 'nomePaciente is required' });
+    try {
+      const conv = await ensureConversation(numero);
+      if (!conv) return res.status(404).json({ error: 'conversation_not_found' });
+      const { error } = await supabase.from('conversations').update({ nome_paciente: nomePaciente, updated_at: nowIso() }).eq('numero_paciente', numero);
+      if (error) throw error;
+      const contact = await findContactByPhone(numero);
+      if (contact) await supabase.from('contacts').update({ nome: nomePaciente, updated_at: nowIso() }).eq('id', contact.id);
+      publishEvent('conversation.name', { instanceId: conv.instance_id, numeroPaciente: numero, data: { nomePaciente } });
+      return res.json({ success: true });
+    }
+    catch (err) { logger.error('Failed to update name', { err: err.message }); return res.status(500).json({ error: 'Failed to update name' }); }
+  });
+
+  /* ===================== Filas e atribuição ===================== */
+  app.get('/api/queues', requireAuth, async (req, res) => {
+    try {
+      let query = supabase.from('queues').select('*').order('name', { ascending: true });
+      if (req.query.instanceId) query = query.eq('instance_id', String(req.query.instanceId));
+      const { data, error } = await query;
+      if (error) throw error;
+      const { data: members, error: e2 } = await supabase.from('queue_members').select('queue_id, user_id');
+      if (e2) throw e2;
+      return res.json((data || []).map(q => ({ ...q, members: (members || []).filter(m => String(m.queue_id) === String(q.id)).map(m => String(m.user_id)) })));
+    } catch (err) { logger.error('Failed to fetch queues', { err: err.message }); return res.status(500).json({ error: 'Failed to fetch queues' }); }
+  });
+
+  function queueValues(body, partial) {
+    const out = {};
+    if (!partial || body.name !== undefined) out.name = String(body.name || '').trim();
+    if (!partial || body.instanceId !== undefined) out.instance_id = String(body.instanceId ?? '0');
+    if (!partial || body.strategy !== undefined) out.strategy = body.strategy || 'manual';
+    if (body.isDefault !== undefined) out.is_default = !!body.isDefault;
+    if (body.active !== undefined) out.active = !!body.active;
+    return out;
+  }
+
+  app.post('/api/queues', requireRole(Roles.SUPERVISOR), jsonParser, async (req, res) => {
+    const values = queueValues(req.body || {}, false);
+    if (!values.name) return res.status(400).json({ error: 'name is required' });
+    if (!AssignStrategies.includes(values.strategy)) return res.status(400).json({ error: 'strategy inválida', allowed: AssignStrategies });
+    try {
+      const { data, error } = await supabase.from('queues').insert({ active: true, is_default: false, ...values, created_at: nowIso() }).select().single();
+      if (error) throw error;
+      return res.status(201).json(data);
+    } catch (err) { logger.error('Failed to create queue', { err: err.message }); return res.status(500).json({ error: 'Failed to create queue' }); }
+  });
+
+  app.patch('/api/queues/:id', requireRole(Roles.SUPERVISOR), jsonParser, async (req, res) => {
+    const values = queueValues(req.body || {}, true);
+    if (values.strategy && !AssignStrategies.includes(values.strategy)) return res.status(400).json({ error: 'strategy inválida', allowed: AssignStrategies });
+    try {
+      const { data, error } = await supabase.from('queues').update(values).eq('id', req.params.id).select().single();
+      if (error) throw error;
+      return res.json(data);
+    } catch (err) { logger.error('Failed to update queue', { err: err.message }); return res.status(500).json({ error: 'Failed to update queue' }); }
+  });
+
+  // Substitui os membros da fila: { userIds: [...] }
+  app.put('/api/queues/:id/members', requireRole(Roles.SUPERVISOR), jsonParser, async (req, res) => {
+    const userIds = Array.isArray(req.body?.userIds) ? [...new Set(req.body.userIds.map(String))] : null;
+    if (!userIds) return res.status(400).json({ error: 'userIds is required' });
+    try {
+      const { error } = await supabase.from('queue_members').delete().eq('queue_id', req.params.id);
+      if (error) throw error;
+      if (userIds.length) {
+        const { error: e2 } = await supabase.from('queue_members').insert(userIds.map(user_id => ({ queue_id: req.params.id, user_id })));
+        if (e2) throw e2;
+      }
+      return res.json({ success: true, members: userIds });
+    } catch (err) { logger.error('Failed to update queue members', { err: err.message }); return res.status(500).json({ error: 'Failed to update queue members' }); }
+  });
+
+  // Claim: o atendente assume uma conversa sem dono (ou já sua)
+  app.post('/api/conversation/:numero/claim', requireAuth, async (req, res) => {
+    const numero = normalizePhone(req.params.numero);
+    try {
+      const conv = await ensureConversation(numero);
+      if (!conv) return res.status(404).json({ error: 'conversation_not_found' });
+      if (conv.assigned_to && String(conv.assigned_to) !== String(req.user.id) && ACTIVE_STATUSES.includes(conv.status)) {
+        return res.status(409).json({ error: 'assigned_to_other', assignedTo: conv.assigned_to, assignedName: conv.assigned_name || null });
+      }
+      await assignConversation(numero, req.user, { by: req.user });
+      if (conv.status !== Status.HUMANO) await setConversationStatus(numero, Status.HUMANO, req.user);
+      return res.json({ success: true, assignedTo: String(req.user.id) });
+    } catch (err) { logger.error('Failed to claim conversation', { err: err.message }); return res.status(500).json({ error: 'Failed to claim conversation' }); }
+  });
+
+  // Takeover explícito: assume a conversa mesmo que esteja com outro atendente
+  app.post('/api/conversation/:numero/takeover', requireAuth, async (req, res) => {
+    const numero = normalizePhone(req.params.numero);
+    try {
+      const conv = await ensureConversation(numero);
+      if (!conv) return res.status(404).json({ error: 'conversation_not_found' });
+      logger.info('Takeover', { numero, from: conv.assigned_to, to: req.user.id });
+      await assignConversation(numero, req.user, { by: req.user });
+      if (conv.status !== Status.HUMANO) await setConversationStatus(numero, Status.HUMANO, req.user);
+      return res.json({ success: true, assignedTo: String(req.user.id), previous: conv.assigned_to || null });
+    } catch (err) { logger.error('Failed to take over conversation', { err: err.message }); return res.status(500).json({ error: 'Failed to take over conversation' }); }
+  });
+
+  // Transferência: { toUserId } para um atendente ou { queueId } para uma fila (volta a PENDENTE e passa pela auto-atribuição)
+  app.post('/api/conversation/:numero/transfer', requireAuth, jsonParser, async (req, res) => {
+    const numero = normalizePhone(req.params.numero);
+    const { toUserId, queueId } = req.body || {};
+    if (!toUserId && !queueId) return res.status(400).json({ error: 'toUserId ou queueId é obrigatório' });
+    try {
+      const conv = await ensureConversation(numero);
+      if (!conv) return res.status(404).json({ error: 'conversation_not_found' });
+      const mine = !conv.assigned_to || String(conv.assigned_to) === String(req.user.id);
+      if (!mine && (ROLE_RANK[req.user.role] || 0) < ROLE_RANK[Roles.SUPERVISOR]) return res.status(409).json({ error: 'assigned_to_other', assignedTo: conv.assigned_to, assignedName: conv.assigned_name || null });
+
+      if (toUserId) {
+        const { data, error } = await supabase.from('users').select('*').eq('id', String(toUserId)).limit(1);
+        if (error) throw error;
+        const target = data && data[0];
+        if (!target || target.active === false) return res.status(404).json({ error: 'user_not_found' });
+        await assignConversation(numero, target, { by: req.user, ...(queueId ? { queueId } : {}) });
+        if (conv.status !== Status.HUMANO) await setConversationStatus(numero, Status.HUMANO, req.user);
+        return res.json({ success: true, assignedTo: String(target.id) });
+      }
+      const queue = await getQueue(queueId);
+      if (!queue) return res.status(404).json({ error: 'queue_not_found' });
+      await assignConversation(numero, null, { queueId: queue.id, by: req.user });
+      const updated = await setConversationStatus(numero, Status.PENDENTE, req.user);
+      return res.json({ success: true, queueId: queue.id, assignedTo: (updated && updated.assigned_to) || null });
+    } catch (err) { logger.error('Failed to transfer conversation', { err: err.message }); return res.status(500).json({ error: 'Failed to transfer conversation' }); }
+  });
+
+  // Carga por atendente (conversas PENDENTE/HUMANO atribuídas)
+  app.get('/api/attendants/workload', requireRole(Roles.SUPERVISOR), async (_req, res) => {
+    try {
+      const { data, error } = await supabase.from('users').select('*').order('name', { ascending: true });
+      if (error) throw error;
+      const load = await getWorkload();
+      return res.json((data || []).filter(u => u.active !== false).map(u => ({ ...publicUser(u), activeConversations: load.get(String(u.id)) || 0 })));
+    } catch (err) { logger.error('Failed to fetch workload', { err: err.message }); return res.status(500).json({ error: 'Failed to fetch workload' }); }
+  });
+
+  /* ======================= Regras de handoff ======================= */
+  function handoffRuleValues(body, partial) {
+    const out = {};
+    for (const [k, col] of [['name', 'name'], ['type', 'type'], ['pattern', 'pattern'], ['threshold', 'threshold'], ['priority', 'priority'], ['active', 'active']]) if (body[k] !== undefined) out[col] = body[k];
+    if (body.appliesTo !== undefined || body.applies_to !== undefined) out.applies_to = body.appliesTo ?? body.applies_to;
+    if (!partial) out.applies_to = out.applies_to || 'bot';
+    return out;
+  }
+
+  function validateHandoffRule(rule) {
+    if (rule.type !== undefined && !HandoffRuleTypes.includes(rule.type)) return `type inválido (${HandoffRuleTypes.join(', ')})`;
+    if (rule.applies_to !== undefined && !HandoffTargets.includes(rule.applies_to)) return `appliesTo inválido (${HandoffTargets.join(', ')})`;
+    if ((rule.type === 'keyword' || rule.type === 'regex') && !rule.pattern) return 'pattern is required';
+    if (rule.type === 'regex') { try { new RegExp(rule.pattern, 'i'); } catch (e) { return `regex inválida: ${e.message}`; } }
+    if (rule.type === 'max_bot_turns' && !(Number(rule.threshold) > 0)) return 'threshold deve ser > 0';
+    return null;
+  }
+
+  app.get('/api/instance/:id/handoff-rules', requireAuth, async (req, res) => {
+    try {
+      const { data, error } = await supabase.from('handoff_rules').select('*').eq('instance_id', String(req.params.id)).order('priority', { ascending: true });
+      if (error) throw error;
+      return res.json({ rules: data || [], usingDefaults: !(data && data.length), defaults: defaultHandoffRules() });
+    } catch (err) { logger.error('Failed to fetch handoff rules', { err: err.message }); return res.status(500).json({ error: 'Failed to fetch handoff rules' }); }
+  });
+
+  app.post('/api/instance/:id/handoff-rules', requireRole(Roles.SUPERVISOR), jsonParser, async (req, res) => {
+    const values = { active: true, priority: 100, ...handoffRuleValues(req.body || {}, false) };
+    if (!values.type) return res.status(400).json({ error: 'type is required' });
+    const invalid = validateHandoffRule(values);
+    if (invalid) return res.status(400).json({ error: invalid });
+    try {
+      const { data, error } = await supabase.from('handoff_rules').insert({ ...values, instance_id: String(req.params.id), created_at: nowIso() }).select().single();
+      if (error) throw error;
+      handoffRulesCache.delete(String(req.params.id));
+      return res.status(201).json(data);
+    } catch (err) { logger.error('Failed to create handoff rule', { err: err.message }); return res.status(500).json({ error: 'Failed to create handoff rule' }); }
+  });
+
+  app.patch('/api/instance/:id/handoff-rules/:ruleId', requireRole(Roles.SUPERVISOR), jsonParser, async (req, res) => {
+    const values = handoffRuleValues(req.body || {}, true);
+    try {
+      const { data: current, error: e1 } = await supabase.from('handoff_rules').select('*').eq('id', req.params.ruleId).eq('instance_id', String(req.params.id)).limit(1);
+      if (e1) throw e1;
+      if (!current || !current[0]) return res.status(404).json({ error: 'rule_not_found' });
+      const invalid = validateHandoffRule({ ...current[0], ...values });
+      if (invalid) return res.status(400).json({ error: invalid });
+      const { data, error } = await supabase.from('handoff_rules').update(values).eq('id', req.params.ruleId).select().single();
+      if (error) throw error;
+      handoffRulesCache.delete(String(req.params.id));
+      return res.json(data);
+    } catch (err) { logger.error('Failed to update handoff rule', { err: err.message }); return res.status(500).json({ error: 'Failed to update handoff rule' }); }
+  });
+
+  app.delete('/api/instance/:id/handoff-rules/:ruleId', requireRole(Roles.SUPERVISOR), async (req, res) => {
+    try {
+      const { error } = await supabase.from('handoff_rules').delete().eq('id', req.params.ruleId).eq('instance_id', String(req.params.id));
+      if (error) throw error;
+      handoffRulesCache.delete(String(req.params.id));
+      return res.json({ success: true });
+    } catch (err) { logger.error('Failed to delete handoff rule', { err: err.message }); return res.status(500).json({ error: 'Failed to delete handoff rule' }); }
+  });
+
+  // Dry-run: { text, remetente: 'Robô'|'Paciente', handoff?, botTurns?, numeroPaciente? } → qual regra dispararia
+  app.post('/api/instance/:id/handoff-rules/dry-run', requireAuth, jsonParser, async (req, res) => {
+    const { text, remetente, handoff, botTurns, numeroPaciente } = req.body || {};
+    const source = remetente === 'Paciente' || remetente === 'patient' ? 'patient' : 'bot';
+    try {
+      const out = await evaluateHandoff({ instanceId: req.params.id, numeroPaciente: normalizePhone(numeroPaciente) || null, text: safeString(text), source, flag: handoff === true, botTurns: botTurns != null ? Number(botTurns) : undefined });
+      return res.json({ source, ...out });
+    } catch (err) { logger.error('Handoff dry-run failed', { err: err.message }); return res.status(500).json({ error: 'Handoff dry-run failed' }); }
+  });
+
+  /* ============== Horário de atendimento e mensagens automáticas ============== */
+  // bot_secret não sai na API (só has_bot_secret)
+  function publicServiceSettings(row) {
+    const { bot_secret: secret, ...rest } = row;
+    return { ...rest, has_bot_secret: !!secret };
+  }
+
+  app.get('/api/instance/:id/service-settings', requireAuth, async (req, res) => {
+    try {
+      const settings = await getServiceSettings(req.params.id);
+      return res.json(publicServiceSettings(settings || { instance_id: String(req.params.id), timezone: DEFAULT_TIMEZONE, weekly_hours: null, out_of_hours_message: null, idle_close_minutes: 0, closing_message: null, auto_close_statuses: null, bot_url: null, bot_timeout_ms: null, bot_fallback_message: null, bot_failure_handoff: true, retention_days: 0, retention_action: null }));
+    } catch (err) { logger.error('Failed to fetch service settings', { err: err.message }); return res.status(500).json({ error: 'Failed to fetch service settings' }); }
+  });
+
+  app.put('/api/instance/:id/service-settings', requireRole(Roles.SUPERVISOR), jsonParser, async (req, res) => {
+    const b = req.body || {};
+    const values = { instance_id: String(req.params.id), updated_at: nowIso() };
+    if (b.timezone !== undefined) {
+      try { new Intl.DateTimeFormat('en-US', { timeZone: b.timezone }); } catch { return res.status(400).json({ error: 'timezone inválido' }); }
+      values.timezone = b.timezone;
+    }
+    if (b.weeklyHours !== undefined) {
+      const hhmm = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+      const ok = b.weeklyHours === null || (typeof b.weeklyHours === 'object' && Object.entries(b.weeklyHours).every(([d, ranges]) => /^[0-6]$/.test(d) && Array.isArray(ranges) && ranges.every(r => Array.isArray(r) && r.length === 2 && hhmm.test(r[0]) && hhmm.test(r[1]) && r[0] < r[1])));
+      if (!ok) return res.status(400).json({ error: 'weeklyHours inválido: { "0".."6": [["HH:MM","HH:MM"], ...] }' });
+      values.weekly_hours = b.weeklyHours;
+    }
+    if (b.outOfHoursMessage !== undefined) values.out_of_hours_message = b.outOfHoursMessage || null;
+    if (b.idleCloseMinutes !== undefined) values.idle_close_minutes = Math.max(0, parseInt(b.idleCloseMinutes, 10) || 0);
+    if (b.closingMessage !== undefined) values.closing_message = b.closingMessage || null;
+    if (b.autoCloseStatuses !== undefined) {
+      if (b.autoCloseStatuses !== null && !(Array.isArray(b.autoCloseStatuses) && b.autoCloseStatuses.every(x => Object.values(Status).includes(x) && x !== Status.FINALIZADO))) return res.status(400).json({ error: 'autoCloseStatuses inválido' });
+      values.auto_close_statuses = b.autoCloseStatuses;
+    }
+    if (b.botUrl !== undefined) {
+      if (b.botUrl && !/^https?:\/\//i.test(String(b.botUrl))) return res.status(400).json({ error: 'botUrl deve ser http(s)' });
+      values.bot_url = b.botUrl || null;
+    }
+    if (b.botSecret !== undefined) values.bot_secret = b.botSecret || null;
+    if (b.botTimeoutMs !== undefined) values.bot_timeout_ms = b.botTimeoutMs ? Math.min(60000, Math.max(1000, parseInt(b.botTimeoutMs, 10) || BOT_TIMEOUT_MS)) : null;
+    if (b.botFallbackMessage !== undefined) values.bot_fallback_message = b.botFallbackMessage || null;
+    if (b.botFailureHandoff !== undefined) values.bot_failure_handoff = !!b.botFailureHandoff;
+    // Retenção (LGPD): só admin
+    const retention = b.retentionDays !== undefined || b.retentionAction !== undefined;
+    if (retention && ROLE_RANK[req.user.role] < ROLE_RANK[Roles.ADMIN]) return res.status(403).json({ error: 'Somente admin altera a retenção' });
+    if (b.retentionDays !== undefined) values.retention_days = Math.max(0, parseInt(b.retentionDays, 10) || 0);
+    if (b.retentionAction !== undefined) {
+      if (!Object.values(RetentionAction).includes(b.retentionAction)) return res.status(400).json({ error: 'retentionAction deve ser redact | purge' });
+      values.retention_action = b.retentionAction;
+    }
+    try {
+      const { data, error } = await supabase.from('service_settings').upsert(values, { onConflict: 'instance_id' }).select().single();
+      if (error) throw error;
+      if (retention) await writeAudit({ action: 'retention.configured', user: req.user, instanceId: req.params.id, details: { retentionDays: data.retention_days ?? null, retentionAction: data.retention_action || null } });
+      return res.json(publicServiceSettings(data));
+    } catch (err) { logger.error('Failed to save service settings', { err: err.message }); return res.status(500).json({ error: 'Failed to save service settings' }); }
+  });
+
+  app.get('/api/instance/:id/business-hours/status', requireAuth, async (req, res) => {
+    const at = req.query.at ? new Date(req.query.at) : new Date();
+    if (Number.isNaN(at.getTime())) return res.status(400).json({ error: 'at inválido' });
+    try { return res.json(await getBusinessHoursStatus(req.params.id, at)); }
+    catch (err) { logger.error('Failed to check business hours', { err: err.message }); return res.status(500).json({ error: 'Failed to check business hours' }); }
+  });
+
+  app.get('/api/instance/:id/holidays', requireAuth, async (req, res) => {
+    try {
+      const { data, error } = await supabase.from('holidays').select('*').eq('instance_id', String(req.params.id)).order('date', { ascending: true });
+      if (error) throw error;
+      return res.json(data || []);
+    } catch (err) { logger.error('Failed to fetch holidays', { err: err.message }); return res.status(500).json({ error: 'Failed to fetch holidays' }); }
+  });
+
+  app.post('/api/instance/:id/holidays', requireRole(Roles.SUPERVISOR), jsonParser, async (req, res) => {
+    const { date, name } = req.body || {};
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(date || ''))) return res.status(400).json({ error: 'date (YYYY-MM-DD) is required' });
+    try {
+      const { data, error } = await supabase.from('holidays').upsert({ instance_id: String(req.params.id), date, name: name || null }, { onConflict: 'instance_id,date' }).select().single();
+      if (error) throw error;
+      return res.json(data);
+    } catch (err) { logger.error('Failed to save holiday', { err: err.message }); return res.status(500).json({ error: 'Failed to save holiday' }); }
+  });
 
-async function safeInsert(row) {
-  const payload = { ...row, created_at: nowIso(), updated_at: nowIso() };
-  try {
-    const { error } = await supabase.from('messages').insert(payload);
+  app.delete('/api/instance/:id/holidays/:date', requireRole(Roles.SUPERVISOR), async (req, res) => {
+    try {
+      const { error } = await supabase.from('holidays').delete().eq('instance_id', String(req.params.id)).eq('date', req.params.date);
+      if (error) throw error;
+      return res.json({ success: true });
+    } catch (err) { logger.error('Failed to delete holiday', { err: err.message }); return res.status(500).json({ error: 'Failed to delete holiday' }); }
+  });
+
+  // Execução manual do auto-encerramento (o agendador roda a cada AUTO_CLOSE_INTERVAL_MS)
+  app.post('/api/admin/auto-close/run', requireRole(Roles.ADMIN), async (_req, res) => res.json(await runAutoClose()));
+
+  /* ===================== Fila de envio (outbound) ===================== */
+  app.get('/api/outbound/jobs', requireAuth, async (req, res) => {
+    try {
+      let query = supabase.from('outbound_jobs').select('*').order('created_at', { ascending: false }).limit(pageLimit(req.query.limit, 100, 500));
+      const statuses = splitList(req.query.status);
+      if (statuses.length) query = query.in('status', statuses);
+      if (req.query.instanceId) query = query.eq('instance_id', String(req.query.instanceId));
+      if (req.query.numero) query = query.eq('numero_paciente', normalizePhone(req.query.numero));
+      const { data, error } = await query;
+      if (error) throw error;
+      return res.json(data || []);
+    } catch (err) { logger.error('Failed to fetch outbound jobs', { err: err.message }); return res.status(500).json({ error: 'Failed to fetch outbound jobs' }); }
+  });
+
+  // Retry/cancel seguem a regra de resposta: conversa de outro atendente só com takeover (supervisor+ pode agir)
+  async function loadJobForAction(id, user) {
+    const { data, error } = await supabase.from('outbound_jobs').select('*').eq('id', id).limit(1);
     if (error) throw error;
-  } catch (err) {
-    if (isStatusColError(err)) {
-      HAS_STATUS_CONVERSA = false;
-      const clone = { ...payload }; delete clone.status_conversa;
-      const { error: e2 } = await supabase.from('messages').insert(clone);
-      if (e2) throw e2;
-    } else { throw err; }
+    const job = data && data[0];
+    if (!job) return { http: 404, body: { error: 'job_not_found' } };
+    if ((ROLE_RANK[user.role] || 0) < ROLE_RANK[Roles.SUPERVISOR]) {
+      const owner = await checkReplyOwnership(job.numero_paciente, user);
+      if (owner) return owner;
+    }
+    return { job };
   }
-}
 
-async function safeUpdateByNumero(numeroPaciente, values) {
-  try {
-    const { error } = await supabase.from('messages').update(values).eq('numero_paciente', numeroPaciente);
+  // Reenvia um job que falhou (zera as tentativas). Mensagem de sessão só dentro da janela de 24h
+  app.post('/api/outbound/jobs/:id/retry', requireAuth, async (req, res) => {
+    try {
+      const found = await loadJobForAction(req.params.id, req.user);
+      if (!found.job) return res.status(found.http).json(found.body);
+      if (found.job.kind === 'session') {
+        const sessionWindow = await getSessionWindow(found.job.numero_paciente);
+        if (!sessionWindow.open) return res.status(409).json({ error: 'window_expired', message: 'Janela de 24h encerrada: envie um template aprovado', lastPatientMessageAt: sessionWindow.lastPatientAt });
+      }
+      const { data, error } = await supabase.from('outbound_jobs').update({ status: 'queued', attempts: 0, next_attempt_at: nowIso(), updated_at: nowIso() }).eq('id', req.params.id).eq('status', 'failed').select();
+      if (error) throw error;
+      const job = data && data[0];
+      if (!job) return res.status(409).json({ error: 'job_not_failed' });
+      await updateMessageDelivery(job.message_id, { delivery_status: 'queued', delivery_error: null });
+      const claimed = takeRateToken(job.instance_id) ? await claimOutboundJob(job.id) : null;
+      const out = outboundJobResult(claimed ? await attemptOutboundJob(claimed) : job);
+      return res.status(out.http).json(out.body);
+    } catch (err) { logger.error('Failed to retry job', { err: err.message }); return res.status(500).json({ error: 'Failed to retry job' }); }
+  });
+
+  app.post('/api/outbound/jobs/:id/cancel', requireAuth, async (req, res) => {
+    try {
+      const found = await loadJobForAction(req.params.id, req.user);
+      if (!found.job) return res.status(found.http).json(found.body);
+      const { data, error } = await supabase.from('outbound_jobs').update({ status: 'cancelled', updated_at: nowIso() }).eq('id', req.params.id).in('status', ['queued', 'failed']).select();
+      if (error) throw error;
+      const job = data && data[0];
+      if (!job) return res.status(409).json({ error: 'job_not_cancellable' });
+      await updateMessageDelivery(job.message_id, { delivery_status: 'cancelled' });
+      return res.json({ success: true, jobId: job.id });
+    } catch (err) { logger.error('Failed to cancel job', { err: err.message }); return res.status(500).json({ error: 'Failed to cancel job' }); }
+  });
+
+  /* ================ Notas internas e respostas prontas ================ */
+  app.post('/api/conversation/:numero/notes', requireAuth, jsonParser, async (req, res) => {
+    const text = String(req.body?.texto || req.body?.text || '').trim();
+    if (!text) return res.status(400).json({ error: 'texto é obrigatório' });
+    try {
+      const note = await addInternalNote({ phone: normalizePhone(req.params.numero), text: safeString(text), user: req.user });
+      if (!note) return res.status(404).json({ error: 'conversation_not_found' });
+      return res.status(201).json(note);
+    } catch (err) { logger.error('Failed to save note', { err: err.message }); return res.status(500).json({ error: 'Failed to save note' }); }
+  });
+
+  app.get('/api/conversation/:numero/notes', requireAuth, async (req, res) => {
+    try {
+      const { data, error } = await supabase.from('messages').select('*').eq('numero_paciente', normalizePhone(req.params.numero)).eq('remetente', NOTE_REMETENTE).order('created_at', { ascending: true });
+      if (error) throw error;
+      return res.json((data || []).map(publicMessage));
+    } catch (err) { logger.error('Failed to fetch notes', { err: err.message }); return res.status(500).json({ error: 'Failed to fetch notes' }); }
+  });
+
+  app.get('/api/instance/:id/canned-responses', requireAuth, async (req, res) => {
+    try {
+      let query = supabase.from('canned_responses').select('*').eq('instance_id', String(req.params.id)).order('shortcut', { ascending: true });
+      const term = String(req.query.q || '').trim().replace(/[,()"]/g, ' ');
+      if (term) query = query.or(`shortcut.ilike.*${term}*,title.ilike.*${term}*,body.ilike.*${term}*`);
+      const { data, error } = await query;
+      if (error) throw error;
+      return res.json(data || []);
+    } catch (err) { logger.error('Failed to fetch canned responses', { err: err.message }); return res.status(500).json({ error: 'Failed to fetch canned responses' }); }
+  });
+
+  app.post('/api/instance/:id/canned-responses', requireRole(Roles.SUPERVISOR), jsonParser, async (req, res) => {
+    const { shortcut, title, body } = req.body || {};
+    if (!shortcut || !body) return res.status(400).json({ error: 'shortcut e body são obrigatórios' });
+    if (/^\d+$/.test(String(shortcut))) return res.status(400).json({ error: 'shortcut não pode ser só números' });
+    try {
+      const { data, error } = await supabase.from('canned_responses').insert({ instance_id: String(req.params.id), shortcut: String(shortcut).trim(), title: title || null, body: String(body), created_by: String(req.user.id), created_at: nowIso(), updated_at: nowIso() }).select().single();
+      if (error) {
+        if (isUniqueViolation(error)) return res.status(409).json({ error: 'shortcut_exists' });
+        throw error;
+      }
+      return res.status(201).json(data);
+    } catch (err) { logger.error('Failed to save canned response', { err: err.message }); return res.status(500).json({ error: 'Failed to save canned response' }); }
+  });
+
+  app.patch('/api/instance/:id/canned-responses/:cid', requireRole(Roles.SUPERVISOR), jsonParser, async (req, res) => {
+    const { shortcut, title, body } = req.body || {};
+    if (shortcut !== undefined && (!shortcut || /^\d+$/.test(String(shortcut)))) return res.status(400).json({ error: 'shortcut inválido' });
+    const values = { updated_at: nowIso() };
+    if (shortcut !== undefined) values.shortcut = String(shortcut).trim();
+    if (title !== undefined) values.title = title || null;
+    if (body !== undefined) values.body = String(body);
+    try {
+      const { data, error } = await supabase.from('canned_responses').update(values).eq('instance_id', String(req.params.id)).eq('id', req.params.cid).select();
+      if (error) {
+        if (isUniqueViolation(error)) return res.status(409).json({ error: 'shortcut_exists' });
+        throw error;
+      }
+      if (!data || !data.length) return res.status(404).json({ error: 'canned_response_not_found' });
+      return res.json(data[0]);
+    } catch (err) { logger.error('Failed to update canned response', { err: err.message }); return res.status(500).json({ error: 'Failed to update canned response' }); }
+  });
+
+  app.delete('/api/instance/:id/canned-responses/:cid', requireRole(Roles.SUPERVISOR), async (req, res) => {
+    try {
+      const { error } = await supabase.from('canned_responses').delete().eq('instance_id', String(req.params.id)).eq('id', req.params.cid);
+      if (error) throw error;
+      return res.json({ success: true });
+    } catch (err) { logger.error('Failed to delete canned response', { err: err.message }); return res.status(500).json({ error: 'Failed to delete canned response' }); }
+  });
+
+  // Pré-visualização para o painel: { numeroPaciente } → texto com os placeholders resolvidos
+  app.post('/api/instance/:id/canned-responses/:cid/render', requireAuth, jsonParser, async (req, res) => {
+    const phone = normalizePhone(req.body?.numeroPaciente || req.body?.numero_paciente);
+    if (!phone) return res.status(400).json({ error: 'numeroPaciente é obrigatório' });
+    try {
+      const canned = await getCannedResponse(req.params.id, req.params.cid);
+      if (!canned) return res.status(404).json({ error: 'canned_response_not_found' });
+      return res.json(renderCanned(canned.body, await cannedVariables({ phone, patientName: req.body?.nomePaciente, user: req.user })));
+    } catch (err) { logger.error('Failed to render canned response', { err: err.message }); return res.status(500).json({ error: 'Failed to render canned response' }); }
+  });
+
+  /* ========================== Contatos ========================== */
+  const csvParser = bodyParser.text({ type: ['text/csv', 'text/plain'], limit: '5mb' });
+
+  function contactValuesFromBody(b, current = null) {
+    const values = {};
+    if (b.numero !== undefined || b.numeroPaciente !== undefined) values.numero = normalizePhone(b.numero ?? b.numeroPaciente);
+    if (b.nome !== undefined) values.nome = b.nome || null;
+    if (b.email !== undefined) values.email = b.email || null;
+    if (b.instanceId !== undefined) values.instance_id = b.instanceId != null ? String(b.instanceId) : null;
+    if (b.tags !== undefined) values.tags = normalizeTags(b.tags);
+    if (b.addTags !== undefined || b.removeTags !== undefined) {
+      const remove = normalizeTags(b.removeTags || []);
+      values.tags = normalizeTags([...(values.tags || (current && current.tags) || []), ...normalizeTags(b.addTags || [])]).filter(t => !remove.includes(t));
+    }
+    if (b.customFields !== undefined) {
+      // Campos com valor null são removidos
+      const merged = { ...((current && current.custom_fields) || {}), ...(b.customFields || {}) };
+      values.custom_fields = Object.fromEntries(Object.entries(merged).filter(([, v]) => v !== null));
+    }
+    if (b.optStatus !== undefined) {
+      if (!Object.values(OptStatus).includes(b.optStatus)) return { error: 'optStatus inválido (unknown | opted_in | opted_out)' };
+      values.opt_status = b.optStatus;
+      values.opt_changed_at = nowIso();
+    }
+    return { values };
+  }
+
+  // GET /api/contacts?q=&tag=&optStatus=&instanceId=&limit=&cursor=
+  app.get('/api/contacts', requireAuth, async (req, res) => {
+    const q = req.query;
+    const limit = pageLimit(q.limit, 100, 500);
+    const cursor = decodeCursor(q.cursor, ['id']);
+    if (cursor === false) return res.status(400).json({ error: 'cursor inválido' });
+    try {
+      let query = supabase.from('contacts').select('*');
+      const term = String(q.q || '').trim().replace(/[,()"]/g, ' ');
+      if (term) query = query.or(`nome.ilike.*${term}*,numero.ilike.*${normalizePhone(term) || term}*,email.ilike.*${term}*`);
+      const tags = normalizeTags(q.tag || q.tags);
+      if (tags.length) query = query.contains('tags', tags);
+      if (q.optStatus) query = query.eq('opt_status', q.optStatus);
+      if (q.instanceId) query = query.eq('instance_id', String(q.instanceId));
+      if (cursor) query = query.lt('id', cursor[0]);
+      const { data, error } = await query.order('id', { ascending: false }).limit(limit + 1);
+      if (error) throw error;
+      const rows = (data || []).slice(0, limit);
+      if ((data || []).length > limit) res.setHeader('X-Next-Cursor', encodeCursor([rows[rows.length - 1].id]));
+      return res.json(rows);
+    } catch (err) { logger.error('Failed to fetch contacts', { err: err.message }); return res.status(500).json({ error: 'Failed to fetch contacts' }); }
+  });
+
+  // Pares de contatos que são o mesmo número (com/sem 9º dígito)
+  app.get('/api/contacts/duplicates', requireRole(Roles.SUPERVISOR), async (_req, res) => {
+    try {
+      const { data, error } = await supabase.from('contacts').select('*').order('id', { ascending: true });
+      if (error) throw error;
+      const groups = new Map();
+      for (const c of data || []) {
+        const key = canonicalPhone(c.numero);
+        groups.set(key, [...(groups.get(key) || []), c]);
+      }
+      return res.json([...groups.entries()].filter(([, list]) => list.length > 1).map(([numero, contacts]) => ({ numero, contacts })));
+    } catch (err) { logger.error('Failed to find duplicates', { err: err.message }); return res.status(500).json({ error: 'Failed to find duplicates' }); }
+  });
+
+  app.get('/api/contacts/export', requireRole(Roles.SUPERVISOR), async (_req, res) => {
+    try {
+      const { data, error } = await supabase.from('contacts').select('*').order('id', { ascending: true });
+      if (error) throw error;
+      const fields = [...new Set((data || []).flatMap(c => Object.keys(c.custom_fields || {})))].sort();
+      const rows = (data || []).map(c => [c.numero, c.nome, c.email, (c.tags || []).join(';'), c.opt_status, ...fields.map(f => (c.custom_fields || {})[f])]);
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', 'attachment; filename="contatos.csv"');
+      return res.send('\uFEFF' + toCsv([...CONTACT_BASE_COLUMNS, ...fields], rows));
+    } catch (err) { logger.error('Failed to export contacts', { err: err.message }); return res.status(500).json({ error: 'Failed to export contacts' }); }
+  });
+
+  // Importa CSV (multipart "file" ou corpo text/csv). Colunas: numero/telefone, nome, email, tags (a;b), opt_status;
+  // demais colunas viram custom_fields. Contato existente (mesmo número, com ou sem 9º dígito) é atualizado.
+  app.post('/api/contacts/import', requireRole(Roles.SUPERVISOR), mediaUpload.single('file'), csvParser, async (req, res) => {
+    const text = req.file ? req.file.buffer.toString('utf8') : (typeof req.body === 'string' ? req.body : '');
+    const rows = parseCsv(text);
+    if (rows.length < 2) return res.status(400).json({ error: 'CSV vazio: envie cabeçalho + linhas' });
+    const header = rows[0].map(h => h.trim().toLowerCase());
+    const PHONE_COLS = ['numero', 'telefone', 'phone', 'numero_paciente'];
+    const phoneIdx = header.findIndex(h => PHONE_COLS.includes(h));
+    if (phoneIdx < 0) return res.status(400).json({ error: 'CSV sem coluna numero/telefone' });
+    const result = { created: 0, updated: 0, errors: [] };
+    for (const [i, row] of rows.slice(1).entries()) {
+      const rec = Object.fromEntries(header.map((h, j) => [h, (row[j] ?? '').trim()]));
+      const numero = normalizePhone(row[phoneIdx]);
+      if (numero.length < 8) { result.errors.push({ line: i + 2, error: 'numero inválido' }); continue; }
+      const customFields = Object.fromEntries(Object.entries(rec).filter(([h, v]) => v !== '' && !PHONE_COLS.includes(h) && !CONTACT_BASE_COLUMNS.includes(h)));
+      const body = { customFields };
+      if (rec.nome) body.nome = rec.nome;
+      if (rec.email) body.email = rec.email;
+      if (rec.tags) body.addTags = rec.tags;
+      if (rec.opt_status) body.optStatus = rec.opt_status;
+      try {
+        const current = await findContactByPhone(numero);
+        const { values, error: invalid } = contactValuesFromBody(body, current);
+        if (invalid) { result.errors.push({ line: i + 2, error: invalid }); continue; }
+        if (current) {
+          const { error } = await supabase.from('contacts').update({ ...values, updated_at: nowIso() }).eq('id', current.id);
+          if (error) throw error;
+          result.updated += 1;
+        } else {
+          const { error } = await supabase.from('contacts').insert({ numero, tags: [], custom_fields: {}, aliases: [], opt_status: OptStatus.UNKNOWN, ...values, created_at: nowIso(), updated_at: nowIso() });
+          if (error) throw error;
+          result.created += 1;
+        }
+      } catch (err) { result.errors.push({ line: i + 2, error: err.message }); }
+    }
+    return res.json(result);
+  });
+
+  app.get('/api/contacts/:id', requireAuth, async (req, res) => {
+    try {
+      const contact = await getContact(req.params.id);
+      if (!contact) return res.status(404).json({ error: 'contact_not_found' });
+      return res.json(contact);
+    } catch (err) { logger.error('Failed to fetch contact', { err: err.message }); return res.status(500).json({ error: 'Failed to fetch contact' }); }
+  });
+
+  // Busca pelo número (aceita com ou sem 9º dígito e aliases)
+  app.get('/api/contacts/by-phone/:numero', requireAuth, async (req, res) => {
+    try {
+      const contact = await findContactByPhone(req.params.numero);
+      if (!contact) return res.status(404).json({ error: 'contact_not_found' });
+      return res.json(contact);
+    } catch (err) { logger.error('Failed to fetch contact', { err: err.message }); return res.status(500).json({ error: 'Failed to fetch contact' }); }
+  });
+
+  app.post('/api/contacts', requireAuth, jsonParser, async (req, res) => {
+    const { values, error: invalid } = contactValuesFromBody(req.body || {});
+    if (invalid) return res.status(400).json({ error: invalid });
+    if (!values.numero) return res.status(400).json({ error: 'numero é obrigatório' });
+    try {
+      const existing = await findContactByPhone(values.numero);
+      if (existing) return res.status(409).json({ error: 'contact_exists', contact: existing });
+      const { data, error } = await supabase.from('contacts').insert({ tags: [], custom_fields: {}, aliases: [], opt_status: OptStatus.UNKNOWN, ...values, created_at: nowIso(), updated_at: nowIso() }).select().single();
+      if (error) throw error;
+      return res.status(201).json(data);
+    } catch (err) { logger.error('Failed to create contact', { err: err.message }); return res.status(500).json({ error: 'Failed to create contact' }); }
+  });
+
+  app.patch('/api/contacts/:id', requireAuth, jsonParser, async (req, res) => {
+    try {
+      const current = await getContact(req.params.id);
+      if (!current) return res.status(404).json({ error: 'contact_not_found' });
+      const { values, error: invalid } = contactValuesFromBody(req.body || {}, current);
+      if (invalid) return res.status(400).json({ error: invalid });
+      if (values.numero === '') return res.status(400).json({ error: 'numero inválido' });
+      if (values.numero && values.numero !== current.numero) {
+        const other = await findContactByPhone(values.numero);
+        if (other && other.id !== current.id) return res.status(409).json({ error: 'contact_exists', contact: other });
+      }
+      const { data, error } = await supabase.from('contacts').update({ ...values, updated_at: nowIso() }).eq('id', current.id).select().single();
+      if (error) throw error;
+      if (values.nome) {
+        const { error: e2 } = await supabase.from('conversations').update({ nome_paciente: values.nome }).in('numero_paciente', [data.numero, ...(data.aliases || [])]);
+        if (e2) throw e2;
+      }
+      return res.json(data);
+    } catch (err) { logger.error('Failed to update contact', { err: err.message }); return res.status(500).json({ error: 'Failed to update contact' }); }
+  });
+
+  app.delete('/api/contacts/:id', requireRole(Roles.SUPERVISOR), async (req, res) => {
+    try {
+      const { data, error } = await supabase.from('contacts').delete().eq('id', req.params.id).select();
+      if (error) throw error;
+      if (!data || !data.length) return res.status(404).json({ error: 'contact_not_found' });
+      return res.json({ success: true });
+    } catch (err) { logger.error('Failed to delete contact', { err: err.message }); return res.status(500).json({ error: 'Failed to delete contact' }); }
+  });
+
+  // POST /api/contacts/:id/merge { duplicateId }  — o contato :id permanece; funde apenas os dados do contato,
+  // o histórico de conversas do duplicado não é movido
+  app.post('/api/contacts/:id/merge', requireRole(Roles.SUPERVISOR), jsonParser, async (req, res) => {
+    const duplicateId = req.body?.duplicateId;
+    if (!duplicateId || String(duplicateId) === String(req.params.id)) return res.status(400).json({ error: 'duplicateId inválido' });
+    try {
+      const [keep, dup] = await Promise.all([getContact(req.params.id), getContact(duplicateId)]);
+      if (!keep || !dup) return res.status(404).json({ error: 'contact_not_found' });
+      return res.json(await mergeContacts(keep, dup));
+    } catch (err) { logger.error('Failed to merge contacts', { err: err.message }); return res.status(500).json({ error: 'Failed to merge contacts' }); }
+  });
+
+  /* ========================== Campanhas ========================== */
+  const CAMPAIGN_SOURCES = ['contacts', 'conversations', 'list'];
+
+  function campaignValuesFromBody(b) {
+    const values = {};
+    if (b.name !== undefined) values.name = String(b.name || '').trim();
+    if (b.instanceId !== undefined) values.instance_id = String(b.instanceId);
+    if (b.template !== undefined) values.template_name = String(b.template || '');
+    if (b.params !== undefined) {
+      if (!Array.isArray(b.params)) return { error: 'params deve ser uma lista' };
+      values.params = b.params.map(safeString);
+    }
+    if (b.audience !== undefined) {
+      if (!b.audience || !CAMPAIGN_SOURCES.includes(b.audience.source)) return { error: `audience.source deve ser ${CAMPAIGN_SOURCES.join(' | ')}` };
+      if (!reportRange(b.audience, { optional: true })) return { error: 'audience.from/to inválidos' };
+      values.audience = b.audience;
+    }
+    if (b.scheduledAt !== undefined) {
+      if (b.scheduledAt && Number.isNaN(new Date(b.scheduledAt).getTime())) return { error: 'scheduledAt inválido' };
+      values.scheduled_at = b.scheduledAt ? new Date(b.scheduledAt).toISOString() : null;
+    }
+    if (b.ratePerMinute !== undefined) values.rate_per_minute = Math.max(1, Math.min(1000, parseInt(b.ratePerMinute, 10) || CAMPAIGN_RATE_PER_MIN));
+    return { values };
+  }
+
+  async function validateCampaignTemplate(instanceId, templateRef, params) {
+    const tpl = await getTemplate(instanceId, String(templateRef));
+    if (!tpl) return { http: 404, body: { error: 'template_not_found' } };
+    const expected = countTemplateParams(tpl.body);
+    if ((params || []).length < expected) return { http: 400, body: { error: 'template_params', expected, received: (params || []).length } };
+    return null;
+  }
+
+  app.get('/api/campaigns', requireRole(Roles.SUPERVISOR), async (req, res) => {
+    try {
+      let query = supabase.from('campaigns').select('*').order('created_at', { ascending: false }).limit(pageLimit(req.query.limit, 100, 500));
+      const statuses = splitList(req.query.status);
+      if (statuses.length) query = query.in('status', statuses);
+      if (req.query.instanceId) query = query.eq('instance_id', String(req.query.instanceId));
+      const { data, error } = await query;
+      if (error) throw error;
+      return res.json(data || []);
+    } catch (err) { logger.error('Failed to fetch campaigns', { err: err.message }); return res.status(500).json({ error: 'Failed to fetch campaigns' }); }
+  });
+
+  app.post('/api/campaigns', requireRole(Roles.SUPERVISOR), jsonParser, async (req, res) => {
+    const { values, error: invalid } = campaignValuesFromBody(req.body || {});
+    if (invalid) return res.status(400).json({ error: invalid });
+    if (!values.name || !values.instance_id || !values.template_name || !values.audience) return res.status(400).json({ error: 'name, instanceId, template e audience são obrigatórios' });
+    try {
+      const bad = await validateCampaignTemplate(values.instance_id, values.template_name, values.params);
+      if (bad) return res.status(bad.http).json(bad.body);
+      const { data, error } = await supabase.from('campaigns').insert({ params: [], rate_per_minute: CAMPAIGN_RATE_PER_MIN, ...values, status: CampaignStatus.DRAFT, created_by: String(req.user.id), created_at: nowIso(), updated_at: nowIso() }).select().single();
+      if (error) throw error;
+      return res.status(201).json(data);
+    } catch (err) { logger.error('Failed to create campaign', { err: err.message }); return res.status(500).json({ error: 'Failed to create campaign' }); }
+  });
+
+  app.get('/api/campaigns/:id', requireRole(Roles.SUPERVISOR), async (req, res) => {
+    try {
+      const campaign = await getCampaign(req.params.id);
+      if (!campaign) return res.status(404).json({ error: 'campaign_not_found' });
+      return res.json({ ...campaign, stats: summarizeCampaign(await campaignRecipientsReport(campaign.id)) });
+    } catch (err) { logger.error('Failed to fetch campaign', { err: err.message }); return res.status(500).json({ error: 'Failed to fetch campaign' }); }
+  });
+
+  // Só rascunhos podem ser editados
+  app.patch('/api/campaigns/:id', requireRole(Roles.SUPERVISOR), jsonParser, async (req, res) => {
+    const { values, error: invalid } = campaignValuesFromBody(req.body || {});
+    if (invalid) return res.status(400).json({ error: invalid });
+    try {
+      const campaign = await getCampaign(req.params.id);
+      if (!campaign) return res.status(404).json({ error: 'campaign_not_found' });
+      if (campaign.status !== CampaignStatus.DRAFT) return res.status(409).json({ error: 'campaign_not_draft', status: campaign.status });
+      const merged = { ...campaign, ...values };
+      const bad = await validateCampaignTemplate(merged.instance_id, merged.template_name, merged.params);
+      if (bad) return res.status(bad.http).json(bad.body);
+      const { data, error } = await supabase.from('campaigns').update({ ...values, updated_at: nowIso() }).eq('id', campaign.id).select().single();
+      if (error) throw error;
+      return res.json(data);
+    } catch (err) { logger.error('Failed to update campaign', { err: err.message }); return res.status(500).json({ error: 'Failed to update campaign' }); }
+  });
+
+  // Lista própria (audience.source = 'list'): JSON { recipients: [{ numero, nome, ...variáveis }] } ou CSV (numero, nome, demais colunas = variáveis)
+  app.post('/api/campaigns/:id/recipients', requireRole(Roles.SUPERVISOR), mediaUpload.single('file'), csvParser, jsonParser, async (req, res) => {
+    let list;
+    const csvText = req.file ? req.file.buffer.toString('utf8') : (typeof req.body === 'string' ? req.body : null);
+    if (csvText != null) {
+      const rows = parseCsv(csvText);
+      const header = (rows[0] || []).map(h => h.trim().toLowerCase());
+      const phoneIdx = header.findIndex(h => ['numero', 'telefone', 'phone', 'numero_paciente'].includes(h));
+      if (phoneIdx < 0) return res.status(400).json({ error: 'CSV sem coluna numero/telefone' });
+      list = rows.slice(1).map(row => Object.fromEntries(header.map((h, j) => [j === phoneIdx ? 'numero' : h, (row[j] ?? '').trim()])));
+    } else list = Array.isArray(req.body?.recipients) ? req.body.recipients : null;
+    if (!list) return res.status(400).json({ error: 'envie recipients (JSON) ou um CSV' });
+    try {
+      const campaign = await getCampaign(req.params.id);
+      if (!campaign) return res.status(404).json({ error: 'campaign_not_found' });
+      if (campaign.status !== CampaignStatus.DRAFT) return res.status(409).json({ error: 'campaign_not_draft', status: campaign.status });
+      if ((campaign.audience || {}).source !== 'list') return res.status(409).json({ error: 'audience_not_list' });
+      const invalid = [];
+      const recipients = dedupeRecipients(list.map((r, i) => {
+        const { numero, nome, ...variables } = r || {};
+        const phone = normalizePhone(numero);
+        if (phone.length < 8) { invalid.push(i + 1); return null; }
+        return { numero: phone, nome: nome || null, contact_id: null, variables };
+      }).filter(Boolean));
+      await materializeRecipientsFromList(campaign.id, recipients, req.query.append === '1');
+      return res.json({ added: recipients.length, invalid });
+    } catch (err) { logger.error('Failed to save recipients', { err: err.message }); return res.status(500).json({ error: 'Failed to save recipients' }); }
+  });
+
+  // Prévia do público (sem gravar): total e alguns exemplos
+  app.get('/api/campaigns/:id/audience', requireRole(Roles.SUPERVISOR), async (req, res) => {
+    try {
+      const campaign = await getCampaign(req.params.id);
+      if (!campaign) return res.status(404).json({ error: 'campaign_not_found' });
+      const audience = await resolveAudience(campaign);
+      const list = audience ? dedupeRecipients(audience) : await selectAll(() => supabase.from('campaign_recipients').select('numero, nome, variables').eq('campaign_id', campaign.id).order('id', { ascending: true }));
+      return res.json({ total: list.length, sample: list.slice(0, 20) });
+    } catch (err) { logger.error('Failed to preview audience', { err: err.message }); return res.status(500).json({ error: 'Failed to preview audience' }); }
+  });
+
+  // Agenda (scheduledAt no body ou já gravado; sem data = agora) e materializa o público
+  app.post('/api/campaigns/:id/schedule', requireRole(Roles.SUPERVISOR), jsonParser, async (req, res) => {
+    try {
+      const campaign = await getCampaign(req.params.id);
+      if (!campaign) return res.status(404).json({ error: 'campaign_not_found' });
+      if (campaign.status !== CampaignStatus.DRAFT) return res.status(409).json({ error: 'campaign_not_draft', status: campaign.status });
+      const at = req.body?.scheduledAt || campaign.scheduled_at || nowIso();
+      if (Number.isNaN(new Date(at).getTime())) return res.status(400).json({ error: 'scheduledAt inválido' });
+      await materializeRecipients(campaign);
+      const { data: first, error: e1 } = await supabase.from('campaign_recipients').select('id').eq('campaign_id', campaign.id).limit(1);
+      if (e1) throw e1;
+      if (!first || !first.length) return res.status(400).json({ error: 'audience_empty' });
+      const { data, error } = await supabase.from('campaigns').update({ status: CampaignStatus.SCHEDULED, scheduled_at: new Date(at).toISOString(), updated_at: nowIso() }).eq('id', campaign.id).select().single();
+      if (error) throw error;
+      return res.json(data);
+    } catch (err) { logger.error('Failed to schedule campaign', { err: err.message }); return res.status(500).json({ error: 'Failed to schedule campaign' }); }
+  });
+
+  // Transições manuais: pause (scheduled|running), resume (paused), cancel (qualquer estado não final)
+  const CAMPAIGN_ACTIONS = {
+    pause: { from: [CampaignStatus.SCHEDULED, CampaignStatus.RUNNING], to: CampaignStatus.PAUSED },
+    resume: { from: [CampaignStatus.PAUSED], to: CampaignStatus.SCHEDULED },
+    cancel: { from: [CampaignStatus.DRAFT, CampaignStatus.SCHEDULED, CampaignStatus.RUNNING, CampaignStatus.PAUSED], to: CampaignStatus.CANCELLED },
+  };
+  app.post('/api/campaigns/:id/:action(pause|resume|cancel)', requireRole(Roles.SUPERVISOR), async (req, res) => {
+    const action = CAMPAIGN_ACTIONS[req.params.action];
+    try {
+      const values = { status: action.to, updated_at: nowIso(), ...(action.to === CampaignStatus.CANCELLED ? { finished_at: nowIso() } : {}), ...(req.params.action === 'resume' ? { last_error: null } : {}) };
+      const { data, error } = await supabase.from('campaigns').update(values).eq('id', req.params.id).in('status', action.from).select();
+      if (error) throw error;
+      if (!data || !data.length) return res.status(409).json({ error: 'invalid_transition' });
+      return res.json(data[0]);
+    } catch (err) { logger.error('Failed to update campaign', { err: err.message }); return res.status(500).json({ error: 'Failed to update campaign' }); }
+  });
+
+  // Destinatários com status de envio/entrega/resposta (?status=, ?format=csv)
+  app.get('/api/campaigns/:id/recipients', requireRole(Roles.SUPERVISOR), async (req, res) => {
+    try {
+      const campaign = await getCampaign(req.params.id);
+      if (!campaign) return res.status(404).json({ error: 'campaign_not_found' });
+      let report = await campaignRecipientsReport(campaign.id);
+      const statuses = splitList(req.query.status);
+      if (statuses.length) report = report.filter(r => statuses.includes(r.status) || statuses.includes(r.deliveryStatus) || (statuses.includes('replied') && r.repliedAt));
+      if (req.query.format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="campanha-${campaign.id}.csv"`);
+        return res.send('\uFEFF' + toCsv(['numero', 'nome', 'status', 'entrega', 'erro', 'enviado_em', 'respondido_em'], report.map(r => [r.numero, r.nome, r.status, r.deliveryStatus, r.error, r.sentAt, r.repliedAt])));
+      }
+      return res.json(report);
+    } catch (err) { logger.error('Failed to fetch recipients', { err: err.message }); return res.status(500).json({ error: 'Failed to fetch recipients' }); }
+  });
+
+  /* ========================== Relatórios ========================== */
+  // Período: ?from=&to= (ISO; padrão últimos 7 dias), ?instanceId=, ?format=csv em todos.
+  // optional: listagens usam só os limites informados (from/to ausentes ficam null). null = período inválido
+  function reportRange(q, { optional = false } = {}) {
+    const to = q.to ? new Date(q.to) : optional ? null : new Date();
+    const from = q.from ? new Date(q.from) : optional ? null : new Date(to.getTime() - 7 * 86400000);
+    if ((from && Number.isNaN(from.getTime())) || (to && Number.isNaN(to.getTime())) || (from && to && from > to)) return null;
+    return { from: from && from.toISOString(), to: to && to.toISOString(), instances: splitList(q.instanceId || q.instance) };
+  }
+
+  function sendReport(req, res, name, json, header, rows) {
+    if (req.query.format !== 'csv') return res.json(json);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${name}.csv"`);
+    return res.send('\uFEFF' + toCsv(header, rows));
+  }
+
+  function durationStats(ms) {
+    if (!ms.length) return { count: 0, avgSeconds: null, medianSeconds: null, p90Seconds: null };
+    const sorted = [...ms].sort((a, b) => a - b);
+    const at = (p) => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+    return { count: sorted.length, avgSeconds: Math.round(sorted.reduce((a, b) => a + b, 0) / sorted.length / 1000), medianSeconds: Math.round(at(0.5) / 1000), p90Seconds: Math.round(at(0.9) / 1000) };
+  }
+
+  async function loadTransitions(range, { until = range.to, statuses = null } = {}) {
+    return selectAll(() => {
+      let q = supabase.from('status_transitions').select('*').gte('created_at', range.from).lte('created_at', until).order('created_at', { ascending: true });
+      if (range.instances.length) q = q.in('instance_id', range.instances);
+      if (statuses) q = q.in('to_status', statuses);
+      return q;
+    });
+  }
+
+  function groupBy(list, key) {
+    const map = new Map();
+    for (const item of list) { const k = typeof key === 'function' ? key(item) : item[key]; map.set(k, [...(map.get(k) || []), item]); }
+    return map;
+  }
+
+  // Bot resolveu (ROBO → FINALIZADO) x handoff (ROBO → PENDENTE), por instância
+  app.get('/api/reports/bot-resolution', requireRole(Roles.SUPERVISOR), async (req, res) => {
+    const range = reportRange(req.query);
+    if (!range) return res.status(400).json({ error: 'período inválido' });
+    try {
+      const transitions = (await loadTransitions(range)).filter(t => t.from_status === Status.ROBO && [Status.FINALIZADO, Status.PENDENTE].includes(t.to_status));
+      const rows = [...groupBy(transitions, t => t.instance_id || '').entries()].map(([instanceId, list]) => {
+        const botResolved = list.filter(t => t.to_status === Status.FINALIZADO).length;
+        const handedOff = list.length - botResolved;
+        return { instanceId, botResolved, handedOff, handoffRate: list.length ? Number((handedOff / list.length).toFixed(3)) : null };
+      });
+      const botResolved = rows.reduce((a, r) => a + r.botResolved, 0);
+      const handedOff = rows.reduce((a, r) => a + r.handedOff, 0);
+      const total = { botResolved, handedOff, handoffRate: botResolved + handedOff ? Number((handedOff / (botResolved + handedOff)).toFixed(3)) : null };
+      return sendReport(req, res, 'bot-resolution', { from: range.from, to: range.to, total, instances: rows }, ['instance_id', 'bot_resolved', 'handed_off', 'handoff_rate'], rows.map(r => [r.instanceId, r.botResolved, r.handedOff, r.handoffRate]));
+    } catch (err) { logger.error('Failed to build report', { err: err.message }); return res.status(500).json({ error: 'Failed to build report' }); }
+  });
+
+  // Tempo entre entrar em PENDENTE e a primeira resposta do atendente
+  app.get('/api/reports/first-response', requireRole(Roles.SUPERVISOR), async (req, res) => {
+    const range = reportRange(req.query);
+    if (!range) return res.status(400).json({ error: 'período inválido' });
+    try {
+      const transitions = await loadTransitions(range, { until: nowIso() });
+      const byNumber = groupBy(transitions, 'numero_paciente');
+      const pendings = transitions.filter(t => t.to_status === Status.PENDENTE && t.created_at <= range.to);
+      const numbers = [...new Set(pendings.map(t => t.numero_paciente))];
+      const replies = new Map();
+      for (const batch of chunks(numbers, 200)) {
+        const rows = await selectAll(() => supabase.from('messages').select('numero_paciente, created_at, atendente_id, atendente_nome').in('numero_paciente', batch).eq('remetente', 'Atendente').gte('created_at', range.from).order('created_at', { ascending: true }));
+        for (const [numero, list] of groupBy(rows, 'numero_paciente')) replies.set(numero, list);
+      }
+      const detail = pendings.map(t => {
+        // Fim do episódio: próxima ida a PENDENTE ou FINALIZADO sem resposta
+        const end = (byNumber.get(t.numero_paciente) || []).find(x => x.created_at > t.created_at && [Status.PENDENTE, Status.FINALIZADO].includes(x.to_status));
+        const reply = (replies.get(t.numero_paciente) || []).find(m => m.created_at > t.created_at && (!end || m.created_at <= end.created_at));
+        return { numeroPaciente: t.numero_paciente, instanceId: t.instance_id, pendingAt: t.created_at, firstReplyAt: reply ? reply.created_at : null, attendant: reply ? (reply.atendente_nome || reply.atendente_id || null) : null, seconds: reply ? Math.round((new Date(reply.created_at) - new Date(t.created_at)) / 1000) : null };
+      });
+      const answered = detail.filter(d => d.seconds != null);
+      const json = { from: range.from, to: range.to, ...durationStats(answered.map(d => d.seconds * 1000)), unanswered: detail.length - answered.length, detail };
+      return sendReport(req, res, 'first-response', json, ['numero', 'instance_id', 'pendente_em', 'primeira_resposta_em', 'atendente', 'segundos'], detail.map(d => [d.numeroPaciente, d.instanceId, d.pendingAt, d.firstReplyAt, d.attendant, d.seconds]));
+    } catch (err) { logger.error('Failed to build report', { err: err.message }); return res.status(500).json({ error: 'Failed to build report' }); }
+  });
+
+  // Tempo de atendimento por atendente: da entrada em EM_ATENDIMENTO_HUMANO até FINALIZADO
+  app.get('/api/reports/handling-time', requireRole(Roles.SUPERVISOR), async (req, res) => {
+    const range = reportRange(req.query);
+    if (!range) return res.status(400).json({ error: 'período inválido' });
+    try {
+      const transitions = await loadTransitions(range, { until: nowIso() });
+      const episodes = [];
+      for (const list of groupBy(transitions, 'numero_paciente').values()) {
+        let open = null;
+        for (const t of list) {
+          if (!open && t.to_status === Status.HUMANO && t.changed_by && t.created_at <= range.to) open = { attendantId: t.changed_by, attendantName: t.changed_by_name, start: t.created_at };
+          else if (open && t.to_status === Status.FINALIZADO) { episodes.push({ ...open, end: t.created_at }); open = null; }
+          else if (open && t.to_status === Status.ROBO) open = null; // devolvido ao bot: não conta
+        }
+        if (open) episodes.push({ ...open, end: null });
+      }
+      const msgQuery = () => { let q = supabase.from('messages').select('atendente_id').eq('remetente', 'Atendente').gte('created_at', range.from).lte('created_at', range.to); if (range.instances.length) q = q.in('instance_id', range.instances); return q; };
+      const sentBy = groupBy(await selectAll(msgQuery), m => String(m.atendente_id || ''));
+      const rows = [...groupBy(episodes, 'attendantId').entries()].map(([attendantId, list]) => {
+        const closed = list.filter(e => e.end);
+        return { attendantId, attendantName: list[0].attendantName || null, conversations: list.length, closed: closed.length, open: list.length - closed.length, messagesSent: (sentBy.get(String(attendantId)) || []).length, ...durationStats(closed.map(e => new Date(e.end) - new Date(e.start))) };
+      });
+      return sendReport(req, res, 'handling-time', { from: range.from, to: range.to, attendants: rows }, ['atendente_id', 'atendente', 'conversas', 'finalizadas', 'em_aberto', 'mensagens', 'media_segundos', 'mediana_segundos', 'p90_segundos'], rows.map(r => [r.attendantId, r.attendantName, r.conversations, r.closed, r.open, r.messagesSent, r.avgSeconds, r.medianSeconds, r.p90Seconds]));
+    } catch (err) { logger.error('Failed to build report', { err: err.message }); return res.status(500).json({ error: 'Failed to build report' }); }
+  });
+
+  // Volume de mensagens por instância e hora (fuso ?timezone=, padrão DEFAULT_TIMEZONE)
+  app.get('/api/reports/volume', requireRole(Roles.SUPERVISOR), async (req, res) => {
+    const range = reportRange(req.query);
+    if (!range) return res.status(400).json({ error: 'período inválido' });
+    const timezone = req.query.timezone || DEFAULT_TIMEZONE;
+    try { new Intl.DateTimeFormat('en-US', { timeZone: timezone }); } catch { return res.status(400).json({ error: 'timezone inválido' }); }
+    try {
+      const rows = await selectAll(() => {
+        let q = supabase.from('messages').select('instance_id, remetente, created_at').gte('created_at', range.from).lte('created_at', range.to).order('created_at', { ascending: true });
+        if (range.instances.length) q = q.in('instance_id', range.instances);
+        return q;
+      });
+      const buckets = new Map();
+      for (const m of rows) {
+        if (m.remetente === NOTE_REMETENTE) continue;
+        const local = localParts(new Date(m.created_at), timezone);
+        const key = `${m.instance_id}|${local.date} ${local.time.slice(0, 2)}:00`;
+        const b = buckets.get(key) || { instanceId: m.instance_id, hour: `${local.date} ${local.time.slice(0, 2)}:00`, paciente: 0, robo: 0, atendente: 0, total: 0 };
+        if (m.remetente === 'Paciente') b.paciente += 1; else if (m.remetente === 'Atendente') b.atendente += 1; else b.robo += 1;
+        b.total += 1;
+        buckets.set(key, b);
+      }
+      const list = [...buckets.values()];
+      return sendReport(req, res, 'volume', { from: range.from, to: range.to, timezone, buckets: list }, ['instance_id', 'hora', 'paciente', 'robo', 'atendente', 'total'], list.map(b => [b.instanceId, b.hour, b.paciente, b.robo, b.atendente, b.total]));
+    } catch (err) { logger.error('Failed to build report', { err: err.message }); return res.status(500).json({ error: 'Failed to build report' }); }
+  });
+
+  // Auditoria de mudanças de status: ?numero=&changedBy=&from=&to=
+  app.get('/api/reports/status-transitions', requireRole(Roles.SUPERVISOR), async (req, res) => {
+    const range = reportRange(req.query);
+    if (!range) return res.status(400).json({ error: 'período inválido' });
+    try {
+      let list = await loadTransitions(range);
+      if (req.query.numero) list = list.filter(t => t.numero_paciente === normalizePhone(req.query.numero));
+      if (req.query.changedBy) list = list.filter(t => String(t.changed_by) === String(req.query.changedBy));
+      return sendReport(req, res, 'status-transitions', list, ['quando', 'numero', 'instance_id', 'de', 'para', 'por', 'origem'], list.map(t => [t.created_at, t.numero_paciente, t.instance_id, t.from_status, t.to_status, t.changed_by_name || t.changed_by, t.source]));
+    } catch (err) { logger.error('Failed to fetch transitions', { err: err.message }); return res.status(500).json({ error: 'Failed to fetch transitions' }); }
+  });
+
+  /* ==================== Webhooks de saída (eventos) ==================== */
+  // Assinaturas por instância (sql/020): o sistema da clínica recebe POST JSON a cada evento.
+  //   X-Signature: sha256=HMAC(secret, corpo) — mesmo esquema do encaminhamento ao bot
+  //   X-Event-Id (igual nas reentregas/replays, para deduplicar), X-Event-Type, X-Delivery-Id
+  // Falha (rede ou status ≠ 2xx) → nova tentativa com backoff exponencial até EVENT_WEBHOOK_MAX_ATTEMPTS.
+  const EVENT_WEBHOOK_TYPES = ['message.received', 'message.sent', 'conversation.status_changed', 'conversation.assigned'];
+  const EVENT_WEBHOOK_POLL_MS = Number(process.env.EVENT_WEBHOOK_POLL_MS || 5000);
+  const EVENT_WEBHOOK_MAX_ATTEMPTS = Number(process.env.EVENT_WEBHOOK_MAX_ATTEMPTS || 8);
+  const EVENT_WEBHOOK_TIMEOUT_MS = 10000;
+  const EVENT_WEBHOOK_BACKOFF_MS = 10000;
+  const EVENT_WEBHOOK_BACKOFF_MAX_MS = 60 * 60 * 1000;
+  const EVENT_WEBHOOK_STUCK_MS = 5 * 60 * 1000;
+  const EVENT_WEBHOOK_CACHE_MS = 30000;
+
+  // Evento interno (publishEvent) → tipo externo; null = não vai para webhooks
+  const EVENT_WEBHOOK_MAP = {
+    'message.created': evt => (evt.data.remetente === 'Paciente' ? 'message.received' : null),
+    'message.sent': () => 'message.sent',
+    'conversation.status': () => 'conversation.status_changed',
+    'conversation.assigned': () => 'conversation.assigned',
+  };
+
+  const subscriptionCache = new Map(); // instanceId → { at, subs }
+  async function activeSubscriptions(instanceId) {
+    const cached = subscriptionCache.get(instanceId);
+    if (cached && Date.now() - cached.at < EVENT_WEBHOOK_CACHE_MS) return cached.subs;
+    const { data, error } = await supabase.from('event_webhooks').select('*').eq('instance_id', instanceId).eq('active', true);
+    if (error) { if (isMissingTable(error)) return []; throw error; }
+    subscriptionCache.set(instanceId, { at: Date.now(), subs: data || [] });
+    return data || [];
+  }
+
+  async function dispatchEventWebhooks(evt) {
+    const toType = EVENT_WEBHOOK_MAP[evt.type];
+    const type = toType && toType(evt);
+    if (!type || evt.instanceId == null) return;
+    const subs = (await activeSubscriptions(evt.instanceId)).filter(s => !(s.events || []).length || s.events.includes(type));
+    if (!subs.length) return;
+    const payload = { id: crypto.randomUUID(), type, instanceId: evt.instanceId, numeroPaciente: evt.numeroPaciente, occurredAt: evt.ts, data: evt.data };
+    const rows = subs.map(s => ({ subscription_id: s.id, instance_id: evt.instanceId, numero_paciente: evt.numeroPaciente || null, event_id: payload.id, event_type: type, payload, status: 'pending', attempts: 0, max_attempts: EVENT_WEBHOOK_MAX_ATTEMPTS, next_attempt_at: nowIso(), created_at: nowIso(), updated_at: nowIso() }));
+    const { error } = await supabase.from('event_webhook_deliveries').insert(rows);
     if (error) throw error;
-  } catch (err) {
-    if (isStatusColError(err)) {
-      HAS_STATUS_CONVERSA = false;
-      const clone = { ...values }; delete clone.status_conversa;
-      const { error: e2 } = await supabase.from('messages').update(clone).eq('numero_paciente', numeroPaciente);
-      if (e2) throw e2;
-    } else { throw err; }
+    kickEventWebhooks();
   }
-}
 
-/* ==================== Supabase helpers ===================== */
-async function getLastMessageInfo(numeroPaciente) {
-  const { data } = await supabase
-    .from('messages')
-    .select('status_atendimento, status_conversa, remetente')
-    .eq('numero_paciente', numeroPaciente)
-    .order('created_at', { ascending: false })
-    .limit(1);
-  if (!data || !data.length) return { status_atendimento: null, status_conversa: null, remetente: null };
-  return data[0];
-}
-async function getLastRow(numeroPaciente) {
-  const { data } = await supabase
-    .from('messages')
-    .select('*')
-    .eq('numero_paciente', numeroPaciente)
-    .order('created_at', { ascending: false })
-    .limit(1);
-  return (data && data[0]) || null;
-}
+  function signPayload(secret, raw) { return 'sha256=' + crypto.createHmac('sha256', secret).update(raw).digest('hex'); }
 
-async function setConversationStatusMass(numeroPaciente, statusKey) {
-  const values = { status_atendimento: statusKey, status_conversa: statusKey, updated_at: nowIso() };
-  if (!HAS_STATUS_CONVERSA) delete values.status_conversa;
-  await safeUpdateByNumero(numeroPaciente, values);
-}
+  async function attemptEventDelivery(delivery) {
+    const attempts = (delivery.attempts || 0) + 1;
+    const { data: subs, error } = await supabase.from('event_webhooks').select('*').eq('id', delivery.subscription_id).limit(1);
+    if (error) throw error;
+    const sub = subs && subs[0];
+    if (!sub) return updateEventDelivery(delivery.id, { status: 'failed', attempts, last_error: 'subscription_deleted' });
+    if (delivery.payload && delivery.payload.redacted) return updateEventDelivery(delivery.id, { status: 'failed', attempts, last_error: 'redacted' });
 
-/* =================== Gupshup (texto sessão) =================== */
-async function sendWhatsAppSessionMessage({ token, source, destination, text }) {
-  const body = new URLSearchParams();
-  body.append('channel', 'whatsapp');
-  body.append('source', normalizePhone(source));
-  body.append('destination', normalizePhone(destination));
-  body.append('message', JSON.stringify({ type: 'text', text }));
-  body.append('src.name', process.env.GSAPP_NAME || 'SENA');
-
-  const res = await axios.post('https://api.gupshup.io/wa/api/v1/msg', body, {
-    headers: { 'Content-Type': 'application/x-www-form-urlencoded', apikey: process.env.GS_APIKEY || token, 'cache-control': 'no-cache' },
-    timeout: 15000,
-    validateStatus: () => true,
-  });
-
-  const bodyStr = typeof res.data === 'string' ? res.data : JSON.stringify(res.data || {});
-  if (res.status >= 400) console.error('Gupshup ERROR', res.status, bodyStr);
-  else console.log('Gupshup OK', res.status, bodyStr.slice(0, 200));
-  return res;
-}
+    const raw = JSON.stringify({ ...delivery.payload, deliveryId: delivery.id, attempt: attempts });
+    const headers = { 'Content-Type': 'application/json', 'User-Agent': 'sena-webhooks/1', 'X-Event-Id': delivery.event_id, 'X-Event-Type': delivery.event_type, 'X-Delivery-Id': String(delivery.id) };
+    let secret = null;
+    try { secret = decryptSecret(sub.secret); } catch (err) { logger.error('Failed to decrypt webhook secret', { subscriptionId: sub.id, err: err.message }); }
+    if (secret) headers['X-Signature'] = signPayload(secret, raw);
 
-/* ==================== Lógica comum: envio HUMANO ==================== */
-async function handleHumanSend({ instanceId, numeroPaciente, nomePaciente, texto }) {
-  const phone = normalizePhone(numeroPaciente);
-  const patientName = safeString(nomePaciente || '');
-  const text = String(texto || '').trim();
-  if (!phone || !text) return { http: 400, body: { error: 'numeroPaciente e texto são obrigatórios' } };
-
-  const { data: inst, error: e1 } = await supabase
-    .from('instances').select('token, source_number').eq('id_da_instancia', String(instanceId)).single();
-  if (e1 || !inst || !inst.token || !inst.source_number) {
-    console.error('Missing token/source for instance', instanceId, inst);
-    return { http: 500, body: { error: 'instance_not_ready' } };
-  }
-
-  const resp = await sendWhatsAppSessionMessage({ token: inst.token, source: inst.source_number, destination: phone, text });
-  if (resp.status < 200 || resp.status >= 300) return { http: 502, body: { error: 'gupshup_fail', status: resp.status, body: resp.data } };
-
-  await setConversationStatusMass(phone, Status.HUMANO);
-  await safeInsert({
-    instance_id: String(instanceId),
-    numero_paciente: phone,
-    nome_paciente: patientName,
-    mensagem_paciente: null,
-    resposta_robo: null,
-    resposta_atendente: text,
-    remetente: 'Atendente',
-    status_atendimento: Status.HUMANO,
-    status_conversa: Status.HUMANO,
-  });
-  return { http: 200, body: { success: true } };
-}
+    const started = Date.now();
+    let status = null;
+    let body = null;
+    try {
+      const resp = await axios.post(sub.url, raw, { headers, timeout: EVENT_WEBHOOK_TIMEOUT_MS, validateStatus: () => true, maxRedirects: 0, responseType: 'text', transformResponse: r => r });
+      status = resp.status;
+      body = resp.data;
+    } catch (err) { body = err.message; }
+    const durationMs = Date.now() - started;
+    const ok = status != null && status >= 200 && status < 300;
+    incCounter('event_webhook_deliveries_total', { outcome: ok ? 'delivered' : status == null ? 'error' : 'http_error' });
+    const base = { attempts, last_status_code: status, duration_ms: durationMs, response_body: safeString(body).slice(0, 2000) };
+    if (ok) return updateEventDelivery(delivery.id, { ...base, status: 'delivered', last_error: null, delivered_at: nowIso() });
+    const lastError = status == null ? safeString(body) : `HTTP ${status}`;
+    logger.warn('Event webhook delivery failed', { deliveryId: delivery.id, subscriptionId: sub.id, status, attempts });
+    if (attempts < (delivery.max_attempts || EVENT_WEBHOOK_MAX_ATTEMPTS)) {
+      const wait = Math.min(EVENT_WEBHOOK_BACKOFF_MAX_MS, EVENT_WEBHOOK_BACKOFF_MS * 2 ** (attempts - 1));
+      return updateEventDelivery(delivery.id, { ...base, status: 'pending', last_error: lastError, next_attempt_at: new Date(Date.now() + wait).toISOString() });
+    }
+    return updateEventDelivery(delivery.id, { ...base, status: 'failed', last_error: lastError });
+  }
+
+  async function updateEventDelivery(id, values) {
+    const { error } = await supabase.from('event_webhook_deliveries').update({ ...values, updated_at: nowIso() }).eq('id', id);
+    if (error) logger.error('Failed to update webhook delivery', { id, err: error.message });
+  }
+
+  let eventWebhookWorkerRunning = false;
+  async function processEventWebhooks() {
+    if (eventWebhookWorkerRunning) return;
+    eventWebhookWorkerRunning = true;
+    try {
+      const stuckBefore = new Date(Date.now() - EVENT_WEBHOOK_STUCK_MS).toISOString();
+      const { error: e1 } = await supabase.from('event_webhook_deliveries').update({ status: 'pending', updated_at: nowIso() }).eq('status', 'delivering').lt('updated_at', stuckBefore);
+      if (e1) { if (isMissingTable(e1)) return; throw e1; }
+      const { data, error } = await supabase.from('event_webhook_deliveries').select('*').eq('status', 'pending').lte('next_attempt_at', nowIso()).order('next_attempt_at', { ascending: true }).limit(50);
+      if (error) throw error;
+      for (const d of data || []) {
+        const { data: claimed, error: e2 } = await supabase.from('event_webhook_deliveries').update({ status: 'delivering', updated_at: nowIso() }).eq('id', d.id).eq('status', 'pending').select();
+        if (e2) throw e2;
+        if (claimed && claimed[0]) await attemptEventDelivery(claimed[0]);
+      }
+    } catch (err) { logger.error('Event webhook worker failed', { err: err.message }); }
+    finally { eventWebhookWorkerRunning = false; }
+  }
+
+  // Entrega logo após o evento, sem esperar o próximo ciclo do worker
+  function kickEventWebhooks() { if (EVENT_WEBHOOK_POLL_MS > 0) setImmediate(runAsJob('event-webhooks', processEventWebhooks)); }
+
+  function publicSubscription(row) {
+    const { secret, ...rest } = row;
+    return { ...rest, has_secret: !!secret };
+  }
+
+  function subscriptionValues(b, { creating = false } = {}) {
+    const values = {};
+    if (b.url !== undefined || creating) {
+      if (!/^https?:\/\//i.test(String(b.url || ''))) return { error: 'url deve ser http(s)' };
+      values.url = String(b.url);
+    }
+    if (b.events !== undefined) {
+      const events = Array.isArray(b.events) ? b.events : splitList(b.events);
+      const invalid = events.filter(e => !EVENT_WEBHOOK_TYPES.includes(e));
+      if (invalid.length) return { error: `eventos inválidos: ${invalid.join(', ')} (use ${EVENT_WEBHOOK_TYPES.join(' | ')})` };
+      values.events = events;
+    }
+    if (b.description !== undefined) values.description = b.description || null;
+    if (b.active !== undefined) values.active = !!b.active;
+    return { values };
+  }
+
+  async function getSubscription(instanceId, id) {
+    const { data, error } = await supabase.from('event_webhooks').select('*').eq('id', id).eq('instance_id', String(instanceId)).limit(1);
+    if (error) throw error;
+    return (data && data[0]) || null;
+  }
+
+  function newWebhookSecret() { return 'whsec_' + crypto.randomBytes(24).toString('hex'); }
+
+  app.get('/api/instance/:id/event-webhooks', requireRole(Roles.ADMIN), async (req, res) => {
+    try {
+      const { data, error } = await supabase.from('event_webhooks').select('*').eq('instance_id', String(req.params.id)).order('id', { ascending: true });
+      if (error) throw error;
+      return res.json((data || []).map(publicSubscription));
+    } catch (err) { logger.error('Failed to list event webhooks', { err: err.message }); return res.status(500).json({ error: 'Failed to list event webhooks' }); }
+  });
+
+  // { url, events: [...] (vazio = todos), description, secret? } → o segredo só aparece nesta resposta
+  app.post('/api/instance/:id/event-webhooks', requireRole(Roles.ADMIN), jsonParser, async (req, res) => {
+    const b = req.body || {};
+    const { values, error: invalid } = subscriptionValues(b, { creating: true });
+    if (invalid) return res.status(400).json({ error: invalid });
+    const secret = b.secret ? String(b.secret) : newWebhookSecret();
+    try {
+      const { data, error } = await supabase.from('event_webhooks').insert({ instance_id: String(req.params.id), events: [], active: true, ...values, secret: encryptSecret(secret), created_by: String(req.user.id), created_at: nowIso(), updated_at: nowIso() }).select().single();
+      if (error) throw error;
+      subscriptionCache.delete(String(req.params.id));
+      return res.status(201).json({ ...publicSubscription(data), secret });
+    } catch (err) { logger.error('Failed to create event webhook', { err: err.message }); return res.status(500).json({ error: 'Failed to create event webhook' }); }
+  });
+
+  app.patch('/api/instance/:id/event-webhooks/:wid', requireRole(Roles.ADMIN), jsonParser, async (req, res) => {
+    const { values, error: invalid } = subscriptionValues(req.body || {});
+    if (invalid) return res.status(400).json({ error: invalid });
+    try {
+      const { data, error } = await supabase.from('event_webhooks').update({ ...values, updated_at: nowIso() }).eq('id', req.params.wid).eq('instance_id', String(req.params.id)).select();
+      if (error) throw error;
+      if (!data || !data.length) return res.status(404).json({ error: 'Webhook não encontrado' });
+      subscriptionCache.delete(String(req.params.id));
+      return res.json(publicSubscription(data[0]));
+    } catch (err) { logger.error('Failed to update event webhook', { err: err.message }); return res.status(500).json({ error: 'Failed to update event webhook' }); }
+  });
+
+  app.delete('/api/instance/:id/event-webhooks/:wid', requireRole(Roles.ADMIN), async (req, res) => {
+    try {
+      const { data, error } = await supabase.from('event_webhooks').delete().eq('id', req.params.wid).eq('instance_id', String(req.params.id)).select();
+      if (error) throw error;
+      if (!data || !data.length) return res.status(404).json({ error: 'Webhook não encontrado' });
+      subscriptionCache.delete(String(req.params.id));
+      return res.json({ success: true });
+    } catch (err) { logger.error('Failed to delete event webhook', { err: err.message }); return res.status(500).json({ error: 'Failed to delete event webhook' }); }
+  });
+
+  app.post('/api/instance/:id/event-webhooks/:wid/rotate-secret', requireRole(Roles.ADMIN), async (req, res) => {
+    const secret = newWebhookSecret();
+    try {
+      const { data, error } = await supabase.from('event_webhooks').update({ secret: encryptSecret(secret), updated_at: nowIso() }).eq('id', req.params.wid).eq('instance_id', String(req.params.id)).select();
+      if (error) throw error;
+      if (!data || !data.length) return res.status(404).json({ error: 'Webhook não encontrado' });
+      subscriptionCache.delete(String(req.params.id));
+      return res.json({ ...publicSubscription(data[0]), secret });
+    } catch (err) { logger.error('Failed to rotate webhook secret', { err: err.message }); return res.status(500).json({ error: 'Failed to rotate webhook secret' }); }
+  });
+
+  // Evento "ping" só para esta assinatura (valida URL e verificação da assinatura no destino)
+  app.post('/api/instance/:id/event-webhooks/:wid/test', requireRole(Roles.ADMIN), async (req, res) => {
+    try {
+      const sub = await getSubscription(req.params.id, req.params.wid);
+      if (!sub) return res.status(404).json({ error: 'Webhook não encontrado' });
+      const payload = { id: crypto.randomUUID(), type: 'ping', instanceId: String(req.params.id), numeroPaciente: null, occurredAt: nowIso(), data: {} };
+      const { data, error } = await supabase.from('event_webhook_deliveries').insert({ subscription_id: sub.id, instance_id: String(req.params.id), event_id: payload.id, event_type: 'ping', payload, status: 'delivering', attempts: 0, max_attempts: 1, next_attempt_at: nowIso(), created_at: nowIso(), updated_at: nowIso() }).select().single();
+      if (error) throw error;
+      await attemptEventDelivery(data);
+      return res.json(await getEventDelivery(data.id));
+    } catch (err) { logger.error('Failed to test event webhook', { err: err.message }); return res.status(500).json({ error: 'Failed to test event webhook' }); }
+  });
+
+  async function getEventDelivery(id) {
+    const { data, error } = await supabase.from('event_webhook_deliveries').select('*').eq('id', id).limit(1);
+    if (error) throw error;
+    return (data && data[0]) || null;
+  }
+
+  // Log de entregas: ?status=pending|delivering|delivered|failed&eventType=&limit=&cursor=
+  app.get('/api/instance/:id/event-webhooks/:wid/deliveries', requireRole(Roles.ADMIN), async (req, res) => {
+    const limit = pageLimit(req.query.limit, 50, 200);
+    const cursor = decodeCursor(req.query.cursor, ['id']);
+    if (cursor === false) return res.status(400).json({ error: 'cursor inválido' });
+    try {
+      let q = supabase.from('event_webhook_deliveries').select('*').eq('subscription_id', req.params.wid).eq('instance_id', String(req.params.id)).order('id', { ascending: false }).limit(limit + 1);
+      if (req.query.status) q = q.in('status', splitList(req.query.status));
+      if (req.query.eventType) q = q.eq('event_type', String(req.query.eventType));
+      if (cursor) q = q.lt('id', cursor[0]);
+      const { data, error } = await q;
+      if (error) throw error;
+      const rows = data || [];
+      if (rows.length > limit) { rows.length = limit; res.setHeader('X-Next-Cursor', encodeCursor([rows[rows.length - 1].id])); }
+      return res.json(rows);
+    } catch (err) { logger.error('Failed to fetch webhook deliveries', { err: err.message }); return res.status(500).json({ error: 'Failed to fetch webhook deliveries' }); }
+  });
+
+  function replayRow(d) {
+    return { subscription_id: d.subscription_id, instance_id: d.instance_id, numero_paciente: d.numero_paciente || null, event_id: d.event_id, event_type: d.event_type, payload: d.payload, status: 'pending', attempts: 0, max_attempts: EVENT_WEBHOOK_MAX_ATTEMPTS, next_attempt_at: nowIso(), replay_of: d.id, created_at: nowIso(), updated_at: nowIso() };
+  }
+
+  // Reenvia uma entrega (nova linha com replay_of; mesmo X-Event-Id)
+  app.post('/api/instance/:id/event-webhooks/:wid/deliveries/:did/replay', requireRole(Roles.ADMIN), async (req, res) => {
+    try {
+      const d = await getEventDelivery(req.params.did);
+      if (!d || String(d.subscription_id) !== String(req.params.wid) || String(d.instance_id) !== String(req.params.id)) return res.status(404).json({ error: 'Entrega não encontrada' });
+      if (d.payload && d.payload.redacted) return res.status(409).json({ error: 'delivery_redacted' });
+      const { data, error } = await supabase.from('event_webhook_deliveries').insert(replayRow(d)).select().single();
+      if (error) throw error;
+      kickEventWebhooks();
+      return res.status(202).json(data);
+    } catch (err) { logger.error('Failed to replay webhook delivery', { err: err.message }); return res.status(500).json({ error: 'Failed to replay webhook delivery' }); }
+  });
+
+  // Replay em lote: { from, to, status: 'failed' (padrão) | 'delivered' | 'all' } — ex.: depois de o destino ficar fora do ar
+  app.post('/api/instance/:id/event-webhooks/:wid/replay', requireRole(Roles.ADMIN), jsonParser, async (req, res) => {
+    const b = req.body || {};
+    const range = reportRange({ from: b.from, to: b.to });
+    if (!range) return res.status(400).json({ error: 'from/to inválidos' });
+    const status = b.status || 'failed';
+    if (!['failed', 'delivered', 'all'].includes(status)) return res.status(400).json({ error: 'status deve ser failed | delivered | all' });
+    try {
+      if (!(await getSubscription(req.params.id, req.params.wid))) return res.status(404).json({ error: 'Webhook não encontrado' });
+      const list = await selectAll(() => {
+        let q = supabase.from('event_webhook_deliveries').select('*').eq('subscription_id', req.params.wid).gte('created_at', range.from).lte('created_at', range.to).neq('event_type', 'ping').order('id', { ascending: true });
+        return status === 'all' ? q.in('status', ['failed', 'delivered']) : q.eq('status', status);
+      });
+      // Um replay por evento (o original pode ter falhado e já ter sido reenviado antes); payload apagado pela LGPD não volta
+      const byEvent = new Map(list.filter(d => !(d.payload && d.payload.redacted)).map(d => [d.event_id, d]));
+      for (const part of chunks([...byEvent.values()].map(replayRow), 200)) {
+        const { error } = await supabase.from('event_webhook_deliveries').insert(part);
+        if (error) throw error;
+      }
+      kickEventWebhooks();
+      return res.status(202).json({ replayed: byEvent.size });
+    } catch (err) { logger.error('Failed to replay webhook deliveries', { err: err.message }); return res.status(500).json({ error: 'Failed to replay webhook deliveries' }); }
+  });
+
+  /* ========================== Transcrições ========================== */
+  // Cópia da conversa para o prontuário: TXT, HTML ou PDF, com horários no fuso da clínica,
+  // mudanças de status e anexos. Notas internas só com ?notes=1.
+  const TRANSCRIPT_BULK_MAX = Number(process.env.TRANSCRIPT_BULK_MAX || 500);
+  const TRANSCRIPT_FORMATS = { txt: 'text/plain; charset=utf-8', html: 'text/html; charset=utf-8', pdf: 'application/pdf' };
+  const TRANSCRIPT_STATUS_TEXT = { [Status.ROBO]: 'Robô', [Status.PENDENTE]: 'Pendente', [Status.HUMANO]: 'Em atendimento humano', [Status.FINALIZADO]: 'Finalizado' };
+  const MEDIA_TYPE_TEXT = { image: 'imagem', video: 'vídeo', audio: 'áudio', document: 'documento' };
+
+  function senderLabel(m) {
+    if (m.remetente === 'Paciente') return m.nome_paciente ? `Paciente (${m.nome_paciente})` : 'Paciente';
+    if (m.remetente === 'Atendente') return m.atendente_nome ? `Atendente (${m.atendente_nome})` : 'Atendente';
+    if (m.remetente === NOTE_REMETENTE) return `Nota interna${m.atendente_nome ? ` (${m.atendente_nome})` : ''}`;
+    return m.remetente || 'Robô';
+  }
+
+  function formatLocal(iso, timezone) {
+    const p = localParts(new Date(iso), timezone);
+    return `${p.date.split('-').reverse().join('/')} ${p.time}`;
+  }
+
+  // Mensagens + transições em ordem cronológica; mídia vira anexo (o texto fica só com a legenda)
+  function transcriptItems(messages, transitions = []) {
+    const items = messages.map(m => ({
+      kind: m.remetente === NOTE_REMETENTE ? 'note' : 'message',
+      at: m.created_at,
+      sender: senderLabel(m),
+      text: m.media_url ? (m.media_caption || '') : (messagePreview(m) || ''),
+      attachment: m.media_url ? { type: MEDIA_TYPE_TEXT[m.media_type] || 'anexo', url: m.media_url, filename: m.media_filename || null } : null,
+    }));
+    for (const t of transitions) {
+      const by = t.changed_by_name ? ` por ${t.changed_by_name}` : t.source === 'system' ? ' (automático)' : '';
+      items.push({ kind: 'status', at: t.created_at, text: `Status: ${TRANSCRIPT_STATUS_TEXT[t.from_status] || t.from_status || '—'} → ${TRANSCRIPT_STATUS_TEXT[t.to_status] || t.to_status}${by}` });
+    }
+    return items.sort((a, b) => new Date(a.at) - new Date(b.at));
+  }
 
-/* ============================== API =============================== */
-app.get('/health', (req, res) => res.json({ ok: true, version: 'v11h', hasStatusConversa: HAS_STATUS_CONVERSA, ts: nowIso() }));
-
-// Instâncias (listagem simples)
-app.get('/api/instances', async (_req, res) => {
-  try {
-    const { data, error } = await supabase.from('instances').select('id_da_instancia, token, source_number');
-    if (error) throw error;
-    const out = (data || []).map(r => ({ id: String(r.id_da_instancia ?? ''), hasToken: !!r.token, source: r.source_number || null }));
-    res.json(out.filter(x => x.id !== ''));
-  } catch (e) { res.status(500).json({ error: e.message }); }
-});
-
-app.post('/api/instance/:id/token', jsonParser, async (req, res) => {
-  const instanceId = String(req.params.id);
-  const { token, source_number } = req.body || {};
-  if (!token) return res.status(400).json({ error: 'Token is required' });
-  const updates = { id_da_instancia: instanceId, token, source_number: source_number || null, status: 'active', updated_at: nowIso() };
-  try { await supabase.from('instances').upsert(updates, { onConflict: 'id_da_instancia' }); return res.json({ success: true }); }
-  catch (err) { console.error('Failed to upsert token:', err.message); return res.status(500).json({ error: 'Failed to save token' }); }
-});
-
-/* ======================= HUMANO → WHATSAPP ======================== */
-app.post('/api/instance/:id/messages', jsonParser, async (req, res) => {
-  try {
-    const out = await handleHumanSend({
-      instanceId: req.params.id,
-      numeroPaciente: req.body?.numeroPaciente || req.body?.numero_paciente,
-      nomePaciente: req.body?.nomePaciente || req.body?.nome_paciente,
-      texto: req.body?.texto,
+  async function timezoneOf(instanceId) {
+    const settings = instanceId != null ? await getServiceSettings(instanceId) : null;
+    return (settings && settings.timezone) || DEFAULT_TIMEZONE;
+  }
+
+  async function loadTranscript(numero, { from = null, to = null, notes = false } = {}) {
+    const conv = await getConversation(numero);
+    const messages = await selectAll(() => {
+      let q = supabase.from('messages').select('*').eq('numero_paciente', numero);
+      if (from) q = q.gte('created_at', from);
+      if (to) q = q.lte('created_at', to);
+      return q.order('created_at', { ascending: true }).order('id', { ascending: true });
     });
-    return res.status(out.http).json(out.body);
-  } catch (err) { console.error('Failed to insert attendant message:', err.message); return res.status(500).json({ error: 'Failed to save message' }); }
-});
-
-// 🚀 NOVO — Rota compatível com o painel atual: /messages
-app.post('/messages', jsonParser, async (req, res) => {
-  try {
-    const numeroPaciente = req.body?.numeroPaciente || req.body?.numero_paciente || req.body?.numero;
-    const nomePaciente   = req.body?.nomePaciente || req.body?.nome_paciente || req.body?.nome;
-    const texto          = req.body?.texto || req.body?.message || req.body?.mensagem;
-    const instanceId     = String(req.body?.instanceId || '0');
-
-    const out = await handleHumanSend({ instanceId, numeroPaciente, nomePaciente, texto });
-    return res.status(out.http).json(out.body);
-  } catch (err) { console.error('Compat /messages failed:', err.message); return res.status(500).json({ error: 'Failed to send message' }); }
-});
-
-/* ============================ WEBHOOK ============================== */
-app.post('/api/webhook', rawBodyParser, urlencodedParser, async (req, res) => {
-  let body;
-  try { const cleaned = String(req.body || '').replace(/[\u0000-\u001F\u007F]/g, ''); body = JSON.parse(cleaned); }
-  catch (e) { console.error('❌ JSON malformado:', e.message); return res.status(400).json({ error: 'JSON malformado' }); }
-
-  try {
-    const instanceId = String(body.instanceId || body.instance_id || '0');
-    const numeroPaciente = normalizePhone(body.numeroPaciente || body.numero_paciente);
-    const mensagemPaciente = body.mensagemPaciente;
-    const respostaRobo = body.respostaRobo || body.resposta_robo || null;
-    const patientName = safeString(body.nomePaciente || body.nome_paciente || '');
-    const remetente = body.remetente || (respostaRobo ? 'Robô' : 'Paciente');
+    let transitions = [];
+    try {
+      transitions = await selectAll(() => {
+        let q = supabase.from('status_transitions').select('*').eq('numero_paciente', numero);
+        if (from) q = q.gte('created_at', from);
+        if (to) q = q.lte('created_at', to);
+        return q.order('created_at', { ascending: true });
+      });
+    } catch (err) { if (!isMissingTable(err)) throw err; }
+    const visible = notes ? messages : messages.filter(m => m.remetente !== NOTE_REMETENTE);
+    const instanceId = (conv && conv.instance_id) || (messages[0] && messages[0].instance_id) || null;
+    const patient = [...messages].reverse().find(m => m.remetente === 'Paciente' && m.nome_paciente);
+    return {
+      numero,
+      nome: (conv && conv.nome_paciente) || (patient && patient.nome_paciente) || null,
+      instanceId,
+      timezone: await timezoneOf(instanceId),
+      from, to,
+      messageCount: visible.length,
+      items: transcriptItems(visible, transitions),
+    };
+  }
 
-    if (!numeroPaciente) return res.status(400).json({ error: 'Missing numeroPaciente' });
+  function transcriptHeader(t) {
+    const period = t.from || t.to ? `${t.from ? formatLocal(t.from, t.timezone) : 'início'} a ${t.to ? formatLocal(t.to, t.timezone) : 'hoje'}` : 'conversa completa';
+    return [
+      ['Paciente', t.nome ? `${t.nome} (${t.numero})` : t.numero],
+      ['Período', period],
+      ['Fuso horário', t.timezone],
+      ['Gerado em', formatLocal(nowIso(), t.timezone)],
+    ];
+  }
 
-    const lastInfo = await getLastMessageInfo(numeroPaciente);
-    let current = lastInfo.status_conversa || lastInfo.status_atendimento || Status.ROBO;
+  function renderTranscriptTxt(t, title = 'Transcrição da conversa (WhatsApp)') {
+    const lines = [title, ...transcriptHeader(t).map(([k, v]) => `${k}: ${v}`), ''];
+    for (const item of t.items) {
+      const when = `[${formatLocal(item.at, t.timezone)}]`;
+      if (item.kind === 'status') { lines.push(`${when} --- ${item.text} ---`); continue; }
+      lines.push(`${when} ${item.sender}: ${item.text}`.trimEnd());
+      if (item.attachment) lines.push(`    Anexo (${item.attachment.type}): ${item.attachment.filename ? `${item.attachment.filename} — ` : ''}${item.attachment.url}`);
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  function escapeHtml(s) { return String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c])); }
+
+  function renderTranscriptHtml(t) {
+    const rows = t.items.map(item => {
+      const when = `<time>${escapeHtml(formatLocal(item.at, t.timezone))}</time>`;
+      if (item.kind === 'status') return `<li class="status">${when} ${escapeHtml(item.text)}</li>`;
+      const a = item.attachment;
+      const attachment = !a ? '' : a.type === 'imagem'
+        ? `<div class="att"><a href="${escapeHtml(a.url)}"><img src="${escapeHtml(a.url)}" alt="${escapeHtml(a.filename || 'imagem')}"></a></div>`
+        : `<div class="att">Anexo (${escapeHtml(a.type)}): <a href="${escapeHtml(a.url)}">${escapeHtml(a.filename || a.url)}</a></div>`;
+      return `<li class="${item.kind}">${when} <b>${escapeHtml(item.sender)}</b><p>${escapeHtml(item.text).replace(/\n/g, '<br>')}</p>${attachment}</li>`;
+    }).join('\n');
+    return `<!doctype html>
+<html lang="pt-BR"><head><meta charset="utf-8"><title>Transcrição — ${escapeHtml(t.nome || t.numero)}</title>
+<style>body{font-family:Arial,sans-serif;max-width:800px;margin:24px auto;color:#222}dl{display:grid;grid-template-columns:auto 1fr;gap:2px 12px}dt{font-weight:bold}ul{list-style:none;padding:0}li{border-bottom:1px solid #eee;padding:6px 0}li p{margin:2px 0;white-space:pre-wrap}time{color:#666;font-size:.85em}.status{color:#666;font-style:italic}.note{background:#fff8dc}.att img{max-width:240px}</style>
+</head><body>
+<h1>Transcrição da conversa (WhatsApp)</h1>
+<dl>${transcriptHeader(t).map(([k, v]) => `<dt>${escapeHtml(k)}</dt><dd>${escapeHtml(v)}</dd>`).join('')}</dl>
+<ul>
+${rows}
+</ul>
+</body></html>
+`;
+  }
+
+  // As fontes padrão do PDF (Helvetica) só têm WinAnsi: setas, travessões e emojis viram lixo. Troca os
+  // símbolos que o próprio transcript usa por ASCII e o que sobrar fora do Latin-1 por "?"
+  const PDF_REPLACEMENTS = { '→': '->', '—': '-', '–': '-', '…': '...', '‘': "'", '’': "'", '“': '"', '”': '"', '•': '*' };
+  function pdfText(s) {
+    return String(s ?? '').replace(/\r/g, '').replace(/\t/g, ' ').replace(/[→—–…‘’“”•]/g, c => PDF_REPLACEMENTS[c]).replace(/[^\n\x20-\x7e\xa0-\xff]/gu, '?');
+  }
+
+  function renderTranscriptPdf(t) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Transcrição — ${t.nome || t.numero}` } });
+      const parts = [];
+      doc.on('data', c => parts.push(c));
+      doc.on('end', () => resolve(Buffer.concat(parts)));
+      doc.on('error', reject);
+      doc.font('Helvetica-Bold').fontSize(14).text('Transcrição da conversa (WhatsApp)');
+      doc.moveDown(0.5).fontSize(9);
+      for (const [k, v] of transcriptHeader(t)) doc.font('Helvetica-Bold').text(`${k}: `, { continued: true }).font('Helvetica').text(pdfText(v));
+      doc.moveDown();
+      for (const item of t.items) {
+        const when = formatLocal(item.at, t.timezone);
+        if (item.kind === 'status') { doc.font('Helvetica-Oblique').fillColor('#666666').text(pdfText(`${when}  ${item.text}`)).fillColor('black').moveDown(0.4); continue; }
+        doc.font('Helvetica-Bold').text(pdfText(item.sender), { continued: true }).font('Helvetica').fillColor('#666666').text(`  ${when}`).fillColor('black');
+        if (item.text) doc.text(pdfText(item.text));
+        if (item.attachment) doc.fillColor('#1a56db').text(pdfText(`Anexo (${item.attachment.type}): ${item.attachment.filename || item.attachment.url}`), { link: item.attachment.url, underline: true }).fillColor('black');
+        doc.moveDown(0.4);
+      }
+      doc.end();
+    });
+  }
+
+  async function renderTranscript(t, format) {
+    if (format === 'pdf') return renderTranscriptPdf(t);
+    return Buffer.from(format === 'html' ? renderTranscriptHtml(t) : renderTranscriptTxt(t), 'utf8');
+  }
+
+  // GET /api/conversation/:numero/transcript?format=pdf|html|txt&from=&to=&notes=1
+  app.get('/api/conversation/:numero/transcript', requireAuth, async (req, res) => {
+    const numero = normalizePhone(req.params.numero);
+    const format = req.query.format || 'pdf';
+    if (!TRANSCRIPT_FORMATS[format]) return res.status(400).json({ error: 'format deve ser pdf | html | txt' });
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const to = req.query.to ? new Date(req.query.to) : null;
+    if ((from && Number.isNaN(from.getTime())) || (to && Number.isNaN(to.getTime()))) return res.status(400).json({ error: 'from/to inválidos' });
+    try {
+      const t = await loadTranscript(numero, { from: from && from.toISOString(), to: to && to.toISOString(), notes: req.query.notes === '1' || req.query.notes === 'true' });
+      if (!t.messageCount && !t.items.length) return res.status(404).json({ error: 'Nenhuma mensagem no período' });
+      const body = await renderTranscript(t, format);
+      await writeAudit({ action: 'transcript.export', user: req.user, instanceId: t.instanceId, numero, details: { format, from: t.from, to: t.to, messages: t.messageCount } });
+      res.setHeader('Content-Type', TRANSCRIPT_FORMATS[format]);
+      res.setHeader('Content-Disposition', `${format === 'html' ? 'inline' : 'attachment'}; filename="conversa-${numero}.${format}"`);
+      return res.send(body);
+    } catch (err) { logger.error('Failed to export transcript', { err: err.message }); return res.status(500).json({ error: 'Failed to export transcript' }); }
+  });
+
+  // Conversas finalizadas no período; cada arquivo vai do fim do atendimento anterior até a finalização
+  async function finalizedSessions(range) {
+    let finals;
+    try { finals = await loadTransitions(range, { statuses: [Status.FINALIZADO] }); }
+    catch (err) {
+      if (!isMissingTable(err)) throw err;
+      // Sem status_transitions (sql/016): só a finalização atual de cada conversa
+      finals = await selectAll(() => {
+        let q = supabase.from('conversations').select('numero_paciente, instance_id, status_changed_at').eq('status', Status.FINALIZADO).gte('status_changed_at', range.from).lte('status_changed_at', range.to);
+        if (range.instances.length) q = q.in('instance_id', range.instances);
+        return q;
+      });
+      return finals.map(c => ({ numero: c.numero_paciente, instanceId: c.instance_id, start: null, end: c.status_changed_at }));
+    }
+    const sessions = [];
+    for (const f of finals) {
+      const { data, error } = await supabase.from('status_transitions').select('created_at').eq('numero_paciente', f.numero_paciente).eq('to_status', Status.FINALIZADO)
+        .lt('created_at', f.created_at).order('created_at', { ascending: false }).limit(1);
+      if (error) throw error;
+      sessions.push({ numero: f.numero_paciente, instanceId: f.instance_id, start: (data && data[0] && data[0].created_at) || null, end: f.created_at });
+    }
+    return sessions;
+  }
+
+  // GET /api/transcripts/export?from=&to=&instanceId=&format=pdf|html|txt → zip (+ index.csv)
+  app.get('/api/transcripts/export', requireRole(Roles.SUPERVISOR), async (req, res) => {
+    const range = reportRange(req.query);
+    if (!range) return res.status(400).json({ error: 'from/to inválidos' });
+    const format = req.query.format || 'pdf';
+    if (!TRANSCRIPT_FORMATS[format]) return res.status(400).json({ error: 'format deve ser pdf | html | txt' });
+    let sessions;
+    try { sessions = await finalizedSessions(range); }
+    catch (err) { logger.error('Failed to list finalized conversations', { err: err.message }); return res.status(500).json({ error: 'Failed to export transcripts' }); }
+    if (sessions.length > TRANSCRIPT_BULK_MAX) return res.status(413).json({ error: `Mais de ${TRANSCRIPT_BULK_MAX} conversas no período: reduza o intervalo`, count: sessions.length });
 
-    if (remetente === 'Paciente') {
-      switch (current) {
-        case Status.FINALIZADO: current = Status.ROBO; break;
-        case Status.HUMANO:     current = Status.PENDENTE; break;
-        default: /* mantém */   break;
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="transcricoes-${range.from.slice(0, 10)}-${range.to.slice(0, 10)}.zip"`);
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    archive.on('error', err => { logger.error('Transcript archive failed', { err: err.message }); res.destroy(err); });
+    archive.pipe(res);
+    const index = [];
+    try {
+      for (const s of sessions) {
+        const t = await loadTranscript(s.numero, { from: s.start, to: s.end });
+        const name = `${s.numero}-${s.end.slice(0, 19).replace(/[:T]/g, '-')}.${format}`;
+        archive.append(await renderTranscript(t, format), { name });
+        index.push([s.numero, t.nome, s.instanceId, s.start, s.end, t.messageCount, name]);
       }
-      if (mensagemPaciente) {
-        await safeInsert({ instance_id: instanceId, numero_paciente: numeroPaciente, nome_paciente: patientName, mensagem_paciente: safeString(mensagemPaciente), resposta_robo: null, resposta_atendente: null, remetente: 'Paciente', status_atendimento: current, status_conversa: current });
+      archive.append('\uFEFF' + toCsv(['numero', 'nome', 'instance_id', 'inicio', 'finalizado_em', 'mensagens', 'arquivo'], index), { name: 'index.csv' });
+      await archive.finalize();
+      await writeAudit({ action: 'transcript.bulk_export', user: req.user, details: { format, from: range.from, to: range.to, instances: range.instances, conversations: index.length } });
+    } catch (err) {
+      logger.error('Failed to export transcripts', { err: err.message });
+      archive.abort();
+      res.destroy(err);
+    }
+  });
+
+  /* ============================ LGPD ============================ */
+  // Direitos do titular (exportação e anonimização por telefone) e retenção por instância.
+  // Toda ação fica em audit_log (sql/019) com o hash do número, nunca o número em si.
+  const REDACTED_TEXT = '[conteúdo removido]';
+  const REDACTED_PAYLOAD = { redacted: true }; // entregas de webhook de saída: não são reenviadas
+  const RETENTION_INTERVAL_MS = Number(process.env.RETENTION_INTERVAL_MS || 3600000);
+  const RETENTION_BATCH = 500;
+  const RETENTION_MAX_BATCHES = 20; // por instância e rodada; o restante fica para a próxima
+  const RetentionAction = { REDACT: 'redact', PURGE: 'purge' };
+
+  // HMAC (não só sha256): o espaço de telefones é pequeno demais para um hash simples
+  function subjectHash(numero) { return crypto.createHmac('sha256', process.env.AUDIT_HASH_KEY || JWT_SECRET).update(canonicalPhone(numero)).digest('hex'); }
+  // Pseudônimo estável: o mesmo titular anonimizado continua agrupado nos relatórios
+  function pseudonymOf(numero) { return `anon-${subjectHash(numero).slice(0, 16)}`; }
+
+  async function writeAudit({ action, user = null, instanceId = null, numero = null, details = {} }) {
+    const row = { action, actor_id: user ? String(user.id) : null, actor_name: user ? user.name || user.email || null : null, instance_id: instanceId != null ? String(instanceId) : null, subject_hash: numero ? subjectHash(numero) : null, details, created_at: nowIso() };
+    const { error } = await supabase.from('audit_log').insert(row);
+    if (error) logger.error('Failed to write audit log', { action, err: error.message });
+  }
+
+  async function loadSubjectData(numero) {
+    const variants = phoneVariants(numero);
+    const byNumero = (table, col = 'numero_paciente') => selectAll(() => supabase.from(table).select('*').in(col, variants).order('created_at', { ascending: true }));
+    const optional = async (load) => { try { return await load(); } catch (err) { if (isMissingTable(err)) return []; throw err; } };
+    const [messages, conversations, transitions, campaignRecipients, outboundJobs, contact] = await Promise.all([
+      byNumero('messages'),
+      optional(() => byNumero('conversations')),
+      optional(() => byNumero('status_transitions')),
+      optional(() => byNumero('campaign_recipients', 'numero')),
+      optional(() => byNumero('outbound_jobs')),
+      findContactByPhone(numero).catch(err => { if (isMissingTable(err)) return null; throw err; }),
+    ]);
+    return { variants, messages: messages.map(publicMessage), conversations, transitions, campaignRecipients, outboundJobs, contact };
+  }
+
+  // Só apaga arquivos do nosso storage (/media/... local ou bucket público do Supabase)
+  async function deleteStoredMedia(urls) {
+    const keys = [];
+    for (const url of urls.filter(Boolean)) {
+      let pathname;
+      try { pathname = decodeURIComponent(new URL(url).pathname); } catch { continue; }
+      const marker = MEDIA_DRIVER === 'supabase' ? `/object/public/${MEDIA_BUCKET}/` : '/media/';
+      const i = pathname.indexOf(marker);
+      if (i >= 0) keys.push(pathname.slice(i + marker.length));
+    }
+    if (!keys.length) return 0;
+    if (MEDIA_DRIVER === 'supabase') {
+      const { error } = await supabase.storage.from(MEDIA_BUCKET).remove(keys);
+      if (error) throw error;
+      return keys.length;
+    }
+    let removed = 0;
+    for (const key of keys) {
+      const full = path.resolve(MEDIA_DIR, key);
+      if (!full.startsWith(path.resolve(MEDIA_DIR) + path.sep)) continue;
+      try { await fs.promises.unlink(full); removed += 1; } catch (err) { if (err.code !== 'ENOENT') throw err; }
+    }
+    return removed;
+  }
+
+  // Apaga o conteúdo das mensagens (texto, mídia) mantendo remetente, horários e status
+  async function redactMessages(rows, extra = {}) {
+    const ids = rows.map(m => m.id);
+    for (const col of ['mensagem_paciente', 'resposta_robo', 'resposta_atendente']) {
+      for (const part of chunks(rows.filter(m => m[col] != null).map(m => m.id), 200)) {
+        const { error } = await supabase.from('messages').update({ [col]: REDACTED_TEXT }).in('id', part);
+        if (error) throw error;
       }
-      if (current === Status.PENDENTE || current === Status.FINALIZADO) await setConversationStatusMass(numeroPaciente, current);
     }
+    const values = { media_url: null, media_caption: null, media_filename: null, redacted_at: nowIso(), ...extra };
+    for (const part of chunks(ids, 200)) await writeWithColumnFallback(values, p => supabase.from('messages').update(p).in('id', part));
+    return deleteStoredMedia(rows.map(m => m.media_url));
+  }
 
-    if (respostaRobo) {
-      if (current === Status.PENDENTE || current === Status.FINALIZADO) return res.json({ received: true, suppressed: true });
-      let statusForBot = Status.ROBO;
-      if (TRANSFER_TRIGGERS.some(t => normaliseString(respostaRobo).includes(t))) { statusForBot = Status.PENDENTE; await setConversationStatusMass(numeroPaciente, Status.PENDENTE); }
-      await safeInsert({ instance_id: instanceId, numero_paciente: numeroPaciente, nome_paciente: patientName, mensagem_paciente: null, resposta_robo: safeString(respostaRobo), resposta_atendente: null, remetente: 'Robô', status_atendimento: statusForBot, status_conversa: statusForBot });
-    }
-
-    return res.json({ received: true });
-  } catch (err) { console.error('Webhook insert failed:', err.message); return res.status(500).json({ error: 'Webhook insert failed' }); }
-});
-
-/* =================== Consultas para o painel/UI =================== */
-app.get('/api/conversations', async (_req, res) => {
-  try {
-    const { data, error } = await supabase.from('messages').select('*').order('created_at', { ascending: true });
-    if (error) throw error;
-    const byNumero = new Map();
-    for (const msg of (data || [])) { const key = msg.numero_paciente; const prev = byNumero.get(key); if (!prev || new Date(msg.created_at) > new Date(prev.created_at)) byNumero.set(key, msg); }
-    const list = [];
-    for (const [numero, msg] of byNumero.entries()) {
-      const status = msg.status_conversa || msg.status_atendimento || Status.ROBO;
-      let label; if (status === Status.FINALIZADO) label = 'FINALIZADO'; else if (status === Status.PENDENTE) label = 'PENDENTE'; else if (status === Status.HUMANO) label = 'HUMANO'; else label = 'ROBÔ';
-      list.push({ numeroPaciente: numero, nomePaciente: msg.nome_paciente || null, lastMessage: msg.mensagem_paciente || msg.resposta_robo || msg.resposta_atendente, statusAtendimento: status, lastRemetente: msg.remetente, label, updatedAt: msg.updated_at, instanceId: msg.instance_id });
-    }
-    list.sort((a, b) => new Date(b.updatedAt || 0) - new Date(a.updatedAt || 0));
-    return res.json(list);
-  } catch (err) { console.error('Failed to fetch conversations:', err.message); return res.status(500).json({ error: 'Failed to fetch conversations' }); }
-});
-
-// Histórico — força status_conversa = statusAtual em TODAS as mensagens (garante topo consistente)
-app.get('/api/conversation/:numero/messages', async (req, res) => {
-  const numero = normalizePhone(req.params.numero);
-  try {
-    const { data, error } = await supabase.from('messages').select('*').eq('numero_paciente', numero).order('created_at', { ascending: true });
-    if (error) throw error;
-    const last = (data || [])[data.length - 1] || null;
-    const statusAtual = (last && (last.status_conversa || last.status_atendimento)) || Status.ROBO;
-    const out = (data || []).map(m => ({ ...m, status_conversa: statusAtual }));
-    const headerSenderByStatus = { 'PENDENTE': 'Paciente', 'EM_ATENDIMENTO_HUMANO': 'Atendente', 'EM_ATENDIMENTO_ROBO': 'Robô', 'FINALIZADO': 'Finalizado' };
-    const headerSender = headerSenderByStatus[statusAtual] || 'Robô';
-    res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
-    res.setHeader('Pragma', 'no-cache');
-    res.setHeader('Expires', '0');
-    res.setHeader('Surrogate-Control', 'no-store');
-    res.setHeader('X-Conversation-Status', statusAtual);
-    res.setHeader('X-Conversation-Remetente', headerSender);
-    return res.json(out);
-  } catch (err) { console.error('Failed to fetch conversation:', err.message); return res.status(500).json({ error: 'Failed to fetch conversation' }); }
-});
-
-// Finalizar / Reabrir / Pendente / Humano — ATUALIZA EM MASSA
-app.patch('/api/conversation/:numero/status', jsonParser, async (req, res) => {
-  const numero = normalizePhone(req.params.numero);
-  const { statusAtendimento, status } = req.body || {};
-  const desired = statusAtendimento || status;
-  if (!desired || !Object.values(Status).includes(desired)) return res.status(400).json({ error: 'statusAtendimento/status inválido' });
-  try { await setConversationStatusMass(numero, desired); return res.json({ success: true }); }
-  catch (err) { console.error('Failed to update status:', err.message); return res.status(500).json({ error: 'Failed to update status' }); }
-});
-
-// Atualiza nome
-app.patch('/api/conversation/:numero/name', jsonParser, async (req, res) => {
-  const numero = normalizePhone(req.params.numero);
-  const { nomePaciente } = req.body || {};
-  if (!nomePaciente) return res.status(400).json({ error: 'nomePaciente is required' });
-  try { const { error } = await supabase.from('messages').update({ nome_paciente: nomePaciente }).eq('numero_paciente', numero); if (error) throw error; return res.json({ success: true }); }
-  catch (err) { console.error('Failed to update name:', err.message); return res.status(500).json({ error: 'Failed to update name' }); }
-});
-
-/* ============================== Start ============================== */
-const port = process.env.PORT || 3000;
-app.listen(port, () => { console.log(`Server v11h running on port ${port} — HAS_STATUS_CONVERSA=${HAS_STATUS_CONVERSA}`); });
+  // Anonimização do titular: números viram pseudônimo, nome/conteúdo são apagados e o contato é excluído.
+  // Contagens, horários e transições continuam valendo para os relatórios.
+  async function anonymizeSubject(numero) {
+    const variants = phoneVariants(numero);
+    const pseudo = pseudonymOf(numero);
+    const out = { pseudonym: pseudo, messages: 0, mediaFiles: 0, conversations: 0, transitions: 0, campaignRecipients: 0, outboundJobs: 0, eventDeliveries: 0, contact: false };
+    const tolerate = async (fn) => { try { await fn(); } catch (err) { if (!isMissingTable(err)) throw err; } };
+
+    const messages = await selectAll(() => supabase.from('messages').select('id, mensagem_paciente, resposta_robo, resposta_atendente, media_url').in('numero_paciente', variants));
+    out.mediaFiles = await redactMessages(messages, { numero_paciente: pseudo, nome_paciente: null });
+    out.messages = messages.length;
+
+    await tolerate(async () => {
+      const convs = await selectAll(() => supabase.from('conversations').select('numero_paciente').in('numero_paciente', variants));
+      // pk = numero_paciente: se o pseudônimo já existe (ex.: duas variantes do número), a linha extra sai
+      for (const [i, c] of convs.entries()) {
+        const { error } = i === 0
+          ? await supabase.from('conversations').update({ numero_paciente: pseudo, nome_paciente: null, last_message: REDACTED_TEXT, updated_at: nowIso() }).eq('numero_paciente', c.numero_paciente)
+          : await supabase.from('conversations').delete().eq('numero_paciente', c.numero_paciente);
+        if (error) throw error;
+      }
+      out.conversations = convs.length;
+    });
+    await tolerate(async () => {
+      const { data, error } = await supabase.from('status_transitions').update({ numero_paciente: pseudo }).in('numero_paciente', variants).select('id');
+      if (error) throw error;
+      out.transitions = (data || []).length;
+    });
+    await tolerate(async () => {
+      const { data, error } = await supabase.from('campaign_recipients').update({ numero: pseudo, nome: null, variables: {}, updated_at: nowIso() }).in('numero', variants).select('id');
+      if (error) throw error;
+      out.campaignRecipients = (data || []).length;
+    });
+    await tolerate(async () => {
+      const { data, error } = await supabase.from('outbound_jobs').update({ numero_paciente: pseudo, payload: {}, updated_at: nowIso() }).in('numero_paciente', variants).select('id');
+      if (error) throw error;
+      out.outboundJobs = (data || []).length;
+    });
+    await tolerate(async () => {
+      const { data, error } = await supabase.from('event_webhook_deliveries').update({ numero_paciente: pseudo, payload: REDACTED_PAYLOAD, updated_at: nowIso() }).in('numero_paciente', variants).select('id');
+      if (error) throw error;
+      out.eventDeliveries = (data || []).length;
+    });
+    await tolerate(async () => {
+      const contact = await findContactByPhone(numero);
+      if (!contact) return;
+      const { error } = await supabase.from('contacts').delete().eq('id', contact.id);
+      if (error) throw error;
+      out.contact = true;
+    });
+    return out;
+  }
+
+  // retention_days/retention_action em service_settings (sql/019). redact mantém as linhas; purge as exclui.
+  async function applyRetention(settings) {
+    const instanceId = String(settings.instance_id);
+    const action = settings.retention_action === RetentionAction.PURGE ? RetentionAction.PURGE : RetentionAction.REDACT;
+    const cutoff = new Date(Date.now() - settings.retention_days * 86400000).toISOString();
+    const out = { instanceId, action, cutoff, messages: 0, mediaFiles: 0 };
+    for (let batch = 0; batch < RETENTION_MAX_BATCHES; batch++) {
+      let q = supabase.from('messages').select('id, mensagem_paciente, resposta_robo, resposta_atendente, media_url').eq('instance_id', instanceId).lt('created_at', cutoff).order('created_at', { ascending: true }).limit(RETENTION_BATCH);
+      if (action === RetentionAction.REDACT) q = q.is('redacted_at', null);
+      const { data, error } = await q;
+      if (error && missingColGroup(error) === 'redaction') { HAS_COLS.redaction = false; logger.warn('Retention redact skipped: apply sql/019', { instanceId }); return out; }
+      if (error) throw error;
+      const rows = data || [];
+      if (!rows.length) break;
+      if (action === RetentionAction.REDACT) out.mediaFiles += await redactMessages(rows);
+      else {
+        out.mediaFiles += await deleteStoredMedia(rows.map(m => m.media_url));
+        const { error: e } = await supabase.from('messages').delete().in('id', rows.map(m => m.id));
+        if (e) throw e;
+      }
+      out.messages += rows.length;
+      if (rows.length < RETENTION_BATCH) break;
+    }
+    // Prévia da última mensagem, payload dos envios antigos e das entregas de webhook também carregam conteúdo
+    const { error: e1 } = await supabase.from('conversations').update({ last_message: REDACTED_TEXT }).eq('instance_id', instanceId).lt('last_message_at', cutoff).neq('last_message', REDACTED_TEXT);
+    if (e1 && !isMissingTable(e1)) throw e1;
+    const { error: e2 } = await supabase.from('outbound_jobs').update({ payload: {} }).eq('instance_id', instanceId).lt('created_at', cutoff).in('status', ['sent', 'failed', 'cancelled']);
+    if (e2 && !isMissingTable(e2)) throw e2;
+    const { error: e3 } = await supabase.from('event_webhook_deliveries').update({ payload: REDACTED_PAYLOAD }).eq('instance_id', instanceId).lt('created_at', cutoff).in('status', ['delivered', 'failed']);
+    if (e3 && !isMissingTable(e3)) throw e3;
+    return out;
+  }
+
+  let retentionRunning = false;
+  async function runRetention() {
+    if (retentionRunning) return { skipped: true };
+    retentionRunning = true;
+    const results = [];
+    try {
+      const { data, error } = await supabase.from('service_settings').select('*').gt('retention_days', 0);
+      if (error) throw error;
+      for (const settings of data || []) {
+        try {
+          const out = await applyRetention(settings);
+          results.push(out);
+          if (out.messages) {
+            await writeAudit({ action: `retention.${out.action}`, instanceId: out.instanceId, details: { cutoff: out.cutoff, messages: out.messages, mediaFiles: out.mediaFiles } });
+            logger.info('Retention applied', out);
+          }
+        } catch (err) { logger.error('Retention failed', { instanceId: settings.instance_id, err: err.message }); results.push({ instanceId: String(settings.instance_id), error: err.message }); }
+      }
+      // webhook_events não tem instância e a chave pode ser hash do corpo (número + texto): vale o maior prazo configurado
+      if ((data || []).length) {
+        const keepDays = Math.max(...data.map(s => Number(s.retention_days)));
+        const { error: e } = await supabase.from('webhook_events').delete().lt('created_at', new Date(Date.now() - keepDays * 86400000).toISOString());
+        if (e && !isMissingTable(e)) throw e;
+      }
+    } catch (err) { logger.error('Retention job failed', { err: err.message }); }
+    finally { retentionRunning = false; }
+    return { results };
+  }
+
+  // GET /api/lgpd/:numero/export?format=json (padrão) | txt (transcrição legível)
+  app.get('/api/lgpd/:numero/export', requireRole(Roles.ADMIN), async (req, res) => {
+    const numero = normalizePhone(req.params.numero);
+    if (!numero) return res.status(400).json({ error: 'numero inválido' });
+    const format = req.query.format === 'txt' ? 'txt' : 'json';
+    try {
+      const data = await loadSubjectData(numero);
+      const instanceId = (data.conversations[0] && data.conversations[0].instance_id) || (data.messages[0] && data.messages[0].instance_id) || null;
+      const timezone = await timezoneOf(instanceId);
+      await writeAudit({ action: 'lgpd.export', user: req.user, instanceId, numero, details: { format, messages: data.messages.length } });
+      if (format === 'txt') {
+        const nome = (data.contact && data.contact.nome) || ((data.conversations[0] || {}).nome_paciente) || null;
+        res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="titular-${numero}.txt"`);
+        return res.send(renderTranscriptTxt({ numero, nome, timezone, items: transcriptItems(data.messages, data.transitions) }, 'Histórico de conversas (LGPD — dados do titular)'));
+      }
+      res.setHeader('Content-Disposition', `attachment; filename="titular-${numero}.json"`);
+      return res.json({ exportedAt: nowIso(), numero, timezone, ...data });
+    } catch (err) { logger.error('Failed to export subject data', { err: err.message }); return res.status(500).json({ error: 'Failed to export subject data' }); }
+  });
+
+  // { confirm: true, reason } — irreversível
+  app.post('/api/lgpd/:numero/anonymize', requireRole(Roles.ADMIN), jsonParser, async (req, res) => {
+    const numero = normalizePhone(req.params.numero);
+    const { confirm, reason } = req.body || {};
+    if (!numero) return res.status(400).json({ error: 'numero inválido' });
+    if (confirm !== true) return res.status(400).json({ error: 'Envie confirm: true (operação irreversível)' });
+    try {
+      const out = await withNumberLock(numero, () => anonymizeSubject(numero));
+      await writeAudit({ action: 'lgpd.anonymize', user: req.user, numero, details: { reason: reason || null, ...out } });
+      forgetEventsOf(phoneVariants(numero));
+      publishEvent('conversation.anonymized', { numeroPaciente: out.pseudonym, data: { pseudonym: out.pseudonym } });
+      logger.info('Subject anonymized', { by: req.user.id, messages: out.messages });
+      return res.json({ success: true, ...out });
+    } catch (err) { logger.error('Failed to anonymize subject', { err: err.message }); return res.status(500).json({ error: 'Failed to anonymize subject' }); }
+  });
+
+  app.post('/api/admin/retention/run', requireRole(Roles.ADMIN), async (_req, res) => {
+    try { return res.json(await runRetention()); }
+    catch (err) { logger.error('Failed to run retention', { err: err.message }); return res.status(500).json({ error: 'Failed to run retention' }); }
+  });
+
+  // ?action=&instanceId=&numero=&from=&to=&limit=&cursor=
+  app.get('/api/audit-log', requireRole(Roles.ADMIN), async (req, res) => {
+    const limit = pageLimit(req.query.limit, 100, 500);
+    const cursor = decodeCursor(req.query.cursor, ['id']);
+    if (cursor === false) return res.status(400).json({ error: 'cursor inválido' });
+    const range = reportRange(req.query, { optional: true });
+    if (!range) return res.status(400).json({ error: 'from/to inválidos' });
+    try {
+      let q = supabase.from('audit_log').select('*').order('id', { ascending: false }).limit(limit + 1);
+      if (req.query.action) q = q.in('action', splitList(req.query.action));
+      if (req.query.instanceId) q = q.eq('instance_id', String(req.query.instanceId));
+      if (req.query.numero) q = q.eq('subject_hash', subjectHash(req.query.numero));
+      if (range.from) q = q.gte('created_at', range.from);
+      if (range.to) q = q.lte('created_at', range.to);
+      if (cursor) q = q.lt('id', cursor[0]);
+      const { data, error } = await q;
+      if (error) throw error;
+      const rows = data || [];
+      if (rows.length > limit) { rows.length = limit; res.setHeader('X-Next-Cursor', encodeCursor([rows[rows.length - 1].id])); }
+      return res.json(rows);
+    } catch (err) { logger.error('Failed to fetch audit log', { err: err.message }); return res.status(500).json({ error: 'Failed to fetch audit log' }); }
+  });
+
+  /* ============================== Start ============================== */
+  const timers = [];
+  let server = null;
+  function start(port = process.env.PORT || 3000) {
+    if (OUTBOUND_POLL_MS > 0) timers.push(setInterval(runAsJob('outbound', processOutboundQueue), OUTBOUND_POLL_MS).unref());
+    if (CAMPAIGN_POLL_MS > 0) timers.push(setInterval(runAsJob('campaigns', processCampaigns), CAMPAIGN_POLL_MS).unref());
+    if (AUTO_CLOSE_INTERVAL_MS > 0) timers.push(setInterval(runAsJob('auto-close', runAutoClose), AUTO_CLOSE_INTERVAL_MS).unref());
+    if (EVENT_WEBHOOK_POLL_MS > 0) timers.push(setInterval(runAsJob('event-webhooks', processEventWebhooks), EVENT_WEBHOOK_POLL_MS).unref());
+    if (RETENTION_INTERVAL_MS > 0) timers.push(setInterval(runAsJob('retention', runRetention), RETENTION_INTERVAL_MS).unref());
+    server = app.listen(port, () => { logger.info('Server running', { version: 'v11h', port: server.address().port, hasStatusConversa: HAS_STATUS_CONVERSA }); });
+    return server;
+  }
+
+  // Para os jobs e fecha o servidor (conexões SSE abertas são encerradas)
+  function stop() {
+    timers.splice(0).forEach(clearInterval);
+    for (const client of sseClients) client.res.end();
+    return new Promise(resolve => (server ? server.close(() => resolve()) : resolve()));
+  }
+
+  // jobs: execução manual dos workers (testes / rotas de admin)
+  return {
+    app, supabase, start, stop,
+    jobs: { processOutboundQueue, processCampaigns, runAutoClose, processEventWebhooks, runRetention },
+  };
+}
+
+if (require.main === module) {
+  try { createApp().start(); }
+  catch (err) { logger.error(err.message); process.exit(1); }
+}
+
+module.exports = { createApp };
@@ -0,0 +1,7 @@
+-- Status de entrega por mensagem enviada (message-event do Gupshup)
+alter table messages add column if not exists provider_message_id text;
+alter table messages add column if not exists delivery_status text;      -- enqueued | sent | delivered | read | failed
+alter table messages add column if not exists delivery_error text;
+alter table messages add column if not exists delivery_updated_at timestamptz;
+
+create index if not exists messages_provider_message_id_idx on messages (provider_message_id);
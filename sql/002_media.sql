@@ -0,0 +1,6 @@
+-- Mídia (imagem, áudio, vídeo, documento) enviada e recebida
+alter table messages add column if not exists media_type text;      -- image | audio | video | document
+alter table messages add column if not exists media_mime text;
+alter table messages add column if not exists media_caption text;
+alter table messages add column if not exists media_url text;
+alter table messages add column if not exists media_filename text;
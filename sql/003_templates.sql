@@ -0,0 +1,16 @@
+-- Templates (HSM) aprovados no Gupshup, por instância
+create table if not exists templates (
+  id bigserial primary key,
+  instance_id text not null,
+  name text not null,                    -- element name do template
+  gupshup_template_id text not null,     -- id do template no Gupshup
+  body text not null,                    -- texto com {{1}}, {{2}}... para renderizar no histórico
+  language text default 'pt_BR',
+  category text,
+  status text default 'approved',
+  created_at timestamptz default now(),
+  updated_at timestamptz default now(),
+  unique (instance_id, name)
+);
+
+alter table messages add column if not exists template_name text;
@@ -0,0 +1,15 @@
+-- Usuários do painel (login JWT) e autoria das ações
+create table if not exists users (
+  id bigserial primary key,
+  email text not null unique,
+  name text,
+  role text not null default 'attendant',   -- attendant | supervisor | admin
+  password_hash text not null,              -- scrypt$<salt>$<hash>
+  active boolean not null default true,
+  created_at timestamptz default now(),
+  updated_at timestamptz default now()
+);
+
+alter table messages add column if not exists atendente_id text;
+alter table messages add column if not exists atendente_nome text;
+alter table messages add column if not exists status_changed_by text;
@@ -0,0 +1,19 @@
+-- Estado da conversa (uma linha por número). Preencher com: npm run backfill:conversations
+create table if not exists conversations (
+  numero_paciente text primary key,
+  instance_id text,
+  nome_paciente text,
+  status text not null default 'EM_ATENDIMENTO_ROBO',
+  assigned_to text,                 -- users.id do atendente responsável
+  assigned_name text,
+  last_message text,
+  last_remetente text,
+  last_message_at timestamptz,
+  status_changed_by text,
+  status_changed_at timestamptz,
+  created_at timestamptz default now(),
+  updated_at timestamptz default now()
+);
+
+create index if not exists conversations_updated_at_idx on conversations (updated_at desc);
+create index if not exists conversations_instance_status_idx on conversations (instance_id, status);
@@ -0,0 +1,10 @@
+-- Busca textual nas mensagens (GET /api/search)
+alter table messages add column if not exists busca tsvector
+  generated always as (to_tsvector('portuguese', coalesce(mensagem_paciente, '') || ' ' || coalesce(resposta_robo, '') || ' ' || coalesce(resposta_atendente, ''))) stored;
+create index if not exists messages_busca_idx on messages using gin (busca);
+
+-- Paginação do histórico por número
+create index if not exists messages_numero_created_idx on messages (numero_paciente, created_at desc, id desc);
+
+-- Não lidas (filtro ?unread=1)
+alter table conversations add column if not exists unread_count integer not null default 0;
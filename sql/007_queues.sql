@@ -0,0 +1,21 @@
+-- Filas/departamentos e atribuição de conversas
+create table if not exists queues (
+  id bigserial primary key,
+  instance_id text not null,
+  name text not null,
+  strategy text not null default 'manual',   -- manual | round_robin | least_busy
+  is_default boolean not null default false, -- fila usada quando a conversa não tem queue_id
+  active boolean not null default true,
+  last_assigned_to text,                     -- controle do round_robin
+  created_at timestamptz default now()
+);
+
+create table if not exists queue_members (
+  queue_id bigint not null references queues (id) on delete cascade,
+  user_id text not null,
+  primary key (queue_id, user_id)
+);
+
+alter table conversations add column if not exists queue_id bigint references queues (id) on delete set null;
+alter table conversations add column if not exists assigned_at timestamptz;
+create index if not exists conversations_assigned_idx on conversations (assigned_to, status);
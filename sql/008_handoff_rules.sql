@@ -0,0 +1,15 @@
+-- Regras de handoff (robô → humano) por instância
+create table if not exists handoff_rules (
+  id bigserial primary key,
+  instance_id text not null,
+  name text,
+  type text not null,                   -- keyword | regex | max_bot_turns
+  applies_to text not null default 'bot', -- bot | patient | both
+  pattern text,
+  threshold integer,
+  priority integer not null default 100,
+  active boolean not null default true,
+  created_at timestamptz default now()
+);
+
+create index if not exists handoff_rules_instance_idx on handoff_rules (instance_id, priority);
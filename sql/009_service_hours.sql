@@ -0,0 +1,18 @@
+-- Horário de atendimento, mensagem fora do horário e auto-encerramento por inatividade
+create table if not exists service_settings (
+  instance_id text primary key,
+  timezone text not null default 'America/Sao_Paulo',
+  weekly_hours jsonb,                 -- { "0": [], "1": [["08:00","18:00"]], ... } (0 = domingo)
+  out_of_hours_message text,          -- enviada quando há handoff fora do horário
+  idle_close_minutes integer not null default 0,  -- 0 = desligado
+  closing_message text,               -- enviada ao finalizar por inatividade (se a janela de 24h estiver aberta)
+  auto_close_statuses text[],         -- padrão: PENDENTE, EM_ATENDIMENTO_HUMANO
+  updated_at timestamptz default now()
+);
+
+create table if not exists holidays (
+  instance_id text not null,
+  date date not null,
+  name text,
+  primary key (instance_id, date)
+);
@@ -0,0 +1,27 @@
+-- Fila de envio com retentativas e idempotência
+create table if not exists outbound_jobs (
+  id bigserial primary key,
+  instance_id text not null,
+  numero_paciente text not null,
+  kind text not null,                          -- session | template
+  payload jsonb not null,                      -- { text, media } | { templateId, params }
+  status text not null default 'queued',       -- queued | sending | sent | failed | cancelled
+  attempts int not null default 0,
+  max_attempts int not null default 5,
+  next_attempt_at timestamptz default now(),
+  last_status_code int,
+  last_error text,
+  idempotency_key text,
+  message_id bigint,                           -- messages.id da mensagem gravada no histórico
+  provider_message_id text,
+  created_by text,
+  sent_at timestamptz,
+  created_at timestamptz default now(),
+  updated_at timestamptz default now()
+);
+
+create unique index if not exists outbound_jobs_idempotency_idx on outbound_jobs (instance_id, idempotency_key) where idempotency_key is not null;
+create index if not exists outbound_jobs_due_idx on outbound_jobs (status, next_attempt_at);
+
+alter table messages add column if not exists outbound_job_id bigint;
+-- delivery_status ganha também: queued (aguardando a fila) | cancelled
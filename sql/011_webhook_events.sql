@@ -0,0 +1,8 @@
+-- Deduplicação de webhooks (id do provedor ou hash do conteúdo no formato legado)
+create table if not exists webhook_events (
+  dedup_key text primary key,
+  created_at timestamptz default now()
+);
+
+create index if not exists webhook_events_created_idx on webhook_events (created_at);
+-- Limpeza sugerida: delete from webhook_events where created_at < now() - interval '7 days';
@@ -0,0 +1,6 @@
+-- Encaminhamento das mensagens do paciente ao bot (por instância)
+alter table service_settings add column if not exists bot_url text;               -- null = bot chama /api/webhook com respostaRobo (modo antigo)
+alter table service_settings add column if not exists bot_secret text;            -- assina o POST (X-Signature: sha256=HMAC do corpo)
+alter table service_settings add column if not exists bot_timeout_ms integer;     -- padrão BOT_TIMEOUT_MS
+alter table service_settings add column if not exists bot_fallback_message text;  -- enviada quando o bot falha/não responde
+alter table service_settings add column if not exists bot_failure_handoff boolean not null default true;
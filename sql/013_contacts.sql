@@ -0,0 +1,18 @@
+-- Cadastro de contatos/pacientes
+create table if not exists contacts (
+  id bigserial primary key,
+  numero text not null unique,                  -- número principal (só dígitos)
+  aliases text[] not null default '{}',         -- números fundidos (ex.: sem o 9º dígito); o histórico fica no número original
+  nome text,
+  email text,
+  instance_id text,
+  tags text[] not null default '{}',
+  custom_fields jsonb not null default '{}',    -- CPF, convênio, unidade, ...
+  opt_status text not null default 'unknown',   -- unknown | opted_in | opted_out
+  opt_changed_at timestamptz,
+  created_at timestamptz default now(),
+  updated_at timestamptz default now()
+);
+
+create index if not exists contacts_aliases_idx on contacts using gin (aliases);
+create index if not exists contacts_tags_idx on contacts using gin (tags);
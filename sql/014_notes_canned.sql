@@ -0,0 +1,13 @@
+-- Notas internas: linhas de messages com remetente = 'Nota' (texto em resposta_atendente), nunca enviadas
+-- Respostas prontas por instância (placeholders {{nome}}, {{primeiro_nome}}, {{numero}}, {{atendente}}, custom_fields do contato)
+create table if not exists canned_responses (
+  id bigserial primary key,
+  instance_id text not null,
+  shortcut text not null,             -- ex.: /horario
+  title text,
+  body text not null,
+  created_by text,
+  created_at timestamptz default now(),
+  updated_at timestamptz default now(),
+  unique (instance_id, shortcut)
+);
@@ -0,0 +1,38 @@
+-- Campanhas (envio de template em massa)
+create table if not exists campaigns (
+  id bigserial primary key,
+  instance_id text not null,
+  name text not null,
+  template_name text not null,
+  params jsonb not null default '[]',        -- valores do template, com placeholders {{nome}}, {{data}}, ...
+  audience jsonb not null,                   -- { source: contacts | conversations | list, ...filtros }
+  status text not null default 'draft',      -- draft | scheduled | running | paused | completed | cancelled
+  scheduled_at timestamptz,
+  rate_per_minute integer not null default 60,
+  last_error text,
+  created_by text,
+  started_at timestamptz,
+  finished_at timestamptz,
+  created_at timestamptz default now(),
+  updated_at timestamptz default now()
+);
+
+create table if not exists campaign_recipients (
+  id bigserial primary key,
+  campaign_id bigint not null references campaigns (id) on delete cascade,
+  numero text not null,
+  nome text,
+  contact_id bigint,
+  variables jsonb not null default '{}',
+  status text not null default 'pending',    -- pending | queued | sent | skipped | failed
+  error text,
+  outbound_job_id bigint,
+  sent_at timestamptz,
+  replied_at timestamptz,
+  created_at timestamptz default now(),
+  updated_at timestamptz default now()
+);
+
+create index if not exists campaign_recipients_campaign_idx on campaign_recipients (campaign_id, status);
+create index if not exists campaign_recipients_numero_idx on campaign_recipients (numero, sent_at);
+create index if not exists campaigns_due_idx on campaigns (status, scheduled_at);
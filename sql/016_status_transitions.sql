@@ -0,0 +1,15 @@
+-- Auditoria de mudanças de status das conversas (base dos relatórios em /api/reports/*)
+create table if not exists status_transitions (
+  id bigserial primary key,
+  numero_paciente text not null,
+  instance_id text,
+  from_status text,
+  to_status text not null,
+  changed_by text,          -- users.id (null = sistema/webhook)
+  changed_by_name text,
+  source text,              -- panel | system | message
+  created_at timestamptz default now()
+);
+
+create index if not exists status_transitions_created_idx on status_transitions (created_at);
+create index if not exists status_transitions_numero_idx on status_transitions (numero_paciente, created_at);
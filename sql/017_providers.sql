@@ -0,0 +1,5 @@
+-- Provedor de mensagens por instância (gupshup | meta | mock)
+--   provider_config: meta → { "phoneNumberId": "...", "apiVersion": "v19.0", "verifyToken": "..." }
+--                    mock → { "failStatus": 500 }   (opcional: simula erro do provedor)
+alter table instances add column if not exists provider text not null default 'gupshup';
+alter table instances add column if not exists provider_config jsonb not null default '{}'::jsonb;
@@ -0,0 +1,8 @@
+-- Cadastro de instâncias: nome, src.name próprio do app Gupshup e estado (active | disabled)
+-- instances.token passa a ser gravado cifrado pelo servidor (CREDENTIALS_KEY); tokens antigos em texto
+-- puro continuam válidos até POST /api/instances/rotate-credentials.
+alter table instances add column if not exists name text;
+alter table instances add column if not exists src_name text;
+alter table instances add column if not exists status text default 'active';
+alter table instances add column if not exists created_at timestamptz default now();
+alter table instances add column if not exists updated_at timestamptz default now();
@@ -0,0 +1,20 @@
+-- LGPD: trilha de auditoria, retenção por instância e marcação de mensagens com conteúdo removido
+create table if not exists audit_log (
+  id bigserial primary key,
+  action text not null,          -- lgpd.export | lgpd.anonymize | retention.redact | retention.purge | retention.configured
+  actor_id text,                 -- users.id (null = job agendado)
+  actor_name text,
+  instance_id text,
+  subject_hash text,             -- HMAC do telefone do titular (AUDIT_HASH_KEY); nunca o número
+  details jsonb not null default '{}',
+  created_at timestamptz default now()
+);
+
+create index if not exists audit_log_created_idx on audit_log (created_at desc);
+create index if not exists audit_log_subject_idx on audit_log (subject_hash);
+
+alter table service_settings add column if not exists retention_days integer not null default 0;  -- 0 = sem expurgo
+alter table service_settings add column if not exists retention_action text;                      -- redact (padrão) | purge
+
+alter table messages add column if not exists redacted_at timestamptz;
+create index if not exists messages_retention_idx on messages (instance_id, created_at) where redacted_at is null;
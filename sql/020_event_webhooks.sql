@@ -0,0 +1,44 @@
+-- Webhooks de saída: assinaturas por instância e log de entregas (com reentregas/replays)
+create table if not exists event_webhooks (
+  id bigserial primary key,
+  instance_id text not null,
+  url text not null,
+  secret text,                       -- cifrado como instances.token (CREDENTIALS_KEY)
+  events text[] not null default '{}', -- vazio = todos: message.received | message.sent | conversation.status_changed | conversation.assigned
+  description text,
+  active boolean not null default true,
+  created_by text,
+  created_at timestamptz default now(),
+  updated_at timestamptz default now()
+);
+
+create index if not exists event_webhooks_instance_idx on event_webhooks (instance_id) where active;
+
+create table if not exists event_webhook_deliveries (
+  id bigserial primary key,
+  subscription_id bigint not null references event_webhooks (id) on delete cascade,
+  instance_id text not null,
+  numero_paciente text,              -- titular do evento (anonimização LGPD troca pelo pseudônimo e apaga o payload)
+  event_id text not null,            -- igual em todas as entregas/replays do mesmo evento
+  event_type text not null,
+  payload jsonb not null,
+  status text not null default 'pending',  -- pending | delivering | delivered | failed
+  attempts int not null default 0,
+  max_attempts int not null default 8,
+  next_attempt_at timestamptz default now(),
+  last_status_code int,
+  last_error text,
+  response_body text,
+  duration_ms int,
+  replay_of bigint,
+  delivered_at timestamptz,
+  created_at timestamptz default now(),
+  updated_at timestamptz default now()
+);
+
+create index if not exists event_webhook_deliveries_due_idx on event_webhook_deliveries (status, next_attempt_at);
+create index if not exists event_webhook_deliveries_sub_idx on event_webhook_deliveries (subscription_id, id desc);
+
+-- Instalações que já criaram a tabela antes da coluna numero_paciente
+alter table event_webhook_deliveries add column if not exists numero_paciente text;
+create index if not exists event_webhook_deliveries_numero_idx on event_webhook_deliveries (numero_paciente);
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { bootApp, ADMIN } = require('./support/app');
+
+let ctx;
+test.before(async () => { ctx = await bootApp(); });
+test.after(() => ctx.close());
+
+test('GET /health reports flags and webhook counters', async () => {
+  const res = await ctx.anon.get('/health');
+  assert.equal(res.status, 200);
+  assert.equal(res.body.ok, true);
+  assert.equal(res.body.hasStatusConversa, true);
+  assert.equal(res.body.sseClients, 0);
+  assert.ok(res.body.webhook);
+  assert.ok(res.headers.get('x-request-id'));
+});
+
+test('GET /health/ready: 200 when every enabled instance can send, 503 otherwise', async () => {
+  let res = await ctx.anon.get('/health/ready');
+  assert.equal(res.status, 200);
+  assert.equal(res.body.supabase.ok, true);
+  assert.deepEqual(res.body.instances.map(i => [i.id, i.ok, i.hasToken, i.hasSource]), [['1', true, true, true]]);
+
+  ctx.sb.seed('instances', { id_da_instancia: '3', token: null, source_number: null, status: 'active' });
+  res = await ctx.anon.get('/health/ready');
+  assert.equal(res.status, 503);
+  assert.equal(res.body.ok, false);
+  assert.equal(res.body.instances.find(i => i.id === '3').ok, false);
+  ctx.sb.rows('instances').find(i => i.id_da_instancia === '3').status = 'disabled';
+  assert.equal((await ctx.anon.get('/health/ready')).status, 200);
+});
+
+test('GET /metrics exposes Prometheus text with queue depth', async () => {
+  await ctx.inbound('5511977770001', 'oi');
+  const res = await ctx.anon.get('/metrics');
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+  assert.match(res.text, /# TYPE http_request_duration_seconds histogram/);
+  assert.match(res.text, /webhook_events_total\{outcome="processed"\} 1/);
+  assert.match(res.text, /outbound_queue_depth\{status="queued"\} 0/);
+  assert.match(res.text, /sse_clients 0/);
+});
+
+test('GET /metrics requires the bearer token when METRICS_TOKEN is set', async () => {
+  const app = await bootApp({ env: { METRICS_TOKEN: 'scrape-me' } });
+  try {
+    assert.equal((await app.anon.get('/metrics')).status, 401);
+    assert.equal((await app.client('scrape-me').get('/metrics')).status, 200);
+  } finally { await app.close(); }
+});
+
+test('login: env admin, database users, bad credentials', async () => {
+  assert.equal((await ctx.anon.post('/api/auth/login', { email: ADMIN.email })).status, 400);
+  assert.equal((await ctx.anon.post('/api/auth/login', { email: ADMIN.email, password: 'wrong' })).status, 401);
+  const res = await ctx.anon.post('/api/auth/login', { email: ADMIN.email.toUpperCase(), password: ADMIN.password });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.user, { id: 'admin', email: ADMIN.email, name: 'Administrador', role: 'admin', active: true });
+
+  const me = await ctx.client(res.body.token).get('/api/auth/me');
+  assert.equal(me.body.role, 'admin');
+  assert.equal((await ctx.anon.get('/api/auth/me')).status, 401);
+  assert.deepEqual((await ctx.client('garbage').get('/api/auth/me')).body, { error: 'invalid_token' });
+  // ?access_token= só vale para o SSE (/api/events)
+  assert.equal((await ctx.anon.get(`/api/auth/me?access_token=${res.body.token}`)).status, 401);
+});
+
+test('users: create, list, update, deactivate; role checks', async () => {
+  const ana = await ctx.user({ email: 'Ana@Sena.test', name: 'Ana' });
+  assert.equal(ana.user.email, 'ana@sena.test');
+  assert.equal(ana.user.role, 'attendant');
+  assert.equal(ana.user.password_hash, undefined);
+
+  assert.equal((await ctx.admin.post('/api/users', { email: 'x@sena.test' })).status, 400);
+  assert.equal((await ctx.admin.post('/api/users', { email: 'x@sena.test', password: 'p', role: 'root' })).status, 400);
+  assert.equal((await ctx.admin.post('/api/users', { email: 'ana@sena.test', password: 'p' })).status, 500);
+
+  assert.deepEqual((await ana.get('/api/users')).body, { error: 'forbidden' });
+  assert.equal((await ana.post('/api/users', { email: 'y@sena.test', password: 'p' })).status, 403);
+
+  const bia = await ctx.user({ email: 'bia@sena.test', name: 'Bia', role: 'supervisor' });
+  const list = await bia.get('/api/users');
+  assert.equal(list.status, 200);
+  assert.deepEqual(list.body.map(u => u.name), ['Ana', 'Bia']);
+
+  const upd = await ctx.admin.patch(`/api/users/${ana.user.id}`, { name: 'Ana Lima', role: 'supervisor', password: 'novo-pw' });
+  assert.equal(upd.body.name, 'Ana Lima');
+  assert.equal(upd.body.role, 'supervisor');
+  assert.equal((await ctx.anon.post('/api/auth/login', { email: 'ana@sena.test', password: 'user-pw' })).status, 401);
+  assert.ok(await ctx.login('ana@sena.test', 'novo-pw'));
+  assert.equal((await ctx.admin.patch(`/api/users/${ana.user.id}`, { role: 'root' })).status, 400);
+
+  await ctx.admin.patch(`/api/users/${ana.user.id}`, { active: false });
+  assert.equal((await ctx.anon.post('/api/auth/login', { email: 'ana@sena.test', password: 'novo-pw' })).status, 401);
+});
+
+test('database errors surface as JSON 500s', async () => {
+  const app = await bootApp({ store: { missingTables: ['outbound_jobs'] } });
+  try {
+    const res = await app.admin.get('/api/outbound/jobs');
+    assert.equal(res.status, 500);
+    assert.deepEqual(res.body, { error: 'Failed to fetch outbound jobs' });
+    assert.equal((await app.anon.get('/metrics')).status, 200);
+  } finally { await app.close(); }
+});
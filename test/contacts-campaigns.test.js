@@ -0,0 +1,200 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { bootApp } = require('./support/app');
+
+let ctx;
+let att;
+let sup;
+test.before(async () => {
+  ctx = await bootApp();
+  att = await ctx.user({ email: 'att@sena.test', name: 'Ana' });
+  sup = await ctx.user({ email: 'sup@sena.test', name: 'Sup', role: 'supervisor' });
+});
+test.after(() => ctx.close());
+
+const importCsv = (text) => sup.request('POST', '/api/contacts/import', text, { headers: { 'Content-Type': 'text/csv' } });
+
+test('contacts: create, find by phone variants, update and delete', async () => {
+  assert.equal((await att.post('/api/contacts', { nome: 'Sem número' })).status, 400);
+  assert.equal((await att.post('/api/contacts', { numero: '5511987650001', optStatus: 'maybe' })).status, 400);
+  const created = await att.post('/api/contacts', { numero: '+55 (11) 98765-0001', nome: 'Carla', tags: 'VIP; Retorno', customFields: { convenio: 'Unimed' } });
+  assert.equal(created.status, 201);
+  assert.deepEqual([created.body.numero, created.body.tags, created.body.opt_status], ['5511987650001', ['vip', 'retorno'], 'unknown']);
+  // Mesmo número sem o 9º dígito
+  const dup = await att.post('/api/contacts', { numero: '551187650001' });
+  assert.equal(dup.status, 409);
+  assert.equal(dup.body.contact.id, created.body.id);
+
+  assert.equal((await att.get('/api/contacts/by-phone/551187650001')).body.id, created.body.id);
+  assert.equal((await att.get('/api/contacts/by-phone/5511900000404')).status, 404);
+  assert.equal((await att.get(`/api/contacts/${created.body.id}`)).body.nome, 'Carla');
+  assert.equal((await att.get('/api/contacts/999')).status, 404);
+
+  await ctx.inbound('5511987650001', 'oi', { name: 'Perfil WhatsApp' });
+  assert.equal(ctx.sb.rows('contacts').filter(c => c.numero === '5511987650001').length, 1);
+  assert.equal(ctx.conversation('5511987650001').nome_paciente, 'Perfil WhatsApp');
+
+  const patched = await att.patch(`/api/contacts/${created.body.id}`, { nome: 'Carla Dias', addTags: ['novo'], removeTags: ['vip'], customFields: { convenio: null, plano: 'Ouro' }, optStatus: 'opted_in' });
+  assert.deepEqual([patched.body.tags, patched.body.custom_fields, patched.body.opt_status], [['retorno', 'novo'], { plano: 'Ouro' }, 'opted_in']);
+  assert.equal(ctx.conversation('5511987650001').nome_paciente, 'Carla Dias');
+  assert.equal((await att.patch('/api/contacts/999', { nome: 'x' })).status, 404);
+
+  const other = await att.post('/api/contacts', { numero: '5511922220002' });
+  assert.equal((await att.patch(`/api/contacts/${other.body.id}`, { numero: '5511987650001' })).status, 409);
+
+  assert.equal((await att.delete(`/api/contacts/${other.body.id}`)).status, 403);
+  assert.deepEqual((await sup.delete(`/api/contacts/${other.body.id}`)).body, { success: true });
+  assert.equal((await sup.delete(`/api/contacts/${other.body.id}`)).status, 404);
+});
+
+test('contacts: list filters and cursor', async () => {
+  await att.post('/api/contacts', { numero: '5511922220010', nome: 'Bruno Alves', tags: ['diabetes'], instanceId: '1' });
+  await att.post('/api/contacts', { numero: '5511922220011', nome: 'Bruna Melo', tags: ['diabetes', 'vip'] });
+  assert.deepEqual((await att.get('/api/contacts?q=brun')).body.map(c => c.nome), ['Bruna Melo', 'Bruno Alves']);
+  assert.deepEqual((await att.get('/api/contacts?tag=diabetes,vip')).body.map(c => c.nome), ['Bruna Melo']);
+  assert.deepEqual((await att.get('/api/contacts?q=22220010')).body.map(c => c.nome), ['Bruno Alves']);
+  assert.ok((await att.get('/api/contacts?optStatus=opted_in')).body.every(c => c.opt_status === 'opted_in'));
+  assert.deepEqual((await att.get('/api/contacts?instanceId=1&tag=diabetes')).body.map(c => c.nome), ['Bruno Alves']);
+
+  const page = await att.get('/api/contacts?limit=1');
+  const rest = await att.get(`/api/contacts?limit=100&cursor=${encodeURIComponent(page.headers.get('x-next-cursor'))}`);
+  assert.ok(rest.body.every(c => c.id < page.body[0].id));
+});
+
+test('contacts: duplicates and merge', async () => {
+  const a = ctx.sb.seed('contacts', { numero: '5511987650020', nome: 'Dora', tags: ['a'], custom_fields: { x: '1' }, aliases: [], opt_status: 'unknown' })[0];
+  const b = ctx.sb.seed('contacts', { numero: '551187650020', nome: null, email: 'dora@x.com', tags: ['b'], custom_fields: { x: '2', y: '3' }, aliases: [], opt_status: 'opted_out' })[0];
+  assert.equal((await att.get('/api/contacts/duplicates')).status, 403);
+  const dups = await sup.get('/api/contacts/duplicates');
+  assert.deepEqual(dups.body.map(d => [d.numero, d.contacts.map(c => c.id)]), [['5511987650020', [a.id, b.id]]]);
+
+  await ctx.inbound('551187650020', 'oi, número antigo');
+  assert.equal((await sup.post(`/api/contacts/${a.id}/merge`, {})).status, 400);
+  assert.equal((await sup.post(`/api/contacts/${a.id}/merge`, { duplicateId: 999 })).status, 404);
+  const merged = await sup.post(`/api/contacts/${a.id}/merge`, { duplicateId: b.id });
+  assert.deepEqual([merged.body.email, merged.body.tags, merged.body.custom_fields, merged.body.aliases, merged.body.opt_status], ['dora@x.com', ['a', 'b'], { x: '1', y: '3' }, ['551187650020'], 'opted_out']);
+  assert.equal((await att.get(`/api/contacts/${b.id}`)).status, 404);
+  assert.deepEqual((await sup.get('/api/contacts/duplicates')).body, []);
+
+  // Só o cadastro é fundido: o histórico do número antigo fica onde está e chega ao contato pelo alias
+  assert.ok(ctx.conversation('551187650020'));
+  assert.equal(ctx.messagesOf('551187650020').length, 1);
+  assert.equal((await att.get('/api/contacts/by-phone/551187650020')).body.id, a.id);
+});
+
+test('contacts: CSV import and export', async () => {
+  assert.equal((await importCsv('numero\n')).status, 400);
+  const noPhone = await importCsv('nome;email\nA;a@x\n');
+  assert.deepEqual(noPhone.body, { error: 'CSV sem coluna numero/telefone' });
+
+  const body = 'telefone;nome;tags;convenio;opt_status\n5511922220030;"Eva; a primeira";vip|novo;Amil;\n5511987650001;;retorno;;\n123;x;;;\n5511922220031;Fabio;;;talvez\n';
+  const res = await importCsv(body);
+  assert.deepEqual(res.body, { created: 1, updated: 1, errors: [{ line: 4, error: 'numero inválido' }, { line: 5, error: 'optStatus inválido (unknown | opted_in | opted_out)' }] });
+  const eva = (await att.get('/api/contacts/by-phone/5511922220030')).body;
+  assert.deepEqual([eva.nome, eva.tags, eva.custom_fields], ['Eva; a primeira', ['vip', 'novo'], { convenio: 'Amil' }]);
+
+  const form = new FormData();
+  form.append('file', new Blob(['numero,nome\n5511922220032,Gil\n'], { type: 'text/csv' }), 'contatos.csv');
+  assert.deepEqual((await sup.post('/api/contacts/import', form)).body, { created: 1, updated: 0, errors: [] });
+
+  const exported = await sup.get('/api/contacts/export');
+  assert.equal(exported.headers.get('content-disposition'), 'attachment; filename="contatos.csv"');
+  assert.ok(exported.text.startsWith('﻿numero,nome,email,tags,opt_status,convenio,plano,x,y\r\n'));
+  assert.match(exported.text, /5511922220030,"Eva; a primeira",,"vip;novo",unknown,Amil,,,\r\n/);
+  assert.equal((await att.get('/api/contacts/export')).status, 403);
+});
+
+test('campaigns: draft validation and editing', async () => {
+  await sup.post('/api/instance/1/templates', { name: 'promo', templateId: 'gs-promo', body: 'Olá {{1}}, temos novidades: {{2}}' });
+  const base = { name: 'Check-up', instanceId: '1', template: 'promo', params: ['{{primeiro_nome}}', 'check-up'], audience: { source: 'contacts', tags: ['diabetes'] } };
+  assert.equal((await att.post('/api/campaigns', base)).status, 403);
+  assert.equal((await sup.post('/api/campaigns', { ...base, name: '' })).status, 400);
+  assert.equal((await sup.post('/api/campaigns', { ...base, audience: { source: 'crm' } })).status, 400);
+  assert.equal((await sup.post('/api/campaigns', { ...base, params: 'x' })).status, 400);
+  assert.equal((await sup.post('/api/campaigns', { ...base, scheduledAt: 'amanhã' })).status, 400);
+  assert.deepEqual((await sup.post('/api/campaigns', { ...base, audience: { source: 'conversations', from: 'garbage' } })).body, { error: 'audience.from/to inválidos' });
+  assert.equal((await sup.post('/api/campaigns', { ...base, template: 'nada' })).status, 404);
+  assert.deepEqual((await sup.post('/api/campaigns', { ...base, params: ['a'] })).body, { error: 'template_params', expected: 2, received: 1 });
+
+  const created = await sup.post('/api/campaigns', { ...base, ratePerMinute: 5000 });
+  assert.equal(created.status, 201);
+  assert.deepEqual([created.body.status, created.body.rate_per_minute], ['draft', 1000]);
+  const patched = await sup.patch(`/api/campaigns/${created.body.id}`, { name: 'Check-up 2026' });
+  assert.equal(patched.body.name, 'Check-up 2026');
+  assert.equal((await sup.patch('/api/campaigns/999', { name: 'x' })).status, 404);
+  assert.equal((await sup.patch(`/api/campaigns/${created.body.id}`, { audience: { source: 'conversations', to: 'ontem' } })).status, 400);
+  assert.deepEqual((await sup.get('/api/campaigns?status=draft')).body.map(c => c.id), [created.body.id]);
+  assert.equal((await sup.get('/api/campaigns/999')).status, 404);
+
+  const preview = await sup.get(`/api/campaigns/${created.body.id}/audience`);
+  assert.deepEqual([preview.body.total, preview.body.sample.map(r => r.numero)], [2, ['5511922220010', '5511922220011']]);
+});
+
+test('campaigns: schedule, worker sends templates, opt-out skip, replies and report', async () => {
+  const opted = ctx.sb.rows('contacts').find(c => c.numero === '5511922220011');
+  opted.opt_status = 'opted_out';
+  await att.post('/api/contacts', { numero: '5511922220012', nome: 'Helena Souza', tags: ['diabetes'] });
+  const [campaign] = (await sup.get('/api/campaigns?status=draft')).body;
+
+  const scheduled = await sup.post(`/api/campaigns/${campaign.id}/schedule`, { scheduledAt: '2020-01-01T00:00:00Z' });
+  assert.equal(scheduled.body.status, 'scheduled');
+  assert.equal((await sup.post(`/api/campaigns/${campaign.id}/schedule`)).status, 409);
+  assert.equal((await sup.patch(`/api/campaigns/${campaign.id}`, { name: 'x' })).status, 409);
+
+  for (let i = 0; i < 5; i++) await ctx.jobs.processCampaigns(); // 1 destinatário por rodada (CAMPAIGN_POLL_MS=0)
+  const done = await sup.get(`/api/campaigns/${campaign.id}`);
+  assert.equal(done.body.status, 'completed');
+  assert.deepEqual([done.body.stats.total, done.body.stats.sent, done.body.stats.skipped], [3, 2, 1]);
+
+  const sent = ctx.gs.sent().filter(r => r.path === '/wa/api/v1/template/msg');
+  assert.deepEqual(sent.map(r => [r.body.destination, r.body.template.params]), [['5511922220010', ['Bruno', 'check-up']], ['5511922220012', ['Helena', 'check-up']]]);
+  const msg = ctx.messagesOf('5511922220010')[0];
+  assert.deepEqual([msg.remetente, msg.resposta_robo, msg.template_name], ['Robô', 'Olá Bruno, temos novidades: check-up', 'promo']);
+
+  await ctx.inbound('5511922220010', 'quero agendar');
+  const report = await sup.get(`/api/campaigns/${campaign.id}/recipients`);
+  assert.deepEqual(report.body.map(r => [r.numero, r.status, !!r.repliedAt]), [['5511922220010', 'sent', true], ['5511922220011', 'skipped', false], ['5511922220012', 'sent', false]]);
+  assert.deepEqual((await sup.get(`/api/campaigns/${campaign.id}/recipients?status=replied`)).body.map(r => r.numero), ['5511922220010']);
+  const asCsv = await sup.get(`/api/campaigns/${campaign.id}/recipients?format=csv`);
+  assert.ok(asCsv.text.startsWith('﻿numero,nome,status,entrega,erro,enviado_em,respondido_em\r\n'));
+  assert.match(asCsv.text, /5511922220011,Bruna Melo,skipped,,opted_out,,/);
+});
+
+test('campaigns: list audience, pause/resume/cancel and auto-pause without template', async () => {
+  const list = await sup.post('/api/campaigns', { name: 'Lista', instanceId: '1', template: 'promo', params: ['{{nome}}', '{{oferta}}'], audience: { source: 'list' } });
+  assert.equal((await sup.post(`/api/campaigns/${list.body.id}/recipients`, { foo: 1 })).status, 400);
+  const added = await sup.request('POST', `/api/campaigns/${list.body.id}/recipients`, 'numero,nome,oferta\n5511987650040,Igor,exame\n551187650040,Igor dup,exame\n12,x,y\n5511922220041,Joana,\n', { headers: { 'Content-Type': 'text/csv' } });
+  assert.deepEqual(added.body, { added: 2, invalid: [3] });
+  assert.deepEqual((await sup.post(`/api/campaigns/${list.body.id}/recipients?append=1`, { recipients: [{ numero: '5511922220042', oferta: 'consulta' }] })).body, { added: 1, invalid: [] });
+  assert.equal((await sup.get(`/api/campaigns/${list.body.id}/audience`)).body.total, 3);
+
+  assert.equal((await sup.post(`/api/campaigns/${list.body.id}/resume`)).status, 409);
+  await sup.post(`/api/campaigns/${list.body.id}/schedule`);
+  assert.equal((await sup.post(`/api/campaigns/${list.body.id}/pause`)).body.status, 'paused');
+  await ctx.jobs.processCampaigns();
+  assert.equal(ctx.sb.rows('campaign_recipients').filter(r => r.campaign_id === list.body.id && r.status !== 'pending').length, 0);
+  assert.equal((await sup.post(`/api/campaigns/${list.body.id}/resume`)).body.status, 'scheduled');
+
+  for (let i = 0; i < 4; i++) await ctx.jobs.processCampaigns();
+  const report = (await sup.get(`/api/campaigns/${list.body.id}/recipients`)).body;
+  assert.deepEqual(report.map(r => [r.numero, r.status, r.error]), [
+    ['5511987650040', 'sent', null],
+    ['5511922220041', 'failed', 'missing_variable: oferta'],
+    ['5511922220042', 'failed', 'missing_variable: nome'],
+  ]);
+
+  const other = await sup.post('/api/campaigns', { name: 'Sem template', instanceId: '1', template: 'promo', params: ['a', 'b'], audience: { source: 'conversations', status: ['FINALIZADO'] } });
+  await ctx.admin.patch('/api/conversation/5511987650001/status', { status: 'FINALIZADO' });
+  assert.equal((await sup.post(`/api/campaigns/${other.body.id}/schedule`)).body.status, 'scheduled');
+  await sup.delete('/api/instance/1/templates/promo');
+  await ctx.jobs.processCampaigns();
+  const paused = (await sup.get(`/api/campaigns/${other.body.id}`)).body;
+  assert.deepEqual([paused.status, paused.last_error], ['paused', 'template_not_found']);
+  assert.equal((await sup.post(`/api/campaigns/${other.body.id}/cancel`)).body.status, 'cancelled');
+  assert.equal((await sup.post(`/api/campaigns/${other.body.id}/cancel`)).status, 409);
+
+  const empty = await sup.post('/api/instance/1/templates', { name: 'promo', templateId: 'gs-promo', body: 'x' });
+  assert.equal(empty.status, 200);
+  const none = await sup.post('/api/campaigns', { name: 'Vazia', instanceId: '1', template: 'promo', audience: { source: 'contacts', tags: ['inexistente'] } });
+  assert.deepEqual((await sup.post(`/api/campaigns/${none.body.id}/schedule`)).body, { error: 'audience_empty' });
+});
@@ -0,0 +1,238 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { bootApp, waitFor, sleep } = require('./support/app');
+
+const ROBO = 'EM_ATENDIMENTO_ROBO';
+const PENDENTE = 'PENDENTE';
+const HUMANO = 'EM_ATENDIMENTO_HUMANO';
+const FINALIZADO = 'FINALIZADO';
+
+let ctx;
+let ana;
+let bia;
+let sup;
+test.before(async () => {
+  ctx = await bootApp();
+  ana = await ctx.user({ email: 'ana@sena.test', name: 'Ana' });
+  bia = await ctx.user({ email: 'bia@sena.test', name: 'Bia' });
+  sup = await ctx.user({ email: 'sup@sena.test', name: 'Sup', role: 'supervisor' });
+});
+test.after(() => ctx.close());
+
+test('conversation list: filters, labels and cursor pagination', async () => {
+  for (const n of ['5511944440001', '5511944440002', '5511944440003']) await ctx.inbound(n, `oi de ${n}`);
+  await ctx.admin.patch('/api/conversation/5511944440002/status', { status: FINALIZADO });
+
+  const all = await ana.get('/api/conversations');
+  assert.equal(all.status, 200);
+  const first = all.body.find(c => c.numeroPaciente === '5511944440001');
+  assert.deepEqual([first.statusAtendimento, first.label, first.unreadCount, first.instanceId, first.lastMessage], [ROBO, 'ROBÔ', 1, '1', 'oi de 5511944440001']);
+
+  assert.deepEqual((await ana.get('/api/conversations?label=finalizado')).body.map(c => c.numeroPaciente), ['5511944440002']);
+  assert.ok((await ana.get(`/api/conversations?status=${ROBO}`)).body.every(c => c.statusAtendimento === ROBO));
+  assert.equal((await ana.get('/api/conversations?instanceId=2')).body.length, 0);
+
+  const page1 = await ana.get('/api/conversations?limit=2');
+  assert.equal(page1.body.length, 2);
+  const cursor = page1.headers.get('x-next-cursor');
+  assert.ok(cursor);
+  const page2 = await ana.get(`/api/conversations?limit=2&cursor=${encodeURIComponent(cursor)}`);
+  const seen = [...page1.body, ...page2.body].map(c => c.numeroPaciente);
+  assert.equal(new Set(seen).size, seen.length);
+  assert.ok(['5511944440001', '5511944440002', '5511944440003'].every(n => seen.includes(n)));
+
+  assert.deepEqual((await ana.post('/api/conversation/5511944440001/read')).body, { success: true });
+  assert.equal(ctx.conversation('5511944440001').unread_count, 0);
+  assert.ok(!(await ana.get('/api/conversations?unread=1')).body.some(c => c.numeroPaciente === '5511944440001'));
+});
+
+test('unread_count: an attendant reply racing a patient message does not lose the reset', async () => {
+  const numero = '5511944440020';
+  await ctx.inbound(numero, 'primeira');
+  assert.equal(ctx.conversation(numero).unread_count, 1);
+
+  // Segura a gravação do paciente (já com a contagem lida) até a resposta zerar, ou 300 ms
+  let held, released;
+  const patientHeld = new Promise(r => { held = r; });
+  const reset = new Promise(r => { released = r; });
+  ctx.sb.db.beforeExecute = (q) => {
+    if (q.table !== 'conversations' || q.action !== 'upsert') return;
+    if (q.values[0].unread_count === 0) setTimeout(released, 10);
+    else if (q.values[0].unread_count > 0) { held(); return Promise.race([reset, sleep(300)]); }
+  };
+  try {
+    const inbound = ctx.inbound(numero, 'segunda');
+    await patientHeld;
+    assert.equal((await ctx.admin.post('/api/instance/1/messages', { numeroPaciente: numero, texto: 'respondido' })).status, 200);
+    await inbound;
+  } finally { ctx.sb.db.beforeExecute = null; }
+  assert.equal(ctx.conversation(numero).unread_count, 0);
+});
+
+test('message history forces the current status and paginates backwards', async () => {
+  const numero = '5511944440004';
+  for (let i = 1; i <= 3; i++) ctx.sb.seed('messages', { numero_paciente: numero, instance_id: '1', remetente: 'Paciente', mensagem_paciente: `m${i}`, status_atendimento: ROBO, status_conversa: ROBO, created_at: `2026-01-01T10:00:0${i}.000Z` });
+  ctx.sb.seed('conversations', { numero_paciente: numero, instance_id: '1', status: HUMANO, updated_at: '2026-01-01T10:00:03.000Z' });
+
+  const res = await ana.get(`/api/conversation/${numero}/messages?limit=2`);
+  assert.deepEqual(res.body.map(m => m.mensagem_paciente), ['m2', 'm3']);
+  assert.ok(res.body.every(m => m.status_conversa === HUMANO && m.delivery_status === null));
+  assert.equal(res.headers.get('x-conversation-status'), HUMANO);
+  assert.equal(res.headers.get('x-conversation-remetente'), 'Atendente');
+  assert.equal(res.headers.get('cache-control'), 'no-store, no-cache, must-revalidate, proxy-revalidate');
+  const older = await ana.get(`/api/conversation/${numero}/messages?limit=2&cursor=${encodeURIComponent(res.headers.get('x-next-cursor'))}`);
+  assert.deepEqual(older.body.map(m => m.mensagem_paciente), ['m1']);
+  assert.equal(older.headers.get('x-next-cursor'), null);
+});
+
+test('crafted cursors and invalid dates are rejected before reaching the filters', async () => {
+  const enc = (parts) => encodeURIComponent(Buffer.from(JSON.stringify(parts)).toString('base64url'));
+  const bad = [
+    ['/api/conversations', enc(['2026-01-01T10:00:00.000Z', 'x"),numero_paciente.neq.(x'])],
+    ['/api/conversations', enc(['2026-01-01",status.neq."x', '5511944440001'])],
+    ['/api/conversation/5511944440004/messages', enc(['2026-01-01T10:00:00.000Z', '1),id.gt.(0'])],
+    ['/api/search?q=consulta', enc(['ontem', 1])],
+    ['/api/conversations', 'não-é-base64'],
+  ];
+  for (const [path, cursor] of bad) {
+    const res = await ana.get(`${path}${path.includes('?') ? '&' : '?'}cursor=${cursor}`);
+    assert.deepEqual([res.status, res.body], [400, { error: 'cursor inválido' }], path);
+  }
+  assert.equal((await ana.get(`/api/contacts?cursor=${enc(['1 or 1'])}`)).status, 400);
+  for (const qs of ['from=garbage', 'to=garbage', 'from=2026-02-01&to=2026-01-01']) assert.deepEqual((await ana.get(`/api/conversations?${qs}`)).body, { error: 'from/to inválidos' });
+});
+
+test('search finds messages and attaches the conversation', async () => {
+  await ctx.inbound('5511944440005', 'preciso remarcar a consulta de cardiologia');
+  assert.equal((await ana.get('/api/search?q=a')).status, 400);
+  const res = await ana.get('/api/search?q=cardiologia');
+  assert.equal(res.status, 200);
+  assert.equal(res.body.length, 1);
+  assert.equal(res.body[0].message.numero_paciente, '5511944440005');
+  assert.equal(res.body[0].conversation.statusAtendimento, ROBO);
+  assert.equal((await ana.get('/api/search?q=cardiologia&numero=5511944440001')).body.length, 0);
+});
+
+test('status and name updates', async () => {
+  await ctx.inbound('5511944440006', 'oi', { name: 'Nome Antigo' });
+  assert.equal((await ana.patch('/api/conversation/5511944440006/status', { status: 'X' })).status, 400);
+  assert.equal((await ana.patch('/api/conversation/5511900009999/status', { status: PENDENTE })).status, 404);
+  assert.deepEqual((await ana.patch('/api/conversation/5511944440006/status', { statusAtendimento: PENDENTE })).body, { success: true });
+  const conv = ctx.conversation('5511944440006');
+  assert.deepEqual([conv.status, conv.status_changed_by], [PENDENTE, ana.user.id]);
+  const [transition] = ctx.sb.rows('status_transitions').filter(t => t.numero_paciente === '5511944440006');
+  assert.deepEqual([transition.from_status, transition.to_status, transition.changed_by, transition.changed_by_name, transition.source], [ROBO, PENDENTE, ana.user.id, 'Ana', 'panel']);
+
+  assert.equal((await ana.patch('/api/conversation/5511944440006/name', {})).status, 400);
+  assert.deepEqual((await ana.patch('/api/conversation/5511944440006/name', { nomePaciente: 'Nome Novo' })).body, { success: true });
+  assert.equal(ctx.conversation('5511944440006').nome_paciente, 'Nome Novo');
+  assert.equal(ctx.sb.rows('contacts').find(c => c.numero === '5511944440006').nome, 'Nome Novo');
+});
+
+test('claim, takeover and FINALIZADO releases the assignment', async () => {
+  await ctx.inbound('5511944440007', 'oi');
+  assert.deepEqual((await ana.post('/api/conversation/5511944440007/claim')).body, { success: true, assignedTo: ana.user.id });
+  let conv = ctx.conversation('5511944440007');
+  assert.deepEqual([conv.status, conv.assigned_to, conv.assigned_name], [HUMANO, ana.user.id, 'Ana']);
+  assert.equal((await bia.post('/api/conversation/5511944440007/claim')).status, 409);
+  assert.equal((await ana.post('/api/conversation/5511944440007/claim')).status, 200);
+
+  const take = await bia.post('/api/conversation/5511944440007/takeover');
+  assert.deepEqual(take.body, { success: true, assignedTo: bia.user.id, previous: ana.user.id });
+  assert.equal((await bia.get('/api/conversations?assignedTo=me')).body[0].numeroPaciente, '5511944440007');
+
+  await bia.patch('/api/conversation/5511944440007/status', { status: FINALIZADO });
+  conv = ctx.conversation('5511944440007');
+  assert.equal(conv.assigned_to, null);
+  assert.equal((await ana.post('/api/conversation/5511900009998/claim')).status, 404);
+});
+
+test('queues: CRUD, members, auto-assignment and transfer', async () => {
+  assert.equal((await ana.post('/api/queues', { name: 'x' })).status, 403);
+  assert.equal((await sup.post('/api/queues', {})).status, 400);
+  assert.equal((await sup.post('/api/queues', { name: 'x', strategy: 'random' })).status, 400);
+  const queue = await sup.post('/api/queues', { name: 'Recepção', instanceId: '1', strategy: 'round_robin', isDefault: true });
+  assert.equal(queue.status, 201);
+  assert.equal((await sup.put(`/api/queues/${queue.body.id}/members`, {})).status, 400);
+  assert.deepEqual((await sup.put(`/api/queues/${queue.body.id}/members`, { userIds: [ana.user.id, bia.user.id, ana.user.id] })).body, { success: true, members: [ana.user.id, bia.user.id] });
+  const list = await ana.get('/api/queues?instanceId=1');
+  assert.deepEqual(list.body.map(q => [q.name, q.members]), [['Recepção', [ana.user.id, bia.user.id]]]);
+
+  // PENDENTE sem dono → round robin entre os membros
+  await ctx.inbound('5511944440008', 'oi');
+  await ctx.inbound('5511944440009', 'oi');
+  await ctx.admin.patch('/api/conversation/5511944440008/status', { status: PENDENTE });
+  await ctx.admin.patch('/api/conversation/5511944440009/status', { status: PENDENTE });
+  assert.equal(ctx.conversation('5511944440008').assigned_to, ana.user.id);
+  assert.equal(ctx.conversation('5511944440009').assigned_to, bia.user.id);
+
+  const workload = await sup.get('/api/attendants/workload');
+  assert.equal(workload.body.find(u => u.id === ana.user.id).activeConversations, 1);
+  assert.equal((await ana.get('/api/attendants/workload')).status, 403);
+
+  // Transferência: atendente não transfere conversa de outra pessoa; supervisor pode
+  assert.equal((await ana.post('/api/conversation/5511944440009/transfer', {})).status, 400);
+  assert.equal((await ana.post('/api/conversation/5511944440009/transfer', { toUserId: ana.user.id })).status, 409);
+  assert.equal((await sup.post('/api/conversation/5511944440009/transfer', { toUserId: '999' })).status, 404);
+  assert.deepEqual((await sup.post('/api/conversation/5511944440009/transfer', { toUserId: ana.user.id })).body, { success: true, assignedTo: ana.user.id });
+  assert.equal(ctx.conversation('5511944440009').status, HUMANO);
+
+  const manual = await sup.post('/api/queues', { name: 'Financeiro', instanceId: '1' });
+  const moved = await ana.post('/api/conversation/5511944440009/transfer', { queueId: manual.body.id });
+  assert.deepEqual(moved.body, { success: true, queueId: manual.body.id, assignedTo: null });
+  assert.deepEqual([ctx.conversation('5511944440009').status, ctx.conversation('5511944440009').queue_id], [PENDENTE, manual.body.id]);
+  assert.equal((await ana.post('/api/conversation/5511944440009/transfer', { queueId: 999 })).status, 404);
+
+  const patched = await sup.patch(`/api/queues/${queue.body.id}`, { active: false });
+  assert.equal(patched.body.active, false);
+  assert.equal((await sup.patch(`/api/queues/${queue.body.id}`, { strategy: 'x' })).status, 400);
+});
+
+test('SSE stream delivers events, honours the instance filter and replays from Last-Event-ID', async () => {
+  const events = [];
+  const controller = new AbortController();
+  const res = await fetch(`${ctx.baseUrl}/api/events?access_token=${ana.token}&instances=1`, { signal: controller.signal });
+  assert.equal(res.headers.get('content-type'), 'text/event-stream');
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  const pump = (async () => {
+    try {
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) return;
+        buffer += decoder.decode(value, { stream: true });
+        let i;
+        while ((i = buffer.indexOf('\n\n')) >= 0) {
+          const block = buffer.slice(0, i);
+          buffer = buffer.slice(i + 2);
+          const data = block.split('\n').find(l => l.startsWith('data: '));
+          if (data) events.push(JSON.parse(data.slice(6)));
+        }
+      }
+    } catch { /* abortado */ }
+  })();
+
+  await waitFor(async () => (await ctx.anon.get('/health')).body.sseClients === 1);
+  await ctx.inbound('5511944440010', 'tempo real');
+  await ctx.sb.seed('instances', { id_da_instancia: '7', token: 't', source_number: '1', status: 'active' });
+  await ctx.inbound('5511944440011', 'outra instância', { instanceId: '7' });
+  await waitFor(() => events.some(e => e.type === 'message.created' && e.numeroPaciente === '5511944440010'));
+  assert.ok(events.every(e => e.instanceId === '1'));
+  controller.abort();
+  await pump;
+  await waitFor(async () => (await ctx.anon.get('/health')).body.sseClients === 0);
+
+  // Reconexão: recebe o que perdeu desde o último id
+  const lastId = events.at(-1).id;
+  await ctx.inbound('5511944440012', 'perdida');
+  const replay = new AbortController();
+  const again = await fetch(`${ctx.baseUrl}/api/events?instances=1`, { headers: { Authorization: `Bearer ${ana.token}`, 'Last-Event-ID': String(lastId) }, signal: replay.signal });
+  const replayReader = again.body.getReader();
+  let text = '';
+  await waitFor(async () => { const { value } = await replayReader.read(); text += decoder.decode(value || new Uint8Array()); return text.includes('5511944440012'); });
+  replay.abort();
+  await replayReader.closed.catch(() => {});
+
+  assert.equal((await ctx.anon.get('/api/events')).status, 401);
+});
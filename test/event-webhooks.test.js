@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { bootApp, waitFor } = require('./support/app');
+
+let ctx;
+test.before(async () => { ctx = await bootApp(); });
+test.after(() => ctx.close());
+
+const sign = (secret, raw) => 'sha256=' + crypto.createHmac('sha256', secret).update(raw).digest('hex');
+const hits = (path) => ctx.gs.requests.filter(r => r.path === path);
+const deliveriesOf = (sub) => ctx.sb.rows('event_webhook_deliveries').filter(d => d.subscription_id === sub.id);
+const base = '/api/instance/1/event-webhooks';
+
+test('subscriptions CRUD keeps the secret out of listings', async () => {
+  assert.equal((await ctx.admin.post(base, { url: 'ftp://clinica' })).status, 400);
+  assert.match((await ctx.admin.post(base, { url: `${ctx.gs.url}/hooks/a`, events: ['message.deleted'] })).body.error, /^eventos inválidos: message.deleted/);
+  const sup = await ctx.user({ email: 'sup-hooks@sena.test', role: 'supervisor' });
+  assert.equal((await sup.get(base)).status, 403);
+
+  const created = await ctx.admin.post(base, { url: `${ctx.gs.url}/hooks/a`, events: 'message.received, conversation.status_changed', description: 'CRM' });
+  assert.equal(created.status, 201);
+  assert.match(created.body.secret, /^whsec_[0-9a-f]{48}$/);
+  assert.deepEqual([created.body.events, created.body.active, created.body.has_secret], [['message.received', 'conversation.status_changed'], true, true]);
+
+  const list = await ctx.admin.get(base);
+  assert.deepEqual(list.body.map(s => [s.id, 'secret' in s]), [[created.body.id, false]]);
+  assert.equal((await ctx.admin.get('/api/instance/2/event-webhooks')).body.length, 0);
+
+  assert.equal((await ctx.admin.patch(`${base}/${created.body.id}`, { active: false })).body.active, false);
+  assert.equal((await ctx.admin.patch(`/api/instance/2/event-webhooks/${created.body.id}`, { active: true })).status, 404);
+  const rotated = await ctx.admin.post(`${base}/${created.body.id}/rotate-secret`);
+  assert.notEqual(rotated.body.secret, created.body.secret);
+  assert.deepEqual((await ctx.admin.delete(`${base}/${created.body.id}`)).body, { success: true });
+  assert.equal((await ctx.admin.delete(`${base}/${created.body.id}`)).status, 404);
+});
+
+test('events are queued per subscription and delivered signed by the worker', async () => {
+  const sub = (await ctx.admin.post(base, { url: `${ctx.gs.url}/hooks/crm`, events: ['message.received', 'conversation.status_changed'], secret: 'segredo' })).body;
+  ctx.gs.handle('POST', '/hooks/crm', () => ({ status: 204 }));
+
+  await ctx.inbound('5511988880001', 'quero marcar consulta');
+  await ctx.admin.patch('/api/conversation/5511988880001/status', { status: 'FINALIZADO' });
+  await waitFor(() => deliveriesOf(sub).length === 2);
+  assert.equal(hits('/hooks/crm').length, 0); // sem start(), só o worker entrega
+
+  await ctx.jobs.processEventWebhooks();
+  const [received, status] = hits('/hooks/crm');
+  assert.equal(received.headers['x-event-type'], 'message.received');
+  assert.equal(received.headers['x-signature'], sign('segredo', received.raw));
+  assert.deepEqual([received.body.type, received.body.instanceId, received.body.numeroPaciente, received.body.attempt], ['message.received', '1', '5511988880001', 1]);
+  assert.equal(received.body.id, received.headers['x-event-id']);
+  assert.equal(status.body.type, 'conversation.status_changed');
+  assert.deepEqual(deliveriesOf(sub).map(d => [d.status, d.attempts, d.last_status_code, d.numero_paciente]), [['delivered', 1, 204, '5511988880001'], ['delivered', 1, 204, '5511988880001']]);
+
+  // Tipos fora da assinatura (conversation.assigned) e outras instâncias não geram entrega
+  await ctx.admin.post('/api/conversation/5511988880001/claim');
+  await ctx.inbound('5511988880002', 'oi', { instanceId: '2' });
+  await waitFor(() => deliveriesOf(sub).length === 3);
+  assert.deepEqual(deliveriesOf(sub).map(d => d.event_type), ['message.received', 'conversation.status_changed', 'conversation.status_changed']);
+  await ctx.admin.delete(`${base}/${sub.id}`);
+});
+
+test('failed deliveries back off, give up after max attempts and can be replayed', async () => {
+  let up = false;
+  ctx.gs.handle('POST', '/hooks/down', () => (up ? { status: 200, body: 'ok' } : { status: 500, body: 'fora do ar' }));
+  const sub = (await ctx.admin.post(base, { url: `${ctx.gs.url}/hooks/down`, events: ['message.received'] })).body;
+
+  await ctx.inbound('5511988880003', 'oi');
+  await waitFor(() => deliveriesOf(sub).length === 1);
+  await ctx.jobs.processEventWebhooks();
+  const [first] = deliveriesOf(sub);
+  assert.deepEqual([first.status, first.attempts, first.last_error, first.response_body], ['pending', 1, 'HTTP 500', 'fora do ar']);
+  assert.ok(new Date(first.next_attempt_at) > new Date());
+
+  await ctx.jobs.processEventWebhooks();
+  assert.equal(deliveriesOf(sub)[0].attempts, 1); // ainda no backoff
+  first.max_attempts = 2;
+  first.next_attempt_at = new Date(Date.now() - 1000).toISOString();
+  await ctx.jobs.processEventWebhooks();
+  assert.deepEqual([first.status, first.attempts], ['failed', 2]);
+
+  const failed = await ctx.admin.get(`${base}/${sub.id}/deliveries?status=failed`);
+  assert.deepEqual(failed.body.map(d => d.id), [first.id]);
+
+  up = true;
+  const replay = await ctx.admin.post(`${base}/${sub.id}/deliveries/${first.id}/replay`);
+  assert.equal(replay.status, 202);
+  assert.deepEqual([replay.body.replay_of, replay.body.event_id, replay.body.status], [first.id, first.event_id, 'pending']);
+  assert.equal((await ctx.admin.post(`${base}/${sub.id}/deliveries/999/replay`)).status, 404);
+  await ctx.jobs.processEventWebhooks();
+  assert.equal(hits('/hooks/down').at(-1).headers['x-event-id'], first.event_id);
+  assert.equal(deliveriesOf(sub).find(d => d.id === replay.body.id).status, 'delivered');
+
+  // Replay em lote: um por evento, mesmo com o original já reenviado
+  assert.equal((await ctx.admin.post(`${base}/${sub.id}/replay`, { status: 'pending' })).status, 400);
+  assert.equal((await ctx.admin.post(`${base}/${sub.id}/replay`, { from: 'ontem' })).status, 400);
+  assert.deepEqual((await ctx.admin.post(`${base}/${sub.id}/replay`, { status: 'all' })).body, { replayed: 1 });
+  assert.equal((await ctx.admin.post(`${base}/999/replay`, {})).status, 404);
+
+  const page = await ctx.admin.get(`${base}/${sub.id}/deliveries?limit=1`);
+  assert.equal(page.body.length, 1);
+  assert.ok(page.headers.get('x-next-cursor'));
+
+  // Payload apagado pela LGPD/retenção: o worker não entrega e o replay é recusado
+  const before = hits('/hooks/down').length;
+  for (const d of deliveriesOf(sub)) d.payload = { redacted: true };
+  const pending = deliveriesOf(sub).find(d => d.status === 'pending');
+  await ctx.jobs.processEventWebhooks();
+  assert.deepEqual([pending.status, pending.last_error, hits('/hooks/down').length], ['failed', 'redacted', before]);
+  assert.deepEqual((await ctx.admin.post(`${base}/${sub.id}/deliveries/${first.id}/replay`)).body, { error: 'delivery_redacted' });
+  assert.deepEqual((await ctx.admin.post(`${base}/${sub.id}/replay`, { status: 'all' })).body, { replayed: 0 });
+});
+
+test('test endpoint sends a signed ping and returns the delivery', async () => {
+  ctx.gs.handle('POST', '/hooks/ping', () => ({ status: 200, body: 'pong' }));
+  const sub = (await ctx.admin.post(base, { url: `${ctx.gs.url}/hooks/ping`, secret: 'ping-secret' })).body;
+  const res = await ctx.admin.post(`${base}/${sub.id}/test`);
+  assert.deepEqual([res.body.event_type, res.body.status, res.body.last_status_code, res.body.response_body], ['ping', 'delivered', 200, 'pong']);
+  const req = hits('/hooks/ping').at(-1);
+  assert.equal(req.headers['x-signature'], sign('ping-secret', req.raw));
+  assert.equal((await ctx.admin.post(`${base}/999/test`)).status, 404);
+
+  // Sem filtro de eventos a assinatura recebe todos; removê-la apaga o log de entregas
+  await ctx.inbound('5511988880004', 'oi');
+  await waitFor(() => deliveriesOf(sub).length === 2);
+  await ctx.admin.delete(`${base}/${sub.id}`);
+  assert.equal(deliveriesOf(sub).length, 0);
+});
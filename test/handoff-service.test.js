@@ -0,0 +1,178 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { bootApp } = require('./support/app');
+
+const ROBO = 'EM_ATENDIMENTO_ROBO';
+const PENDENTE = 'PENDENTE';
+const HUMANO = 'EM_ATENDIMENTO_HUMANO';
+const FINALIZADO = 'FINALIZADO';
+const minutesAgo = (m) => new Date(Date.now() - m * 60000).toISOString();
+
+let ctx;
+let att;
+let sup;
+test.before(async () => {
+  ctx = await bootApp();
+  att = await ctx.user({ email: 'att@sena.test', name: 'Ana' });
+  sup = await ctx.user({ email: 'sup@sena.test', name: 'Sup', role: 'supervisor' });
+});
+test.after(() => ctx.close());
+
+test('handoff rules: defaults, CRUD, validation and dry-run', async () => {
+  const defaults = await att.get('/api/instance/1/handoff-rules');
+  assert.equal(defaults.body.usingDefaults, true);
+  assert.ok(defaults.body.defaults.some(r => r.pattern === 'vou te transferir para um atendente humano'));
+
+  assert.equal((await att.post('/api/instance/1/handoff-rules', { type: 'keyword', pattern: 'x' })).status, 403);
+  assert.deepEqual((await sup.post('/api/instance/1/handoff-rules', {})).body, { error: 'type is required' });
+  assert.equal((await sup.post('/api/instance/1/handoff-rules', { type: 'sentiment' })).status, 400);
+  assert.equal((await sup.post('/api/instance/1/handoff-rules', { type: 'keyword' })).status, 400);
+  assert.match((await sup.post('/api/instance/1/handoff-rules', { type: 'regex', pattern: '(' })).body.error, /^regex inválida/);
+  assert.equal((await sup.post('/api/instance/1/handoff-rules', { type: 'max_bot_turns', threshold: 0 })).status, 400);
+  assert.equal((await sup.post('/api/instance/1/handoff-rules', { type: 'keyword', pattern: 'x', appliesTo: 'everyone' })).status, 400);
+
+  const regex = await sup.post('/api/instance/1/handoff-rules', { name: 'Urgência', type: 'regex', pattern: 'urg[eê]nt', appliesTo: 'both', priority: 1 });
+  assert.equal(regex.status, 201);
+  const turns = await sup.post('/api/instance/1/handoff-rules', { type: 'max_bot_turns', threshold: 3 });
+  assert.equal(turns.body.applies_to, 'bot');
+
+  const dry = (body) => att.post('/api/instance/1/handoff-rules/dry-run', body).then(r => r.body);
+  assert.deepEqual(await dry({ text: 'É URGENTE', remetente: 'Paciente' }), { source: 'patient', fired: true, rule: { id: regex.body.id, name: 'Urgência', type: 'regex', pattern: 'urg[eê]nt' } });
+  assert.equal((await dry({ text: 'tudo bem' })).fired, false);
+  assert.equal((await dry({ text: 'tudo bem', botTurns: 3 })).rule.type, 'max_bot_turns');
+  assert.equal((await dry({ text: 'x', handoff: true })).rule.type, 'flag');
+  // Com regras cadastradas, as frases padrão deixam de valer
+  assert.equal((await dry({ text: 'vou te transferir para um atendente humano' })).fired, false);
+
+  const patched = await sup.patch(`/api/instance/1/handoff-rules/${regex.body.id}`, { active: false });
+  assert.equal(patched.body.active, false);
+  assert.equal((await dry({ text: 'urgente', remetente: 'Paciente' })).fired, false);
+  assert.equal((await sup.patch(`/api/instance/1/handoff-rules/${regex.body.id}`, { pattern: '[' })).status, 400);
+  assert.equal((await sup.patch('/api/instance/1/handoff-rules/999', { active: true })).status, 404);
+
+  assert.deepEqual((await sup.delete(`/api/instance/1/handoff-rules/${regex.body.id}`)).body, { success: true });
+  await sup.delete(`/api/instance/1/handoff-rules/${turns.body.id}`);
+  assert.equal((await att.get('/api/instance/1/handoff-rules')).body.usingDefaults, true);
+});
+
+test('service settings: defaults, validation and secrets', async () => {
+  const empty = await att.get('/api/instance/1/service-settings');
+  assert.deepEqual([empty.body.timezone, empty.body.weekly_hours, empty.body.has_bot_secret], ['America/Sao_Paulo', null, false]);
+
+  assert.equal((await att.put('/api/instance/1/service-settings', {})).status, 403);
+  assert.equal((await sup.put('/api/instance/1/service-settings', { timezone: 'Mars/Olympus' })).status, 400);
+  assert.equal((await sup.put('/api/instance/1/service-settings', { weeklyHours: { 1: [['18:00', '08:00']] } })).status, 400);
+  assert.equal((await sup.put('/api/instance/1/service-settings', { weeklyHours: { 7: [] } })).status, 400);
+  assert.equal((await sup.put('/api/instance/1/service-settings', { autoCloseStatuses: [FINALIZADO] })).status, 400);
+  assert.equal((await sup.put('/api/instance/1/service-settings', { botUrl: 'ftp://bot' })).status, 400);
+  assert.equal((await sup.put('/api/instance/1/service-settings', { retentionDays: 30 })).status, 403);
+
+  const saved = await sup.put('/api/instance/1/service-settings', { weeklyHours: { 1: [['08:00', '12:00'], ['13:00', '18:00']] }, outOfHoursMessage: 'Estamos fechados', botSecret: 's3cr3t', botTimeoutMs: 99 });
+  assert.equal(saved.status, 200);
+  assert.equal(saved.body.has_bot_secret, true);
+  assert.equal(saved.body.bot_timeout_ms, 1000);
+  assert.equal('bot_secret' in saved.body, false);
+  assert.equal((await att.get('/api/instance/1/service-settings')).body.out_of_hours_message, 'Estamos fechados');
+});
+
+test('business hours and holidays', async () => {
+  const at = (iso) => att.get(`/api/instance/1/business-hours/status?at=${iso}`).then(r => r.body);
+  // 2026-10-19 é segunda; 12:30Z = 09:30 em São Paulo
+  assert.deepEqual(await at('2026-10-19T12:30:00Z'), { open: true, configured: true, timezone: 'America/Sao_Paulo', local: { date: '2026-10-19', time: '09:30', weekday: 1 } });
+  assert.equal((await at('2026-10-19T15:30:00Z')).open, false); // 12:30, intervalo de almoço
+  assert.equal((await at('2026-10-18T12:30:00Z')).open, false); // domingo
+  assert.equal((await att.get('/api/instance/2/business-hours/status')).body.configured, false);
+  assert.deepEqual(await at('garbage'), { error: 'at inválido' });
+
+  assert.equal((await sup.post('/api/instance/1/holidays', { date: '19/10/2026' })).status, 400);
+  await sup.post('/api/instance/1/holidays', { date: '2026-10-19', name: 'Feriado municipal' });
+  await sup.post('/api/instance/1/holidays', { date: '2026-10-19', name: 'Feriado local' });
+  assert.deepEqual((await att.get('/api/instance/1/holidays')).body.map(h => [h.date, h.name]), [['2026-10-19', 'Feriado local']]);
+  assert.equal((await at('2026-10-19T12:30:00Z')).holiday, 'Feriado local');
+  assert.deepEqual((await sup.delete('/api/instance/1/holidays/2026-10-19')).body, { success: true });
+  assert.equal((await at('2026-10-19T12:30:00Z')).open, true);
+});
+
+test('out-of-hours handoff sends the configured message', async () => {
+  await sup.put('/api/instance/1/service-settings', { weeklyHours: {}, outOfHoursMessage: 'Fora do horário: retornaremos em breve.' });
+  const rule = await sup.post('/api/instance/1/handoff-rules', { type: 'keyword', pattern: 'falar com atendente', appliesTo: 'patient' });
+  const res = await ctx.inbound('5511933330001', 'quero falar com atendente');
+  assert.equal(res.body.status, PENDENTE);
+  const reply = ctx.messagesOf('5511933330001').find(m => m.remetente === 'Robô');
+  assert.equal(reply.resposta_robo, 'Fora do horário: retornaremos em breve.');
+  assert.equal(reply.status_conversa, PENDENTE);
+  assert.equal(ctx.gs.sent().at(-1).body.message.text, 'Fora do horário: retornaremos em breve.');
+  await sup.delete(`/api/instance/1/handoff-rules/${rule.body.id}`);
+  await sup.put('/api/instance/1/service-settings', { weeklyHours: null });
+});
+
+test('auto-close finalizes idle conversations and sends the closing message', async () => {
+  await sup.put('/api/instance/1/service-settings', { idleCloseMinutes: 30, closingMessage: 'Atendimento encerrado por inatividade.' });
+  await ctx.inbound('5511933330002', 'oi');
+  await ctx.admin.post('/api/instance/1/messages', { numeroPaciente: '5511933330002', texto: 'ainda está aí?' });
+  await ctx.inbound('5511933330003', 'oi');
+  for (const n of ['5511933330002', '5511933330003']) ctx.conversation(n).last_message_at = minutesAgo(45);
+
+  assert.equal((await sup.post('/api/admin/auto-close/run')).status, 403);
+  const run = await ctx.admin.post('/api/admin/auto-close/run');
+  assert.deepEqual(run.body, { closed: ['5511933330002'] }); // ROBO não entra nos status padrão (PENDENTE, HUMANO)
+  assert.equal(ctx.conversation('5511933330002').status, FINALIZADO);
+  assert.equal(ctx.conversation('5511933330003').status, ROBO);
+  const closing = ctx.messagesOf('5511933330002').at(-1);
+  assert.deepEqual([closing.remetente, closing.resposta_robo, closing.status_conversa], ['Robô', 'Atendimento encerrado por inatividade.', FINALIZADO]);
+  // A mensagem de encerramento já grava a transição (sem ator)
+  const last = ctx.sb.rows('status_transitions').filter(t => t.numero_paciente === '5511933330002').at(-1);
+  assert.deepEqual([last.from_status, last.to_status, last.changed_by], [HUMANO, FINALIZADO, null]);
+
+  await sup.put('/api/instance/1/service-settings', { autoCloseStatuses: [ROBO, HUMANO] });
+  assert.deepEqual((await ctx.jobs.runAutoClose()).closed, ['5511933330003']);
+  await sup.put('/api/instance/1/service-settings', { idleCloseMinutes: 0 });
+});
+
+test('internal notes are stored but never sent', async () => {
+  await ctx.inbound('5511933330004', 'oi');
+  const sentBefore = ctx.gs.sent().length;
+  assert.equal((await att.post('/api/conversation/5511933330004/notes', {})).status, 400);
+  assert.equal((await att.post('/api/conversation/5511900000404/notes', { texto: 'x' })).status, 404);
+  const note = await att.post('/api/conversation/5511933330004/notes', { texto: 'Paciente prefere manhã' });
+  assert.equal(note.status, 201);
+  assert.deepEqual([note.body.remetente, note.body.atendente_nome, note.body.status_conversa], ['Nota', 'Ana', ROBO]);
+  assert.equal(ctx.gs.sent().length, sentBefore);
+  assert.equal(ctx.conversation('5511933330004').last_message, 'oi');
+  assert.deepEqual((await att.get('/api/conversation/5511933330004/notes')).body.map(n => n.resposta_atendente), ['Paciente prefere manhã']);
+});
+
+test('canned responses: CRUD, search, render and send', async () => {
+  assert.equal((await att.post('/api/instance/1/canned-responses', { shortcut: '/x', body: 'y' })).status, 403);
+  assert.equal((await sup.post('/api/instance/1/canned-responses', { shortcut: '/x' })).status, 400);
+  assert.equal((await sup.post('/api/instance/1/canned-responses', { shortcut: '123', body: 'y' })).status, 400);
+  const canned = await sup.post('/api/instance/1/canned-responses', { shortcut: '/ola', title: 'Saudação', body: 'Olá {{primeiro_nome}}, aqui é {{atendente}}. Convênio: {{convenio}}' });
+  assert.equal(canned.status, 201);
+  assert.deepEqual((await sup.post('/api/instance/1/canned-responses', { shortcut: '/ola', body: 'dup' })).body, { error: 'shortcut_exists' });
+  await sup.post('/api/instance/1/canned-responses', { shortcut: '/horario', title: 'Horário', body: 'Atendemos das 8h às 18h' });
+
+  assert.deepEqual((await att.get('/api/instance/1/canned-responses')).body.map(c => c.shortcut), ['/horario', '/ola']);
+  assert.deepEqual((await att.get('/api/instance/1/canned-responses?q=saud')).body.map(c => c.shortcut), ['/ola']);
+
+  await ctx.inbound('5511933330005', 'oi', { name: 'Maria Clara' });
+  const missing = await att.post(`/api/instance/1/canned-responses/${canned.body.id}/render`, { numeroPaciente: '5511933330005' });
+  assert.deepEqual(missing.body, { text: 'Olá Maria, aqui é Ana. Convênio: {{convenio}}', missing: ['convenio'] });
+  assert.equal((await att.post('/api/instance/1/canned-responses/999/render', { numeroPaciente: '5511933330005' })).status, 404);
+  assert.equal((await att.post(`/api/instance/1/canned-responses/${canned.body.id}/render`, {})).status, 400);
+
+  const blocked = await att.post('/api/instance/1/messages', { numeroPaciente: '5511933330005', cannedResponse: '/ola' });
+  assert.deepEqual(blocked.body, { error: 'canned_unresolved', missing: ['convenio'] });
+  const contact = ctx.sb.rows('contacts').find(c => c.numero === '5511933330005');
+  await att.patch(`/api/contacts/${contact.id}`, { customFields: { convenio: 'Unimed' } });
+  const sent = await att.post('/api/instance/1/messages', { numeroPaciente: '5511933330005', cannedResponse: '/ola' });
+  assert.equal(sent.status, 200);
+  assert.equal(ctx.gs.sent().at(-1).body.message.text, 'Olá Maria, aqui é Ana. Convênio: Unimed');
+  assert.equal((await att.post('/api/instance/1/messages', { numeroPaciente: '5511933330005', cannedResponse: '/nada' })).status, 404);
+
+  assert.equal((await sup.patch(`/api/instance/1/canned-responses/${canned.body.id}`, { shortcut: '/horario' })).status, 409);
+  assert.equal((await sup.patch(`/api/instance/1/canned-responses/${canned.body.id}`, { shortcut: '' })).status, 400);
+  assert.equal((await sup.patch('/api/instance/1/canned-responses/999', { title: 'x' })).status, 404);
+  assert.equal((await sup.patch(`/api/instance/1/canned-responses/${canned.body.id}`, { title: 'Boas-vindas' })).body.title, 'Boas-vindas');
+  assert.deepEqual((await sup.delete(`/api/instance/1/canned-responses/${canned.body.id}`)).body, { success: true });
+  assert.equal((await att.get('/api/instance/1/canned-responses')).body.length, 1);
+});
@@ -0,0 +1,161 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { bootApp } = require('./support/app');
+
+let ctx;
+test.before(async () => { ctx = await bootApp(); });
+test.after(() => ctx.close());
+
+test('instances CRUD never exposes the token', async () => {
+  const list = await ctx.admin.get('/api/instances');
+  assert.equal(list.status, 200);
+  assert.deepEqual(list.body.map(i => [i.id, i.provider, i.enabled, i.hasToken, i.source]), [['1', 'gupshup', true, true, '5511900000000']]);
+  assert.ok(list.body.every(i => !('token' in i)));
+
+  assert.equal((await ctx.admin.post('/api/instances', { name: 'sem id' })).status, 400);
+  assert.equal((await ctx.admin.post('/api/instances', { id: '10', provider: 'telegram' })).status, 400);
+  assert.equal((await ctx.admin.post('/api/instances', { id: '10', provider: 'meta' })).status, 400);
+  const created = await ctx.admin.post('/api/instances', { id: '10', name: ' Clínica Sul ', token: 'tok-10', sourceNumber: '+55 (11) 91111-0000', srcName: 'SUL' });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.name, 'Clínica Sul');
+  assert.equal(created.body.source, '5511911110000');
+  assert.equal(created.body.tokenEncrypted, false);
+  assert.equal((await ctx.admin.post('/api/instances', { id: '10' })).status, 409);
+
+  assert.equal((await ctx.admin.get('/api/instance/10')).body.srcName, 'SUL');
+  assert.equal((await ctx.admin.get('/api/instance/404')).status, 404);
+
+  const patched = await ctx.admin.patch('/api/instance/10', { name: 'Sul', token: null, enabled: false });
+  assert.equal(patched.body.hasToken, false);
+  assert.equal(patched.body.enabled, false);
+  assert.equal((await ctx.admin.patch('/api/instance/10', { provider: 'meta' })).status, 400);
+  assert.equal((await ctx.admin.patch('/api/instance/404', { name: 'x' })).status, 404);
+
+  assert.deepEqual((await ctx.admin.delete('/api/instance/10')).body, { success: true });
+  assert.equal((await ctx.admin.delete('/api/instance/10')).status, 404);
+});
+
+test('instance routes are admin-only', async () => {
+  const sup = await ctx.user({ email: 'sup-inst@sena.test', role: 'supervisor' });
+  assert.equal((await sup.get('/api/instances')).status, 403);
+  assert.equal((await sup.post('/api/instance/1/disable')).status, 403);
+});
+
+test('enable/disable toggles sending and webhooks', async () => {
+  const off = await ctx.admin.post('/api/instance/1/disable');
+  assert.equal(off.body.enabled, false);
+  await ctx.inbound('5511966660001', 'oi');
+  const send = await ctx.admin.post('/api/instance/1/messages', { numeroPaciente: '5511966660001', texto: 'oi' });
+  assert.equal(send.status, 409);
+  assert.deepEqual(send.body, { error: 'instance_disabled' });
+  assert.equal(ctx.messagesOf('5511966660001').length, 0);
+
+  assert.equal((await ctx.admin.post('/api/instance/1/enable')).body.enabled, true);
+  assert.equal((await ctx.admin.post('/api/instance/404/enable')).status, 404);
+});
+
+test('credential test calls the provider read-only endpoint', async () => {
+  let res = await ctx.admin.post('/api/instance/1/test');
+  assert.deepEqual(res.body, { provider: 'gupshup', ok: true, status: 200, detail: { appName: 'SENA', templates: 0 } });
+  const probe = ctx.gs.requests.at(-1);
+  assert.equal(probe.path, '/sm/api/v1/template/list/SENA');
+  assert.equal(probe.headers.apikey, 'gs-api-key');
+
+  ctx.gs.handle('GET', '/sm/api/v1/template/list/SENA', () => ({ status: 401, body: { status: 'error', message: 'Authentication Failed' } }));
+  res = await ctx.admin.post('/api/instance/1/test');
+  assert.equal(res.body.ok, false);
+  assert.equal(res.body.status, 401);
+  ctx.gs.reset();
+
+  ctx.sb.seed('instances', { id_da_instancia: '11', token: null, source_number: null, status: 'active' });
+  assert.deepEqual((await ctx.admin.post('/api/instance/11/test')).body, { ok: false, error: 'instance_not_ready' });
+  assert.equal((await ctx.admin.post('/api/instance/404/test')).status, 404);
+});
+
+test('unknown providers are rejected and reported instead of crashing', async () => {
+  for (const provider of ['telegram', 'toString', '__proto__']) assert.equal((await ctx.admin.put('/api/instance/1/provider', { provider })).status, 400);
+  assert.equal((await ctx.admin.patch('/api/instance/1', { provider: 'constructor' })).status, 400);
+
+  ctx.sb.seed('instances', { id_da_instancia: '14', provider: 'legado', token: 'tok-14', source_number: '5511900000014', status: 'active' });
+  assert.deepEqual((await ctx.admin.post('/api/instance/14/test')).body, { ok: false, error: 'unknown_provider', provider: 'legado' });
+  await ctx.inbound('5511966660014', 'oi', { instanceId: '14' });
+  const sent = await ctx.admin.post('/api/instance/14/messages', { numeroPaciente: '5511966660014', texto: 'olá' });
+  assert.deepEqual([sent.status, sent.body.error], [500, 'instance_not_ready']);
+});
+
+test('POST token upserts an active instance; PUT provider needs an existing one', async () => {
+  assert.equal((await ctx.admin.post('/api/instance/12/token', {})).status, 400);
+  assert.deepEqual((await ctx.admin.post('/api/instance/12/token', { token: 'tok-12', source_number: '5511900000012' })).body, { success: true });
+  assert.deepEqual(['token', 'status'].map(k => ctx.sb.rows('instances').find(i => i.id_da_instancia === '12')[k]), ['tok-12', 'active']);
+  await ctx.admin.post('/api/instance/12/disable');
+  await ctx.admin.post('/api/instance/12/token', { token: 'tok-12', source_number: '5511900000012' });
+  assert.equal(ctx.sb.rows('instances').find(i => i.id_da_instancia === '12').status, 'disabled');
+  await ctx.admin.post('/api/instance/12/enable');
+
+  assert.equal((await ctx.admin.put('/api/instance/12/provider', { provider: 'x' })).status, 400);
+  assert.equal((await ctx.admin.put('/api/instance/12/provider', { provider: 'meta', config: 'x' })).status, 400);
+  assert.equal((await ctx.admin.put('/api/instance/12/provider', { provider: 'meta', config: {} })).status, 400);
+  assert.deepEqual((await ctx.admin.put('/api/instance/12/provider', { provider: 'meta', config: { phoneNumberId: 'PN12' } })).body, { success: true, provider: 'meta' });
+  const row = ctx.sb.rows('instances').find(i => i.id_da_instancia === '12');
+  assert.deepEqual([row.provider, row.provider_config, row.token], ['meta', { phoneNumberId: 'PN12' }, 'tok-12']);
+  assert.deepEqual((await ctx.admin.put('/api/instance/99/provider', { provider: 'mock' })).body, { error: 'Instância não encontrada' });
+  assert.equal(ctx.sb.rows('instances').some(i => i.id_da_instancia === '99'), false);
+});
+
+test('mock provider: outbox, simulated inbound and delivery events', async () => {
+  await ctx.admin.post('/api/instances', { id: '13', provider: 'mock' });
+  const inbound = await ctx.admin.post('/api/instance/13/mock/inbound', { numeroPaciente: '5511966660002', nomePaciente: 'Rui', texto: 'olá mock' });
+  assert.equal(inbound.status, 200);
+  assert.equal(inbound.body.status, 'EM_ATENDIMENTO_ROBO');
+
+  const sent = await ctx.admin.post('/api/instance/13/messages', { numeroPaciente: '5511966660002', texto: 'resposta mock' });
+  assert.equal(sent.status, 200);
+  const outbox = (await ctx.admin.get('/api/instance/13/mock/outbox')).body;
+  assert.equal(outbox.length, 1);
+  assert.deepEqual([outbox[0].kind, outbox[0].destination, outbox[0].text], ['session', '5511966660002', 'resposta mock']);
+  assert.equal(ctx.gs.sent().length, 0);
+
+  const evt = await ctx.admin.post('/api/instance/13/mock/inbound', { providerMessageId: outbox[0].messageId, event: 'read' });
+  assert.equal(evt.body.updated, true);
+  assert.equal(ctx.messagesOf('5511966660002').find(m => m.remetente === 'Atendente').delivery_status, 'read');
+
+  assert.deepEqual((await ctx.admin.delete('/api/instance/13/mock/outbox')).body, { success: true });
+  assert.deepEqual((await ctx.admin.get('/api/instance/13/mock/outbox')).body, []);
+
+  await ctx.admin.post('/api/instance/13/disable');
+  assert.equal((await ctx.admin.post('/api/instance/13/mock/inbound', { numeroPaciente: '5511966660002', texto: 'x' })).status, 409);
+});
+
+test('tokens are encrypted with CREDENTIALS_KEY and rotated to the current key', async () => {
+  const old = await bootApp({ env: { CREDENTIALS_KEY: 'old-secret', CREDENTIALS_KEY_ID: 'k0' } });
+  let legacyToken;
+  try {
+    await old.admin.post('/api/instance/20/token', { token: 'tok-20', source_number: '5511900000020' });
+    legacyToken = old.sb.rows('instances').find(i => i.id_da_instancia === '20').token;
+    assert.match(legacyToken, /^enc:v1:k0:/);
+  } finally { await old.close(); }
+
+  const app = await bootApp({
+    env: { CREDENTIALS_KEY: 'new-secret', CREDENTIALS_KEY_ID: 'k1', CREDENTIALS_PREVIOUS_KEYS: 'k0:old-secret' },
+    seed: { instances: [{ id_da_instancia: '20', token: legacyToken, source_number: '5511900000020', status: 'active' }, { id_da_instancia: '21', token: 'enc:v1:k9:AAAA:AAAA:AAAA', source_number: '1', status: 'active' }] },
+  });
+  try {
+    const before = (await app.admin.get('/api/instance/20')).body;
+    assert.deepEqual([before.tokenEncrypted, before.tokenKeyId], [true, 'k0']);
+    assert.deepEqual((await app.admin.post('/api/instance/21/test')).body.error, 'token_unreadable');
+
+    const rotated = await app.admin.post('/api/instances/rotate-credentials');
+    assert.equal(rotated.body.keyId, 'k1');
+    assert.equal(rotated.body.rotated, 2); // instância 1 (texto puro) e 20 (k0)
+    assert.deepEqual(rotated.body.failed.map(f => f.id), ['21']);
+    assert.equal((await app.admin.get('/api/instance/20')).body.tokenKeyId, 'k1');
+    assert.equal((await app.admin.post('/api/instances/rotate-credentials')).body.current, 2);
+
+    // O token decifrado é o que vai para o Gupshup
+    await app.inbound('5511966660003', 'oi', { instanceId: '20' });
+    await app.admin.post('/api/instance/20/messages', { numeroPaciente: '5511966660003', texto: 'oi' });
+    assert.equal(app.gs.sent().at(-1).headers.apikey, 'tok-20');
+  } finally { await app.close(); }
+
+  assert.equal((await ctx.admin.post('/api/instances/rotate-credentials')).status, 400);
+});
@@ -0,0 +1,214 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { bootApp } = require('./support/app');
+
+const HUMANO = 'EM_ATENDIMENTO_HUMANO';
+const hoursAgo = (h) => new Date(Date.now() - h * 3600 * 1000).toISOString();
+
+let ctx;
+test.before(async () => { ctx = await bootApp(); });
+test.after(() => ctx.close());
+
+const jobOf = (id) => ctx.sb.rows('outbound_jobs').find(j => j.id === id);
+
+test('attendant message goes out through Gupshup and moves the conversation to HUMANO', async () => {
+  await ctx.inbound('5511955550001', 'oi', { name: 'Lia' });
+  const res = await ctx.admin.post('/api/instance/1/messages', { numeroPaciente: '+55 11 95555-0001', texto: '  Olá Lia  ' });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.success, true);
+  assert.match(res.body.messageId, /^gs-\d+$/);
+
+  const [req] = ctx.gs.sent().filter(r => r.body.destination === '5511955550001');
+  assert.equal(req.headers.apikey, 'gs-api-key');
+  assert.deepEqual([req.body.channel, req.body.source, req.body['src.name']], ['whatsapp', '5511900000000', 'SENA']);
+  assert.deepEqual(req.body.message, { type: 'text', text: 'Olá Lia' });
+
+  const msg = ctx.messagesOf('5511955550001').find(m => m.remetente === 'Atendente');
+  assert.equal(msg.resposta_atendente, 'Olá Lia');
+  assert.equal(msg.delivery_status, 'enqueued');
+  assert.equal(msg.atendente_id, 'admin');
+  assert.equal(jobOf(res.body.jobId).status, 'sent');
+  assert.equal(ctx.conversation('5511955550001').status, HUMANO);
+});
+
+test('send validation: missing fields, unknown instance, closed 24h window', async () => {
+  assert.equal((await ctx.admin.post('/api/instance/1/messages', { texto: 'x' })).status, 400);
+  assert.equal((await ctx.admin.post('/api/instance/1/messages', { numeroPaciente: '5511955550002' })).status, 400);
+  assert.deepEqual((await ctx.admin.post('/api/instance/404/messages', { numeroPaciente: '5511955550002', texto: 'x' })).body, { error: 'instance_not_ready' });
+  assert.equal((await ctx.anon.post('/api/instance/1/messages', { numeroPaciente: '5511955550002', texto: 'x' })).status, 401);
+
+  ctx.sb.seed('messages', { numero_paciente: '5511955550002', instance_id: '1', remetente: 'Paciente', mensagem_paciente: 'antigo', status_atendimento: 'EM_ATENDIMENTO_ROBO', created_at: hoursAgo(30) });
+  const res = await ctx.admin.post('/api/instance/1/messages', { numeroPaciente: '5511955550002', texto: 'x' });
+  assert.equal(res.status, 409);
+  assert.equal(res.body.error, 'window_expired');
+
+  const win = await ctx.admin.get('/api/conversation/5511955550002/window');
+  assert.equal(win.body.open, false);
+  await ctx.inbound('5511955550002', 'voltei');
+  assert.equal((await ctx.admin.get('/api/conversation/5511955550002/window')).body.open, true);
+});
+
+test('Idempotency-Key returns the same job without sending twice', async () => {
+  await ctx.inbound('5511955550003', 'oi');
+  const send = () => ctx.admin.post('/api/instance/1/messages', { numeroPaciente: '5511955550003', texto: 'uma vez' }, { headers: { 'Idempotency-Key': 'key-1' } });
+  const first = await send();
+  const second = await send();
+  assert.equal(second.body.duplicate, true);
+  assert.equal(second.body.jobId, first.body.jobId);
+  assert.equal(second.body.messageId, first.body.messageId);
+  assert.equal(ctx.gs.sent().filter(r => r.body.destination === '5511955550003').length, 1);
+  const byBody = await ctx.admin.post('/api/instance/1/messages', { numeroPaciente: '5511955550003', texto: 'uma vez', idempotencyKey: 'key-1' });
+  assert.equal(byBody.body.jobId, first.body.jobId);
+});
+
+test('transient Gupshup errors are retried by the queue worker with backoff', async () => {
+  await ctx.inbound('5511955550004', 'oi');
+  ctx.gs.failNext(503, { status: 'error', message: 'unavailable' });
+  const res = await ctx.admin.post('/api/instance/1/messages', { numeroPaciente: '5511955550004', texto: 'tenta de novo' });
+  assert.equal(res.status, 202);
+  assert.equal(res.body.queued, true);
+  let job = jobOf(res.body.jobId);
+  assert.deepEqual([job.status, job.attempts, job.last_status_code], ['queued', 1, 503]);
+  assert.ok(new Date(job.next_attempt_at) > new Date());
+  assert.equal(ctx.messagesOf('5511955550004').find(m => m.remetente === 'Atendente').delivery_status, 'queued');
+
+  await ctx.jobs.processOutboundQueue();
+  assert.equal(jobOf(res.body.jobId).status, 'queued'); // ainda no backoff
+
+  job.next_attempt_at = hoursAgo(1); // rows() devolve as linhas do store: a alteração vale para o worker
+  await ctx.jobs.processOutboundQueue();
+  job = jobOf(res.body.jobId);
+  assert.deepEqual([job.status, job.attempts], ['sent', 2]);
+  assert.equal(ctx.messagesOf('5511955550004').find(m => m.remetente === 'Atendente').delivery_status, 'enqueued');
+});
+
+test('permanent errors fail the job; failed jobs can be retried or cancelled', async () => {
+  await ctx.inbound('5511955550005', 'oi');
+  ctx.gs.failNext(400, { status: 'error', message: 'Invalid destination' });
+  const res = await ctx.admin.post('/api/instance/1/messages', { numeroPaciente: '5511955550005', texto: 'falha' });
+  assert.equal(res.status, 502);
+  assert.equal(res.body.error, 'gupshup_fail');
+  assert.equal(res.body.status, 400);
+  const msg = () => ctx.messagesOf('5511955550005').find(m => m.remetente === 'Atendente');
+  assert.equal(msg().delivery_status, 'failed');
+  assert.match(msg().delivery_error, /^400: .*Invalid destination/);
+
+  const list = await ctx.admin.get('/api/outbound/jobs?status=failed&numero=5511955550005');
+  assert.deepEqual(list.body.map(j => j.id), [res.body.jobId]);
+
+  const retried = await ctx.admin.post(`/api/outbound/jobs/${res.body.jobId}/retry`);
+  assert.equal(retried.status, 200);
+  assert.equal(msg().delivery_status, 'enqueued');
+  assert.deepEqual((await ctx.admin.post(`/api/outbound/jobs/${res.body.jobId}/retry`)).body, { error: 'job_not_failed' });
+  assert.equal((await ctx.admin.post(`/api/outbound/jobs/${res.body.jobId}/cancel`)).status, 409);
+
+  ctx.gs.failNext(400);
+  const other = await ctx.admin.post('/api/instance/1/messages', { numeroPaciente: '5511955550005', texto: 'outra' });
+  assert.deepEqual((await ctx.admin.post(`/api/outbound/jobs/${other.body.jobId}/cancel`)).body, { success: true, jobId: other.body.jobId });
+  assert.equal(jobOf(other.body.jobId).status, 'cancelled');
+  assert.equal((await ctx.admin.post('/api/outbound/jobs/999/retry')).status, 404);
+});
+
+test('retry and cancel respect conversation ownership and the 24h window', async () => {
+  await ctx.inbound('5511955550016', 'oi');
+  const ana = await ctx.user({ email: 'ana-jobs@sena.test' });
+  const bia = await ctx.user({ email: 'bia-jobs@sena.test' });
+  ctx.gs.failNext(400);
+  const res = await ana.post('/api/instance/1/messages', { numeroPaciente: '5511955550016', texto: 'falha' });
+  assert.equal(jobOf(res.body.jobId).status, 'failed');
+
+  for (const action of ['retry', 'cancel']) {
+    const denied = await bia.post(`/api/outbound/jobs/${res.body.jobId}/${action}`);
+    assert.deepEqual([denied.status, denied.body.error, denied.body.assignedTo], [409, 'assigned_to_other', ana.user.id]);
+  }
+  assert.equal(jobOf(res.body.jobId).status, 'failed');
+
+  ctx.messagesOf('5511955550016').find(m => m.remetente === 'Paciente').created_at = hoursAgo(25);
+  const expired = await ana.post(`/api/outbound/jobs/${res.body.jobId}/retry`);
+  assert.deepEqual([expired.status, expired.body.error], [409, 'window_expired']);
+  assert.equal(jobOf(res.body.jobId).status, 'failed');
+  assert.equal((await ana.post(`/api/outbound/jobs/${res.body.jobId}/cancel`)).status, 200);
+});
+
+test('templates: CRUD, parameter check and sending outside the window', async () => {
+  assert.equal((await ctx.admin.post('/api/instance/1/templates', { name: 'lembrete' })).status, 400);
+  const saved = await ctx.admin.post('/api/instance/1/templates', { name: 'lembrete', templateId: 'gs-tpl-1', body: 'Olá {{1}}, sua consulta é {{2}}.' });
+  assert.equal(saved.status, 200);
+  await ctx.admin.post('/api/instance/1/templates', { name: 'lembrete', templateId: 'gs-tpl-1', body: 'Olá {{1}}, sua consulta é em {{2}}.' });
+  await ctx.admin.post('/api/instance/1/templates', { name: 'pendente', templateId: 'gs-tpl-2', body: 'x', status: 'pending' });
+  const list = await ctx.admin.get('/api/instance/1/templates');
+  assert.deepEqual(list.body.map(t => [t.name, t.params]), [['lembrete', 2], ['pendente', 0]]);
+
+  const send = (body) => ctx.admin.post('/api/instance/1/templates/send', { numeroPaciente: '5511955550006', ...body });
+  assert.equal((await send({})).status, 400);
+  assert.equal((await send({ template: 'nao-existe' })).status, 404);
+  assert.deepEqual((await send({ template: 'pendente' })).body, { error: 'template_not_approved', status: 'pending' });
+  assert.deepEqual((await send({ template: 'lembrete', params: ['Ana'] })).body, { error: 'template_params', expected: 2, received: 1 });
+
+  const ok = await send({ template: 'gs-tpl-1', params: ['Ana', 'amanhã'], nomePaciente: 'Ana' });
+  assert.equal(ok.status, 200);
+  const req = ctx.gs.sent().find(r => r.path === '/wa/api/v1/template/msg');
+  assert.deepEqual(req.body.template, { id: 'gs-tpl-1', params: ['Ana', 'amanhã'] });
+  const msg = ctx.messagesOf('5511955550006')[0];
+  assert.equal(msg.resposta_atendente, 'Olá Ana, sua consulta é em amanhã.');
+  assert.equal(msg.template_name, 'lembrete');
+
+  assert.deepEqual((await ctx.admin.delete('/api/instance/1/templates/pendente')).body, { success: true });
+  assert.equal((await ctx.admin.get('/api/instance/1/templates')).body.length, 1);
+  const att = await ctx.user({ email: 'att-tpl@sena.test' });
+  assert.equal((await att.post('/api/instance/1/templates', { name: 'x', templateId: 'y', body: 'z' })).status, 403);
+});
+
+test('media upload is stored and sent as a Gupshup media message', async () => {
+  await ctx.inbound('5511955550007', 'manda o pdf');
+  const form = new FormData();
+  form.append('numeroPaciente', '5511955550007');
+  form.append('caption', 'Seu exame');
+  form.append('file', new Blob([Buffer.from('%PDF-1.4 fake')], { type: 'application/pdf' }), 'exame final.pdf');
+  const res = await ctx.admin.post('/api/instance/1/media', form);
+  assert.equal(res.status, 200);
+  assert.match(res.body.mediaUrl, /\/media\/\d{4}-\d{2}\/.+-exame_final\.pdf$/);
+
+  const req = ctx.gs.sent().find(r => r.body.destination === '5511955550007');
+  assert.deepEqual(req.body.message, { type: 'file', url: res.body.mediaUrl, filename: 'exame final.pdf', caption: 'Seu exame' });
+  const msg = ctx.messagesOf('5511955550007').find(m => m.remetente === 'Atendente');
+  assert.equal(msg.media_type, 'document');
+  assert.equal(msg.media_url, res.body.mediaUrl);
+  const file = await fetch(res.body.mediaUrl);
+  assert.equal(await file.text(), '%PDF-1.4 fake');
+
+  const empty = new FormData();
+  empty.append('numeroPaciente', '5511955550007');
+  assert.deepEqual((await ctx.admin.post('/api/instance/1/media', empty)).body, { error: 'file is required' });
+
+  // Envio recusado (sem número, janela fechada) não deixa o arquivo no storage
+  const stored = () => fs.readdirSync(ctx.mediaDir, { recursive: true }).filter(f => f.endsWith('.pdf')).length;
+  const before = stored();
+  for (const numero of ['', '5511955550099']) {
+    const rejected = new FormData();
+    rejected.append('numeroPaciente', numero);
+    rejected.append('file', new Blob([Buffer.from('%PDF-1.4 fake')], { type: 'application/pdf' }), 'recusado.pdf');
+    assert.ok((await ctx.admin.post('/api/instance/1/media', rejected)).status >= 400);
+  }
+  assert.equal(stored(), before);
+});
+
+test('legacy POST /messages uses instanceId from the body', async () => {
+  await ctx.inbound('5511955550008', 'oi');
+  const res = await ctx.admin.post('/messages', { numero: '5511955550008', mensagem: 'pelo painel antigo', instanceId: '1' });
+  assert.equal(res.status, 200);
+  assert.equal(ctx.messagesOf('5511955550008').find(m => m.remetente === 'Atendente').resposta_atendente, 'pelo painel antigo');
+  assert.equal((await ctx.admin.post('/messages', { numero: '5511955550008' })).status, 400);
+});
+
+test('a conversation claimed by someone else cannot be answered', async () => {
+  await ctx.inbound('5511955550009', 'oi');
+  const ana = await ctx.user({ email: 'ana-send@sena.test', name: 'Ana' });
+  const bia = await ctx.user({ email: 'bia-send@sena.test', name: 'Bia' });
+  assert.equal((await ana.post('/api/conversation/5511955550009/claim')).status, 200);
+  const res = await bia.post('/api/instance/1/messages', { numeroPaciente: '5511955550009', texto: 'eu respondo' });
+  assert.equal(res.status, 409);
+  assert.deepEqual(res.body, { error: 'assigned_to_other', assignedTo: ana.user.id, assignedName: 'Ana' });
+  assert.equal((await ana.post('/api/instance/1/messages', { numeroPaciente: '5511955550009', texto: 'eu respondo' })).status, 200);
+});
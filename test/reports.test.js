@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { bootApp } = require('./support/app');
+
+const ROBO = 'EM_ATENDIMENTO_ROBO';
+const PENDENTE = 'PENDENTE';
+const HUMANO = 'EM_ATENDIMENTO_HUMANO';
+const FIM = 'FINALIZADO';
+
+// Dia fixo (UTC) para os relatórios não dependerem do relógio
+const at = (hhmm) => `2026-03-02T${hhmm}:00.000Z`;
+const RANGE = `from=${at('00:00')}&to=${at('23:59')}`;
+const tr = (numero, instance_id, from_status, to_status, hhmm, changed_by = null, changed_by_name = null, source = 'message') =>
+  ({ numero_paciente: numero, instance_id, from_status, to_status, changed_by, changed_by_name, source, created_at: at(hhmm) });
+const msg = (numero, instance_id, remetente, hhmm, extra = {}) => ({ numero_paciente: numero, instance_id, remetente, created_at: at(hhmm), ...extra });
+
+let ctx;
+let sup;
+test.before(async () => {
+  ctx = await bootApp({
+    seed: {
+      status_transitions: [
+        // A: bot resolve sozinho
+        tr('5511977770001', '1', null, ROBO, '10:00'),
+        tr('5511977770001', '1', ROBO, FIM, '10:05'),
+        // B: handoff, Ana responde em 2 min e finaliza em 10 min
+        tr('5511977770002', '1', null, ROBO, '11:00'),
+        tr('5511977770002', '1', ROBO, PENDENTE, '11:01'),
+        tr('5511977770002', '1', PENDENTE, HUMANO, '11:03', 'u-ana', 'Ana', 'panel'),
+        tr('5511977770002', '1', HUMANO, FIM, '11:13', 'u-ana', 'Ana', 'panel'),
+        // C: handoff na instância 2, ninguém responde
+        tr('5511977770003', '2', ROBO, PENDENTE, '12:00'),
+        // D: Bia assume e ainda não finalizou
+        tr('5511977770004', '1', ROBO, PENDENTE, '13:00'),
+        tr('5511977770004', '1', PENDENTE, HUMANO, '13:04', 'u-bia', 'Bia', 'panel'),
+        // Fora do período
+        { ...tr('5511977770005', '1', ROBO, FIM, '10:00'), created_at: '2026-02-01T10:00:00.000Z' },
+      ],
+      messages: [
+        msg('5511977770002', '1', 'Paciente', '11:00', { mensagem_paciente: 'oi' }),
+        msg('5511977770002', '1', 'Robô', '11:00', { resposta_robo: 'olá' }),
+        msg('5511977770002', '1', 'Atendente', '11:03', { resposta_atendente: 'sou a Ana', atendente_id: 'u-ana', atendente_nome: 'Ana' }),
+        msg('5511977770002', '1', 'Atendente', '11:10', { resposta_atendente: 'até mais', atendente_id: 'u-ana', atendente_nome: 'Ana' }),
+        msg('5511977770002', '1', 'Nota', '11:11', { resposta_atendente: 'nota interna', atendente_id: 'u-ana' }),
+        msg('5511977770004', '1', 'Atendente', '13:06', { resposta_atendente: 'sou a Bia', atendente_id: 'u-bia', atendente_nome: 'Bia' }),
+        msg('5511977770003', '2', 'Paciente', '12:00', { mensagem_paciente: 'alô' }),
+      ],
+    },
+  });
+  sup = await ctx.user({ email: 'sup-rep@sena.test', role: 'supervisor' });
+});
+test.after(() => ctx.close());
+
+test('reports require a supervisor and a valid period', async () => {
+  const att = await ctx.user({ email: 'att-rep@sena.test' });
+  assert.equal((await att.get('/api/reports/volume')).status, 403);
+  assert.deepEqual((await sup.get('/api/reports/volume?from=ontem')).body, { error: 'período inválido' });
+  assert.equal((await sup.get(`/api/reports/bot-resolution?from=${at('12:00')}&to=${at('11:00')}`)).status, 400);
+  assert.deepEqual((await sup.get(`/api/reports/volume?${RANGE}&timezone=Marte/Olimpo`)).body, { error: 'timezone inválido' });
+});
+
+test('bot-resolution counts ROBO → FINALIZADO against ROBO → PENDENTE per instance', async () => {
+  const res = await sup.get(`/api/reports/bot-resolution?${RANGE}`);
+  assert.deepEqual(res.body.total, { botResolved: 1, handedOff: 3, handoffRate: 0.75 });
+  assert.deepEqual(res.body.instances, [
+    { instanceId: '1', botResolved: 1, handedOff: 2, handoffRate: 0.667 },
+    { instanceId: '2', botResolved: 0, handedOff: 1, handoffRate: 1 },
+  ]);
+  assert.deepEqual((await sup.get(`/api/reports/bot-resolution?${RANGE}&instanceId=2`)).body.total, { botResolved: 0, handedOff: 1, handoffRate: 1 });
+
+  const csv = await sup.get(`/api/reports/bot-resolution?${RANGE}&format=csv`);
+  assert.equal(csv.headers.get('content-disposition'), 'attachment; filename="bot-resolution.csv"');
+  assert.equal(csv.text, '﻿instance_id,bot_resolved,handed_off,handoff_rate\r\n1,1,2,0.667\r\n2,0,1,1\r\n');
+});
+
+test('first-response measures PENDENTE until the first attendant reply', async () => {
+  const res = await sup.get(`/api/reports/first-response?${RANGE}`);
+  assert.deepEqual([res.body.count, res.body.unanswered, res.body.avgSeconds], [2, 1, 240]);
+  assert.deepEqual(res.body.detail.map(d => [d.numeroPaciente, d.attendant, d.seconds]), [
+    ['5511977770002', 'Ana', 120],
+    ['5511977770003', null, null],
+    ['5511977770004', 'Bia', 360],
+  ]);
+});
+
+test('handling-time groups HUMANO → FINALIZADO episodes by attendant', async () => {
+  const res = await sup.get(`/api/reports/handling-time?${RANGE}`);
+  assert.deepEqual(res.body.attendants.map(a => [a.attendantId, a.attendantName, a.conversations, a.closed, a.open, a.messagesSent, a.avgSeconds]), [
+    ['u-ana', 'Ana', 1, 1, 0, 2, 600],
+    ['u-bia', 'Bia', 1, 0, 1, 1, null],
+  ]);
+});
+
+test('volume buckets messages per instance and local hour, ignoring notes', async () => {
+  const res = await sup.get(`/api/reports/volume?${RANGE}`);
+  assert.equal(res.body.timezone, 'America/Sao_Paulo');
+  assert.deepEqual(res.body.buckets, [
+    { instanceId: '1', hour: '2026-03-02 08:00', paciente: 1, robo: 1, atendente: 2, total: 4 },
+    { instanceId: '2', hour: '2026-03-02 09:00', paciente: 1, robo: 0, atendente: 0, total: 1 },
+    { instanceId: '1', hour: '2026-03-02 10:00', paciente: 0, robo: 0, atendente: 1, total: 1 },
+  ]);
+  assert.equal((await sup.get(`/api/reports/volume?${RANGE}&timezone=UTC`)).body.buckets[0].hour, '2026-03-02 11:00');
+});
+
+test('status-transitions lists panel and message changes with filters', async () => {
+  const byAna = await sup.get(`/api/reports/status-transitions?${RANGE}&changedBy=u-ana`);
+  assert.deepEqual(byAna.body.map(t => [t.from_status, t.to_status]), [[PENDENTE, HUMANO], [HUMANO, FIM]]);
+  assert.equal((await sup.get(`/api/reports/status-transitions?${RANGE}&numero=+55 11 97777-0001`)).body.length, 2);
+
+  // Mudanças reais: conversa nova não gera transição; a do painel grava o autor
+  await ctx.inbound('5511977770009', 'oi');
+  await ctx.admin.patch('/api/conversation/5511977770009/status', { status: FIM });
+  const live = await sup.get('/api/reports/status-transitions?numero=5511977770009');
+  assert.deepEqual(live.body.map(t => [t.from_status, t.to_status, t.source, t.changed_by_name]), [[ROBO, FIM, 'panel', 'Administrador']]);
+  const csv = await sup.get('/api/reports/status-transitions?numero=5511977770009&format=csv');
+  assert.match(csv.text, /^﻿quando,numero,instance_id,de,para,por,origem\r\n/);
+});
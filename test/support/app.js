@@ -0,0 +1,134 @@
+/*
+  Sobe o app para um arquivo de teste: createApp com o Supabase em memória e o Gupshup falso.
+    const ctx = await bootApp({ seed, env, store });  // ctx.admin.get('/api/...'), ctx.sb.rows('messages'), ctx.gs.sent()
+    await ctx.close();
+  Os workers não são agendados (intervalos = 0): o teste chama ctx.jobs.* quando quer uma rodada.
+*/
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createApp } = require('../../server');
+const { createMemorySupabase } = require('./memory-supabase');
+const { createFakeGupshup } = require('./fake-gupshup');
+
+const ADMIN = { email: 'admin@sena.test', password: 'admin-pw' };
+const INSTANCE = { id_da_instancia: '1', token: 'gs-api-key', source_number: '5511900000000', src_name: 'SENA', status: 'active' };
+
+const BASE_ENV = {
+  JWT_SECRET: 'test-jwt-secret',
+  ADMIN_EMAIL: ADMIN.email,
+  ADMIN_PASSWORD: ADMIN.password,
+  OUTBOUND_POLL_MS: '0',
+  CAMPAIGN_POLL_MS: '0',
+  AUTO_CLOSE_INTERVAL_MS: '0',
+  EVENT_WEBHOOK_POLL_MS: '0',
+  RETENTION_INTERVAL_MS: '0',
+  WEBHOOK_SECRET: '',
+  WEBHOOK_ALLOW_UNSIGNED: '1',
+  CREDENTIALS_KEY: '',
+  METRICS_TOKEN: '',
+  GS_APIKEY: '',
+  SUPABASE_URL: '',
+  SUPABASE_ANON_KEY: '',
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Espera uma condição assíncrona (ex.: encaminhamento ao bot, que roda depois da resposta do webhook)
+async function waitFor(fn, { timeout = 3000, interval = 10 } = {}) {
+  const started = Date.now();
+  for (;;) {
+    const value = await fn();
+    if (value) return value;
+    if (Date.now() - started > timeout) throw new Error('waitFor: tempo esgotado');
+    await sleep(interval);
+  }
+}
+
+function client(baseUrl, token = null) {
+  // body: objeto (JSON), string (enviada como está), FormData ou undefined
+  async function request(method, urlPath, body, { headers = {}, raw = false } = {}) {
+    const h = { ...(token ? { Authorization: `Bearer ${token}` } : {}), ...headers };
+    let payload = body;
+    if (body !== undefined && typeof body !== 'string' && !(body instanceof FormData)) { payload = JSON.stringify(body); h['Content-Type'] = h['Content-Type'] || 'application/json'; }
+    const res = await fetch(baseUrl + urlPath, { method, headers: h, body: payload });
+    const buffer = Buffer.from(await res.arrayBuffer());
+    const text = buffer.toString('utf8');
+    let json = null;
+    if ((res.headers.get('content-type') || '').includes('application/json')) { try { json = JSON.parse(text); } catch { json = null; } }
+    return { status: res.status, headers: res.headers, body: raw ? buffer : (json ?? text), text };
+  }
+  return {
+    token,
+    request,
+    get: (p, opts) => request('GET', p, undefined, opts),
+    post: (p, body, opts) => request('POST', p, body, opts),
+    put: (p, body, opts) => request('PUT', p, body, opts),
+    patch: (p, body, opts) => request('PATCH', p, body, opts),
+    delete: (p, opts) => request('DELETE', p, undefined, opts),
+  };
+}
+
+async function bootApp({ seed = {}, env = {}, store = {}, instance = true } = {}) {
+  const gs = await createFakeGupshup();
+  const mediaDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sena-media-'));
+  const applied = { ...BASE_ENV, GUPSHUP_API_URL: gs.url, MEDIA_DIR: mediaDir, ...env };
+  const previous = Object.fromEntries(Object.keys(applied).map(k => [k, process.env[k]]));
+  for (const [k, v] of Object.entries(applied)) process.env[k] = v;
+
+  const sb = createMemorySupabase(store);
+  if (instance) sb.seed('instances', { ...INSTANCE });
+  for (const [table, rows] of Object.entries(seed)) sb.seed(table, rows);
+
+  const instanceApp = createApp({ supabase: sb });
+  const server = instanceApp.start(0);
+  await new Promise(resolve => (server.listening ? resolve() : server.once('listening', resolve)));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  async function close() {
+    await instanceApp.stop();
+    await gs.close();
+    fs.rmSync(mediaDir, { recursive: true, force: true });
+    for (const [k, v] of Object.entries(previous)) { if (v === undefined) delete process.env[k]; else process.env[k] = v; }
+  }
+
+  const anon = client(baseUrl);
+  async function login(email, password) {
+    const res = await anon.post('/api/auth/login', { email, password });
+    if (res.status !== 200) throw new Error(`login ${email}: ${res.status}`);
+    return res.body.token;
+  }
+  let admin;
+  try { admin = client(baseUrl, await login(ADMIN.email, ADMIN.password)); } catch (err) { await close(); throw err; }
+
+  // Cria um usuário pelo próprio endpoint e devolve o cliente autenticado
+  async function user({ email, name = null, role = 'attendant', password = 'user-pw' }) {
+    const res = await admin.post('/api/users', { email, name, role, password });
+    if (res.status !== 201) throw new Error(`create user ${email}: ${res.status}`);
+    const c = client(baseUrl, await login(email, password));
+    c.user = res.body;
+    return c;
+  }
+
+  // Mensagem do paciente no formato de callback do Gupshup (v2)
+  let inboundSeq = 0;
+  function inbound(numero, text, { name = 'Paciente Teste', instanceId = INSTANCE.id_da_instancia, id } = {}) {
+    inboundSeq += 1;
+    return anon.post(`/api/webhook?instanceId=${instanceId}`, {
+      app: 'SENA', timestamp: Date.now(), version: 2, type: 'message',
+      payload: { id: id || `in-${inboundSeq}-${Date.now()}`, source: numero, type: 'text', payload: { text }, sender: { phone: numero, name } },
+    });
+  }
+
+  return {
+    ...instanceApp,
+    baseUrl, sb, gs, anon, admin, login, user, inbound, mediaDir, client: (token) => client(baseUrl, token),
+    conversation: (numero) => sb.rows('conversations').find(c => c.numero_paciente === numero) || null,
+    messagesOf: (numero) => sb.rows('messages').filter(m => m.numero_paciente === numero),
+    close,
+  };
+}
+
+module.exports = { bootApp, waitFor, sleep, ADMIN, INSTANCE };
@@ -0,0 +1,70 @@
+/*
+  Gupshup falso (HTTP de verdade, porta aleatória) para os testes: GUPSHUP_API_URL=fake.url
+    POST /wa/api/v1/msg, /wa/api/v1/template/msg  → 202 { status: 'submitted', messageId: 'gs-N' }
+    GET  /sm/api/v1/template/list/:app             → 200 { status: 'success', templates: [] }
+  Também serve de destino genérico (bot, webhooks de saída, mídia): handle(method, path, fn).
+  Cada requisição fica em requests (corpo form-urlencoded/JSON já decodificado; message/template em JSON).
+*/
+const http = require('http');
+
+function decodeBody(raw, contentType = '') {
+  if (!raw) return null;
+  if (contentType.includes('application/x-www-form-urlencoded')) {
+    const form = Object.fromEntries(new URLSearchParams(raw));
+    for (const k of ['message', 'template']) if (form[k]) { try { form[k] = JSON.parse(form[k]); } catch { /* fica texto */ } }
+    return form;
+  }
+  try { return JSON.parse(raw); } catch { return raw; }
+}
+
+async function createFakeGupshup() {
+  const requests = [];
+  const handlers = []; // { method, path (string | RegExp), fn(req) → { status, body, headers } }
+  const queued = [];   // respostas forçadas para os próximos envios: { status, body }
+  let seq = 0;
+
+  function defaultResponse(req) {
+    if (req.method === 'POST' && /^\/wa\/api\/v1\/(template\/)?msg$/.test(req.path)) {
+      if (queued.length) return queued.shift();
+      seq += 1;
+      return { status: 202, body: { status: 'submitted', messageId: `gs-${seq}` } };
+    }
+    if (req.method === 'GET' && req.path.startsWith('/sm/api/v1/template/list/')) return { status: 200, body: { status: 'success', templates: [] } };
+    return { status: 404, body: { status: 'error', message: 'not found' } };
+  }
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', c => chunks.push(c));
+    req.on('end', async () => {
+      const url = new URL(req.url, 'http://fake');
+      const raw = Buffer.concat(chunks).toString('utf8');
+      const entry = { method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), headers: req.headers, raw, body: decodeBody(raw, req.headers['content-type']) };
+      requests.push(entry);
+      const h = handlers.find(x => x.method === req.method && (x.path instanceof RegExp ? x.path.test(entry.path) : x.path === entry.path));
+      let out;
+      try { out = h ? await h.fn(entry) : defaultResponse(entry); } catch (err) { out = { status: 500, body: { error: err.message } }; }
+      if (out && out.hang) return; // simula timeout: nunca responde
+      const { status = 200, body = '', headers = {} } = out || {};
+      const payload = Buffer.isBuffer(body) ? body : typeof body === 'string' ? body : JSON.stringify(body);
+      res.writeHead(status, { 'Content-Type': typeof body === 'object' && !Buffer.isBuffer(body) ? 'application/json' : 'text/plain', ...headers });
+      res.end(payload);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    url,
+    requests,
+    // Envios de sessão/template recebidos (o que "chegou no WhatsApp")
+    sent: () => requests.filter(r => r.method === 'POST' && /^\/wa\/api\/v1\/(template\/)?msg$/.test(r.path)),
+    handle(method, path, fn) { handlers.unshift({ method, path, fn }); },
+    // Próximos envios respondem com { status, body } (ex.: 500 para exercitar a fila de reenvio)
+    failNext(status, body = { status: 'error', message: 'fake failure' }, times = 1) { for (let i = 0; i < times; i++) queued.push({ status, body }); },
+    reset() { requests.length = 0; handlers.length = 0; queued.length = 0; },
+    close: () => new Promise(resolve => { server.closeAllConnections(); server.close(() => resolve()); }),
+  };
+}
+
+module.exports = { createFakeGupshup };
@@ -0,0 +1,289 @@
+/*
+  Supabase em memória para os testes (createApp({ supabase: createMemorySupabase() })).
+  Implementa o subconjunto do query builder do supabase-js que o server.js usa:
+    from(t).select/insert/update/upsert/delete, eq/neq/gt/gte/lt/lte/in/is/not/contains/or/textSearch,
+    order/limit/range/single/maybeSingle e storage.from(bucket).upload/getPublicUrl/remove.
+  Erros seguem o formato do PostgREST ({ code, message }) para exercitar os fallbacks do servidor:
+    missingColumns: { messages: ['status_conversa'] } → coluna inexistente (HAS_STATUS_CONVERSA, OPTIONAL_COLS)
+    missingTables: ['status_transitions']             → tabela inexistente (isMissingTable)
+  db.beforeExecute = async (query) => {...} roda antes de cada consulta (ex.: segurar uma escrita para testar concorrência).
+*/
+
+// Chave primária das tabelas sem id serial (usada no upsert e na unicidade)
+const PRIMARY_KEYS = {
+  conversations: ['numero_paciente'],
+  instances: ['id_da_instancia'],
+  service_settings: ['instance_id'],
+  holidays: ['instance_id', 'date'],
+  webhook_events: ['dedup_key'],
+  queue_members: ['queue_id', 'user_id'],
+};
+const UNIQUE_KEYS = {
+  users: [['email']],
+  contacts: [['numero']],
+  templates: [['instance_id', 'name']],
+  canned_responses: [['instance_id', 'shortcut']],
+  outbound_jobs: [['instance_id', 'idempotency_key']],
+};
+// on delete cascade (sql/)
+const CASCADES = {
+  campaigns: [['campaign_recipients', 'campaign_id']],
+  event_webhooks: [['event_webhook_deliveries', 'subscription_id']],
+  queues: [['queue_members', 'queue_id']],
+};
+const FTS_COLUMNS = ['mensagem_paciente', 'resposta_robo', 'resposta_atendente'];
+
+const clone = (v) => (v === undefined ? v : structuredClone(v));
+const str = (v) => (v == null ? v : String(v));
+
+function compare(a, b) {
+  if (a == null && b == null) return 0;
+  if (a == null) return -1;
+  if (b == null) return 1;
+  const na = Number(a);
+  const nb = Number(b);
+  if (typeof a !== 'boolean' && a !== '' && b !== '' && !Number.isNaN(na) && !Number.isNaN(nb)) return na - nb;
+  return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+}
+
+function likeToRegex(pattern) {
+  const escaped = String(pattern).replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/[%*]/g, '.*').replace(/_/g, '.');
+  return new RegExp(`^${escaped}$`, 'is');
+}
+
+function matches(row, f) {
+  const v = row[f.col];
+  switch (f.op) {
+    case 'eq': return v != null && str(v) === str(f.val);
+    case 'neq': return v != null && str(v) !== str(f.val);
+    case 'gt': return v != null && compare(v, f.val) > 0;
+    case 'gte': return v != null && compare(v, f.val) >= 0;
+    case 'lt': return v != null && compare(v, f.val) < 0;
+    case 'lte': return v != null && compare(v, f.val) <= 0;
+    case 'in': return v != null && f.val.map(String).includes(String(v));
+    case 'is': return f.val === null ? v == null : v === f.val;
+    case 'ilike': return v != null && likeToRegex(f.val).test(String(v));
+    case 'cs': return Array.isArray(v) && f.val.every(x => v.map(String).includes(String(x)));
+    case 'fts': {
+      const text = (f.col in row ? [row[f.col]] : FTS_COLUMNS.map(c => row[c])).filter(Boolean).join(' ').toLowerCase();
+      return String(f.val).toLowerCase().split(/\s+/).filter(Boolean).every(w => text.includes(w));
+    }
+    case 'or': return f.val.some(g => matches(row, g));
+    case 'and': return f.val.every(g => matches(row, g));
+    case 'not': return !matches(row, f.val);
+    default: throw new Error(`memory-supabase: operador não suportado: ${f.op}`);
+  }
+}
+
+// Divide "a.eq.1,and(b.lt.2,c.gt.3)" no nível de cima, respeitando aspas e parênteses
+function splitTop(s) {
+  const out = [];
+  let depth = 0;
+  let quoted = false;
+  let cur = '';
+  for (const ch of s) {
+    if (ch === '"') quoted = !quoted;
+    if (!quoted && ch === '(') depth += 1;
+    if (!quoted && ch === ')') depth -= 1;
+    if (!quoted && depth === 0 && ch === ',') { out.push(cur); cur = ''; } else cur += ch;
+  }
+  if (cur) out.push(cur);
+  return out;
+}
+
+function parseValue(op, raw) {
+  let val = raw;
+  if (val.startsWith('"') && val.endsWith('"')) val = val.slice(1, -1);
+  if (op === 'is') return val === 'null' ? null : val === 'true' ? true : val === 'false' ? false : val;
+  if (op === 'in') return val.replace(/^\(|\)$/g, '').split(',').map(x => x.replace(/^"|"$/g, ''));
+  if (op === 'cs') return val.replace(/^\{|\}$/g, '').split(',').map(x => x.replace(/^"|"$/g, ''));
+  return val;
+}
+
+function parseCondition(part) {
+  const p = part.trim();
+  if (p.startsWith('and(')) return { op: 'and', val: splitTop(p.slice(4, -1)).map(parseCondition) };
+  if (p.startsWith('or(')) return { op: 'or', val: splitTop(p.slice(3, -1)).map(parseCondition) };
+  const [col, op, ...rest] = p.split('.');
+  if (op === 'not') {
+    const [innerOp, ...innerRest] = rest;
+    return { op: 'not', val: { col, op: innerOp, val: parseValue(innerOp, innerRest.join('.')) } };
+  }
+  return { col, op, val: parseValue(op, rest.join('.')) };
+}
+
+function columnsOf(f) {
+  if (f.op === 'or' || f.op === 'and') return f.val.flatMap(columnsOf);
+  if (f.op === 'not') return columnsOf(f.val);
+  return f.op === 'fts' ? [] : [f.col];
+}
+
+class Query {
+  constructor(db, table) {
+    this.db = db;
+    this.table = table;
+    this.action = 'select';
+    this.filters = [];
+    this.orders = [];
+    this.columns = '*';
+    this.returning = false;
+    this.limitCount = null;
+    this.rangeFrom = null;
+    this.rangeTo = null;
+    this.singleMode = null;
+  }
+
+  select(columns = '*') {
+    if (this.action === 'select') this.columns = columns;
+    else { this.returning = true; this.columns = columns; }
+    return this;
+  }
+  insert(values) { this.action = 'insert'; this.values = [].concat(values); return this; }
+  upsert(values, { onConflict } = {}) { this.action = 'upsert'; this.values = [].concat(values); this.onConflict = onConflict; return this; }
+  update(values) { this.action = 'update'; this.values = values; return this; }
+  delete() { this.action = 'delete'; return this; }
+
+  filter(col, op, val) { this.filters.push({ col, op, val }); return this; }
+  eq(col, val) { return this.filter(col, 'eq', val); }
+  neq(col, val) { return this.filter(col, 'neq', val); }
+  gt(col, val) { return this.filter(col, 'gt', val); }
+  gte(col, val) { return this.filter(col, 'gte', val); }
+  lt(col, val) { return this.filter(col, 'lt', val); }
+  lte(col, val) { return this.filter(col, 'lte', val); }
+  in(col, val) { return this.filter(col, 'in', val); }
+  is(col, val) { return this.filter(col, 'is', val); }
+  ilike(col, val) { return this.filter(col, 'ilike', val); }
+  contains(col, val) { return this.filter(col, 'cs', [].concat(val)); }
+  not(col, op, val) { this.filters.push({ op: 'not', val: { col, op, val } }); return this; }
+  or(expr) { this.filters.push({ op: 'or', val: splitTop(expr).map(parseCondition) }); return this; }
+  textSearch(col, term) { return this.filter(col, 'fts', term); }
+
+  order(col, { ascending = true } = {}) { this.orders.push({ col, ascending }); return this; }
+  limit(n) { this.limitCount = n; return this; }
+  range(from, to) { this.rangeFrom = from; this.rangeTo = to; return this; }
+  single() { this.singleMode = 'single'; return this; }
+  maybeSingle() { this.singleMode = 'maybe'; return this; }
+
+  then(resolve, reject) {
+    const run = () => { try { return Promise.resolve(this.execute()); } catch (err) { return Promise.reject(err); } };
+    const hook = this.db.beforeExecute;
+    return (hook ? Promise.resolve(hook(this)).then(run) : run()).then(resolve, reject);
+  }
+
+  execute() {
+    const db = this.db;
+    db.calls.push({ table: this.table, action: this.action });
+    if (db.missingTables.includes(this.table)) {
+      return { data: null, error: { code: '42P01', message: `relation "public.${this.table}" does not exist` } };
+    }
+    const missing = db.missingColumns[this.table] || [];
+    const used = [
+      ...this.filters.flatMap(columnsOf),
+      ...this.orders.map(o => o.col),
+      ...(this.columns === '*' ? [] : this.columns.split(',').map(c => c.trim())),
+      ...(this.action === 'update' ? Object.keys(this.values) : []),
+      ...(this.action === 'insert' || this.action === 'upsert' ? this.values.flatMap(Object.keys) : []),
+    ];
+    const bad = used.find(c => missing.includes(c));
+    if (bad) {
+      return this.action === 'select'
+        ? { data: null, error: { code: '42703', message: `column ${this.table}.${bad} does not exist` } }
+        : { data: null, error: { code: 'PGRST204', message: `Could not find the '${bad}' column of '${this.table}' in the schema cache` } };
+    }
+
+    const rows = db.table(this.table);
+    let affected;
+    if (this.action === 'insert') {
+      const conflict = this.values.find(v => db.conflicting(this.table, v));
+      if (conflict) return { data: null, error: { code: '23505', message: `duplicate key value violates unique constraint on "${this.table}"` } };
+      affected = this.values.map(v => db.add(this.table, v));
+    } else if (this.action === 'upsert') {
+      const keys = this.onConflict ? this.onConflict.split(',').map(k => k.trim()) : (PRIMARY_KEYS[this.table] || ['id']);
+      affected = this.values.map(v => {
+        const existing = rows.find(r => keys.every(k => str(r[k]) === str(v[k])));
+        if (existing) { Object.assign(existing, clone(v)); return existing; }
+        return db.add(this.table, v);
+      });
+    } else {
+      affected = rows.filter(r => this.filters.every(f => matches(r, f)));
+      if (this.action === 'update') {
+        const candidate = affected.map(r => ({ ...r, ...this.values }));
+        if (candidate.some(c => db.conflicting(this.table, c, affected))) return { data: null, error: { code: '23505', message: `duplicate key value violates unique constraint on "${this.table}"` } };
+        affected.forEach(r => Object.assign(r, clone(this.values)));
+      } else if (this.action === 'delete') {
+        db.remove(this.table, affected);
+      }
+    }
+
+    if (this.action !== 'select' && !this.returning) return { data: null, error: null };
+
+    let out = [...affected];
+    for (const o of [...this.orders].reverse()) out.sort((a, b) => (o.ascending ? 1 : -1) * compare(a[o.col], b[o.col]));
+    if (this.rangeFrom != null) out = out.slice(this.rangeFrom, this.rangeTo + 1);
+    if (this.limitCount != null) out = out.slice(0, this.limitCount);
+    const cols = this.columns === '*' ? null : this.columns.split(',').map(c => c.trim());
+    const data = out.map(r => (cols ? Object.fromEntries(cols.map(c => [c, clone(r[c]) ?? null])) : clone(r)));
+
+    if (this.singleMode) {
+      if (data.length === 1) return { data: data[0], error: null };
+      if (!data.length && this.singleMode === 'maybe') return { data: null, error: null };
+      return { data: null, error: { code: 'PGRST116', message: `JSON object requested, multiple (or no) rows returned (${data.length})` } };
+    }
+    return { data, error: null };
+  }
+}
+
+function createMemorySupabase({ tables = {}, missingTables = [], missingColumns = {} } = {}) {
+  const db = {
+    tables: {},
+    missingTables: [...missingTables],
+    missingColumns: { ...missingColumns },
+    calls: [],
+    nextId: 1,
+    files: new Map(), // storage: `${bucket}/${key}` → { buffer, contentType }
+
+    table(name) { return this.tables[name] || (this.tables[name] = []); },
+
+    // Linhas de `name` que violariam pk/unique se `row` fosse gravada (ignorando `self`)
+    conflicting(name, row, self = []) {
+      const keys = [PRIMARY_KEYS[name] || ['id'], ...(UNIQUE_KEYS[name] || [])];
+      return this.table(name).some(r => !self.includes(r) && keys.some(k => k.every(c => row[c] != null && str(r[c]) === str(row[c]))));
+    },
+
+    add(name, values) {
+      const row = clone(values);
+      if (!PRIMARY_KEYS[name] && row.id == null) row.id = this.nextId++;
+      if (row.created_at === undefined) row.created_at = new Date().toISOString();
+      this.table(name).push(row);
+      return row;
+    },
+
+    remove(name, rows) {
+      this.tables[name] = this.table(name).filter(r => !rows.includes(r));
+      for (const [child, fk] of CASCADES[name] || []) {
+        const ids = rows.map(r => str(r.id));
+        this.remove(child, this.table(child).filter(c => ids.includes(str(c[fk]))));
+      }
+    },
+  };
+  for (const [name, rows] of Object.entries(tables)) rows.forEach(r => db.add(name, r));
+
+  const storage = {
+    from: (bucket) => ({
+      upload: async (key, buffer, { contentType } = {}) => { db.files.set(`${bucket}/${key}`, { buffer, contentType }); return { data: { path: key }, error: null }; },
+      getPublicUrl: (key) => ({ data: { publicUrl: `https://storage.test/storage/v1/object/public/${bucket}/${key}` } }),
+      remove: async (keys) => { keys.forEach(k => db.files.delete(`${bucket}/${k}`)); return { data: keys, error: null }; },
+    }),
+  };
+
+  return {
+    from: (table) => new Query(db, table),
+    storage,
+    // Acesso direto para montar cenários e conferir o estado nos testes
+    db,
+    rows: (table) => db.table(table),
+    seed: (table, rows) => [].concat(rows).map(r => db.add(table, r)),
+  };
+}
+
+module.exports = { createMemorySupabase };
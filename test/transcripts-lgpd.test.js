@@ -0,0 +1,166 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { bootApp, waitFor } = require('./support/app');
+
+const daysAgo = (d) => new Date(Date.now() - d * 86400000).toISOString();
+const at = (hhmm) => `2026-03-02T${hhmm}:00.000Z`;
+
+// Linhas de texto desenhadas no PDF: infla os content streams e junta os trechos <hex> de cada TJ
+function pdfLines(buf) {
+  const lines = [];
+  for (const [, raw] of buf.toString('latin1').matchAll(/stream\r?\n([\s\S]*?)endstream/g)) {
+    let content;
+    try { content = zlib.inflateSync(Buffer.from(raw, 'latin1')).toString('latin1'); } catch { continue; }
+    for (const [tj] of content.matchAll(/\[[^\]]*\] TJ/g)) lines.push([...tj.matchAll(/<([0-9a-f]*)>/g)].map(([, hex]) => Buffer.from(hex, 'hex').toString('latin1')).join(''));
+  }
+  return lines;
+}
+
+let ctx;
+test.before(async () => {
+  ctx = await bootApp({
+    seed: {
+      conversations: [{ numero_paciente: '5511944440001', instance_id: '1', nome_paciente: 'Iris', status: 'FINALIZADO', last_message_at: at('10:20'), status_changed_at: at('10:20') }],
+      messages: [
+        { numero_paciente: '5511944440001', instance_id: '1', remetente: 'Paciente', nome_paciente: 'Iris', mensagem_paciente: 'preciso do laudo', created_at: at('10:00') },
+        { numero_paciente: '5511944440001', instance_id: '1', remetente: 'Atendente', atendente_nome: 'Ana', resposta_atendente: 'segue o laudo', created_at: at('10:10') },
+        { numero_paciente: '5511944440001', instance_id: '1', remetente: 'Atendente', atendente_nome: 'Ana', media_url: 'https://cdn.test/laudo.pdf', media_type: 'document', media_filename: 'laudo.pdf', media_caption: 'Laudo', created_at: at('10:11') },
+        { numero_paciente: '5511944440001', instance_id: '1', remetente: 'Nota', atendente_nome: 'Ana', resposta_atendente: 'paciente ansiosa', created_at: at('10:12') },
+      ],
+      status_transitions: [
+        { numero_paciente: '5511944440001', instance_id: '1', from_status: 'EM_ATENDIMENTO_HUMANO', to_status: 'FINALIZADO', changed_by: 'u-ana', changed_by_name: 'Ana', source: 'panel', created_at: at('10:20') },
+      ],
+    },
+  });
+});
+test.after(() => ctx.close());
+
+test('transcript renders TXT, HTML and PDF in the clinic timezone', async () => {
+  const txt = await ctx.admin.get('/api/conversation/5511944440001/transcript?format=txt');
+  assert.equal(txt.headers.get('content-disposition'), 'attachment; filename="conversa-5511944440001.txt"');
+  const lines = txt.text.split('\n');
+  assert.equal(lines[0], 'Transcrição da conversa (WhatsApp)');
+  assert.equal(lines[1], 'Paciente: Iris (5511944440001)');
+  assert.ok(lines.includes('[02/03/2026 07:00] Paciente (Iris): preciso do laudo'));
+  assert.ok(lines.includes('[02/03/2026 07:11] Atendente (Ana): Laudo'));
+  assert.ok(lines.includes('    Anexo (documento): laudo.pdf — https://cdn.test/laudo.pdf'));
+  assert.ok(lines.includes('[02/03/2026 07:20] --- Status: Em atendimento humano → Finalizado por Ana ---'));
+  assert.doesNotMatch(txt.text, /paciente ansiosa/);
+  assert.match((await ctx.admin.get('/api/conversation/5511944440001/transcript?format=txt&notes=1')).text, /Nota interna \(Ana\): paciente ansiosa/);
+
+  const html = await ctx.admin.get('/api/conversation/5511944440001/transcript?format=html');
+  assert.match(html.headers.get('content-type'), /^text\/html/);
+  assert.match(html.headers.get('content-disposition'), /^inline;/);
+  assert.match(html.text, /preciso do laudo/);
+
+  const pdf = await ctx.admin.get('/api/conversation/5511944440001/transcript', { raw: true });
+  assert.equal(pdf.headers.get('content-type'), 'application/pdf');
+  assert.equal(pdf.body.subarray(0, 5).toString(), '%PDF-');
+  const drawn = pdfLines(pdf.body);
+  assert.ok(drawn.includes('Transcrição da conversa (WhatsApp)'));
+  assert.ok(drawn.includes('02/03/2026 07:20  Status: Em atendimento humano -> Finalizado por Ana'));
+  assert.ok(drawn.every(l => /^[\x20-\x7e\xa0-\xff]*$/.test(l)));
+
+  assert.equal((await ctx.admin.get('/api/conversation/5511944440001/transcript?format=doc')).status, 400);
+  assert.equal((await ctx.admin.get('/api/conversation/5511944440001/transcript?from=ontem')).status, 400);
+  assert.equal((await ctx.admin.get(`/api/conversation/5511944440001/transcript?from=${at('11:00')}`)).status, 404);
+  assert.equal(ctx.sb.rows('audit_log').filter(a => a.action === 'transcript.export').length, 4);
+});
+
+test('transcripts export zips finalized conversations with an index', async () => {
+  const sup = await ctx.user({ email: 'sup-tr@sena.test', role: 'supervisor' });
+  const res = await sup.get(`/api/transcripts/export?from=${at('00:00')}&to=${at('23:59')}&format=txt`, { raw: true });
+  assert.equal(res.headers.get('content-type'), 'application/zip');
+  assert.equal(res.headers.get('content-disposition'), 'attachment; filename="transcricoes-2026-03-02-2026-03-02.zip"');
+  assert.equal(res.body.subarray(0, 2).toString(), 'PK');
+  assert.ok(res.body.includes('5511944440001-2026-03-02-10-20-00.txt'));
+  assert.ok(res.body.includes('index.csv'));
+  assert.equal(ctx.sb.rows('audit_log').filter(a => a.action === 'transcript.bulk_export').at(-1).details.conversations, 1);
+
+  assert.equal((await sup.get('/api/transcripts/export?from=ontem')).status, 400);
+  assert.equal((await sup.get('/api/transcripts/export?format=doc')).status, 400);
+  const att = await ctx.user({ email: 'att-tr@sena.test' });
+  assert.equal((await att.get('/api/transcripts/export')).status, 403);
+});
+
+test('LGPD export returns every record of the subject and is audited', async () => {
+  await ctx.inbound('5511944440009', 'outro titular'); // evento anterior: o replay do SSE (Last-Event-ID: 1) cobre os do João
+  await ctx.inbound('5511944440002', 'meus dados', { name: 'João' });
+
+  const json = await ctx.admin.get('/api/lgpd/5511944440002/export');
+  assert.equal(json.headers.get('content-disposition'), 'attachment; filename="titular-5511944440002.json"');
+  assert.deepEqual([json.body.numero, json.body.messages.length, json.body.conversations.length, json.body.contact.nome], ['5511944440002', 1, 1, 'João']);
+  const txt = await ctx.admin.get('/api/lgpd/5511944440002/export?format=txt');
+  assert.match(txt.text, /^Histórico de conversas \(LGPD — dados do titular\)\nPaciente: João \(5511944440002\)\n/);
+
+  const sup = await ctx.user({ email: 'sup-lgpd@sena.test', role: 'supervisor' });
+  assert.equal((await sup.get('/api/lgpd/5511944440002/export')).status, 403);
+  const audit = await ctx.admin.get('/api/audit-log?action=lgpd.export&numero=5511944440002');
+  assert.equal(audit.body.length, 2);
+  assert.ok(audit.body.every(a => a.subject_hash && !JSON.stringify(a).includes('5511944440002')));
+});
+
+test('LGPD anonymize pseudonymizes the number and removes content and contact', async () => {
+  const [delivery] = ctx.sb.seed('event_webhook_deliveries', { subscription_id: 1, instance_id: '1', numero_paciente: '5511944440002', event_id: 'evt-lgpd', event_type: 'message.received', payload: { numeroPaciente: '5511944440002', data: { mensagem_paciente: 'meus dados' } }, status: 'delivered' });
+  assert.equal((await ctx.admin.post('/api/lgpd/5511944440002/anonymize', {})).status, 400);
+  const res = await ctx.admin.post('/api/lgpd/5511944440002/anonymize', { confirm: true, reason: 'pedido do titular' });
+  assert.equal(res.status, 200);
+  assert.match(res.body.pseudonym, /^anon-[0-9a-f]{16}$/);
+  assert.deepEqual([res.body.messages, res.body.conversations, res.body.eventDeliveries, res.body.contact], [1, 1, 1, true]);
+  assert.deepEqual([delivery.numero_paciente, delivery.payload], [res.body.pseudonym, { redacted: true }]);
+
+  assert.equal(ctx.messagesOf('5511944440002').length, 0);
+  const redacted = ctx.messagesOf(res.body.pseudonym);
+  assert.deepEqual(redacted.map(m => [m.mensagem_paciente, m.nome_paciente, !!m.redacted_at]), [['[conteúdo removido]', null, true]]);
+  assert.deepEqual([ctx.conversation(res.body.pseudonym).nome_paciente, ctx.conversation('5511944440002')], [null, null]);
+  assert.equal((await ctx.admin.get('/api/contacts/by-phone/5511944440002')).status, 404);
+
+  // SSE: o evento leva só o pseudônimo e o buffer de reconexão esquece o número real
+  const replay = new AbortController();
+  const stream = await fetch(`${ctx.baseUrl}/api/events`, { headers: { Authorization: `Bearer ${ctx.admin.token}`, 'Last-Event-ID': '1' }, signal: replay.signal });
+  const reader = stream.body.getReader();
+  let text = '';
+  await waitFor(async () => { const { value } = await reader.read(); text += Buffer.from(value || []).toString(); return text.includes('conversation.anonymized'); });
+  replay.abort();
+  await reader.closed.catch(() => {});
+  assert.match(text, new RegExp(`"numeroPaciente":"${res.body.pseudonym}"`));
+  assert.doesNotMatch(text, /5511944440002|meus dados/);
+
+  const [entry] = (await ctx.admin.get('/api/audit-log?action=lgpd.anonymize')).body;
+  assert.deepEqual([entry.details.reason, entry.details.pseudonym, entry.actor_name], ['pedido do titular', res.body.pseudonym, 'Administrador']);
+});
+
+test('retention redacts or purges old messages per instance', async () => {
+  ctx.sb.seed('service_settings', [{ instance_id: '1', retention_days: 30, retention_action: 'redact' }, { instance_id: '2', retention_days: 30, retention_action: 'purge' }]);
+  ctx.sb.seed('messages', [
+    { numero_paciente: '5511944440003', instance_id: '1', remetente: 'Paciente', mensagem_paciente: 'antiga', created_at: daysAgo(40) },
+    { numero_paciente: '5511944440003', instance_id: '1', remetente: 'Paciente', mensagem_paciente: 'recente', created_at: daysAgo(1) },
+    { numero_paciente: '5511944440004', instance_id: '2', remetente: 'Paciente', mensagem_paciente: 'antiga', created_at: daysAgo(40) },
+  ]);
+  const deliveries = ctx.sb.seed('event_webhook_deliveries', [
+    { subscription_id: 1, instance_id: '1', numero_paciente: '5511944440003', event_id: 'evt-old', event_type: 'message.received', payload: { data: { mensagem_paciente: 'antiga' } }, status: 'delivered', created_at: daysAgo(40) },
+    { subscription_id: 1, instance_id: '1', numero_paciente: '5511944440003', event_id: 'evt-new', event_type: 'message.received', payload: { data: { mensagem_paciente: 'recente' } }, status: 'delivered', created_at: daysAgo(1) },
+  ]);
+  ctx.sb.seed('webhook_events', [{ dedup_key: 'gs:hash:antigo', created_at: daysAgo(40) }, { dedup_key: 'gs:hash:recente', created_at: daysAgo(1) }]);
+  const res = await ctx.admin.post('/api/admin/retention/run');
+  const byInstance = Object.fromEntries(res.body.results.map(r => [r.instanceId, [r.action, r.messages]]));
+  assert.deepEqual([byInstance['1'][0], byInstance['2']], ['redact', ['purge', 1]]);
+  assert.deepEqual(ctx.messagesOf('5511944440003').map(m => m.mensagem_paciente), ['[conteúdo removido]', 'recente']);
+  assert.equal(ctx.messagesOf('5511944440004').length, 0);
+  assert.equal(ctx.messagesOf('5511944440001')[0].mensagem_paciente, '[conteúdo removido]'); // março, mais de 30 dias
+  assert.equal(ctx.messagesOf('5511944440001')[2].media_url, null);
+  assert.deepEqual(deliveries.map(d => d.payload), [{ redacted: true }, { data: { mensagem_paciente: 'recente' } }]);
+  assert.deepEqual(ctx.sb.rows('webhook_events').map(e => e.dedup_key).filter(k => k.startsWith('gs:hash:')), ['gs:hash:recente']);
+
+  // Segunda rodada: nada novo para apagar
+  assert.ok((await ctx.admin.post('/api/admin/retention/run')).body.results.every(r => r.messages === 0));
+  assert.deepEqual((await ctx.admin.get('/api/audit-log?action=retention.purge&instanceId=2')).body.map(a => a.details.messages), [1]);
+
+  const page = await ctx.admin.get('/api/audit-log?limit=1');
+  assert.ok(page.headers.get('x-next-cursor'));
+  assert.deepEqual((await ctx.admin.get('/api/audit-log?from=garbage')).body, { error: 'from/to inválidos' });
+  assert.equal((await ctx.admin.get(`/api/audit-log?to=${daysAgo(400)}`)).body.length, 0);
+  const sup = await ctx.user({ email: 'sup-ret@sena.test', role: 'supervisor' });
+  assert.equal((await sup.post('/api/admin/retention/run')).status, 403);
+});
@@ -0,0 +1,308 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { bootApp, waitFor, sleep } = require('./support/app');
+
+const ROBO = 'EM_ATENDIMENTO_ROBO';
+const PENDENTE = 'PENDENTE';
+const HUMANO = 'EM_ATENDIMENTO_HUMANO';
+const FINALIZADO = 'FINALIZADO';
+
+let ctx;
+test.before(async () => {
+  ctx = await bootApp({ seed: { instances: [{ id_da_instancia: '2', token: 'gs-key-2', source_number: '5511900000002', status: 'active' }] } });
+});
+test.after(() => ctx.close());
+
+const transitionsOf = (numero) => ctx.sb.rows('status_transitions').filter(t => t.numero_paciente === numero).map(t => [t.from_status, t.to_status, t.source]);
+const legacy = (body) => ctx.anon.post('/api/webhook', body);
+
+test('first patient message opens the conversation in ROBO and creates the contact', async () => {
+  const res = await ctx.inbound('5511988880001', 'Olá, bom dia', { name: 'Maria Souza' });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body, { received: true, type: 'text', status: ROBO });
+  const conv = ctx.conversation('5511988880001');
+  assert.equal(conv.status, ROBO);
+  assert.equal(conv.nome_paciente, 'Maria Souza');
+  assert.equal(conv.unread_count, 1);
+  assert.equal(conv.last_message, 'Olá, bom dia');
+  const [msg] = ctx.messagesOf('5511988880001');
+  assert.equal(msg.remetente, 'Paciente');
+  assert.equal(msg.status_conversa, ROBO);
+  assert.ok(msg.provider_message_id);
+  assert.equal(ctx.sb.rows('contacts').find(c => c.numero === '5511988880001').nome, 'Maria Souza');
+  assert.deepEqual(transitionsOf('5511988880001'), []);
+});
+
+test('FINALIZADO → ROBO when the patient writes again', async () => {
+  await ctx.inbound('5511988880002', 'primeira');
+  assert.equal((await ctx.admin.patch('/api/conversation/5511988880002/status', { statusAtendimento: FINALIZADO })).status, 200);
+  const res = await ctx.inbound('5511988880002', 'voltei');
+  assert.equal(res.body.status, ROBO);
+  assert.equal(ctx.conversation('5511988880002').status, ROBO);
+  assert.deepEqual(transitionsOf('5511988880002'), [[ROBO, FINALIZADO, 'panel'], [FINALIZADO, ROBO, 'message']]);
+  assert.equal(ctx.messagesOf('5511988880002').at(-1).status_conversa, ROBO);
+});
+
+test('HUMANO → PENDENTE when the patient answers the attendant', async () => {
+  await ctx.inbound('5511988880003', 'quero falar com alguém');
+  const sent = await ctx.admin.post('/api/instance/1/messages', { numeroPaciente: '5511988880003', texto: 'Oi, aqui é a Ana' });
+  assert.equal(sent.status, 200);
+  assert.equal(ctx.conversation('5511988880003').status, HUMANO);
+  const res = await ctx.inbound('5511988880003', 'obrigado');
+  assert.equal(res.body.status, PENDENTE);
+  assert.equal(ctx.conversation('5511988880003').status, PENDENTE);
+  assert.deepEqual(transitionsOf('5511988880003').at(-1), [HUMANO, PENDENTE, 'message']);
+  assert.equal(ctx.conversation('5511988880003').unread_count, 1);
+});
+
+test('PENDENTE stays PENDENTE on further patient messages', async () => {
+  await ctx.inbound('5511988880004', 'oi');
+  await ctx.admin.patch('/api/conversation/5511988880004/status', { status: PENDENTE });
+  const res = await ctx.inbound('5511988880004', 'alguém aí?');
+  assert.equal(res.body.status, PENDENTE);
+  assert.equal(ctx.conversation('5511988880004').unread_count, 2);
+});
+
+test('bot replies are suppressed outside ROBO (legacy format)', async () => {
+  for (const [numero, status] of [['5511988880005', PENDENTE], ['5511988880006', HUMANO], ['5511988880007', FINALIZADO]]) {
+    await legacy({ numeroPaciente: numero, mensagemPaciente: 'oi' });
+    await ctx.admin.patch(`/api/conversation/${numero}/status`, { status });
+    const res = await legacy({ numeroPaciente: numero, respostaRobo: `resposta para ${status}` });
+    assert.deepEqual(res.body, { received: true, suppressed: true }, status);
+    assert.equal(ctx.messagesOf(numero).filter(m => m.remetente === 'Robô').length, 0, status);
+    assert.equal(ctx.conversation(numero).status, status);
+  }
+});
+
+test('bot reply in ROBO is recorded; transfer phrase hands off to PENDENTE', async () => {
+  await legacy({ numeroPaciente: '5511988880008', mensagemPaciente: 'oi', nomePaciente: 'João' });
+  let res = await legacy({ numeroPaciente: '5511988880008', respostaRobo: 'Olá! Como posso ajudar?' });
+  assert.deepEqual(res.body, { received: true });
+  assert.equal(ctx.conversation('5511988880008').status, ROBO);
+  res = await legacy({ numeroPaciente: '5511988880008', respostaRobo: 'Certo, vou te transferir para um atendente humano.' });
+  assert.deepEqual(res.body, { received: true });
+  const robo = ctx.messagesOf('5511988880008').filter(m => m.remetente === 'Robô');
+  assert.deepEqual(robo.map(m => m.status_conversa), [ROBO, PENDENTE]);
+  assert.equal(ctx.conversation('5511988880008').status, PENDENTE);
+  assert.deepEqual(transitionsOf('5511988880008'), [[ROBO, PENDENTE, 'system']]);
+});
+
+test('handoff: true from the bot and patient keyword rules move to PENDENTE', async () => {
+  await legacy({ numeroPaciente: '5511988880009', mensagemPaciente: 'oi' });
+  await legacy({ numeroPaciente: '5511988880009', respostaRobo: 'Um momento', handoff: true });
+  assert.equal(ctx.conversation('5511988880009').status, PENDENTE);
+
+  const rule = await ctx.admin.post('/api/instance/1/handoff-rules', { type: 'keyword', pattern: 'atendente', appliesTo: 'patient' });
+  assert.equal(rule.status, 201);
+  const res = await ctx.inbound('5511988880010', 'Quero um ATENDENTE');
+  assert.equal(res.body.status, PENDENTE);
+  assert.equal(ctx.conversation('5511988880010').status, PENDENTE);
+  await ctx.admin.delete(`/api/instance/1/handoff-rules/${rule.body.id}`);
+});
+
+test('max_bot_turns rule hands off after N bot replies', async () => {
+  const rule = await ctx.admin.post('/api/instance/1/handoff-rules', { type: 'max_bot_turns', threshold: 2 });
+  await legacy({ instanceId: '1', numeroPaciente: '5511988880011', mensagemPaciente: 'oi' });
+  await legacy({ instanceId: '1', numeroPaciente: '5511988880011', respostaRobo: 'resposta 1' });
+  assert.equal(ctx.conversation('5511988880011').status, ROBO);
+  await legacy({ instanceId: '1', numeroPaciente: '5511988880011', respostaRobo: 'resposta 2' });
+  assert.equal(ctx.conversation('5511988880011').status, PENDENTE);
+  await ctx.admin.delete(`/api/instance/1/handoff-rules/${rule.body.id}`);
+});
+
+test('patient message in ROBO is forwarded to the bot and the reply goes out through Gupshup', async () => {
+  const calls = [];
+  ctx.gs.handle('POST', '/bot', req => { calls.push(req); return { status: 200, body: { replies: ['Olá, sou o assistente', { text: 'Em que posso ajudar?' }] } }; });
+  const put = await ctx.admin.put('/api/instance/2/service-settings', { botUrl: `${ctx.gs.url}/bot`, botSecret: 'bot-secret' });
+  assert.equal(put.status, 200);
+  assert.equal(put.body.has_bot_secret, true);
+  assert.equal(put.body.bot_secret, undefined);
+
+  await ctx.inbound('5511988880012', 'bom dia', { instanceId: '2' });
+  await waitFor(() => ctx.messagesOf('5511988880012').filter(m => m.remetente === 'Robô').length === 2);
+  const [call] = calls;
+  assert.equal(call.body.mensagem, 'bom dia');
+  assert.equal(call.body.instanceId, '2');
+  assert.equal(call.headers['x-signature'], 'sha256=' + crypto.createHmac('sha256', 'bot-secret').update(call.raw).digest('hex'));
+  const out = ctx.gs.sent().filter(r => r.body.destination === '5511988880012');
+  assert.deepEqual(out.map(r => r.body.message.text), ['Olá, sou o assistente', 'Em que posso ajudar?']);
+  assert.equal(out[0].headers.apikey, 'gs-key-2');
+  assert.ok(ctx.messagesOf('5511988880012').filter(m => m.remetente === 'Robô').every(m => m.delivery_status === 'enqueued' && m.provider_message_id));
+});
+
+test('bot is not called outside ROBO', async () => {
+  let called = 0;
+  ctx.gs.handle('POST', '/bot', () => { called += 1; return { status: 200, body: { reply: 'não deveria' } }; });
+  await ctx.anon.post('/api/webhook', { instanceId: '2', numeroPaciente: '5511988880013', respostaRobo: 'registrado pelo bot' });
+  await ctx.admin.patch('/api/conversation/5511988880013/status', { status: HUMANO });
+  const res = await ctx.inbound('5511988880013', 'oi', { instanceId: '2' });
+  assert.equal(res.body.status, PENDENTE);
+  await sleep(100);
+  assert.equal(called, 0);
+});
+
+test('bot handoff flag and bot failure fallback', async () => {
+  ctx.gs.handle('POST', '/bot', () => ({ status: 200, body: { reply: 'Vou chamar alguém', handoff: true } }));
+  await ctx.inbound('5511988880014', 'preciso de ajuda', { instanceId: '2' });
+  await waitFor(() => ctx.conversation('5511988880014').status === PENDENTE);
+  assert.equal(ctx.messagesOf('5511988880014').find(m => m.remetente === 'Robô').resposta_robo, 'Vou chamar alguém');
+
+  await ctx.admin.put('/api/instance/2/service-settings', { botFallbackMessage: 'Estamos com instabilidade', botFailureHandoff: true });
+  ctx.gs.handle('POST', '/bot', () => ({ status: 503, body: 'down' }));
+  await ctx.inbound('5511988880015', 'oi', { instanceId: '2' });
+  await waitFor(() => ctx.conversation('5511988880015').status === PENDENTE);
+  const fallback = ctx.messagesOf('5511988880015').find(m => m.remetente === 'Robô');
+  assert.equal(fallback.resposta_robo, 'Estamos com instabilidade');
+  assert.equal(fallback.status_conversa, PENDENTE);
+  await ctx.admin.put('/api/instance/2/service-settings', { botUrl: null });
+});
+
+test('duplicate provider callbacks are dropped; failed processing releases the key', async () => {
+  const first = await ctx.inbound('5511988880016', 'uma vez', { id: 'gs-dup-1' });
+  assert.equal(first.body.status, ROBO);
+  const again = await ctx.inbound('5511988880016', 'uma vez', { id: 'gs-dup-1' });
+  assert.deepEqual(again.body, { received: true, duplicate: true });
+  assert.equal(ctx.messagesOf('5511988880016').length, 1);
+
+  const body = { numeroPaciente: '5511988880017', mensagemPaciente: 'legado' };
+  await legacy(body);
+  assert.deepEqual((await legacy(body)).body, { received: true, duplicate: true });
+
+  // 400 (sem número) não consome a chave de deduplicação
+  assert.equal((await legacy({ messageId: 'legacy-x' })).status, 400);
+  assert.equal((await legacy({ messageId: 'legacy-x' })).status, 400);
+  assert.ok(!ctx.sb.rows('webhook_events').some(e => e.dedup_key.includes('legacy-x')));
+});
+
+test('message-event callbacks advance the delivery status (never backwards)', async () => {
+  await ctx.inbound('5511988880018', 'oi');
+  const sent = await ctx.admin.post('/api/instance/1/messages', { numeroPaciente: '5511988880018', texto: 'resposta' });
+  const gsId = sent.body.messageId;
+  const event = (type, extra = {}) => ctx.anon.post('/api/webhook?instanceId=1', { app: 'SENA', type: 'message-event', payload: { id: `wa-${type}`, gsId, type, destination: '5511988880018', payload: extra } });
+  assert.deepEqual((await event('delivered')).body, { received: true, event: 'delivered', updated: true });
+  assert.deepEqual((await event('read')).body, { received: true, event: 'read', updated: true });
+  assert.deepEqual((await event('sent')).body, { received: true, event: 'sent', updated: false });
+  assert.equal(ctx.messagesOf('5511988880018').find(m => m.remetente === 'Atendente').delivery_status, 'read');
+});
+
+test('opted-out user-event finalizes the conversation and marks the contact', async () => {
+  await ctx.inbound('5511988880019', 'oi');
+  const res = await ctx.anon.post('/api/webhook?instanceId=1', { app: 'SENA', type: 'user-event', payload: { phone: '5511988880019', type: 'opted-out' } });
+  assert.deepEqual(res.body, { received: true, event: 'opted-out' });
+  assert.equal(ctx.conversation('5511988880019').status, FINALIZADO);
+  assert.equal(ctx.sb.rows('contacts').find(c => c.numero === '5511988880019').opt_status, 'opted_out');
+});
+
+test('inbound media is mirrored to our storage', async () => {
+  ctx.gs.handle('GET', '/files/foto.jpg', () => ({ status: 200, body: Buffer.from('jpeg-bytes'), headers: { 'Content-Type': 'image/jpeg' } }));
+  const res = await ctx.anon.post('/api/webhook?instanceId=1', {
+    app: 'SENA', type: 'message',
+    payload: { id: 'gs-media-1', source: '5511988880020', type: 'image', payload: { url: `${ctx.gs.url}/files/foto.jpg`, caption: 'exame', contentType: 'image/jpeg' }, sender: { phone: '5511988880020', name: 'Bia' } },
+  });
+  assert.equal(res.body.type, 'image');
+  const [msg] = ctx.messagesOf('5511988880020');
+  assert.equal(msg.media_type, 'image');
+  assert.match(msg.media_url, /\/media\/\d{4}-\d{2}\/.+-foto\.jpg$/);
+  assert.match(msg.mensagem_paciente, /^\[imagem\] exame /);
+  const file = await fetch(msg.media_url);
+  assert.equal(Buffer.from(await file.arrayBuffer()).toString(), 'jpeg-bytes');
+});
+
+test('webhook pings, malformed JSON and missing number', async () => {
+  assert.deepEqual((await ctx.anon.post('/api/webhook', '', { headers: { 'Content-Type': 'application/json' } })).body, { received: true });
+  const bad = await ctx.anon.post('/api/webhook', '{"numeroPaciente": ', { headers: { 'Content-Type': 'application/json' } });
+  assert.equal(bad.status, 400);
+  assert.deepEqual(bad.body, { error: 'JSON malformado' });
+  assert.equal((await legacy({ mensagemPaciente: 'sem número' })).status, 400);
+  assert.deepEqual((await ctx.anon.get('/api/webhook')).body, { ok: true });
+});
+
+test('disabled instance: webhook is acknowledged and ignored', async () => {
+  ctx.sb.seed('instances', { id_da_instancia: '9', token: 't', source_number: '1', status: 'disabled' });
+  const res = await ctx.inbound('5511988880021', 'oi', { instanceId: '9' });
+  assert.deepEqual(res.body, { received: true, ignored: 'instance_disabled' });
+  assert.equal(ctx.messagesOf('5511988880021').length, 0);
+});
+
+test('Meta Cloud API webhooks and verification', async () => {
+  ctx.sb.seed('instances', { id_da_instancia: '5', token: 'meta-token', provider: 'meta', provider_config: { phoneNumberId: 'PN1', verifyToken: 'verify-me' }, status: 'active' });
+  const ok = await ctx.anon.get('/api/webhook?hub.mode=subscribe&hub.verify_token=verify-me&hub.challenge=42&instanceId=5');
+  assert.equal(ok.status, 200);
+  assert.equal(ok.text, '42');
+  assert.equal((await ctx.anon.get('/api/webhook?hub.mode=subscribe&hub.verify_token=nope&hub.challenge=1&instanceId=5')).status, 403);
+
+  const body = {
+    object: 'whatsapp_business_account',
+    entry: [{ changes: [{ value: { contacts: [{ wa_id: '5511988880022', profile: { name: 'Carla' } }], messages: [{ from: '5511988880022', id: 'wamid.1', type: 'text', text: { body: 'oi meta' } }, { from: '5511988880022', id: 'wamid.2', type: 'button', button: { text: 'Confirmar' } }] } }] }],
+  };
+  const res = await ctx.anon.post('/api/webhook?instanceId=5', body);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.results.length, 2);
+  assert.deepEqual(ctx.messagesOf('5511988880022').map(m => m.mensagem_paciente), ['oi meta', 'Confirmar']);
+  assert.equal(ctx.conversation('5511988880022').instance_id, '5');
+});
+
+test('legacy rows without a conversation: status comes from the last message (pre-backfill)', async () => {
+  ctx.sb.seed('messages', { numero_paciente: '5511988880023', instance_id: '1', remetente: 'Atendente', resposta_atendente: 'antigo', status_atendimento: HUMANO, created_at: '2025-01-01T10:00:00.000Z' });
+  const res = await ctx.inbound('5511988880023', 'oi de novo');
+  assert.equal(res.body.status, PENDENTE);
+  assert.equal(ctx.conversation('5511988880023').status, PENDENTE);
+});
+
+test('webhook secret: shared secret or HMAC signature required', async () => {
+  const secured = await bootApp({ env: { WEBHOOK_SECRET: 'shh' } });
+  try {
+    const body = JSON.stringify({ numeroPaciente: '5511988880024', mensagemPaciente: 'oi' });
+    const post = (headers, url = '/api/webhook') => secured.anon.post(url, body, { headers: { 'Content-Type': 'application/json', ...headers } });
+    assert.equal((await post({})).status, 401);
+    assert.equal((await post({ 'X-Webhook-Secret': 'wrong' })).status, 401);
+    assert.equal((await post({ 'X-Signature': 'sha256=' + crypto.createHmac('sha256', 'shh').update(body).digest('hex') })).status, 200);
+    assert.equal((await post({ 'X-Webhook-Secret': 'shh' })).body.duplicate, true);
+    assert.equal((await post({}, '/api/webhook?secret=shh')).status, 401);
+  } finally { await secured.close(); }
+
+  // Sem segredo e sem WEBHOOK_ALLOW_UNSIGNED o webhook fica fechado
+  const unset = await bootApp({ env: { WEBHOOK_ALLOW_UNSIGNED: '' } });
+  try {
+    const res = await unset.anon.post('/api/webhook', { numeroPaciente: '5511988880026', mensagemPaciente: 'oi' });
+    assert.deepEqual([res.status, res.body], [503, { error: 'webhook_secret_not_configured' }]);
+    assert.equal(unset.messagesOf('5511988880026').length, 0);
+  } finally { await unset.close(); }
+});
+
+test('without webhook_events the deduplication falls back to memory', async () => {
+  const app = await bootApp({ store: { missingTables: ['webhook_events'] } });
+  try {
+    assert.equal((await app.inbound('5511988880025', 'oi', { id: 'gs-mem-1' })).body.status, ROBO);
+    assert.equal((await app.inbound('5511988880025', 'oi', { id: 'gs-mem-1' })).body.duplicate, true);
+    assert.equal(app.messagesOf('5511988880025').length, 1);
+  } finally { await app.close(); }
+});
+
+test('HAS_STATUS_CONVERSA fallback: messages without the status_conversa column', async () => {
+  const app = await bootApp({ store: { missingColumns: { messages: ['status_conversa'] } } });
+  try {
+    assert.equal((await app.anon.get('/health')).body.hasStatusConversa, true);
+    assert.equal((await app.inbound('5511988880026', 'oi')).body.status, ROBO);
+    assert.equal((await app.anon.get('/health')).body.hasStatusConversa, false);
+    const [msg] = app.messagesOf('5511988880026');
+    assert.equal('status_conversa' in msg, false);
+    assert.equal(msg.status_atendimento, ROBO);
+
+    // A máquina de estados segue funcionando com status_atendimento + conversations
+    await app.admin.post('/api/instance/1/messages', { numeroPaciente: '5511988880026', texto: 'atendente aqui' });
+    assert.equal((await app.inbound('5511988880026', 'obrigado')).body.status, PENDENTE);
+    await app.admin.patch('/api/conversation/5511988880026/status', { status: FINALIZADO });
+    assert.equal((await app.inbound('5511988880026', 'de novo')).body.status, ROBO);
+    assert.ok(app.messagesOf('5511988880026').every(m => !('status_conversa' in m)));
+
+    // Sem linha em conversations, o status vem de status_atendimento da última mensagem
+    app.sb.seed('messages', { numero_paciente: '5511988880027', instance_id: '1', remetente: 'Atendente', resposta_atendente: 'x', status_atendimento: FINALIZADO, created_at: '2025-01-01T10:00:00.000Z' });
+    assert.equal((await app.inbound('5511988880027', 'oi')).body.status, ROBO);
+
+    // O histórico continua expondo status_conversa (= status atual da conversa)
+    const history = await app.admin.get('/api/conversation/5511988880026/messages');
+    assert.ok(history.body.every(m => m.status_conversa === ROBO));
+  } finally { await app.close(); }
+});